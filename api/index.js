@@ -11,10 +11,72 @@ const bcrypt = require('bcrypt');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
+const { ensureAlertTables, validateAlertRule, MAX_RULES_PER_USER } = require('../src/services/alerts');
+const { ensureScrapeRunTables } = require('../src/services/scrape-runs');
+const { mergeTeeTimeSources } = require('../src/services/tee-time-merge');
+const { ensureDemandTables, getDemandAnalytics } = require('../src/services/demand');
+const { ensureObservationTables } = require('../src/services/tee-time-observations');
+const { MAX_BOOKING_WINDOW_DAYS } = require('../src/services/scrape-schedule');
+const { DEMO_SOURCE, isDemoMode, syntheticFilter, withProvenance } = require('../src/services/tee-time-provenance');
+const { withFreshness } = require('../src/services/freshness');
+const { parseSearchFilters, findCoursesNear, buildSearchWhere, searchTeeTimes } = require('../src/services/tee-time-search');
+const { parseGroupOptions, findTeeTimeGroups } = require('../src/services/tee-time-groups');
+const { NearbySearchError, parseNearbyQuery, resolveOrigin, rankCoursesByDistance } = require('../src/services/nearby');
+const { ensureTravelTimeTables, createPrecomputedTravelTimeMatrix } = require('../src/services/travel-times');
+const { ensureCourseSearchTables, searchCourses } = require('../src/services/course-search');
+const {
+  ensureCourseAliasTables,
+  normalizeCourseName,
+  validateAliasInput,
+  listCourseAliases,
+  addCourseAlias,
+  removeCourseAlias,
+  loadCourseMatcher
+} = require('../src/services/course-aliases');
+const { createLocationIQService } = require('../services/locationiq');
+const {
+  BookingStatus,
+  BookingActor,
+  BookingTransitionError,
+  ensureBookingTables,
+  validateBookingInput,
+  createBooking,
+  getBooking,
+  listUserBookings,
+  getBookingEvents,
+  canAccessBooking,
+  transitionBooking
+} = require('../src/services/bookings');
+const {
+  ensureBookingStreamTables,
+  createStreamToken,
+  verifyStreamToken,
+  streamBookingEvents
+} = require('../src/services/booking-stream');
+const { ensureBookingJobTables, canAutomateBooking, enqueueBookingJob } = require('../src/services/booking-jobs');
+const {
+  VerificationStatus,
+  ensureVerificationTables,
+  getTeeTimeForVerification,
+  verifyTeeTime
+} = require('../src/services/tee-time-verification');
+const { createV1Router } = require('../src/api/v1');
+const {
+  ensureApiKeyTables,
+  validateApiKeyInput,
+  toApiKeyRecord,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('../src/services/api-keys');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Synthetic demo tee times are only generated and served with DEMO_MODE=true
+const DEMO_MODE = isDemoMode();
+const hideSynthetic = (alias = 't') => syntheticFilter(alias, DEMO_MODE);
+
 // Turso database connection
 const db = createClient({
   url: process.env.TURSO_DATABASE_URL || 'libsql://bay-area-golf-bayareagolfnow.aws-us-west-2.turso.io',
@@ -226,6 +288,10 @@ app.use(cors({
   credentials: true
 }));
 
+// The embeddable widget (public/widget.js) reads one course's tee times from
+// partner sites, so that read-only route answers any origin (without credentials)
+const widgetCors = cors({ origin: '*', methods: ['GET'] });
+
 // Security: Add security headers
 app.use(helmet({
   contentSecurityPolicy: {
@@ -255,6 +321,24 @@ const apiLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 100, // 100 requests per minute
   message: { error: 'Too many requests. Please slow down.' },
+  // The public API limits per key instead (src/api/v1/auth.js)
+  skip: (req) => req.originalUrl.startsWith('/api/v1/'),
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Each tee time check opens the booking site in a headless browser. Over the
+// limit the route skips the live check (req.verifyLimited) instead of failing,
+// so a golfer following a tee time link is still sent on to book it
+const verifyLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 10, // 10 checks per minute
+  // Plain /go/:slug course links don't check anything
+  skip: (req) => req.params.slug !== undefined && !req.query.teeTime,
+  handler: (req, res, next) => {
+    req.verifyLimited = true;
+    next();
+  },
   standardHeaders: true,
   legacyHeaders: false
 });
@@ -275,6 +359,11 @@ app.use((req, res, next) => {
   express.json({ limit: '5mb' })(req, res, next);
 });
 app.use(cookieParser());
+// Partner sites load the widget script cross-origin
+app.get('/widget.js', (req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Initialize clicks table for tracking
@@ -359,6 +448,62 @@ app.use(express.static(path.join(__dirname, '../public')));
       browser TEXT
     )
   `);
+
+  // Append-only price log written by the scrapers on every run (see scripts/providers/utils.js)
+  await ensureObservationTables(db);
+
+  // Tee times that vanish between scrapes are marked booked instead of deleted
+  // (see swapTeeTimes in scripts/providers/utils.js)
+  try {
+    await db.execute('ALTER TABLE tee_times ADD COLUMN is_booked INTEGER DEFAULT 0');
+  } catch (e) { /* Column already exists */ }
+  try {
+    await db.execute('ALTER TABLE tee_times ADD COLUMN booked_at DATETIME');
+  } catch (e) { /* Column already exists */ }
+
+  // Demo tee times are tagged synthetic and hidden outside demo mode
+  // (older demo rows predate the flag, so tag them by source)
+  try {
+    await db.execute('ALTER TABLE tee_times ADD COLUMN is_synthetic INTEGER DEFAULT 0');
+  } catch (e) { /* Column already exists */ }
+  await db.execute({
+    sql: 'UPDATE tee_times SET is_synthetic = 1 WHERE source = ? AND is_synthetic = 0',
+    args: [DEMO_SOURCE]
+  });
+
+  // Days out a course takes bookings; scrapers fall back to the provider's window when NULL
+  try {
+    await db.execute('ALTER TABLE courses ADD COLUMN booking_window_days INTEGER');
+  } catch (e) { /* Column already exists */ }
+
+  // Sales inferred from tee times that vanish between scrapes
+  await ensureDemandTables(db);
+
+  // Live re-checks of tee times before booking (/go/:slug, /api/tee-times/:id/verify)
+  await ensureVerificationTables(db);
+
+  // Saved tee time alerts, matched after each scheduled scrape
+  await ensureAlertTables(db);
+
+  // Scrape run ledger, written by scripts/scheduled-scrape.js and full-scrape-parallel.js
+  await ensureScrapeRunTables(db);
+
+  // Partner API keys for /api/v1
+  await ensureApiKeyTables(db);
+
+  // Drive times for near-me search, filled by scripts/build-travel-times.js
+  await ensureTravelTimeTables(db);
+
+  // Course nicknames and provider names, managed from /api/admin/courses/:id/aliases
+  await ensureCourseAliasTables(db);
+
+  // Full-text course search, kept in sync with courses and aliases by triggers
+  await ensureCourseSearchTables(db);
+
+  // Booking requests and their state history, and the queue scripts/booking-worker.js runs
+  await ensureBookingTables(db);
+  await ensureBookingJobTables(db);
+  await ensureBookingStreamTables(db);
 })();
 
 // Async user auth middleware
@@ -502,8 +647,8 @@ app.get('/api/courses', async (req, res) => {
     if (staff_picks === 'true') {
       const result = await db.execute({
         sql: `SELECT c.*,
-          (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ?) as next_price,
-          (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
+          (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ?) as next_price,
+          (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
         FROM courses c
         WHERE c.is_staff_pick = 1
         ORDER BY c.staff_pick_order ASC, c.name ASC`,
@@ -515,8 +660,8 @@ app.get('/api/courses', async (req, res) => {
     if (all === 'true') {
       const result = await db.execute({
         sql: `SELECT c.*,
-          (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ?) as next_price,
-          (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
+          (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ?) as next_price,
+          (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
         FROM courses c
         ORDER BY c.region, c.city, c.name`,
         args: [pacificNow, pacificNow, todayEnd]
@@ -527,8 +672,8 @@ app.get('/api/courses', async (req, res) => {
     if (region) {
       const result = await db.execute({
         sql: `SELECT c.*,
-          (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ?) as next_price,
-          (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
+          (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ?) as next_price,
+          (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
         FROM courses c
         WHERE c.region = ?
         ORDER BY c.city, c.name`,
@@ -540,9 +685,9 @@ app.get('/api/courses', async (req, res) => {
     // Default: courses with prices and availability
     const result = await db.execute({
       sql: `SELECT c.*,
-        (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ?) as next_price,
-        (SELECT t.datetime FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ? ORDER BY t.datetime LIMIT 1) as next_time,
-        (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
+        (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ?) as next_price,
+        (SELECT t.datetime FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ? ORDER BY t.datetime LIMIT 1) as next_time,
+        (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
       FROM courses c
       ORDER BY c.region, c.city, c.name`,
       args: [pacificNow, pacificNow, pacificNow, todayEnd]
@@ -553,6 +698,139 @@ app.get('/api/courses', async (req, res) => {
   }
 });
 
+// ========== COURSE SEARCH ==========
+
+// Autocomplete for the course search boxes: prefix matching on name, city,
+// region and aliases, with typo correction when nothing matches as typed
+app.get('/api/search/suggest', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    if (query.length < 2) {
+      return res.json({ query, corrections: [], suggestions: [] });
+    }
+
+    const { courses, corrections } = await searchCourses(db, query, { limit });
+    res.json({ query, corrections, suggestions: courses });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== NEAR ME SEARCH ==========
+
+// Address origins are geocoded with LocationIQ (optional - coordinates always work)
+const geocoder = process.env.LOCATIONIQ_API_KEY
+  ? createLocationIQService({ apiKey: process.env.LOCATIONIQ_API_KEY })
+  : null;
+
+// Drive times from scripts/build-travel-times.js, estimated where missing
+const travelTimes = createPrecomputedTravelTimeMatrix(db);
+
+// Courses around an origin within a radius and/or drive time, nearest first
+const findNearbyCourses = async (query) => {
+  const { params, error } = parseNearbyQuery(query);
+  if (error) {
+    throw new NearbySearchError(error);
+  }
+  const origin = await resolveOrigin(params, geocoder);
+
+  const pacificNow = getPacificNow();
+  const todayEnd = pacificNow.split('T')[0] + 'T23:59:59';
+  const result = await db.execute({
+    sql: `SELECT c.*,
+      (SELECT MIN(t.price) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ?) as next_price,
+      (SELECT COUNT(*) FROM tee_times t WHERE t.course_id = c.id AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ? AND t.datetime <= ?) as tee_time_count
+    FROM courses c
+    WHERE c.latitude IS NOT NULL AND c.longitude IS NOT NULL`,
+    args: [pacificNow, pacificNow, todayEnd]
+  });
+
+  const courses = await rankCoursesByDistance(result.rows, origin, { ...params, matrix: travelTimes });
+  return { origin, params, courses };
+};
+
+const sendNearbyError = (res, error) => {
+  if (error instanceof NearbySearchError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// MUST be before :idOrSlug route
+app.get('/api/courses/nearby', async (req, res) => {
+  try {
+    const { origin, params, courses } = await findNearbyCourses(req.query);
+    const limit = Math.max(Math.min(parseInt(req.query.limit) || 50, 200), 1);
+
+    res.json({
+      origin,
+      radius_miles: params.radiusMiles,
+      max_drive_minutes: params.maxDriveMinutes,
+      courses: courses.slice(0, limit)
+    });
+  } catch (error) {
+    sendNearbyError(res, error);
+  }
+});
+
+// Tee times at nearby courses, nearest course first, then soonest
+app.get('/api/tee-times/nearby', async (req, res) => {
+  try {
+    const { origin, params, courses } = await findNearbyCourses(req.query);
+    const resultLimit = Math.max(Math.min(parseInt(req.query.limit) || 100, 500), 1);
+    if (!courses.length) {
+      return res.json({ origin, radius_miles: params.radiusMiles, max_drive_minutes: params.maxDriveMinutes, tee_times: [] });
+    }
+
+    await ensureTeeTimesExist();
+
+    const { date, max_price, players } = req.query;
+    let sql = `
+      SELECT t.*, c.name as course_name, c.city, c.region, c.slug as course_slug, c.avg_rating
+      FROM tee_times t
+      JOIN courses c ON t.course_id = c.id
+      WHERE t.datetime >= ? AND t.is_booked = 0${hideSynthetic()}
+        AND t.course_id IN (${courses.map(() => '?').join(', ')})
+    `;
+    const args = [getPacificNow(), ...courses.map(c => c.id)];
+
+    if (date) {
+      sql += ' AND t.date = ?';
+      args.push(date);
+    }
+    if (max_price) {
+      sql += ' AND t.price <= ?';
+      args.push(parseFloat(max_price));
+    }
+    if (players) {
+      sql += ' AND t.players >= ?';
+      args.push(parseInt(players));
+    }
+    // Nearest course first (course ids are integers from the courses table)
+    const courseRank = `CASE t.course_id ${courses.map((c, i) => `WHEN ${Number(c.id)} THEN ${i}`).join(' ')} END`;
+    // Over-fetch so duplicate sources don't eat into the limit
+    sql += ` ORDER BY ${courseRank}, t.datetime LIMIT ${resultLimit * 2}`;
+
+    const result = await db.execute({ sql, args });
+    const byCourse = new Map(courses.map(c => [c.id, c]));
+    const teeTimes = mergeTeeTimeSources(annotateTeeTimes(result.rows)).map(t => ({
+      ...t,
+      distance_miles: byCourse.get(t.course_id).distance_miles,
+      drive_minutes: byCourse.get(t.course_id).drive_minutes
+    }));
+
+    res.json({
+      origin,
+      radius_miles: params.radiusMiles,
+      max_drive_minutes: params.maxDriveMinutes,
+      tee_times: teeTimes.slice(0, resultLimit)
+    });
+  } catch (error) {
+    sendNearbyError(res, error);
+  }
+});
+
 // Compare two courses - MUST be before :idOrSlug route
 app.get('/api/courses/compare', async (req, res) => {
   try {
@@ -579,11 +857,11 @@ app.get('/api/courses/compare', async (req, res) => {
 
     const [tt1Result, tt2Result] = await Promise.all([
       db.execute({
-        sql: `SELECT * FROM tee_times WHERE course_id = ? AND (date > ? OR (date = ? AND time >= ?)) ORDER BY date, time LIMIT 20`,
+        sql: `SELECT * FROM tee_times WHERE course_id = ? AND is_booked = 0${hideSynthetic(null)} AND (date > ? OR (date = ? AND time >= ?)) ORDER BY date, time LIMIT 20`,
         args: [parseInt(course1), todayStr, todayStr, currentTime]
       }),
       db.execute({
-        sql: `SELECT * FROM tee_times WHERE course_id = ? AND (date > ? OR (date = ? AND time >= ?)) ORDER BY date, time LIMIT 20`,
+        sql: `SELECT * FROM tee_times WHERE course_id = ? AND is_booked = 0${hideSynthetic(null)} AND (date > ? OR (date = ? AND time >= ?)) ORDER BY date, time LIMIT 20`,
         args: [parseInt(course2), todayStr, todayStr, currentTime]
       })
     ]);
@@ -600,8 +878,8 @@ app.get('/api/courses/compare', async (req, res) => {
     };
 
     res.json({
-      course1: { ...c1Result.rows[0], teeTimes: tt1Result.rows, priceStats: getPriceStats(tt1Result.rows) },
-      course2: { ...c2Result.rows[0], teeTimes: tt2Result.rows, priceStats: getPriceStats(tt2Result.rows) }
+      course1: { ...c1Result.rows[0], teeTimes: annotateTeeTimes(tt1Result.rows), priceStats: getPriceStats(tt1Result.rows) },
+      course2: { ...c2Result.rows[0], teeTimes: annotateTeeTimes(tt2Result.rows), priceStats: getPriceStats(tt2Result.rows) }
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -617,6 +895,13 @@ app.get('/api/courses/:idOrSlug', async (req, res) => {
       result = await db.execute({ sql: 'SELECT * FROM courses WHERE id = ?', args: [parseInt(idOrSlug)] });
     } else {
       result = await db.execute({ sql: 'SELECT * FROM courses WHERE slug = ?', args: [idOrSlug] });
+      if (!result.rows.length) {
+        // Nicknames and old slugs ("/course/harding")
+        result = await db.execute({
+          sql: 'SELECT c.* FROM course_aliases a JOIN courses c ON c.id = a.course_id WHERE a.normalized = ?',
+          args: [normalizeCourseName(idOrSlug)]
+        });
+      }
     }
 
     if (!result.rows.length) {
@@ -631,7 +916,7 @@ app.get('/api/courses/:idOrSlug', async (req, res) => {
     // Get tee times (using Pacific timezone)
     const pacificNow = getPacificNow();
     const teeTimesResult = await db.execute({
-      sql: `SELECT * FROM tee_times WHERE course_id = ? AND datetime >= ? ORDER BY datetime LIMIT 50`,
+      sql: `SELECT * FROM tee_times WHERE course_id = ? AND is_booked = 0${hideSynthetic(null)} AND datetime >= ? ORDER BY datetime LIMIT 50`,
       args: [course.id, pacificNow]
     });
 
@@ -695,7 +980,7 @@ app.get('/api/courses/:idOrSlug', async (req, res) => {
       const peakResult = await db.execute({
         sql: `SELECT substr(time, 1, 2) as hour, COUNT(*) as count
               FROM tee_times
-              WHERE course_id = ? AND datetime >= ?
+              WHERE course_id = ? AND is_booked = 0${hideSynthetic(null)} AND datetime >= ?
               GROUP BY hour
               ORDER BY count DESC
               LIMIT 3`,
@@ -708,7 +993,7 @@ app.get('/api/courses/:idOrSlug', async (req, res) => {
 
     res.json({
       ...course,
-      teeTimes: teeTimesResult.rows,
+      teeTimes: annotateTeeTimes(teeTimesResult.rows),
       tournamentHistory: tournamentsResult.rows,
       homeUsers: homeUsersResult.rows,
       reviews: reviewsResult.rows,
@@ -720,33 +1005,120 @@ app.get('/api/courses/:idOrSlug', async (req, res) => {
   }
 });
 
-app.get('/api/courses/:id/tee-times', async (req, res) => {
+app.get('/api/courses/:id/tee-times', widgetCors, async (req, res) => {
   try {
     const { id } = req.params;
-    const { date, minPrice, maxPrice, time } = req.query;
+    const { date, minPrice, maxPrice, time, merge, limit } = req.query;
+    const mergeSources = merge !== 'false';
+    const resultLimit = Math.max(Math.min(parseInt(limit) || 100, 100), 1);
+    const byId = /^\d+$/.test(id);
 
     // Use Pacific timezone for filtering
     const pacificNow = getPacificNow();
-    let sql = `SELECT * FROM tee_times WHERE course_id = ? AND datetime >= ?`;
-    const args = [parseInt(id), pacificNow];
+    let sql = `SELECT t.*, c.name as course_name, c.slug as course_slug
+      FROM tee_times t
+      JOIN courses c ON t.course_id = c.id
+      WHERE ${byId ? 't.course_id = ?' : 'c.slug = ?'} AND t.is_booked = 0${hideSynthetic()} AND t.datetime >= ?`;
+    const args = [byId ? parseInt(id) : id, pacificNow];
 
     if (date) {
-      sql += ' AND date = ?';
+      sql += ' AND t.date = ?';
       args.push(date);
     }
     if (minPrice) {
-      sql += ' AND price >= ?';
+      sql += ' AND t.price >= ?';
       args.push(parseFloat(minPrice));
     }
     if (maxPrice) {
-      sql += ' AND price <= ?';
+      sql += ' AND t.price <= ?';
       args.push(parseFloat(maxPrice));
     }
 
-    sql += ' ORDER BY datetime LIMIT 100';
+    // Over-fetch when merging so duplicate sources don't eat into the limit
+    sql += ` ORDER BY t.datetime LIMIT ${mergeSources ? resultLimit * 2 : resultLimit}`;
 
     const result = await db.execute({ sql, args });
-    res.json(result.rows);
+    const teeTimes = annotateTeeTimes(result.rows);
+    res.json(mergeSources ? mergeTeeTimeSources(teeTimes).slice(0, resultLimit) : teeTimes);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Median of a numeric array (null when empty)
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Min/median/max price and discount stats for a set of observations
+const summarizeObservedPrices = (observations) => {
+  const prices = observations.map(o => o.price);
+  const discounts = observations
+    .filter(o => o.original_price && o.original_price > o.price)
+    .map(o => (o.original_price - o.price) * 100 / o.original_price);
+
+  return {
+    slots: observations.length,
+    min_price: prices.length ? Math.min(...prices) : null,
+    median_price: median(prices),
+    max_price: prices.length ? Math.max(...prices) : null,
+    discounted_slots: discounts.length,
+    avg_discount_pct: discounts.length ? Math.round(discounts.reduce((a, b) => a + b, 0) / discounts.length) : null
+  };
+};
+
+// Daily price history for a course, from the scraper's observation log.
+// Each tee time counts once per day at its most recently observed price.
+app.get('/api/courses/:idOrSlug/price-history', async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const { source } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    const courseResult = /^\d+$/.test(idOrSlug)
+      ? await db.execute({ sql: 'SELECT id, name, slug FROM courses WHERE id = ?', args: [parseInt(idOrSlug)] })
+      : await db.execute({ sql: 'SELECT id, name, slug FROM courses WHERE slug = ?', args: [idOrSlug] });
+
+    if (!courseResult.rows.length) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const course = courseResult.rows[0];
+
+    const from = getPacificDate(-(days - 1));
+    let latestSql = `SELECT MAX(id) as id FROM tee_time_observations WHERE course_id = ? AND date >= ?`;
+    const args = [course.id, from];
+    if (source) {
+      latestSql += ' AND source = ?';
+      args.push(source);
+    }
+    latestSql += ' GROUP BY datetime, source';
+
+    const result = await db.execute({
+      sql: `SELECT o.date, o.price, o.original_price
+            FROM tee_time_observations o
+            JOIN (${latestSql}) latest ON o.id = latest.id
+            WHERE o.price IS NOT NULL AND o.price > 0
+            ORDER BY o.date`,
+      args
+    });
+
+    const byDate = new Map();
+    for (const row of result.rows) {
+      if (!byDate.has(row.date)) byDate.set(row.date, []);
+      byDate.get(row.date).push(row);
+    }
+
+    res.json({
+      course,
+      from,
+      days,
+      source: source || null,
+      summary: summarizeObservedPrices(result.rows),
+      daily: Array.from(byDate.entries()).map(([date, rows]) => ({ date, ...summarizeObservedPrices(rows) }))
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -777,6 +1149,10 @@ const getPacificDate = (dayOffset = 0) => {
   return `${year}-${month}-${day}`;
 };
 
+// Tag tee times with provenance (scraped vs synthetic) and freshness
+// (last_scraped_at, age and a staleness flag per course-date and source)
+const annotateTeeTimes = (rows) => withFreshness(withProvenance(rows), { today: getPacificDate() });
+
 // Base prices for courses (used for on-the-fly generation)
 const COURSE_BASE_PRICES = {
   'TPC Harding Park': 89, 'Lincoln Park Golf Course': 52, 'Sharp Park Golf Course': 48,
@@ -840,7 +1216,7 @@ const COURSE_BASE_PRICES = {
   'Wente Vineyards': 150
 };
 
-// Generate demo tee times on-the-fly for a course
+// Generate synthetic demo tee times for a course (demo mode only)
 const generateDemoTeeTimesForCourse = (course, daysAhead = 7) => {
   const teeTimes = [];
   const basePrice = COURSE_BASE_PRICES[course.name] || 50;
@@ -881,7 +1257,7 @@ const generateDemoTeeTimesForCourse = (course, daysAhead = 7) => {
           original_price: originalPrice ? Math.round(originalPrice) : null,
           has_cart: hasCart ? 1 : 0,
           booking_url: course.booking_url,
-          source: 'demo',
+          source: DEMO_SOURCE,
           course_name: course.name,
           city: course.city,
           region: course.region,
@@ -895,14 +1271,17 @@ const generateDemoTeeTimesForCourse = (course, daysAhead = 7) => {
   return teeTimes;
 };
 
-// Ensure tee times exist for the next 7 days (regenerates if stale)
+// Demo mode only: keep 7 days of synthetic tee times (regenerates if stale).
+// Outside demo mode this is a no-op - only scraped inventory is served.
 const ensureTeeTimesExist = async () => {
+  if (!DEMO_MODE) return;
+
   const pacificNow = getPacificNow();
   const day7 = getPacificDate(6); // Check if we have times for day 7
 
-  // Check if we have tee times for day 7 (ensures full 7-day coverage)
+  // Check if we have demo tee times for day 7 (ensures full 7-day coverage)
   const day7Result = await db.execute({
-    sql: `SELECT COUNT(*) as count FROM tee_times WHERE date = ?`,
+    sql: `SELECT COUNT(*) as count FROM tee_times WHERE date = ? AND is_booked = 0 AND is_synthetic = 1`,
     args: [day7]
   });
 
@@ -913,15 +1292,15 @@ const ensureTeeTimesExist = async () => {
     return;
   }
 
-  console.log(`Regenerating tee times (day 7 has ${day7Count} times, need at least 50)...`);
+  console.log(`[Demo mode] Regenerating synthetic tee times (day 7 has ${day7Count} times, need at least 50)...`);
 
   // Get all courses
   const coursesResult = await db.execute('SELECT * FROM courses');
   const courses = coursesResult.rows;
 
-  // Clear old tee times
+  // Clear old synthetic tee times (scraped rows are cleaned up by the scrapers)
   await db.execute({
-    sql: `DELETE FROM tee_times WHERE datetime < ?`,
+    sql: `DELETE FROM tee_times WHERE is_synthetic = 1 AND datetime < ?`,
     args: [pacificNow]
   });
 
@@ -932,8 +1311,8 @@ const ensureTeeTimesExist = async () => {
     for (const tt of teeTimes) {
       try {
         await db.execute({
-          sql: `INSERT OR REPLACE INTO tee_times (course_id, date, time, datetime, holes, players, price, original_price, has_cart, booking_url, source)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          sql: `INSERT OR REPLACE INTO tee_times (course_id, date, time, datetime, holes, players, price, original_price, has_cart, booking_url, source, is_synthetic)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
           args: [tt.course_id, tt.date, tt.time, tt.datetime, tt.holes, tt.players, tt.price, tt.original_price, tt.has_cart, tt.booking_url, tt.source]
         });
       } catch (e) {
@@ -942,12 +1321,13 @@ const ensureTeeTimesExist = async () => {
     }
   }
 
-  console.log(`Regenerated tee times for ${courses.length} courses`);
+  console.log(`[Demo mode] Regenerated synthetic tee times for ${courses.length} courses`);
 };
 
 app.get('/api/tee-times', async (req, res) => {
   try {
-    const { date, region, minPrice, maxPrice, min_time, max_price, players, course_id, staff_picks, sort_by, sort_order, limit } = req.query;
+    const { date, region, minPrice, maxPrice, min_time, max_price, players, course_id, staff_picks, sort_by, sort_order, limit, merge } = req.query;
+    const mergeSources = merge !== 'false';
 
     // Ensure we have fresh tee times (regenerates if stale)
     await ensureTeeTimesExist();
@@ -959,7 +1339,7 @@ app.get('/api/tee-times', async (req, res) => {
       SELECT t.*, c.name as course_name, c.city, c.region, c.slug as course_slug, c.avg_rating
       FROM tee_times t
       JOIN courses c ON t.course_id = c.id
-      WHERE t.datetime >= ?
+      WHERE t.datetime >= ? AND t.is_booked = 0${hideSynthetic()}
     `;
     const args = [pacificNow];
 
@@ -1003,12 +1383,147 @@ app.get('/api/tee-times', async (req, res) => {
     const sortDir = sort_order === 'DESC' ? 'DESC' : 'ASC';
     sql += ` ORDER BY ${sortCol} ${sortDir}`;
 
-    // Limit
-    const resultLimit = Math.min(parseInt(limit) || 200, 500);
-    sql += ` LIMIT ${resultLimit}`;
+    // Limit (over-fetch when merging so duplicate sources don't eat into it)
+    const resultLimit = Math.max(Math.min(parseInt(limit) || 200, 500), 1);
+    sql += ` LIMIT ${mergeSources ? resultLimit * 2 : resultLimit}`;
 
     const result = await db.execute({ sql, args });
-    res.json(result.rows);
+    const teeTimes = annotateTeeTimes(result.rows);
+    if (!mergeSources) {
+      return res.json(teeTimes);
+    }
+
+    // One slot per course + time with every source that sells it, cheapest first
+    const slots = mergeTeeTimeSources(teeTimes);
+    if (sort_by === 'price') {
+      slots.sort((a, b) => sortDir === 'DESC' ? b.price - a.price : a.price - b.price);
+    }
+    res.json(slots.slice(0, resultLimit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Faceted search: multi-region/course, date range, holes, cart, radius from a
+// lat/lng, rating and deal filters, with region/price/hour facet counts
+app.get('/api/tee-times/search', async (req, res) => {
+  try {
+    const { filters, error } = parseSearchFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const resultLimit = Math.max(Math.min(parseInt(req.query.limit) || 100, 500), 1);
+
+    await ensureTeeTimesExist();
+
+    const { rows, total, facets } = await searchTeeTimes(db, filters, {
+      now: getPacificNow(),
+      syntheticClause: hideSynthetic(),
+      // Over-fetch so duplicate sources don't eat into the limit
+      limit: resultLimit * 2
+    });
+
+    const teeTimes = mergeTeeTimeSources(annotateTeeTimes(rows));
+    if (filters.sort === 'price') {
+      teeTimes.sort((a, b) => a.price - b.price);
+    }
+
+    res.json({ tee_times: teeTimes.slice(0, resultLimit), total, facets, filters });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Group finder: sets of adjacent tee times at one course that together seat a
+// party too big for one slot (party_size, max_gap minutes, preferred_time),
+// on top of the /api/tee-times/search filters. The date range is required and
+// short, and loaded a day at a time so no slot in it is cut off.
+app.get('/api/tee-times/groups', async (req, res) => {
+  try {
+    const { options, error: optionsError } = parseGroupOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    // players is per slot; the party size replaces it here
+    const { filters, error } = parseSearchFilters({ ...req.query, players: undefined });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const resultLimit = Math.max(Math.min(parseInt(req.query.limit) || 20, 100), 1);
+
+    await ensureTeeTimesExist();
+
+    const nearby = filters.near ? await findCoursesNear(db, filters.near) : null;
+    const now = getPacificNow();
+    const slots = [];
+    for (const date of options.dates) {
+      const where = buildSearchWhere({ ...filters, dateFrom: date, dateTo: date }, { now, syntheticClause: hideSynthetic(), nearby });
+      const result = await db.execute({
+        sql: `SELECT t.*, c.name as course_name, c.city, c.region, c.slug as course_slug, c.avg_rating
+              FROM tee_times t JOIN courses c ON t.course_id = c.id
+              WHERE ${where.sql} ORDER BY t.course_id, t.datetime`,
+        args: where.args
+      });
+      slots.push(...mergeTeeTimeSources(annotateTeeTimes(result.rows)));
+    }
+
+    const groups = findTeeTimeGroups(slots, options);
+
+    res.json({
+      party_size: options.partySize,
+      groups: groups.slice(0, resultLimit),
+      total: groups.length,
+      filters: { ...filters, ...options }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bookable date range for the date pickers: today through the furthest date any
+// course has tee times (at least a week, at most the longest booking window)
+app.get('/api/tee-times/dates', async (req, res) => {
+  try {
+    const { region, course_id } = req.query;
+    const pacificNow = getPacificNow();
+
+    let sql = `
+      SELECT t.date, COUNT(*) as tee_time_count, COUNT(DISTINCT t.course_id) as course_count, MIN(t.price) as min_price
+      FROM tee_times t
+      JOIN courses c ON t.course_id = c.id
+      WHERE t.datetime >= ? AND t.date <= ? AND t.is_booked = 0${hideSynthetic()}
+    `;
+    const args = [pacificNow, getPacificDate(MAX_BOOKING_WINDOW_DAYS - 1)];
+
+    if (region) {
+      sql += ' AND c.region = ?';
+      args.push(region);
+    }
+    if (course_id) {
+      sql += ' AND t.course_id = ?';
+      args.push(parseInt(course_id));
+    }
+    sql += ' GROUP BY t.date';
+
+    const result = await db.execute({ sql, args });
+    const byDate = new Map(result.rows.map(r => [r.date, r]));
+
+    const today = getPacificDate(0);
+    const lastDate = result.rows.reduce((last, r) => r.date > last ? r.date : last, getPacificDate(6));
+    const dates = [];
+    for (let offset = 0; offset < MAX_BOOKING_WINDOW_DAYS; offset++) {
+      const date = getPacificDate(offset);
+      if (date > lastDate) break;
+      const row = byDate.get(date);
+      dates.push({
+        date,
+        tee_time_count: row ? Number(row.tee_time_count) : 0,
+        course_count: row ? Number(row.course_count) : 0,
+        min_price: row ? row.min_price : null
+      });
+    }
+
+    res.json({ today, days: dates.length, dates });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1030,6 +1545,7 @@ app.get('/api/tee-times/next-available', async (req, res) => {
         SELECT t2.id FROM tee_times t2
         WHERE t2.course_id = t.course_id
           AND t2.datetime >= ?
+          AND t2.is_booked = 0${hideSynthetic('t2')}
           AND t2.price IS NOT NULL
           AND t2.price > 0
         ORDER BY t2.price ASC
@@ -1046,7 +1562,7 @@ app.get('/api/tee-times/next-available', async (req, res) => {
     sql += ` ORDER BY c.name`;
 
     const result = await db.execute({ sql, args });
-    res.json(result.rows);
+    res.json(annotateTeeTimes(result.rows));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1066,13 +1582,39 @@ app.get('/api/tee-times/deals', async (req, res) => {
       FROM tee_times t
       JOIN courses c ON t.course_id = c.id
       WHERE t.datetime >= ?
+        AND t.is_booked = 0${hideSynthetic()}
         AND t.original_price IS NOT NULL
         AND t.price < t.original_price
       ORDER BY discount_pct DESC
       LIMIT 20`,
       args: [pacificNow]
     });
-    res.json(result.rows);
+    res.json(annotateTeeTimes(result.rows));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-check one tee time on its booking site before sending the golfer there
+app.get('/api/tee-times/:id/verify', verifyLimiter, async (req, res) => {
+  try {
+    const players = req.query.players === undefined ? 1 : Number(req.query.players);
+    if (!Number.isInteger(players) || players < 1 || players > 4) {
+      return res.status(400).json({ error: 'Players must be between 1 and 4' });
+    }
+
+    const teeTime = await getTeeTimeForVerification(db, parseInt(req.params.id));
+    if (!teeTime || (teeTime.is_synthetic && !DEMO_MODE)) {
+      return res.status(404).json({ error: 'Tee time not found' });
+    }
+
+    res.json(await verifyTeeTime(db, teeTime, {
+      players,
+      // Crawlers following tee time links don't get a browser launched for them
+      live: !req.verifyLimited && !isBot(req.headers['user-agent']),
+      syntheticClause: hideSynthetic(),
+      annotate: annotateTeeTimes
+    }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1166,7 +1708,7 @@ const isCoastalCourse = (courseSlug, courseId) => {
 };
 
 // GET /api/weather/:courseId - Get weather for a course
-app.get('/api/weather/:courseId', async (req, res) => {
+const handleWeather = async (req, res) => {
   try {
     const { courseId } = req.params;
     const course = await getCourseCoordinates(courseId);
@@ -1261,7 +1803,8 @@ app.get('/api/weather/:courseId', async (req, res) => {
     console.error('Weather API error:', error);
     res.status(500).json({ error: 'Failed to fetch weather data' });
   }
-});
+};
+app.get('/api/weather/:courseId', handleWeather);
 
 /**
  * Helper to assess golf conditions from weather data
@@ -1304,7 +1847,7 @@ function getGolfConditions(current) {
 }
 
 // GET /api/tides/:courseId - Get tides for coastal course
-app.get('/api/tides/:courseId', async (req, res) => {
+const handleTides = async (req, res) => {
   try {
     const { courseId } = req.params;
     const course = await getCourseCoordinates(courseId);
@@ -1443,7 +1986,8 @@ app.get('/api/tides/:courseId', async (req, res) => {
     console.error('Tides API error:', error);
     res.status(500).json({ error: 'Failed to fetch tide data' });
   }
-});
+};
+app.get('/api/tides/:courseId', handleTides);
 
 /**
  * Helper to generate golf-specific tide notes
@@ -1483,7 +2027,7 @@ function getTideGolfNotes(state, height, nextTide) {
 }
 
 // GET /api/air-quality/:courseId - Get AQI for a course
-app.get('/api/air-quality/:courseId', async (req, res) => {
+const handleAirQuality = async (req, res) => {
   try {
     const { courseId } = req.params;
     const course = await getCourseCoordinates(courseId);
@@ -1533,7 +2077,8 @@ app.get('/api/air-quality/:courseId', async (req, res) => {
     console.error('Air quality API error:', error);
     res.status(500).json({ error: 'Failed to fetch air quality data' });
   }
-});
+};
+app.get('/api/air-quality/:courseId', handleAirQuality);
 
 /**
  * Fetch air quality from AirNow API
@@ -1703,7 +2248,7 @@ function getGolfAQIRecommendation(aqi) {
 }
 
 // GET /api/daylight/:courseId - Get sunrise/sunset for a course
-app.get('/api/daylight/:courseId', async (req, res) => {
+const handleDaylight = async (req, res) => {
   try {
     const { courseId } = req.params;
     const { date } = req.query; // Optional: YYYY-MM-DD format
@@ -1806,7 +2351,8 @@ app.get('/api/daylight/:courseId', async (req, res) => {
     console.error('Daylight API error:', error);
     res.status(500).json({ error: 'Failed to fetch daylight data' });
   }
-});
+};
+app.get('/api/daylight/:courseId', handleDaylight);
 
 /**
  * Calculate golf-specific time windows from daylight data
@@ -2475,6 +3021,108 @@ app.delete('/api/user/rounds/:id', async (req, res) => {
   }
 });
 
+// ========== ALERT ENDPOINTS ==========
+
+const ALERT_RULE_COLUMNS = ['name', 'course_id', 'region', 'date_from', 'date_to', 'time_from', 'time_to', 'max_price', 'players', 'is_active'];
+
+// Check that a rule's course exists (region rules need no lookup)
+const alertCourseExists = async (rule) => {
+  if (!rule.course_id) return true;
+  const result = await db.execute({ sql: 'SELECT id FROM courses WHERE id = ?', args: [rule.course_id] });
+  return result.rows.length > 0;
+};
+
+app.get('/api/user/alerts', userAuth, async (req, res) => {
+  try {
+    const result = await db.execute({
+      sql: `SELECT r.*, c.name as course_name, c.slug as course_slug,
+            (SELECT COUNT(*) FROM alert_notifications n WHERE n.rule_id = r.id AND n.status = 'sent') as notifications_sent
+            FROM alert_rules r
+            LEFT JOIN courses c ON r.course_id = c.id
+            WHERE r.user_id = ?
+            ORDER BY r.created_at DESC`,
+      args: [req.user.id]
+    });
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/user/alerts', userAuth, async (req, res) => {
+  try {
+    const { rule, error } = validateAlertRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!(await alertCourseExists(rule))) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const countResult = await db.execute({
+      sql: 'SELECT COUNT(*) as count FROM alert_rules WHERE user_id = ?',
+      args: [req.user.id]
+    });
+    if (countResult.rows[0].count >= MAX_RULES_PER_USER) {
+      return res.status(400).json({ error: `You can save up to ${MAX_RULES_PER_USER} alerts` });
+    }
+
+    const result = await db.execute({
+      sql: `INSERT INTO alert_rules (user_id, ${ALERT_RULE_COLUMNS.join(', ')})
+            VALUES (?, ${ALERT_RULE_COLUMNS.map(() => '?').join(', ')})`,
+      args: [req.user.id, ...ALERT_RULE_COLUMNS.map(col => rule[col])]
+    });
+
+    res.status(201).json({ success: true, id: Number(result.lastInsertRowid), ...rule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/user/alerts/:id', userAuth, async (req, res) => {
+  try {
+    const { rule, error } = validateAlertRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!(await alertCourseExists(rule))) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const result = await db.execute({
+      sql: `UPDATE alert_rules SET ${ALERT_RULE_COLUMNS.map(col => `${col} = ?`).join(', ')}, updated_at = datetime('now')
+            WHERE id = ? AND user_id = ?`,
+      args: [...ALERT_RULE_COLUMNS.map(col => rule[col]), parseInt(req.params.id), req.user.id]
+    });
+
+    if (!result.rowsAffected) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ success: true, id: parseInt(req.params.id), ...rule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/user/alerts/:id', userAuth, async (req, res) => {
+  try {
+    const result = await db.execute({
+      sql: 'DELETE FROM alert_rules WHERE id = ? AND user_id = ?',
+      args: [parseInt(req.params.id), req.user.id]
+    });
+
+    if (!result.rowsAffected) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    await db.execute({ sql: 'DELETE FROM alert_notifications WHERE rule_id = ?', args: [parseInt(req.params.id)] });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ========== COMMUNITY ENDPOINTS ==========
 
 app.get('/api/community/leaderboard', async (req, res) => {
@@ -2838,7 +3486,7 @@ const ALLOWED_COURSE_COLUMNS = new Set([
   'latitude', 'longitude', 'image_url', 'booking_system', 'golfnow_facility_id',
   'is_staff_pick', 'staff_pick_order', 'is_featured', 'course_record_score',
   'course_record_holder', 'course_record_date', 'course_record_details',
-  'architect', 'year_built', 'price_range', 'zip'
+  'architect', 'year_built', 'price_range', 'zip', 'booking_window_days'
 ]);
 
 app.put('/api/admin/courses/:id', adminAuth, async (req, res) => {
@@ -2859,8 +3507,17 @@ app.put('/api/admin/courses/:id', adminAuth, async (req, res) => {
         continue; // Skip invalid columns
       }
 
+      let dbValue = value;
+      if (dbKey === 'booking_window_days') {
+        // Blank clears the override so scrapers use the provider's window
+        dbValue = value === '' || value === null ? null : parseInt(value);
+        if (dbValue !== null && (isNaN(dbValue) || dbValue < 1 || dbValue > MAX_BOOKING_WINDOW_DAYS)) {
+          return res.status(400).json({ error: `Booking window must be between 1 and ${MAX_BOOKING_WINDOW_DAYS} days` });
+        }
+      }
+
       setClauses.push(`${dbKey} = ?`);
-      args.push(value);
+      args.push(dbValue);
     }
 
     if (setClauses.length === 0) {
@@ -3137,6 +3794,30 @@ app.get('/api/admin/analytics/conversions', adminAuth, async (req, res) => {
   }
 });
 
+// Course demand - sell-through inferred from tee times that vanish between scrapes
+app.get('/api/admin/analytics/demand', adminAuth, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '30', 10);
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: 'Days must be a number between 1 and 365' });
+    }
+    const courseId = req.query.course_id ? parseInt(req.query.course_id, 10) : null;
+    if (req.query.course_id && isNaN(courseId)) {
+      return res.status(400).json({ error: 'Invalid course_id' });
+    }
+
+    // Tee times dated in the last N days up to today, so most slots have had their chance to sell
+    const to = getPacificDate(0);
+    const from = getPacificDate(-(days - 1));
+    const demand = await getDemandAnalytics(db, { from, to, courseId, region: req.query.region || null });
+
+    res.json({ days, from, to, ...demand });
+  } catch (error) {
+    console.error('Analytics demand error:', error);
+    res.status(500).json({ error: 'Failed to load demand analytics' });
+  }
+});
+
 // ========== ADMIN CONTENT MANAGEMENT ENDPOINTS ==========
 
 // Full course editor - get single course with all fields
@@ -3149,7 +3830,51 @@ app.get('/api/admin/courses/:id/full', adminAuth, async (req, res) => {
     if (!result.rows.length) {
       return res.status(404).json({ error: 'Course not found' });
     }
-    res.json(result.rows[0]);
+    res.json({ ...result.rows[0], aliases: await listCourseAliases(db, result.rows[0].id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Course aliases - nicknames and provider names used by search, the agent and scrapers
+app.get('/api/admin/courses/:id/aliases', adminAuth, async (req, res) => {
+  try {
+    res.json(await listCourseAliases(db, parseInt(req.params.id)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/courses/:id/aliases', adminAuth, async (req, res) => {
+  try {
+    const { alias, error } = validateAliasInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const courseId = parseInt(req.params.id);
+    const course = await db.execute({ sql: 'SELECT id FROM courses WHERE id = ?', args: [courseId] });
+    if (!course.rows.length) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const result = await addCourseAlias(db, courseId, alias);
+    if (result.conflict) {
+      return res.status(409).json({ error: `"${alias.alias}" is already an alias of ${result.conflict.name}` });
+    }
+    res.status(201).json(result.alias);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/courses/:id/aliases/:aliasId', adminAuth, async (req, res) => {
+  try {
+    const removed = await removeCourseAlias(db, parseInt(req.params.id), parseInt(req.params.aliasId));
+    if (!removed) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -3269,7 +3994,7 @@ app.get('/api/admin/scraper-status', adminAuth, async (req, res) => {
         MAX(t.created_at) as last_scraped,
         MIN(t.datetime) as next_available
       FROM courses c
-      LEFT JOIN tee_times t ON t.course_id = c.id AND t.datetime >= ?
+      LEFT JOIN tee_times t ON t.course_id = c.id AND t.is_booked = 0 AND t.is_synthetic = 0 AND t.datetime >= ?
       GROUP BY c.id
       ORDER BY last_scraped ASC NULLS FIRST`,
       args: [pacificNow]
@@ -3280,6 +4005,130 @@ app.get('/api/admin/scraper-status', adminAuth, async (req, res) => {
   }
 });
 
+// Scrape run history (newest first) for the admin history chart
+app.get('/api/admin/scrape-runs', adminAuth, async (req, res) => {
+  try {
+    const limit = Math.max(Math.min(parseInt(req.query.limit) || 50, 200), 1);
+    const args = [];
+    let sql = 'SELECT * FROM scrape_runs';
+    if (req.query.trigger) {
+      sql += ' WHERE trigger = ?';
+      args.push(req.query.trigger);
+    }
+    sql += ` ORDER BY started_at DESC, id DESC LIMIT ${limit}`;
+
+    const result = await db.execute({ sql, args });
+    res.json(result.rows.map(run => ({ ...run, errors: run.errors ? JSON.parse(run.errors) : [] })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One scrape run with per-provider and per-course breakdown
+app.get('/api/admin/scrape-runs/:id', adminAuth, async (req, res) => {
+  try {
+    const runId = parseInt(req.params.id);
+    const runResult = await db.execute({ sql: 'SELECT * FROM scrape_runs WHERE id = ?', args: [runId] });
+    if (!runResult.rows.length) {
+      return res.status(404).json({ error: 'Scrape run not found' });
+    }
+
+    const [providersResult, coursesResult] = await Promise.all([
+      db.execute({ sql: 'SELECT * FROM scrape_run_providers WHERE run_id = ? ORDER BY source', args: [runId] }),
+      db.execute({
+        sql: `SELECT rc.*, c.name as course_name, c.slug as course_slug
+              FROM scrape_run_courses rc
+              JOIN courses c ON rc.course_id = c.id
+              WHERE rc.run_id = ?
+              ORDER BY rc.fetched ASC, c.name`,
+        args: [runId]
+      })
+    ]);
+
+    const run = runResult.rows[0];
+    res.json({
+      ...run,
+      errors: run.errors ? JSON.parse(run.errors) : [],
+      providers: providersResult.rows,
+      courses: coursesResult.rows
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== ADMIN API KEY ENDPOINTS ==========
+
+// Partner keys for /api/v1, with today's usage
+app.get('/api/admin/api-keys', adminAuth, async (req, res) => {
+  try {
+    const result = await db.execute({
+      sql: `SELECT k.*, COALESCE(u.requests, 0) as requests_today
+            FROM api_keys k
+            LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.date = ?
+            ORDER BY k.status, k.created_at DESC`,
+      args: [getPacificDate()]
+    });
+    res.json(result.rows.map(toApiKeyRecord));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a key - the response is the only time the key itself is shown
+app.post('/api/admin/api-keys', adminAuth, async (req, res) => {
+  try {
+    const { key: fields, error } = validateApiKeyInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await createApiKey(db, fields);
+    res.status(201).json({ ...fields, ...created });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a key's secret; the old key stops working immediately
+app.post('/api/admin/api-keys/:id/rotate', adminAuth, async (req, res) => {
+  try {
+    const rotated = await rotateApiKey(db, parseInt(req.params.id));
+    if (!rotated) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+    res.json(rotated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/api-keys/:id/revoke', adminAuth, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(db, parseInt(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Daily request counts for one key
+app.get('/api/admin/api-keys/:id/usage', adminAuth, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const result = await db.execute({
+      sql: 'SELECT date, requests FROM api_key_usage WHERE key_id = ? AND date >= ? ORDER BY date DESC',
+      args: [parseInt(req.params.id), getPacificDate(-(days - 1))]
+    });
+    res.json({ days, usage: result.rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ========== ADMIN USER MANAGEMENT ENDPOINTS ==========
 
 // Get all users with stats
@@ -3536,13 +4385,13 @@ const getAgentTeeTimes = async () => {
              c.avg_rating, c.latitude, c.longitude, c.booking_url as course_booking_url
       FROM tee_times t
       JOIN courses c ON t.course_id = c.id
-      WHERE t.datetime >= ?
+      WHERE t.datetime >= ? AND t.is_booked = 0${hideSynthetic()}
       ORDER BY t.datetime
       LIMIT 10000
     `,
     args: [pacificNow]
   });
-  return result.rows;
+  return annotateTeeTimes(result.rows);
 };
 
 // Main agent endpoint - process natural language booking request
@@ -3572,11 +4421,11 @@ app.post('/api/agent/search', async (req, res) => {
       convState.setUserLocation(location.lat, location.lng, location.city);
     }
 
-    // Process the booking request
+    // Process the booking request (nicknames like "Harding" resolve to course names)
     const result = await processBookingRequest(
       query,
       teeTimes,
-      convState.getContext()
+      { ...convState.getContext(), courseMatcher: await loadCourseMatcher(db) }
     );
 
     // Save to conversation history
@@ -3608,7 +4457,7 @@ app.post('/api/agent/quick-search', async (req, res) => {
     await ensureTeeTimesExist();
     const teeTimes = await getAgentTeeTimes();
 
-    const context = {};
+    const context = { courseMatcher: await loadCourseMatcher(db) };
     if (location?.lat && location?.lng) {
       context.userLocation = location;
     }
@@ -3660,7 +4509,10 @@ app.get('/api/agent/course/:name', async (req, res) => {
     await ensureTeeTimesExist();
     const teeTimes = await getAgentTeeTimes();
 
-    const insight = getCourseInsight(decodeURIComponent(name), teeTimes);
+    // Indexed search handles typos ("hardng park"); insight falls back to a
+    // name match when it finds nothing
+    const { courses } = await searchCourses(db, decodeURIComponent(name));
+    const insight = getCourseInsight(decodeURIComponent(name), teeTimes, courses.map(c => c.id));
     res.json(insight);
 
   } catch (error) {
@@ -3685,6 +4537,10 @@ app.get('/api/agent/examples', (req, res) => {
         query: "Best deal for 4 players this Saturday afternoon",
         description: "Group booking with time preference"
       },
+      {
+        query: "Tee times for 8 guys Saturday morning",
+        description: "Back-to-back tee times for a big group"
+      },
       {
         query: "Show me twilight rates near San Francisco",
         description: "Time-based discount search"
@@ -3703,82 +4559,87 @@ app.get('/api/agent/examples', (req, res) => {
 
 // ========== BOOKING REQUEST ENDPOINTS ==========
 
-// In-memory booking queue (in production, use Redis or database)
-const bookingQueue = new Map();
-
 // Create a booking request
-app.post('/api/bookings/request', optionalAuth, async (req, res) => {
+app.post('/api/bookings/request', optionalAuth, verifyLimiter, async (req, res) => {
   try {
-    const { teeTimeId, courseId, date, time, players, contact, bookingUrl } = req.body;
-
-    // Validate required fields
-    if (!contact?.email || !contact?.firstName || !contact?.lastName) {
-      return res.status(400).json({ error: 'Contact information required (firstName, lastName, email)' });
-    }
-
-    if (!bookingUrl && !teeTimeId) {
-      return res.status(400).json({ error: 'Either bookingUrl or teeTimeId required' });
+    const { request, error } = validateBookingInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
     // Get tee time details if teeTimeId provided
     let teeTime = null;
-    if (teeTimeId) {
+    let verification = null;
+    if (request.teeTimeId) {
       const result = await db.execute({
-        sql: `SELECT t.*, c.name as course_name, c.slug as course_slug
+        sql: `SELECT t.*, c.name as course_name, c.slug as course_slug, c.booking_system
               FROM tee_times t
               JOIN courses c ON t.course_id = c.id
-              WHERE t.id = ?`,
-        args: [parseInt(teeTimeId)]
+              WHERE t.id = ?${hideSynthetic()}`,
+        args: [request.teeTimeId]
       });
       teeTime = result.rows[0];
-    }
 
-    // Create booking request
-    const bookingId = 'bk_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    const booking = {
-      id: bookingId,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      userId: req.user?.id || null,
-      teeTime: teeTime || {
-        course_id: courseId,
-        date,
-        time,
-        booking_url: bookingUrl
-      },
-      players: players || 1,
-      contact: {
-        firstName: contact.firstName,
-        lastName: contact.lastName,
-        email: contact.email,
-        phone: contact.phone
-      },
-      bookingUrl: bookingUrl || teeTime?.booking_url
-    };
+      // Synthetic demo slots can't be booked outside demo mode
+      if (!teeTime) {
+        return res.status(404).json({ error: 'Tee time not found' });
+      }
+
+      // Re-check the slot on its booking site before queueing it. Ids are stable
+      // across scrapes; a slot that vanished is kept but marked booked.
+      verification = await verifyTeeTime(db, teeTime, {
+        players: request.players,
+        live: !req.verifyLimited,
+        syntheticClause: hideSynthetic(),
+        annotate: annotateTeeTimes
+      });
+      if (verification.status === VerificationStatus.UNAVAILABLE) {
+        return res.status(410).json({
+          error: 'This tee time is no longer available',
+          alternatives: verification.alternatives
+        });
+      }
+      if (verification.status === VerificationStatus.PRICE_CHANGED) {
+        teeTime = { ...teeTime, price: verification.price };
+      }
+    }
 
-    // Store in queue
-    bookingQueue.set(bookingId, booking);
+    const booking = await createBooking(db, request, { teeTime, userId: req.user?.id || null });
 
-    // In production, this would trigger the booking automation
-    // For now, we return the prepared booking with a deep link
+    // The booking worker fills in the booking form on sites it knows; the deep
+    // link is there either way so the golfer can finish it themselves
+    const automated = canAutomateBooking(booking);
+    if (automated) {
+      await enqueueBookingJob(db, booking.id);
+    }
 
     // Generate deep booking link for GolfNow
-    const deepLink = booking.bookingUrl || `https://www.golfnow.com/tee-times/facility/${teeTime?.course_id}/search#date=${date}&time=${time}&players=${players}`;
+    const { course_id, date, time } = booking.teeTime;
+    const deepLink = booking.bookingUrl || `https://www.golfnow.com/tee-times/facility/${course_id}/search#date=${date}&time=${time}&players=${booking.players}`;
 
     res.json({
       success: true,
       booking: {
-        id: bookingId,
-        status: 'pending',
-        message: 'Booking request created. Use the link below to complete your reservation.',
+        id: booking.id,
+        status: booking.status,
+        automated,
+        message: automated
+          ? 'Booking request queued. We\'ll fill in the booking form for you - follow along with the booking status, or use the link below to book it yourself.'
+          : 'Booking request created. Use the link below to complete your reservation.',
         deepLink,
+        eventsUrl: `/api/bookings/${booking.id}/events`,
+        verification: verification && {
+          status: verification.status,
+          price: verification.price,
+          previousPrice: verification.previousPrice
+        },
         teeTime: {
-          course: teeTime?.course_name || 'Selected Course',
-          date: teeTime?.date || date,
-          time: teeTime?.time || time,
-          price: teeTime?.price
+          course: booking.teeTime.course_name || 'Selected Course',
+          date: booking.teeTime.date,
+          time: booking.teeTime.time,
+          price: booking.teeTime.price
         },
-        contact: { email: contact.email }
+        contact: { email: booking.contact.email }
       }
     });
 
@@ -3788,65 +4649,105 @@ app.post('/api/bookings/request', optionalAuth, async (req, res) => {
   }
 });
 
-// Get booking status
+// Get booking status and its state history
 app.get('/api/bookings/:id', optionalAuth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const booking = bookingQueue.get(id);
+    const booking = await getBooking(db, req.params.id);
 
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
     // Check authorization
-    if (booking.userId && req.user?.id !== booking.userId) {
+    if (!canAccessBooking(booking, req.user)) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    res.json({ booking });
+    res.json({ booking: { ...booking, history: await getBookingEvents(db, booking.id) } });
 
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Cancel booking request
-app.delete('/api/bookings/:id', optionalAuth, async (req, res) => {
+// Short-lived token for one booking's status stream. EventSource can't send
+// an Authorization header, so signed-in pages trade theirs for this first
+app.post('/api/bookings/:id/stream-token', optionalAuth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const booking = bookingQueue.get(id);
+    const booking = await getBooking(db, req.params.id);
 
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.userId && req.user?.id !== booking.userId) {
+    if (!canAccessBooking(booking, req.user)) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    if (booking.status === 'confirmed') {
-      return res.status(400).json({ error: 'Cannot cancel confirmed booking through API' });
+    const { token, expiresAt } = await createStreamToken(db, booking.id);
+    res.json({ streamToken: token, expiresAt });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live booking status (Server-Sent Events). Signed-in golfers' bookings
+// need a ?streamToken= from POST /api/bookings/:id/stream-token
+app.get('/api/bookings/:id/events', optionalAuth, async (req, res) => {
+  try {
+    const booking = await getBooking(db, req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
-    booking.status = 'cancelled';
-    booking.cancelledAt = new Date().toISOString();
+    const allowed = canAccessBooking(booking, req.user)
+      || await verifyStreamToken(db, req.query.streamToken, booking.id);
+    if (!allowed) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
 
-    res.json({ success: true, message: 'Booking request cancelled' });
+    const stop = streamBookingEvents(db, booking, res, {
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+    });
+    res.on('close', stop);
 
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Cancel booking request
+app.delete('/api/bookings/:id', optionalAuth, async (req, res) => {
+  try {
+    const booking = await getBooking(db, req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!canAccessBooking(booking, req.user)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const cancelled = await transitionBooking(db, booking.id, BookingStatus.CANCELLED, { actor: BookingActor.USER });
+
+    res.json({ success: true, message: 'Booking request cancelled', booking: cancelled });
+
+  } catch (error) {
+    // Already confirming or finished
+    if (error instanceof BookingTransitionError) {
+      return res.status(error.statusCode).json({ error: `Cannot cancel a booking that is ${error.from}` });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get user's booking history
 app.get('/api/bookings', userAuth, async (req, res) => {
   try {
-    // Get bookings from queue for this user
-    const userBookings = Array.from(bookingQueue.values())
-      .filter(b => b.userId === req.user.id)
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    res.json({ bookings: userBookings });
+    res.json({ bookings: await listUserBookings(db, req.user.id) });
 
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -3885,15 +4786,59 @@ const isBot = (ua) => {
   return /bot|crawler|spider|scraper|headless|phantom|selenium|puppeteer/i.test(ua);
 };
 
+// "14:05" -> "2:05 PM"
+const formatTeeTimeLabel = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours >= 12 ? 'PM' : 'AM'}`;
+};
+
+// Course names, slugs and booking links come from scraped data
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
+// Served by /go/:slug instead of the redirect when the tee time is gone
+const renderTeeTimeUnavailablePage = (course, teeTime, alternatives, players) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="robots" content="noindex">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Tee time no longer available - ${escapeHtml(course.name)}</title>
+  <style>
+    body { font-family: Georgia, serif; margin: 0; background: #f4ebe0; color: #2c2c2c; }
+    .wrap { max-width: 520px; margin: 48px auto; padding: 0 20px; }
+    h1 { color: #2d5a27; font-size: 22px; }
+    ul { list-style: none; padding: 0; }
+    li a { display: flex; justify-content: space-between; padding: 12px 14px; margin-bottom: 8px; background: #fff; border: 1px solid #e8dcc8; border-radius: 8px; color: inherit; text-decoration: none; }
+    li a:hover { border-color: #2d5a27; }
+    .muted { color: #6b6b6b; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <h1>The ${formatTeeTimeLabel(teeTime.time)} tee time at ${escapeHtml(course.name)} is no longer available</h1>
+    ${alternatives.length ? `<p>Closest open tee times that day:</p>
+    <ul>
+      ${alternatives.map(alt => `<li><a href="/go/${escapeHtml(encodeURIComponent(alt.course_slug))}?teeTime=${Number(alt.id)}&amp;players=${Number(players)}">
+        <span>${escapeHtml(formatTeeTimeLabel(alt.time))} &middot; ${escapeHtml(alt.course_name)}</span>
+        <span>${alt.price ? `$${escapeHtml(alt.price)}` : ''}</span>
+      </a></li>`).join('')}
+    </ul>` : '<p>There are no other open tee times close to it that day.</p>'}
+    <p class="muted"><a href="/course/${escapeHtml(encodeURIComponent(course.slug))}">See all tee times at ${escapeHtml(course.name)}</a> or <a href="${escapeHtml(course.booking_url)}">check the course's booking site</a>.</p>
+  </div>
+</body>
+</html>`;
+
 // Tracking page - serves HTML that collects client data then redirects
-app.get('/go/:slug', async (req, res) => {
+app.get('/go/:slug', verifyLimiter, async (req, res) => {
   const { slug } = req.params;
   const isDeal = req.query.deal === 'true';
 
   try {
     // Look up course
     const result = await db.execute({
-      sql: 'SELECT name, booking_url, booking_system, slug FROM courses WHERE slug = ?',
+      sql: 'SELECT id, name, booking_url, booking_system, slug FROM courses WHERE slug = ?',
       args: [slug]
     });
 
@@ -3902,8 +4847,29 @@ app.get('/go/:slug', async (req, res) => {
       return res.redirect('/courses.html');
     }
 
+    // Links for one tee time (?teeTime=<id>) re-check it on its booking site
+    // first: a slot that's gone gets the closest alternatives instead of a dead
+    // end. Crawlers, and anyone over the check limit, are sent straight on -
+    // each check launches a browser.
+    let bookingUrl = course.booking_url;
+    let verification = null;
+    const teeTimeId = parseInt(req.query.teeTime);
+    if (teeTimeId && !isBot(req.headers['user-agent'])) {
+      const players = Math.min(Math.max(parseInt(req.query.players) || 1, 1), 4);
+      const teeTime = await getTeeTimeForVerification(db, teeTimeId);
+      if (teeTime && teeTime.course_id === course.id && (!teeTime.is_synthetic || DEMO_MODE)) {
+        verification = await verifyTeeTime(db, teeTime, { players, live: !req.verifyLimited, syntheticClause: hideSynthetic() });
+        if (verification.status === VerificationStatus.UNAVAILABLE) {
+          return res.send(renderTeeTimeUnavailablePage(course, teeTime, verification.alternatives, players));
+        }
+        bookingUrl = teeTime.booking_url || bookingUrl;
+      }
+    }
+
+    const priceChanged = verification?.status === VerificationStatus.PRICE_CHANGED;
+
     // Build final redirect URL
-    let redirectUrl = course.booking_url;
+    let redirectUrl = bookingUrl;
     const separator = redirectUrl.includes('?') ? '&' : '?';
     redirectUrl += `${separator}utm_source=golfthebay&utm_medium=web&utm_campaign=${slug}&utm_content=${isDeal ? 'deal' : 'regular'}`;
     if (process.env.GOLFNOW_AFFILIATE_ID && course.booking_system === 'golfnow') {
@@ -4008,6 +4974,7 @@ app.get('/go/:slug', async (req, res) => {
   <div class="loader">
     <div class="spinner"></div>
     <p>Taking you to ${course.name}...</p>
+    ${priceChanged ? `<p>The price is now $${verification.price} (was $${verification.previousPrice}).</p>` : ''}
   </div>
   <script>
     (function() {
@@ -4050,11 +5017,11 @@ app.get('/go/:slug', async (req, res) => {
         window.location.href = '${redirectUrl}';
       }
 
-      // Send after brief delay to ensure beacon fires
-      setTimeout(sendAndRedirect, 100);
+      // Send after brief delay to ensure beacon fires (long enough to read a new price)
+      setTimeout(sendAndRedirect, ${priceChanged ? 2500 : 100});
 
-      // Fallback: redirect after 2s no matter what
-      setTimeout(function() { window.location.href = '${redirectUrl}'; }, 2000);
+      // Fallback: redirect no matter what
+      setTimeout(function() { window.location.href = '${redirectUrl}'; }, ${priceChanged ? 4000 : 2000});
     })();
   </script>
   <noscript>
@@ -4668,6 +5635,23 @@ app.get('/:regionSlug-golf', async (req, res) => {
   }
 });
 
+// ========== PUBLIC API V1 ==========
+
+app.use('/api/v1', createV1Router({
+  db,
+  getPacificNow,
+  getPacificDate,
+  hideSynthetic,
+  annotateTeeTimes,
+  ensureTeeTimesExist,
+  handlers: {
+    weather: handleWeather,
+    tides: handleTides,
+    airQuality: handleAirQuality,
+    daylight: handleDaylight
+  }
+}));
+
 // SPA fallback (Express 5 compatible) - MUST be last route
 app.get('/{*splat}', (req, res) => {
   if (req.path.startsWith('/api/')) {
@@ -0,0 +1,157 @@
+// Live booking status
+//
+// Renders a progress timeline into every <div data-booking-status="<booking id>">
+// and keeps it current from /api/bookings/:id/events while the booking
+// assistant works. Signed-in pages trade their session token (localStorage
+// authToken) for a short-lived stream token first - the session itself never
+// goes in the stream's URL. Elements added later can be enhanced with
+// window.bookingStatus.watch(el). When the booking finishes, the element
+// fires "booking-status:end" (detail: { status }). A booking left at the
+// confirm button (ready_to_confirm) links to the booking site to finish it.
+(function() {
+  const STEPS = [
+    { status: 'pending', label: 'Queued' },
+    { status: 'navigating', label: 'Opening the booking site' },
+    { status: 'selecting_time', label: 'Selecting your tee time' },
+    { status: 'filling_form', label: 'Filling in your details' },
+    { status: 'confirming', label: 'Confirming' }
+  ];
+  const OUTCOME_LABELS = { success: 'Booked', ready_to_confirm: 'Ready for you to book', failed: 'Failed', cancelled: 'Cancelled' };
+  // Outcomes that finished every step; ready_to_confirm still needs the golfer
+  const COMPLETED = ['success', 'ready_to_confirm'];
+
+  const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+
+  const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', second: '2-digit' });
+
+  function watch(el) {
+    if (el.dataset.bookingStatusWatching) return;
+    el.dataset.bookingStatusWatching = 'true';
+
+    el.classList.add('booking-status');
+    el.innerHTML = `
+      <ol class="booking-timeline">
+        ${STEPS.map(step => `
+          <li class="booking-step" data-step="${step.status}">
+            <span class="booking-step-label">${escapeHtml(step.label)}</span>
+            <time class="booking-step-time"></time>
+          </li>`).join('')}
+        <li class="booking-step booking-step-outcome" hidden>
+          <span class="booking-step-label"></span>
+          <time class="booking-step-time"></time>
+        </li>
+      </ol>
+      <p class="booking-status-message" aria-live="polite">Connecting...</p>`;
+
+    const steps = [...el.querySelectorAll('.booking-step[data-step]')];
+    const outcome = el.querySelector('.booking-step-outcome');
+    const message = el.querySelector('.booking-status-message');
+    let reached = -1;
+
+    const timeOf = (li) => li.querySelector('.booking-step-time').dateTime;
+
+    const mark = (li, state, at) => {
+      li.classList.remove('is-done', 'is-current', 'is-failed');
+      if (state) li.classList.add(`is-${state}`);
+      const time = li.querySelector('.booking-step-time');
+      time.textContent = at ? formatTime(at) : '';
+      if (at) time.dateTime = at;
+    };
+
+    const apply = (update) => {
+      const index = STEPS.findIndex(step => step.status === update.status);
+
+      if (index >= 0) {
+        // Back to pending for a retry clears the later steps
+        steps.forEach((li, i) => {
+          if (i < index) mark(li, 'done', timeOf(li));
+          else if (i === index) mark(li, 'current', update.at);
+          else mark(li, null);
+        });
+        reached = index;
+      } else {
+        const failed = !COMPLETED.includes(update.status);
+        steps.forEach((li, i) => {
+          if (i < reached || (i === reached && !failed)) mark(li, 'done', timeOf(li));
+          else if (i === reached) mark(li, 'failed', timeOf(li));
+        });
+        outcome.hidden = false;
+        outcome.querySelector('.booking-step-label').textContent = OUTCOME_LABELS[update.status] || update.status;
+        mark(outcome, failed ? 'failed' : 'done', update.at);
+      }
+
+      message.textContent = update.error ? `${update.message}: ${update.error}` : update.message;
+      if (update.deepLink && /^https?:\/\//i.test(update.deepLink)) {
+        const link = document.createElement('a');
+        link.href = update.deepLink;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'Book it now';
+        message.append(' ', link);
+      }
+      el.dataset.status = update.status;
+    };
+
+    const bookingPath = `/api/bookings/${encodeURIComponent(el.dataset.bookingStatus)}`;
+    let lastEventId = '';
+    let renewals = 0;
+
+    // Anonymous bookings stream without a token
+    const getStreamToken = async () => {
+      const authToken = localStorage.getItem('authToken');
+      if (!authToken) return null;
+      try {
+        const res = await fetch(`${bookingPath}/stream-token`, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        return res.ok ? (await res.json()).streamToken : null;
+      } catch (e) {
+        return null;
+      }
+    };
+
+    const open = async () => {
+      const params = new URLSearchParams();
+      const streamToken = await getStreamToken();
+      if (streamToken) params.set('streamToken', streamToken);
+      if (lastEventId) params.set('lastEventId', lastEventId);
+      const query = params.toString();
+      const source = new EventSource(`${bookingPath}/events${query ? `?${query}` : ''}`);
+
+      source.addEventListener('status', (e) => {
+        lastEventId = e.lastEventId;
+        renewals = 0;
+        apply(JSON.parse(e.data));
+      });
+      source.addEventListener('end', (e) => {
+        source.close();
+        el.dispatchEvent(new CustomEvent('booking-status:end', { bubbles: true, detail: JSON.parse(e.data) }));
+      });
+      // EventSource reconnects by itself; it only gives up on errors like a
+      // 403, e.g. once the stream token expired - get a new one and reopen
+      source.addEventListener('error', () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        if (streamToken && renewals < 3) {
+          renewals++;
+          open();
+        } else {
+          message.textContent = 'Live updates unavailable - refresh to try again';
+        }
+      });
+    };
+    open();
+  }
+
+  window.bookingStatus = { watch };
+
+  const init = () => document.querySelectorAll('[data-booking-status]').forEach(watch);
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
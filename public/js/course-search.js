@@ -0,0 +1,135 @@
+// Course search autocomplete
+//
+// Enhances every <input data-course-search> with suggestions from
+// /api/search/suggest. Picking a course fires a cancelable
+// "course-search:select" event on the input (detail: the course); unless a
+// listener cancels it, the browser goes to the course page.
+(function() {
+  const DEBOUNCE_MS = 150;
+  let nextId = 0;
+
+  const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+
+  function enhance(input) {
+    const listId = `course-search-list-${nextId++}`;
+    const list = document.createElement('ul');
+    list.id = listId;
+    list.className = 'course-search-list';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    input.insertAdjacentElement('afterend', list);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', listId);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('autocomplete', 'off');
+
+    let suggestions = [];
+    let active = -1;
+    let timer = null;
+    let controller = null;
+
+    const close = () => {
+      list.hidden = true;
+      active = -1;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    };
+
+    const highlight = (index) => {
+      active = index;
+      [...list.children].forEach((item, i) => item.setAttribute('aria-selected', String(i === index)));
+      if (index >= 0) {
+        input.setAttribute('aria-activedescendant', `${listId}-${index}`);
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+    };
+
+    const render = (data) => {
+      suggestions = data.suggestions || [];
+      if (!suggestions.length) {
+        list.innerHTML = '<li class="course-search-empty">No courses found</li>';
+      } else {
+        const correction = data.corrections?.length
+          ? `<li class="course-search-correction" aria-hidden="true">Showing results for "${escapeHtml(data.corrections.map(c => c.to).join(' '))}"</li>`
+          : '';
+        list.innerHTML = correction + suggestions.map((course, i) => `
+          <li id="${listId}-${i}" class="course-search-option" role="option" aria-selected="false" data-index="${i}">
+            <span class="course-search-name">${escapeHtml(course.name)}</span>
+            <span class="course-search-place">${escapeHtml([course.city, course.region].filter(Boolean).join(' · '))}</span>
+          </li>
+        `).join('');
+      }
+      list.hidden = false;
+      active = -1;
+      input.setAttribute('aria-expanded', 'true');
+    };
+
+    const choose = (course) => {
+      close();
+      input.value = course.name;
+      const event = new CustomEvent('course-search:select', { detail: course, bubbles: true, cancelable: true });
+      if (input.dispatchEvent(event)) {
+        window.location.href = `/course/${course.slug || course.id}`;
+      }
+    };
+
+    const fetchSuggestions = async () => {
+      const query = input.value.trim();
+      if (query.length < 2) return close();
+
+      controller?.abort();
+      controller = new AbortController();
+      try {
+        const res = await fetch(`/api/search/suggest?q=${encodeURIComponent(query)}`, { signal: controller.signal });
+        if (!res.ok) return close();
+        render(await res.json());
+      } catch (e) {
+        if (e.name !== 'AbortError') close();
+      }
+    };
+
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(fetchSuggestions, DEBOUNCE_MS);
+    });
+
+    input.addEventListener('keydown', (e) => {
+      if (list.hidden || !suggestions.length) return;
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        highlight((active + 1) % suggestions.length);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        highlight(active <= 0 ? suggestions.length - 1 : active - 1);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        choose(suggestions[Math.max(active, 0)]);
+      } else if (e.key === 'Escape') {
+        close();
+      }
+    });
+
+    // mousedown fires before the input's blur closes the list
+    list.addEventListener('mousedown', (e) => {
+      const option = e.target.closest('.course-search-option');
+      if (!option) return;
+      e.preventDefault();
+      choose(suggestions[Number(option.dataset.index)]);
+    });
+
+    input.addEventListener('blur', close);
+  }
+
+  const init = () => document.querySelectorAll('input[data-course-search]').forEach(enhance);
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,162 @@
+// Golf The Bay - Embeddable Tee Time Widget
+//
+// Drop on any page:
+//
+//   <div class="gtb-tee-times" data-course="presidio-golf-course"></div>
+//   <script src="https://golfthebay.com/widget.js" async></script>
+//
+// Options (data attributes on the container):
+//   data-course   Course slug or id - that course's next tee times (required)
+//   data-date     YYYY-MM-DD (default: next available)
+//   data-theme    "light" (default) or "dark"
+//   data-limit    Tee times to show, 1-10 (default 5)
+//
+// Book buttons go through /go/:slug so clicks are attributed to the embedding
+// site (utm_medium=widget, utm_source=<partner hostname>) and the tee time is
+// re-checked on its booking site first.
+(function() {
+  const script = document.currentScript;
+  const ORIGIN = script ? new URL(script.src).origin : 'https://golfthebay.com';
+  const SELECTOR = '.gtb-tee-times';
+  const DEFAULT_LIMIT = 5;
+  const MAX_LIMIT = 10;
+
+  const THEMES = {
+    light: { bg: '#fffef9', text: '#3d2914', muted: '#6b5344', border: '#ddd0bc', primary: '#2d5a27', primaryText: '#fffef9', deal: '#8b2500' },
+    dark: { bg: '#1f2a1d', text: '#f4f1e8', muted: '#c4b8a4', border: '#3d4f39', primary: '#8fbf7f', primaryText: '#1a3d17', deal: '#f0a080' }
+  };
+
+  const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+
+  const formatTime = (t) => {
+    if (!t) return '';
+    const [h, m] = t.split(':');
+    const hr = parseInt(h);
+    return `${hr % 12 || 12}:${m} ${hr >= 12 ? 'PM' : 'AM'}`;
+  };
+
+  const formatDate = (d) => new Date(d + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+  const readOptions = (el) => {
+    const limit = parseInt(el.dataset.limit) || DEFAULT_LIMIT;
+    return {
+      course: el.dataset.course || null,
+      date: /^\d{4}-\d{2}-\d{2}$/.test(el.dataset.date || '') ? el.dataset.date : null,
+      theme: THEMES[el.dataset.theme] ? el.dataset.theme : 'light',
+      limit: Math.min(Math.max(limit, 1), MAX_LIMIT)
+    };
+  };
+
+  const buildApiUrl = (options) => {
+    const params = new URLSearchParams({ limit: options.limit });
+    if (options.date) params.set('date', options.date);
+    return `${ORIGIN}/api/courses/${encodeURIComponent(options.course)}/tee-times?${params}`;
+  };
+
+  const bookUrl = (teeTime) => {
+    const params = new URLSearchParams({
+      utm_source: window.location.hostname || 'widget',
+      utm_medium: 'widget',
+      utm_campaign: teeTime.course_slug
+    });
+    if (teeTime.original_price && teeTime.price < teeTime.original_price) params.set('deal', 'true');
+    if (teeTime.id) params.set('teeTime', teeTime.id);
+    return `${ORIGIN}/go/${encodeURIComponent(teeTime.course_slug)}?${params}`;
+  };
+
+  const styles = (t) => `
+    :host { all: initial; display: block; }
+    .widget { font-family: Georgia, 'Times New Roman', serif; background: ${t.bg}; color: ${t.text}; border: 1px solid ${t.border}; border-radius: 10px; padding: 14px 16px; max-width: 420px; box-sizing: border-box; }
+    h3 { font-size: 16px; margin: 0 0 10px; }
+    ul { list-style: none; margin: 0; padding: 0; }
+    li { display: flex; align-items: center; gap: 10px; padding: 8px 0; border-top: 1px solid ${t.border}; }
+    li:first-child { border-top: none; }
+    .when { flex: 1; min-width: 0; }
+    .time { font-weight: 700; font-size: 15px; }
+    .meta { color: ${t.muted}; font-size: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .price { font-weight: 700; font-size: 15px; }
+    .was { color: ${t.muted}; font-size: 12px; text-decoration: line-through; margin-right: 4px; font-weight: 400; }
+    .deal { color: ${t.deal}; }
+    .book { background: ${t.primary}; color: ${t.primaryText}; text-decoration: none; font-size: 13px; font-weight: 700; padding: 6px 12px; border-radius: 6px; white-space: nowrap; }
+    .book:hover { opacity: 0.9; }
+    .empty { color: ${t.muted}; font-size: 14px; padding: 6px 0; }
+    .footer { margin-top: 10px; font-size: 11px; color: ${t.muted}; text-align: right; }
+    .footer a { color: ${t.muted}; }
+  `;
+
+  const renderTeeTime = (teeTime) => {
+    const discounted = teeTime.original_price && teeTime.price < teeTime.original_price;
+    const details = [
+      formatDate(teeTime.date),
+      teeTime.holes ? `${teeTime.holes} holes` : null,
+      teeTime.players ? `${teeTime.players} spots` : null
+    ].filter(Boolean).join(' · ');
+
+    return `<li>
+      <div class="when">
+        <div class="time">${escapeHtml(formatTime(teeTime.time))}</div>
+        <div class="meta">${escapeHtml(details)}</div>
+      </div>
+      <div class="price ${discounted ? 'deal' : ''}">
+        ${discounted ? `<span class="was">$${escapeHtml(Math.round(teeTime.original_price))}</span>` : ''}
+        ${teeTime.price ? `$${escapeHtml(Math.round(teeTime.price))}` : ''}
+      </div>
+      <a class="book" href="${escapeHtml(bookUrl(teeTime))}" target="_blank" rel="noopener">Book</a>
+    </li>`;
+  };
+
+  const render = (root, options, teeTimes, error) => {
+    const title = teeTimes[0]?.course_name || 'Tee Times';
+    const moreUrl = `${ORIGIN}/course/${encodeURIComponent(teeTimes[0]?.course_slug || options.course)}`;
+
+    let body;
+    if (error) {
+      body = '<div class="empty">Tee times are unavailable right now.</div>';
+    } else if (!teeTimes.length) {
+      body = `<div class="empty">No open tee times${options.date ? ` on ${escapeHtml(formatDate(options.date))}` : ''}.</div>`;
+    } else {
+      body = `<ul>${teeTimes.map(renderTeeTime).join('')}</ul>`;
+    }
+
+    root.innerHTML = `<style>${styles(THEMES[options.theme])}</style>
+      <div class="widget">
+        <h3>${escapeHtml(title)}</h3>
+        ${body}
+        <div class="footer"><a href="${escapeHtml(moreUrl)}" target="_blank" rel="noopener">More times on Golf The Bay</a></div>
+      </div>`;
+  };
+
+  const mount = async (el) => {
+    if (el.dataset.gtbMounted) return;
+    el.dataset.gtbMounted = 'true';
+
+    const options = readOptions(el);
+    if (!options.course) {
+      console.warn('Golf The Bay widget: data-course is required');
+      return;
+    }
+    const root = el.attachShadow ? el.attachShadow({ mode: 'open' }) : el;
+
+    try {
+      const response = await fetch(buildApiUrl(options));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const teeTimes = await response.json();
+      render(root, options, teeTimes.slice(0, options.limit));
+    } catch (e) {
+      render(root, options, [], e);
+    }
+  };
+
+  const init = () => document.querySelectorAll(SELECTOR).forEach(mount);
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // Containers added after load (single-page sites) can call this
+  window.GolfTheBayWidget = { init };
+})();
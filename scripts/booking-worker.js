@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Booking Worker
+ *
+ * Runs the booking automation for queued booking requests (see
+ * src/services/booking-jobs.js). Each booking's progress is written to its
+ * record as the booker reports it, so /api/bookings/:id shows it live.
+ *
+ * Usage:
+ *   node scripts/booking-worker.js           # Poll for jobs until stopped
+ *   node scripts/booking-worker.js --once    # Run due jobs, then exit (for cron)
+ *   node scripts/booking-worker.js --headed  # Show the browser (local debugging)
+ *
+ * Environment:
+ *   BOOKING_TIMEOUT_MS - Give up on one booking attempt after this long (default 3 minutes)
+ */
+
+require('dotenv').config({ path: '.env.local' });
+const { createClient } = require('@libsql/client');
+
+const { createBooker } = require('../src/agent/booker');
+const { ensureBookingTables } = require('../src/services/bookings');
+const { ensureBookingJobTables, runDueBookingJobs, startBookingWorker } = require('../src/services/booking-jobs');
+
+const db = createClient({
+  url: process.env.TURSO_DATABASE_URL,
+  authToken: process.env.TURSO_AUTH_TOKEN
+});
+
+const args = process.argv.slice(2);
+const runOnce = args.includes('--once');
+
+const options = {
+  createBooker: booking => createBooker(booking, { headless: !args.includes('--headed') }),
+  timeoutMs: parseInt(process.env.BOOKING_TIMEOUT_MS) || undefined
+};
+
+async function main() {
+  await ensureBookingTables(db);
+  await ensureBookingJobTables(db);
+
+  if (runOnce) {
+    const counts = await runDueBookingJobs(db, options);
+    console.log(`[Booking worker] Done: ${JSON.stringify(counts)}`);
+    return;
+  }
+
+  console.log('[Booking worker] Waiting for bookings...');
+  const worker = startBookingWorker(db, options);
+
+  // Let the current booking finish before exiting
+  const shutdown = async () => {
+    console.log('[Booking worker] Stopping after the current booking...');
+    await worker.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
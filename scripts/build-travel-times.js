@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Build Course Drive Times
+ *
+ * Fills course_travel_times (see src/services/travel-times.js) with driving
+ * minutes from a grid of origin cells to every course, using the LocationIQ
+ * Matrix API. Only cells with a course within ORIGIN_MAX_MILES are computed,
+ * and only courses within PAIR_MAX_MILES of the cell - near-me search falls
+ * back to an estimate for anything missing.
+ *
+ * Usage:
+ *   node scripts/build-travel-times.js                       # Every cell
+ *   node scripts/build-travel-times.js --lat 37.77 --lng -122.42  # One cell
+ *   node scripts/build-travel-times.js --stale-days 30        # Skip cells computed in the last 30 days
+ */
+
+require('dotenv').config({ path: '.env.local' });
+const { createClient } = require('@libsql/client');
+const { calculateDistance } = require('../src/agent/scorer');
+const { BAY_AREA_VIEWBOX } = require('../services/locationiq');
+const { ORIGIN_CELL_DEGREES, ensureTravelTimeTables, getOriginCell } = require('../src/services/travel-times');
+
+const db = createClient({
+  url: process.env.TURSO_DATABASE_URL,
+  authToken: process.env.TURSO_AUTH_TOKEN
+});
+
+const MATRIX_URL = 'https://us1.locationiq.com/v1/matrix/driving';
+const MAX_DESTINATIONS_PER_REQUEST = 24; // Plus the origin
+const REQUEST_INTERVAL_MS = 600; // Free tier: 2 requests per second
+const ORIGIN_MAX_MILES = 15;
+const PAIR_MAX_MILES = 80;
+const METERS_PER_MILE = 1609.34;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+/**
+ * Cell centers across the Bay Area with a course nearby
+ */
+function getOriginCells(courses) {
+  const cells = [];
+  for (let lat = BAY_AREA_VIEWBOX.minLat; lat <= BAY_AREA_VIEWBOX.maxLat; lat += ORIGIN_CELL_DEGREES) {
+    for (let lng = BAY_AREA_VIEWBOX.minLon; lng <= BAY_AREA_VIEWBOX.maxLon; lng += ORIGIN_CELL_DEGREES) {
+      const [latitude, longitude] = getOriginCell({ latitude: lat, longitude: lng }).split(',').map(Number);
+      if (courses.some(c => calculateDistance(latitude, longitude, c.latitude, c.longitude) <= ORIGIN_MAX_MILES)) {
+        cells.push({ latitude, longitude });
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * Drive minutes and miles from an origin to up to MAX_DESTINATIONS_PER_REQUEST courses
+ */
+async function fetchMatrix(origin, courses) {
+  const coordinates = [origin, ...courses].map(p => `${p.longitude},${p.latitude}`).join(';');
+  const url = `${MATRIX_URL}/${coordinates}?sources=0&annotations=duration,distance&key=${process.env.LOCATIONIQ_API_KEY}`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Matrix API ${response.status}: ${await response.text()}`);
+  }
+  const data = await response.json();
+  return courses.map((course, i) => ({
+    course_id: course.id,
+    drive_minutes: data.durations[0][i + 1] === null ? null : data.durations[0][i + 1] / 60,
+    drive_miles: data.distances?.[0][i + 1] == null ? null : data.distances[0][i + 1] / METERS_PER_MILE
+  }));
+}
+
+async function buildCell(origin, courses) {
+  const cell = getOriginCell(origin);
+  const inRange = courses.filter(c => calculateDistance(origin.latitude, origin.longitude, c.latitude, c.longitude) <= PAIR_MAX_MILES);
+
+  let saved = 0;
+  for (let i = 0; i < inRange.length; i += MAX_DESTINATIONS_PER_REQUEST) {
+    const rows = await fetchMatrix(origin, inRange.slice(i, i + MAX_DESTINATIONS_PER_REQUEST));
+    const routable = rows.filter(r => r.drive_minutes !== null);
+
+    if (routable.length) {
+      await db.batch(routable.map(r => ({
+        sql: `INSERT INTO course_travel_times (origin_cell, course_id, drive_minutes, drive_miles, computed_at)
+              VALUES (?, ?, ?, ?, datetime('now'))
+              ON CONFLICT(origin_cell, course_id) DO UPDATE SET
+                drive_minutes = excluded.drive_minutes,
+                drive_miles = excluded.drive_miles,
+                computed_at = excluded.computed_at`,
+        args: [cell, r.course_id, Math.round(r.drive_minutes * 10) / 10, r.drive_miles === null ? null : Math.round(r.drive_miles * 10) / 10]
+      })), 'write');
+    }
+    saved += routable.length;
+    await sleep(REQUEST_INTERVAL_MS);
+  }
+  return saved;
+}
+
+async function main() {
+  if (!process.env.LOCATIONIQ_API_KEY) {
+    console.error('LOCATIONIQ_API_KEY is required');
+    process.exit(1);
+  }
+
+  await ensureTravelTimeTables(db);
+  const result = await db.execute('SELECT id, name, latitude, longitude FROM courses WHERE latitude IS NOT NULL AND longitude IS NOT NULL');
+  const courses = result.rows;
+
+  const lat = argValue('--lat');
+  const lng = argValue('--lng');
+  let cells = lat && lng
+    ? [{ latitude: Number(lat), longitude: Number(lng) }]
+    : getOriginCells(courses);
+
+  const staleDays = argValue('--stale-days');
+  if (staleDays) {
+    const fresh = await db.execute({
+      sql: "SELECT DISTINCT origin_cell FROM course_travel_times WHERE computed_at >= datetime('now', ?)",
+      args: [`-${parseInt(staleDays)} days`]
+    });
+    const freshCells = new Set(fresh.rows.map(r => r.origin_cell));
+    cells = cells.filter(c => !freshCells.has(getOriginCell(c)));
+  }
+
+  console.log(`Computing drive times for ${cells.length} origin cells x ${courses.length} courses`);
+
+  let total = 0;
+  for (const [index, cell] of cells.entries()) {
+    try {
+      const saved = await buildCell(cell, courses);
+      total += saved;
+      console.log(`[${index + 1}/${cells.length}] ${getOriginCell(cell)}: ${saved} courses`);
+    } catch (error) {
+      console.error(`[${index + 1}/${cells.length}] ${getOriginCell(cell)}: ${error.message}`);
+    }
+  }
+
+  console.log(`Done: ${total} drive times saved`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -12,6 +12,7 @@
 require('dotenv').config({ path: '.env.local' });
 const puppeteer = require('puppeteer');
 const { createClient } = require('@libsql/client');
+const { ensureCourseAliasTables, attachCourseAliases, createCourseMatcher } = require('../src/services/course-aliases');
 
 const db = createClient({
   url: process.env.TURSO_DATABASE_URL,
@@ -117,15 +118,15 @@ async function main() {
   `);
   const dbCourses = dbResult.rows;
   const dbByGolfNowId = new Map();
-  const dbByName = new Map();
-  const dbBySlug = new Map();
 
   dbCourses.forEach(c => {
     if (c.golfnow_id) dbByGolfNowId.set(c.golfnow_id, c);
-    dbByName.set(c.name.toLowerCase(), c);
-    dbBySlug.set(c.slug, c);
   });
 
+  // Facilities are matched by name, slug or alias (GolfNow's names often differ from ours)
+  await ensureCourseAliasTables(db);
+  const dbMatcher = createCourseMatcher(await attachCourseAliases(db, dbCourses));
+
   console.log(`Database courses: ${dbCourses.length}`);
   console.log(`With golfnow_id: ${dbByGolfNowId.size}`);
   console.log('');
@@ -169,9 +170,8 @@ async function main() {
     if (dbByGolfNowId.has(id)) {
       matched.push({ golfnow: course, db: dbByGolfNowId.get(id) });
     } else {
-      // Check if course exists in DB by name
-      const nameKey = course.name.toLowerCase();
-      const dbMatch = dbByName.get(nameKey) || dbBySlug.get(course.slug);
+      // Check if course exists in DB by name or alias
+      const dbMatch = dbMatcher.match(course.name) || dbMatcher.match(course.slug);
 
       if (dbMatch) {
         missingId.push({ golfnow: course, db: dbMatch });
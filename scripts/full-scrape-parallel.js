@@ -2,7 +2,7 @@
  * Optimized Full Scrape - Parallel Execution
  *
  * Optimizations:
- * 1. All 5 scrapers run in parallel (not sequentially)
+ * 1. All registered provider adapters run in parallel (not sequentially)
  * 2. Each scraper runs days in parallel internally
  * 3. Safe delete pattern: only removes stale data AFTER successful scrape
  *
@@ -18,36 +18,35 @@ const db = createClient({
   authToken: process.env.TURSO_AUTH_TOKEN
 });
 
-// Import scrapers
-const { runScraperOptimized: runGolfNowOptimized } = require('./golfnow-optimized'); // Optimized Puppeteer
-const { scrapeAllAPI: runTotaleAPI } = require('./totale-api'); // API-based - 55x faster!
-const { scrapeAllAPI: runChronoAPI } = require('./chrono-api'); // Hybrid API - 12x faster!
-const { scrapeAllOptimized: runCPSOptimized } = require('./cps-optimized'); // Optimized Puppeteer
-const { scrapeAllOptimized: runQuick18Optimized } = require('./quick18'); // Quick18 Puppeteer
-const { scrapeAllOptimized: runEZLinksOptimized } = require('./ezlinks'); // EZLinks Puppeteer (Baylands)
+// Provider adapters (GolfNow, TotaleIntegrated, Chronogolf, CPS Golf, Quick18, EZLinks)
+const { getAdapters, runAdapter } = require('./providers');
+const { startScrapeRun, finishScrapeRun, trackProvider } = require('../src/services/scrape-runs');
+const { ensureScheduleTables, MAX_BOOKING_WINDOW_DAYS } = require('../src/services/scrape-schedule');
+const { ensureCourseAliasTables, attachCourseAliases } = require('../src/services/course-aliases');
 
-async function fullScrapeParallel(daysAhead = 7) {
+/**
+ * @param {number|null} [daysAhead] - Days to scrape for every course
+ *   (default: each course's own booking window)
+ */
+async function fullScrapeParallel(daysAhead = null) {
   console.log('='.repeat(60));
-  console.log('PARALLEL FULL SCRAPE - 7 DAY UPDATE');
+  console.log(`PARALLEL FULL SCRAPE - ${daysAhead ? `${daysAhead} DAY` : 'BOOKING WINDOW'} UPDATE`);
   console.log('='.repeat(60));
   console.log('Started:', new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
   const start = Date.now();
 
-  // Record the start time for this scrape run (used to identify stale data later)
-  // IMPORTANT: Use SQLite's datetime format to match what scrapers insert with datetime('now')
-  // JavaScript ISO format (2026-01-09T06:04:09.123Z) != SQLite format (2026-01-09 06:04:09)
-  const timeResult = await db.execute("SELECT datetime('now') as now");
-  const scrapeStartTime = timeResult.rows[0].now;
-
   // Get courses for scrapers
-  const res = await db.execute('SELECT id, name, slug FROM courses');
+  await ensureScheduleTables(db);
+  await ensureCourseAliasTables(db);
+  const res = await db.execute('SELECT id, name, slug, booking_system, golfnow_id, booking_window_days FROM courses');
+  // Aliases let providers match courses by their own names (see listConfiguredCourses)
   const coursesBySlug = {};
-  res.rows.forEach(c => coursesBySlug[c.slug] = c);
+  (await attachCourseAliases(db, res.rows)).forEach(c => coursesBySlug[c.slug] = c);
   console.log('Courses in DB:', res.rows.length);
 
   // NOTE: We do NOT delete data before scraping anymore.
-  // Scrapers use INSERT OR REPLACE which updates scraped_at timestamp.
-  // After successful scrape, we'll clean up stale data.
+  // Each provider swaps in its results one course-date at a time: existing rows
+  // keep their ids and slots that disappeared are marked booked.
   console.log('');
 
   // Run ALL scrapers in parallel
@@ -56,85 +55,22 @@ async function fullScrapeParallel(daysAhead = 7) {
   const scraperResults = [];
   const errors = [];
 
-  const results = await Promise.allSettled([
-    runGolfNowOptimized(daysAhead).then(count => {
-      console.log(`[OK] GolfNow complete: ${count} tee times`);
-      const result = { name: 'GolfNow', count, success: true };
-      scraperResults.push(result);
-      return result;
-    }).catch(e => {
-      console.error(`[FAIL] GolfNow error: ${e.message}`);
-      const result = { name: 'GolfNow', count: 0, success: false, error: e.message };
-      scraperResults.push(result);
-      errors.push(result);
-      return result;
-    }),
-
-    runTotaleAPI(db, coursesBySlug, daysAhead).then(r => {
-      console.log(`[OK] TotaleIntegrated API complete: ${r.totalTeeTimes} tee times`);
-      const result = { name: 'TotaleIntegrated', count: r.totalTeeTimes, success: true };
-      scraperResults.push(result);
-      return result;
-    }).catch(e => {
-      console.error(`[FAIL] TotaleIntegrated error: ${e.message}`);
-      const result = { name: 'TotaleIntegrated', count: 0, success: false, error: e.message };
+  const adapters = getAdapters();
+  const runId = await startScrapeRun(db, { trigger: 'full', days: daysAhead || MAX_BOOKING_WINDOW_DAYS });
+
+  const outcomes = await Promise.all(adapters.map(async adapter => {
+    const outcome = await trackProvider(adapter, () => runAdapter(adapter, db, coursesBySlug, daysAhead));
+    if (outcome.success) {
+      console.log(`[OK] ${adapter.name} complete: ${outcome.result.totalTeeTimes} tee times`);
+      scraperResults.push({ name: adapter.name, source: adapter.source, count: outcome.result.totalTeeTimes, success: true });
+    } else {
+      console.error(`[FAIL] ${adapter.name} error: ${outcome.error}`);
+      const result = { name: adapter.name, source: adapter.source, count: outcome.result?.totalTeeTimes || 0, success: false, error: outcome.error };
       scraperResults.push(result);
       errors.push(result);
-      return result;
-    }),
-
-    runChronoAPI(db, coursesBySlug, daysAhead).then(r => {
-      console.log(`[OK] Chronogolf API complete: ${r.totalTeeTimes} tee times`);
-      const result = { name: 'Chronogolf', count: r.totalTeeTimes, success: true };
-      scraperResults.push(result);
-      return result;
-    }).catch(e => {
-      console.error(`[FAIL] Chronogolf error: ${e.message}`);
-      const result = { name: 'Chronogolf', count: 0, success: false, error: e.message };
-      scraperResults.push(result);
-      errors.push(result);
-      return result;
-    }),
-
-    runCPSOptimized(db, coursesBySlug, daysAhead).then(r => {
-      console.log(`[OK] CPS Golf complete: ${r.totalTeeTimes} tee times`);
-      const result = { name: 'CPS', count: r.totalTeeTimes, success: true };
-      scraperResults.push(result);
-      return result;
-    }).catch(e => {
-      console.error(`[FAIL] CPS Golf error: ${e.message}`);
-      const result = { name: 'CPS', count: 0, success: false, error: e.message };
-      scraperResults.push(result);
-      errors.push(result);
-      return result;
-    }),
-
-    runQuick18Optimized(db, coursesBySlug, daysAhead).then(r => {
-      console.log(`[OK] Quick18 complete: ${r.totalTeeTimes} tee times`);
-      const result = { name: 'Quick18', count: r.totalTeeTimes, success: true };
-      scraperResults.push(result);
-      return result;
-    }).catch(e => {
-      console.error(`[FAIL] Quick18 error: ${e.message}`);
-      const result = { name: 'Quick18', count: 0, success: false, error: e.message };
-      scraperResults.push(result);
-      errors.push(result);
-      return result;
-    }),
-
-    runEZLinksOptimized(db, coursesBySlug, daysAhead).then(r => {
-      console.log(`[OK] EZLinks complete: ${r.totalTeeTimes} tee times`);
-      const result = { name: 'EZLinks', count: r.totalTeeTimes, success: true };
-      scraperResults.push(result);
-      return result;
-    }).catch(e => {
-      console.error(`[FAIL] EZLinks error: ${e.message}`);
-      const result = { name: 'EZLinks', count: 0, success: false, error: e.message };
-      scraperResults.push(result);
-      errors.push(result);
-      return result;
-    })
-  ]);
+    }
+    return outcome;
+  }));
 
   const elapsed = ((Date.now() - start) / 1000 / 60).toFixed(1);
 
@@ -143,12 +79,12 @@ async function fullScrapeParallel(daysAhead = 7) {
   const successfulScrapers = scraperResults.filter(r => r.success).length;
   const failedScrapers = errors.length;
 
-  // Clean up stale data only if we had successful scrapes
-  let staleDeleted = 0;
+  // Clean up past data only if we had successful scrapes
   let pastDeleted = 0;
+  const bookedTotal = outcomes.reduce((sum, o) => sum + (o.result?.booked || 0), 0);
 
   if (successfulScrapers > 0 && totalScraped > 0) {
-    console.log('\nCleaning up stale data...');
+    console.log('\nCleaning up past data...');
 
     // Delete past tee times (before today in Pacific Time)
     // Note: SQLite date('now') is UTC, scrapers store Pacific Time dates
@@ -156,42 +92,17 @@ async function fullScrapeParallel(daysAhead = 7) {
     const pastResult = await db.execute("DELETE FROM tee_times WHERE date < date('now', '-8 hours')");
     pastDeleted = pastResult.rowsAffected || 0;
 
-    // Delete tee times that weren't updated in this scrape run
-    // (scraped_at is older than when we started AND date is in the future)
-    // Only delete for sources that completed successfully
-    const successfulSources = scraperResults
-      .filter(r => r.success && r.count > 0)
-      .map(r => {
-        // Map scraper names to source values used in the database
-        const sourceMap = {
-          'GolfNow': 'golfnow',
-          'TotaleIntegrated': 'totaleintegrated',
-          'Chronogolf': 'chronogolf',
-          'CPS': 'cpsgolf',
-          'Quick18': 'quick18',
-          'EZLinks': 'ezlinks'
-        };
-        return sourceMap[r.name] || r.name.toLowerCase();
-      });
-
-    if (successfulSources.length > 0) {
-      const placeholders = successfulSources.map(() => '?').join(',');
-      const staleResult = await db.execute({
-        sql: `DELETE FROM tee_times
-              WHERE scraped_at < ?
-              AND date >= date('now', '-8 hours')
-              AND source IN (${placeholders})`,
-        args: [scrapeStartTime, ...successfulSources]
-      });
-      staleDeleted = staleResult.rowsAffected || 0;
-    }
+    // Tee times that disappeared from a provider are not deleted here: each
+    // provider's swap already marked them booked, keeping their ids stable
 
     console.log(`  Deleted ${pastDeleted} past tee times`);
-    console.log(`  Deleted ${staleDeleted} stale tee times (not updated this run)`);
+    console.log(`  Marked ${bookedTotal} vanished tee times as booked`);
   } else {
     console.log('\nWARNING: No successful scrapes with data - skipping cleanup to preserve existing data');
   }
 
+  await finishScrapeRun(db, runId, { providers: outcomes, pastDeleted, startedAt: start });
+
   // Get final stats
   const stats = await db.execute('SELECT COUNT(*) as cnt, COUNT(DISTINCT course_id) as courses FROM tee_times');
 
@@ -211,10 +122,10 @@ async function fullScrapeParallel(daysAhead = 7) {
 
   // Overall stats
   console.log('Summary:');
-  console.log(`  Scrapers succeeded: ${successfulScrapers}/6`);
-  console.log(`  Scrapers failed: ${failedScrapers}/6`);
+  console.log(`  Scrapers succeeded: ${successfulScrapers}/${adapters.length}`);
+  console.log(`  Scrapers failed: ${failedScrapers}/${adapters.length}`);
   console.log(`  Total tee times scraped this run: ${totalScraped}`);
-  console.log(`  Stale records cleaned up: ${staleDeleted}`);
+  console.log(`  Tee times marked booked: ${bookedTotal}`);
   console.log(`  Past records cleaned up: ${pastDeleted}`);
   console.log('');
   console.log('Database Status:');
@@ -234,8 +145,9 @@ async function fullScrapeParallel(daysAhead = 7) {
 }
 
 // Run if called directly
+// Usage: node scripts/full-scrape-parallel.js [days]
 if (require.main === module) {
-  fullScrapeParallel(7)
+  fullScrapeParallel(parseInt(process.argv[2]) || null)
     .then(() => process.exit(0))
     .catch(e => {
       console.error('Fatal:', e);
@@ -0,0 +1,224 @@
+/**
+ * Chronogolf Provider Adapter
+ *
+ * Uses Puppeteer to get Cloudflare cookie, then makes API calls in browser context
+ * This bypasses CF bot protection while getting API speed benefits
+ *
+ * API: https://www.chronogolf.com/marketplace/v2/teetimes
+ */
+
+const {
+  retryWithBackoff,
+  convertTo24Hour,
+  buildTeeTimeRow,
+  launchBrowser,
+  newPage,
+  listConfiguredCourses
+} = require('./utils');
+
+// Course UUIDs for all Chronogolf courses with online booking enabled
+// Verified 2026-01-08: UUIDs confirmed via Chronogolf API
+const CHRONOGOLF_COURSES = {
+  // Slugs must match database exactly
+  'half-moon-bay-old-course': {
+    uuid: '9f50b574-c281-4df7-a7cb-13d567406c36',
+    name: 'Half Moon Bay - Old Course',
+    clubUrl: 'https://www.chronogolf.com/club/half-moon-bay-golf-links'
+  },
+  'half-moon-bay-ocean-course': {
+    uuid: '03274c09-51b5-4ad9-beb4-9177e3990e10',
+    name: 'Half Moon Bay - Ocean Course',
+    clubUrl: 'https://www.chronogolf.com/club/half-moon-bay-golf-links'
+  },
+  'santa-teresa-golf-club': {
+    uuid: '27133c6d-1057-4630-a9bc-fb1f4407011d',
+    name: 'Santa Teresa Golf Club',
+    clubUrl: 'https://www.chronogolf.com/club/santa-teresa-golf-club'
+  },
+  'tilden-park-golf-course': {
+    uuid: '650513a5-bd40-4b9f-af67-4e442ca69d34',
+    name: 'Tilden Park Golf Course',
+    clubUrl: 'https://www.chronogolf.com/club/tilden-park-golf-course-california-berkeley'
+  },
+  'redwood-canyon-golf-course': {
+    uuid: '9a31aebe-9371-47ef-a98f-38de07ad7e91',
+    name: 'Redwood Canyon Golf Course',
+    clubUrl: 'https://www.chronogolf.com/club/redwood-canyon-public-golf-course'
+  },
+  'canyon-lakes-golf-course': {
+    uuid: 'e172b6b1-f3cc-4d6d-8ad1-a0ef1737b3cd',
+    name: 'Canyon Lakes Golf Course',
+    clubUrl: 'https://www.chronogolf.com/club/canyon-lakes-golf-course-and-brewery'
+  },
+  'blue-rock-springs-golf-club-east': {
+    uuid: '039d1b9b-2723-4b50-b02c-2925ae207f83',
+    name: 'Blue Rock Springs Golf Club (East)',
+    clubUrl: 'https://www.chronogolf.com/club/blue-rock-springs-golf-club'
+  },
+  // Sacramento Extended
+  'wild-wings-golf-club': {
+    uuid: '77b0b0a1-3db7-47fa-8347-6268c94b1b9d',
+    name: 'Wild Wings Golf Club',
+    clubUrl: 'https://www.chronogolf.com/club/wild-wings-golf-club'
+  }
+  // NOTE: The following courses are on Chronogolf but have online booking DISABLED:
+  // - de-laveaga-golf-course (UUID: f1b4da64-623b-4400-a48d-c8fd30f945c6)
+  // - pasatiempo-golf-club (UUID: 735c04da-35c9-408d-851f-f170286ecca8)
+  // - seascape-golf-club (UUID: 28920e2b-f602-44f9-9ca0-5c07bbb51df5)
+  // - pajaro-valley-golf-club
+  // - los-lagos-golf-course (UUID: d0d4abb5-4562-4343-b584-e8cfe19fee45)
+  // - gilroy-golf-course (UUID: b5f6d586-f369-400c-8d36-8c3be8a60192)
+  // - salinas-fairways-golf-course (UUID: 78c7bd7c-d3ac-4d7b-b480-d00d7ffd76dd)
+  // - rooster-run-golf-club (UUID: 0b111430-04db-4fee-861b-17f13c1aa352)
+  // These courses require phone booking - consider a different booking_system in DB
+};
+
+// Pages of 24 fetched per day - far more than every configured course's tee sheets
+const MAX_PAGES = 20;
+
+/**
+ * Fetch all tee times for one date from within the browser context (bypasses CF protection).
+ * Throws unless every page came back, so a partial day is never swapped in.
+ */
+async function fetchAllTeeTimesInBrowser(page, dateStr, courseUUIDs) {
+  const uuidsParam = courseUUIDs.join(',');
+
+  // Execute API calls from within the browser
+  const result = await page.evaluate(async (date, uuidsParam, maxPages) => {
+    // Retry helper for browser context
+    async function browserRetryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+      for (let attempt = 0; attempt < maxRetries; attempt++) {
+        try {
+          return await fn();
+        } catch (error) {
+          if (attempt === maxRetries - 1) throw error;
+          const delay = baseDelay * Math.pow(2, attempt);
+          await new Promise(r => setTimeout(r, delay));
+        }
+      }
+    }
+
+    try {
+      return await browserRetryWithBackoff(async () => {
+        const url = `https://www.chronogolf.com/marketplace/v2/teetimes?start_date=${date}&course_ids=${encodeURIComponent(uuidsParam)}&holes=18&page=1`;
+        const resp = await fetch(url, {
+          headers: { 'Accept': 'application/json' }
+        });
+
+        if (!resp.ok) {
+          throw new Error(`HTTP ${resp.status}`);
+        }
+
+        const data = await resp.json();
+
+        // Paginate if needed (24 per page). A short day would mark the missing
+        // slots booked, so any page that fails fails the whole day.
+        let allTeeTimes = data.teetimes || [];
+        const total = parseInt(resp.headers.get('total') || '0');
+        const perPage = 24;
+
+        if (total > perPage) {
+          const pages = Math.ceil(total / perPage);
+          if (pages > maxPages) {
+            throw new Error(`${total} tee times is more than ${maxPages} pages`);
+          }
+          for (let p = 2; p <= pages; p++) {
+            const pageUrl = `${url}&page=${p}`;
+            const pageResp = await fetch(pageUrl, {
+              headers: { 'Accept': 'application/json' }
+            });
+            if (!pageResp.ok) {
+              throw new Error(`HTTP ${pageResp.status} on page ${p}`);
+            }
+            const pageData = await pageResp.json();
+            allTeeTimes = allTeeTimes.concat(pageData.teetimes || []);
+          }
+        }
+
+        if (allTeeTimes.length < total) {
+          throw new Error(`Fetched ${allTeeTimes.length} of ${total} tee times`);
+        }
+
+        return { teetimes: allTeeTimes };
+      });
+    } catch (e) {
+      return { teetimes: [], error: e.message };
+    }
+  }, dateStr, uuidsParam, MAX_PAGES);
+
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+module.exports = {
+  name: 'Chronogolf',
+  source: 'chronogolf',
+  // Municipal Chronogolf courses open tee sheets two weeks out
+  bookingWindowDays: 14,
+  // The marketplace API is fast - fetch every day at once
+  concurrency: 30,
+
+  listCourses(coursesBySlug) {
+    return listConfiguredCourses(CHRONOGOLF_COURSES, coursesBySlug);
+  },
+
+  /**
+   * Launch a browser and visit a club page to establish the CF cookie
+   */
+  async openSession() {
+    const browser = await launchBrowser();
+    try {
+      const page = await newPage(browser);
+      console.log('  [Chronogolf] Establishing session...');
+      await retryWithBackoff(async () => {
+        await page.goto('https://www.chronogolf.com/club/half-moon-bay-golf-links/teetimes', {
+          waitUntil: 'networkidle2',
+          timeout: 30000
+        });
+      });
+      return { browser, page };
+    } catch (error) {
+      await browser.close().catch(() => {});
+      throw error;
+    }
+  },
+
+  closeSession({ browser }) {
+    return browser.close();
+  },
+
+  fetchDay({ page }, targets, dateStr) {
+    return fetchAllTeeTimesInBrowser(page, dateStr, targets.map(t => t.config.uuid));
+  },
+
+  parse(raw) {
+    return raw.teetimes || [];
+  },
+
+  matchTargets(record, targets) {
+    const uuid = record.course?.uuid;
+    return uuid ? targets.filter(t => t.config.uuid === uuid) : [];
+  },
+
+  normalize(record, target, dateStr) {
+    const time24 = convertTo24Hour(record.start_time);
+    if (!time24) return null;
+
+    return buildTeeTimeRow({
+      courseId: target.course.id,
+      date: dateStr,
+      time: time24,
+      holes: record.course?.holes || 18,
+      players: record.max_player_size || 4,
+      price: record.default_price?.subtotal || record.default_price?.green_fee || null,
+      hasCart: !!record.has_cart,
+      bookingUrl: `${target.config.clubUrl}/teetimes`,
+      source: 'chronogolf'
+    });
+  },
+
+  CHRONOGOLF_COURSES,
+  fetchAllTeeTimesInBrowser
+};
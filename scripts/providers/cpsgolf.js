@@ -0,0 +1,171 @@
+/**
+ * CPS.Golf Provider Adapter
+ *
+ * - Courses scraped in parallel, one page per course
+ * - Days fetched sequentially per course (required by site navigation)
+ *
+ * Note: CPS Golf has bot protection and Disallow: / in robots.txt
+ * We use standard browser scraping, not direct API calls
+ */
+
+const {
+  retryWithBackoff,
+  convertTo24Hour,
+  buildTeeTimeRow,
+  launchBrowser,
+  newPage,
+  sleep,
+  listConfiguredCourses,
+  waitForTeeSheet
+} = require('./utils');
+
+const CPS_COURSES = {
+  // Bay Area
+  'diablo-creek-golf-course': {
+    url: 'https://diablocreek.cps.golf/onlineresweb/search-teetime',
+    name: 'Diablo Creek Golf Course'
+  },
+  'northwood-golf-club': {
+    url: 'https://northwood.cps.golf/onlineresweb/search-teetime',
+    name: 'Northwood Golf Club'
+  },
+  // San Diego Region
+  'encinitas-ranch-golf-course': {
+    url: 'https://jcgpub35.cps.golf/onlineresweb/search-teetime',
+    name: 'Encinitas Ranch Golf Course'
+  },
+  'san-vicente-golf-resort': {
+    url: 'https://sanvicentev3.cps.golf/onlineresweb/search-teetime',
+    name: 'San Vicente Golf Resort'
+  },
+  // Palm Springs Region
+  'indian-canyons-golf-resort': {
+    url: 'https://indiancanyonca.cps.golf/onlineresweb/search-teetime',
+    name: 'Indian Canyons Golf Resort'
+  }
+  // NOTE: Presidio Golf Course removed - requires login (uses GolfNow instead)
+};
+
+const CONFIG = {
+  pageTimeout: 30000,
+  postLoadWait: 2000,
+};
+
+// Rendered by the tee sheet even when the day has no open times
+const TEE_SHEET_SELECTOR = 'app-search-teetime, .teetimes-container, .teetime-card';
+
+/**
+ * Load a course's tee sheet for one date and return the page text
+ */
+async function scrapeCPSGolf(page, config, dateStr) {
+  // Build URL with date parameter for CPS Golf sites
+  const url = config.url.includes('cps.golf')
+    ? `${config.url}?TeeOffTimeMin=0&TeeOffTimeMax=23&Date=${dateStr}`
+    : config.url;
+
+  await retryWithBackoff(async () => {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: CONFIG.pageTimeout });
+  });
+  await waitForTeeSheet(page, TEE_SHEET_SELECTOR);
+  await sleep(CONFIG.postLoadWait);
+
+  return retryWithBackoff(() => page.evaluate(() => document.body.innerText || ''));
+}
+
+/**
+ * Parse CPS tee sheet text. Times render as "1:44" followed by a lone
+ * "P" or "A" line, with the price a few lines below.
+ */
+function parse(pageText, dateStr) {
+  const results = [];
+  const seen = new Set();
+  const lines = pageText.split('\n').map(l => l.trim()).filter(l => l);
+
+  for (let i = 0; i < lines.length; i++) {
+    const timeMatch = lines[i].match(/^(\d{1,2}):(\d{2})$/);
+    if (!timeMatch) continue;
+
+    const nextLine = lines[i + 1];
+    if (nextLine !== 'P' && nextLine !== 'A') continue;
+
+    const time = timeMatch[0] + (nextLine === 'P' ? 'PM' : 'AM');
+
+    // Look for price in nearby lines
+    let price = null;
+    for (let j = i; j < Math.min(i + 10, lines.length); j++) {
+      const priceMatch = lines[j].match(/\$(\d+)(?:\.\d{2})?/);
+      if (priceMatch) {
+        price = parseInt(priceMatch[1]);
+        break;
+      }
+    }
+
+    // Check for holes info - default to 18
+    let holes = 18;
+    for (let j = i; j < Math.min(i + 6, lines.length); j++) {
+      if (lines[j].includes('9 HOLES') || lines[j].includes('9 or 18')) {
+        holes = 9; // Could be either, mark as 9 for flexibility
+        break;
+      }
+    }
+
+    // Dedupe using full datetime (date + time) to avoid collapsing same times on different days
+    const key = `${dateStr}_${time}`;
+    if (price && !seen.has(key)) {
+      seen.add(key);
+      results.push({ time, price, players: 4, holes, has_cart: 0, date: dateStr });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  name: 'CPS Golf',
+  source: 'cpsgolf',
+  // CPS municipal tee sheets open two weeks out
+  bookingWindowDays: 14,
+  concurrency: Object.keys(CPS_COURSES).length,
+  sequentialDays: true,
+
+  listCourses(coursesBySlug) {
+    return listConfiguredCourses(CPS_COURSES, coursesBySlug);
+  },
+
+  async openSession() {
+    return { browser: await launchBrowser(), pages: new Map() };
+  },
+
+  closeSession({ browser }) {
+    return browser.close();
+  },
+
+  async fetchCourseDay(session, target, dateStr) {
+    if (!session.pages.has(target.slug)) {
+      session.pages.set(target.slug, await newPage(session.browser));
+    }
+    return scrapeCPSGolf(session.pages.get(target.slug), target.config, dateStr);
+  },
+
+  parse,
+
+  normalize(record, target, dateStr) {
+    const time24 = convertTo24Hour(record.time);
+    if (!time24) return null;
+
+    return buildTeeTimeRow({
+      courseId: target.course.id,
+      date: dateStr,
+      time: time24,
+      holes: record.holes,
+      players: record.players,
+      price: record.price,
+      hasCart: !!record.has_cart,
+      bookingUrl: target.config.url,
+      source: 'cpsgolf'
+    });
+  },
+
+  CPS_COURSES,
+  scrapeCPSGolf
+};
@@ -0,0 +1,136 @@
+/**
+ * Provider Fixture Record/Replay
+ *
+ * Record mode saves every raw provider payload (HTML text, JSON) to a fixture
+ * file while a normal scrape runs. Replay mode serves those files instead of
+ * hitting the booking sites, so the parse/normalize pipeline can run offline.
+ *
+ * Enable from any scrape script with:
+ *   SCRAPER_FIXTURES=record node scripts/full-scrape-parallel.js   (npm run scrape:record)
+ *   SCRAPER_FIXTURES=replay node scripts/full-scrape-parallel.js
+ *
+ * tests/provider-fixtures.test.js replays everything under the default
+ * directory, so commit a recording whenever a provider's markup changes.
+ * Its hand-written payloads live apart, in tests/fixtures/providers-synthetic,
+ * marked "synthetic": true - they pin the parsers down but are no proof of
+ * a site's live format.
+ *
+ * Fixtures live in SCRAPER_FIXTURES_DIR (default tests/fixtures/providers),
+ * one directory per source:
+ *   <source>/<slug>_<date>.json   course-day payloads (fetchCourseDay)
+ *   <source>/day_<date>.json      multi-course payloads (fetchDay)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../tests/fixtures/providers');
+
+function fixtureName(slug, dateStr) {
+  return `${slug || 'day'}_${dateStr}.json`;
+}
+
+/**
+ * Targets are saved alongside the payload (slug + provider config) so a
+ * fixture can be replayed without the courses table.
+ */
+function writeFixture(dir, adapter, slug, dateStr, targets, raw) {
+  const sourceDir = path.join(dir, adapter.source);
+  fs.mkdirSync(sourceDir, { recursive: true });
+  const fixture = {
+    source: adapter.source,
+    slug: slug || null,
+    date: dateStr,
+    recordedAt: new Date().toISOString(),
+    targets: targets.map(t => ({ slug: t.slug, config: t.config })),
+    raw
+  };
+  fs.writeFileSync(path.join(sourceDir, fixtureName(slug, dateStr)), JSON.stringify(fixture, null, 2) + '\n');
+}
+
+/**
+ * Load every fixture recorded for a source
+ */
+function loadFixtures(source, dir = DEFAULT_FIXTURES_DIR) {
+  const sourceDir = path.join(dir, source);
+  if (!fs.existsSync(sourceDir)) return [];
+  return fs.readdirSync(sourceDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(sourceDir, file), 'utf8')) }));
+}
+
+/**
+ * Find the fixture for a slug and date. Falls back to the most recent
+ * recording for that slug so replays keep working as the calendar moves.
+ */
+function readFixture(dir, adapter, slug, dateStr) {
+  const exact = path.join(dir, adapter.source, fixtureName(slug, dateStr));
+  if (fs.existsSync(exact)) {
+    return JSON.parse(fs.readFileSync(exact, 'utf8')).raw;
+  }
+
+  const candidates = loadFixtures(adapter.source, dir).filter(f => f.slug === (slug || null));
+  if (candidates.length === 0) {
+    throw new Error(`No ${adapter.name} fixture recorded for ${slug || 'day'} ${dateStr}`);
+  }
+  return candidates[candidates.length - 1].raw;
+}
+
+/**
+ * Wrap an adapter so each raw payload it fetches is also written to disk
+ */
+function recordingAdapter(adapter, dir = DEFAULT_FIXTURES_DIR) {
+  const wrapped = { ...adapter };
+
+  if (adapter.fetchCourseDay) {
+    wrapped.fetchCourseDay = async (session, target, dateStr) => {
+      const raw = await adapter.fetchCourseDay(session, target, dateStr);
+      writeFixture(dir, adapter, target.slug, dateStr, [target], raw);
+      return raw;
+    };
+  }
+  if (adapter.fetchDay) {
+    wrapped.fetchDay = async (session, targets, dateStr) => {
+      const raw = await adapter.fetchDay(session, targets, dateStr);
+      writeFixture(dir, adapter, null, dateStr, targets, raw);
+      return raw;
+    };
+  }
+
+  return wrapped;
+}
+
+/**
+ * Wrap an adapter so payloads come from recorded fixtures.
+ * No browser or network session is opened.
+ */
+function replayAdapter(adapter, dir = DEFAULT_FIXTURES_DIR) {
+  const wrapped = { ...adapter, openSession: undefined, closeSession: undefined };
+
+  if (adapter.fetchCourseDay) {
+    wrapped.fetchCourseDay = async (session, target, dateStr) => readFixture(dir, adapter, target.slug, dateStr);
+  }
+  if (adapter.fetchDay) {
+    wrapped.fetchDay = async (session, targets, dateStr) => readFixture(dir, adapter, null, dateStr);
+  }
+
+  return wrapped;
+}
+
+/**
+ * Apply the SCRAPER_FIXTURES environment mode to an adapter
+ */
+function withFixtureMode(adapter, mode = process.env.SCRAPER_FIXTURES, dir = process.env.SCRAPER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+  if (mode === 'record') return recordingAdapter(adapter, dir);
+  if (mode === 'replay') return replayAdapter(adapter, dir);
+  return adapter;
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  loadFixtures,
+  recordingAdapter,
+  replayAdapter,
+  withFixtureMode
+};
@@ -0,0 +1,194 @@
+/**
+ * GolfNow Provider Adapter
+ *
+ * Puppeteer search-results scraper. One location search returns tiles for
+ * every nearby facility, so this adapter fetches a whole day at a time and
+ * matches tiles to courses by golfnow_id.
+ *
+ * Optimizations (safe, doesn't violate robots.txt):
+ * - Short scroll and post-load delays
+ * - All locations for a day scraped in parallel pages
+ * - Several days in flight at once
+ */
+
+const {
+  retryWithBackoff,
+  convertTo24Hour,
+  buildTeeTimeRow,
+  launchBrowser,
+  newPage,
+  sleep
+} = require('./utils');
+
+const CONFIG = {
+  pageTimeout: 30000,
+  waitTimeout: 10000,
+  scrollDelay: 800,
+  postLoadWait: 800,
+  numScrolls: 3,
+  maxConcurrentDays: 4,
+  // Each day fetch runs every search location, so this caps searches at ~42/minute
+  maxDaysPerMinute: 6
+};
+
+// Expanded to 7 locations for better coverage including Monterey Peninsula and East Bay
+const SEARCH_LOCATIONS = [
+  { lat: 37.7749, lng: -122.4194, name: 'San Francisco' },
+  { lat: 37.3382, lng: -121.8863, name: 'San Jose' },
+  { lat: 38.2975, lng: -122.2869, name: 'Napa' },
+  { lat: 38.4405, lng: -122.7144, name: 'Santa Rosa' },
+  { lat: 36.6002, lng: -121.8947, name: 'Monterey' },      // Del Monte, Pebble area
+  { lat: 37.8044, lng: -122.2712, name: 'Oakland' },       // East Bay courses
+  { lat: 37.6819, lng: -121.7680, name: 'Livermore' },     // Tri-Valley courses
+];
+
+/**
+ * Collect the text of each facility tile on a search results page.
+ * Parsing happens in Node (see parse) so it can run against recorded pages.
+ */
+async function collectFacilityTiles(page) {
+  return page.evaluate(() => {
+    const tiles = [];
+
+    document.querySelectorAll('a[href*="/facility/"]').forEach(link => {
+      let container = link;
+      for (let i = 0; i < 5 && container.parentElement; i++) {
+        container = container.parentElement;
+        const text = container.innerText || '';
+
+        const hasTime = /\d{1,2}:\d{2}\s*(?:AM|PM)/i.test(text);
+        const hasPrice = /\$\d+/.test(text);
+
+        if (hasTime && hasPrice && text.length < 500) {
+          tiles.push({ href: link.href, text });
+          break;
+        }
+      }
+    });
+
+    return tiles;
+  });
+}
+
+async function scrapeLocationWithPage(browser, location, dateStr) {
+  const searchUrl = `https://www.golfnow.com/tee-times/search#q=location&latitude=${location.lat}&longitude=${location.lng}&radius=50&date=${dateStr}`;
+
+  return retryWithBackoff(async () => {
+    const page = await newPage(browser);
+
+    try {
+      await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: CONFIG.pageTimeout });
+      await page.waitForSelector('[class*="course"], [class*="tile"]', { timeout: CONFIG.waitTimeout }).catch(() => {});
+      await sleep(CONFIG.postLoadWait);
+
+      // Scroll to load more results
+      for (let i = 0; i < CONFIG.numScrolls; i++) {
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        await sleep(CONFIG.scrollDelay);
+      }
+
+      const tiles = await collectFacilityTiles(page);
+      await page.close();
+      return tiles;
+
+    } catch (error) {
+      await page.close().catch(() => {});
+      throw error; // Re-throw to trigger retry
+    }
+  }, 3, 1000).catch((error) => {
+    // Fail the whole day: a missing location's courses would otherwise look sold out
+    throw new Error(`${location.name} search failed after retries: ${error.message}`);
+  });
+}
+
+/**
+ * Parse facility tiles into one record per facility
+ */
+function parse(tiles, dateStr) {
+  const results = [];
+  const seen = new Set();
+
+  for (const { href, text } of tiles) {
+    if (text.toLowerCase().includes('simulator')) continue;
+
+    const hrefMatch = href.match(/facility\/(\d+)/);
+    if (!hrefMatch) continue;
+    const facilityId = hrefMatch[1];
+
+    if (seen.has(facilityId)) continue;
+
+    const nameMatch = text.match(/^(?:Top Pick\s*\|?\s*|Featured\s*\|?\s*|League Available\s*\|?\s*)?([^|]+?)(?:\s*\||\s+[A-Z][a-z]+,\s*California)/);
+    const timeRangeMatch = text.match(/(\d{1,2}:\d{2}\s*(?:AM|PM))\s*-\s*(\d{1,2}:\d{2}\s*(?:AM|PM))/i);
+    const priceMatch = text.match(/\$(\d{2,4})\d{2}\s*-\s*\$(\d{2,4})\d{2}/);
+
+    if (!timeRangeMatch) continue;
+    seen.add(facilityId);
+
+    results.push({
+      facilityId,
+      courseName: nameMatch ? nameMatch[1].trim() : '',
+      date: dateStr,
+      firstTime: timeRangeMatch[1].replace(/\s+/g, ''),
+      lastTime: timeRangeMatch[2].replace(/\s+/g, ''),
+      minPrice: priceMatch ? parseInt(priceMatch[1]) : null
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  name: 'GolfNow',
+  source: 'golfnow',
+  concurrency: CONFIG.maxConcurrentDays,
+  requestsPerMinute: CONFIG.maxDaysPerMinute,
+
+  listCourses(coursesBySlug) {
+    return Object.values(coursesBySlug)
+      .filter(course => course.golfnow_id)
+      .map(course => ({ slug: course.slug, course, config: { facilityId: String(course.golfnow_id) } }));
+  },
+
+  openSession: launchBrowser,
+
+  closeSession(browser) {
+    return browser.close();
+  },
+
+  /**
+   * Scrape every search location for one day in parallel pages.
+   * Rejects if any location fails, so the day isn't swapped in with courses missing.
+   */
+  async fetchDay(browser, targets, dateStr) {
+    console.log(`  [GolfNow] Scraping ${dateStr}...`);
+    const locationResults = await Promise.all(
+      SEARCH_LOCATIONS.map(location => scrapeLocationWithPage(browser, location, dateStr))
+    );
+    return locationResults.flat();
+  },
+
+  parse,
+
+  matchTargets(record, targets) {
+    return targets.filter(t => t.config.facilityId === record.facilityId);
+  },
+
+  normalize(record, target, dateStr) {
+    const time24 = convertTo24Hour(record.firstTime);
+    if (!time24) return null;
+
+    return buildTeeTimeRow({
+      courseId: target.course.id,
+      date: dateStr,
+      time: time24,
+      holes: 18,
+      players: 4,
+      price: record.minPrice,
+      hasCart: false,
+      bookingUrl: `https://www.golfnow.com/tee-times/facility/${record.facilityId}/search`,
+      source: 'golfnow'
+    });
+  },
+
+  SEARCH_LOCATIONS
+};
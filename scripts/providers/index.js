@@ -0,0 +1,292 @@
+/**
+ * Tee Time Provider Adapters
+ *
+ * Every booking system is scraped through the same contract, so orchestrators
+ * can register adapters instead of hard-coding one script per provider.
+ *
+ * An adapter is a plain object:
+ *   name            Display name used in logs ("Chronogolf")
+ *   source          Value written to tee_times.source ("chronogolf")
+ *   listCourses     (coursesBySlug) => [{ slug, course, config }] targets to scrape
+ *   fetchCourseDay  (session, target, dateStr) => raw payload for one course-day
+ *   fetchDay        (session, targets, dateStr) => raw payload covering many courses
+ *                   (use instead of fetchCourseDay for multi-course APIs)
+ *                   Both fetches must reject rather than return a partial payload
+ *                   (or the text of a bot-check page that never rendered a tee sheet):
+ *                   every slot missing from a fetched course-date is marked booked.
+ *   parse           (raw, dateStr) => provider records
+ *   matchTargets    (record, targets) => targets a record belongs to (fetchDay only)
+ *   normalize       (record, target, dateStr) => tee_times row or null
+ *   openSession     optional () => session (e.g. a Puppeteer browser)
+ *   closeSession    optional (session) => void
+ *   bookingWindowDays  optional days out the provider takes bookings (default 7;
+ *                   courses.booking_window_days overrides per course)
+ *   concurrency     max in-flight fetches (default 1)
+ *   requestsPerMinute  optional fetch budget, spaced evenly (keeps us under rate limits)
+ *   sequentialDays  fetch a course's days one at a time (for page-per-course sites)
+ */
+
+const {
+  getPacificDates,
+  runWithConcurrency,
+  createRateLimiter,
+  swapTeeTimes,
+  recordObservations
+} = require('./utils');
+const { recordScrapedCourseDates, getBookingWindowDays } = require('../../src/services/scrape-schedule');
+
+const { withFixtureMode } = require('./fixtures');
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+  if (!adapter.source || !adapter.listCourses || !adapter.parse || !adapter.normalize) {
+    throw new Error(`Invalid provider adapter: ${adapter.name || 'unnamed'}`);
+  }
+  if (!adapter.fetchCourseDay && !adapter.fetchDay) {
+    throw new Error(`Provider adapter ${adapter.name} must implement fetchCourseDay or fetchDay`);
+  }
+  adapters.set(adapter.source, adapter);
+  return adapter;
+}
+
+function getAdapter(source) {
+  return adapters.get(source) || null;
+}
+
+/**
+ * Get registered adapters, optionally limited to a list of sources
+ */
+function getAdapters(sources = null) {
+  if (!sources) return Array.from(adapters.values());
+  return sources.map(source => {
+    const adapter = adapters.get(source);
+    if (!adapter) throw new Error(`Unknown tee time provider: ${source}`);
+    return adapter;
+  });
+}
+
+/**
+ * Turn a raw payload into tee_times rows
+ */
+function normalizePayload(adapter, raw, dateStr, target, targets) {
+  const rows = [];
+  for (const record of adapter.parse(raw, dateStr)) {
+    const recordTargets = target ? [target] : adapter.matchTargets(record, targets);
+    for (const t of recordTargets) {
+      const row = adapter.normalize(record, t, dateStr);
+      if (row) rows.push(row);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Look up which of this provider's slots already exist, so the run ledger
+ * can split writes into inserted vs updated
+ */
+async function getExistingSlotKeys(db, source, dates) {
+  try {
+    const result = await db.execute({
+      sql: 'SELECT course_id, datetime FROM tee_times WHERE source = ? AND date >= ? AND date <= ?',
+      args: [source, dates[0], dates[dates.length - 1]]
+    });
+    return new Set(result.rows.map(r => `${r.course_id}|${r.datetime}`));
+  } catch (error) {
+    return new Set();
+  }
+}
+
+/**
+ * Fetch, normalize and swap in tee times for one provider.
+ * Each successfully fetched course-date is replaced atomically (see swapTeeTimes):
+ * existing rows keep their ids and slots that vanished are marked booked.
+ * Returns { coursesScraped, totalTeeTimes } like the legacy per-provider scripts,
+ * plus fetched/inserted/updated/failed/booked totals, per-course stats, fetch
+ * errors and the number of fetches attempted for the scrape run ledger.
+ * Honors SCRAPER_FIXTURES=record|replay (see ./fixtures).
+ *
+ * Each course is scraped across its own booking window unless days is given,
+ * which scrapes exactly that many days for every course.
+ * options.isDue(target, dateStr) limits the run to course-dates the scheduler
+ * says are due (see src/services/scrape-schedule.js); default is everything.
+ */
+async function runAdapter(provider, db, coursesBySlug, days = null, { isDue = null } = {}) {
+  const adapter = withFixtureMode(provider);
+  const label = adapter.name;
+  console.log(`[${label}] Starting scrape...`);
+  const startTime = Date.now();
+
+  const targets = await adapter.listCourses(coursesBySlug);
+  if (targets.length === 0) {
+    console.log(`[${label}] No ${label} courses found in database`);
+    return { coursesScraped: 0, totalTeeTimes: 0, fetched: 0, inserted: 0, updated: 0, failed: 0, booked: 0, courses: [], errors: [], attempted: 0 };
+  }
+
+  const windowFor = target => days || getBookingWindowDays(adapter, target.course);
+  const dates = getPacificDates(Math.max(...targets.map(windowFor)));
+  const concurrency = adapter.concurrency || 1;
+  const throttle = adapter.requestsPerMinute ? createRateLimiter(adapter.requestsPerMinute) : null;
+  const due = (target, dateStr) => dates.indexOf(dateStr) < windowFor(target) && (!isDue || isDue(target, dateStr));
+  const rows = [];
+  const errors = [];
+  let attempted = 0;
+  // course_id|date pairs fetched successfully - only these are swapped
+  const completed = new Set();
+
+  const session = adapter.openSession ? await adapter.openSession() : null;
+
+  try {
+    if (adapter.fetchDay) {
+      // One fetch covers every course, so fetch a day if any course is due on it
+      const dueDates = dates.filter(dateStr => targets.some(target => due(target, dateStr)));
+      await runWithConcurrency(dueDates.map(dateStr => async () => {
+        attempted++;
+        try {
+          if (throttle) await throttle();
+          const raw = await adapter.fetchDay(session, targets, dateStr);
+          const inWindow = targets.filter(target => dates.indexOf(dateStr) < windowFor(target));
+          rows.push(...normalizePayload(adapter, raw, dateStr, null, inWindow));
+          inWindow.forEach(target => completed.add(`${target.course.id}|${dateStr}`));
+        } catch (error) {
+          console.log(`  [${label}] ${dateStr}: failed after retries: ${error.message}`);
+          errors.push({ slug: null, date: dateStr, message: error.message });
+        }
+      }), concurrency);
+    } else {
+      const fetchOne = async (target, dateStr) => {
+        attempted++;
+        try {
+          if (throttle) await throttle();
+          const raw = await adapter.fetchCourseDay(session, target, dateStr);
+          rows.push(...normalizePayload(adapter, raw, dateStr, target, targets));
+          completed.add(`${target.course.id}|${dateStr}`);
+        } catch (error) {
+          console.log(`  [${label}] ${target.slug} ${dateStr}: failed after retries: ${error.message}`);
+          errors.push({ slug: target.slug, date: dateStr, message: error.message });
+        }
+      };
+
+      const tasks = adapter.sequentialDays
+        ? targets.map(target => async () => {
+          for (const dateStr of dates) {
+            if (due(target, dateStr)) await fetchOne(target, dateStr);
+          }
+        })
+        : targets.flatMap(target => dates
+          .filter(dateStr => due(target, dateStr))
+          .map(dateStr => () => fetchOne(target, dateStr)));
+
+      await runWithConcurrency(tasks, concurrency);
+    }
+  } finally {
+    if (adapter.closeSession) {
+      await adapter.closeSession(session).catch(() => {});
+    }
+  }
+
+  // Dedupe on the tee_times unique key so batches don't fight over the same slot
+  const unique = new Map();
+  for (const row of rows) {
+    unique.set(`${row.course_id}|${row.datetime}`, row);
+  }
+  const uniqueRows = Array.from(unique.values());
+
+  // Group into course-dates for the swap. A provider that returned nothing at all
+  // is more likely blocked than sold out, so its existing slots are left untouched.
+  const slots = new Map();
+  if (uniqueRows.length > 0) {
+    for (const key of completed) {
+      const [courseId, date] = key.split('|');
+      slots.set(key, { course_id: Number(courseId), date, rows: [] });
+    }
+  }
+  for (const row of uniqueRows) {
+    const key = `${row.course_id}|${row.date}`;
+    if (!slots.has(key)) slots.set(key, { course_id: row.course_id, date: row.date, rows: [] });
+    slots.get(key).rows.push(row);
+  }
+
+  const existing = await getExistingSlotKeys(db, adapter.source, dates);
+  const failedKeys = new Set();
+
+  console.log(`[${label}] Fetched ${uniqueRows.length} tee times, swapping ${slots.size} course-dates...`);
+  const failedSlots = new Set();
+  const { written: totalTeeTimes, booked, bookedByCourse } = await swapTeeTimes(db, adapter.source, Array.from(slots.values()), {
+    label,
+    onFailed: slot => {
+      failedSlots.add(slot);
+      slot.rows.forEach(row => failedKeys.add(`${row.course_id}|${row.datetime}`));
+    }
+  });
+  await recordObservations(db, uniqueRows, { label });
+  await recordScrapedCourseDates(db, adapter.source, Array.from(slots.values()).filter(slot => !failedSlots.has(slot)));
+
+  const courses = targets.map(target => ({
+    course_id: target.course.id,
+    slug: target.slug,
+    name: target.config?.name || target.course.name,
+    fetched: 0,
+    inserted: 0,
+    updated: 0,
+    failed: 0,
+    booked: bookedByCourse.get(target.course.id) || 0,
+    errors: errors.filter(e => e.slug === target.slug).length
+  }));
+  const courseStats = new Map(courses.map(c => [c.course_id, c]));
+
+  for (const row of uniqueRows) {
+    const stats = courseStats.get(row.course_id);
+    if (!stats) continue;
+    const key = `${row.course_id}|${row.datetime}`;
+    stats.fetched++;
+    if (failedKeys.has(key)) stats.failed++;
+    else if (existing.has(key)) stats.updated++;
+    else stats.inserted++;
+  }
+
+  const perCourse = courses.filter(c => c.fetched > 0);
+  if (targets.length <= 20) {
+    for (const c of courses) {
+      console.log(`  [${label}] ${c.name}: ${c.fetched} tee times`);
+    }
+  } else {
+    const missing = courses.length - perCourse.length;
+    if (missing > 0) {
+      console.log(`  [${label}] ${missing}/${targets.length} courses returned no tee times`);
+    }
+  }
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`[${label}] Complete: ${perCourse.length} courses, ${totalTeeTimes} tee times, ${booked} booked since last scrape in ${elapsed}s`);
+
+  const sum = field => courses.reduce((total, c) => total + c[field], 0);
+  return {
+    coursesScraped: perCourse.length,
+    totalTeeTimes,
+    fetched: uniqueRows.length,
+    inserted: sum('inserted'),
+    updated: sum('updated'),
+    failed: uniqueRows.length - totalTeeTimes,
+    booked,
+    courses,
+    errors,
+    attempted
+  };
+}
+
+// Built-in providers
+registerAdapter(require('./golfnow'));
+registerAdapter(require('./totaleintegrated'));
+registerAdapter(require('./chronogolf'));
+registerAdapter(require('./cpsgolf'));
+registerAdapter(require('./quick18'));
+registerAdapter(require('./ezlinks'));
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  getAdapters,
+  normalizePayload,
+  runAdapter
+};
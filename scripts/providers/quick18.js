@@ -0,0 +1,204 @@
+/**
+ * Quick18 Provider Adapter
+ *
+ * Puppeteer-based scraper for the Quick18 booking system.
+ * Quick18 tee sheets use a matrix/grid layout, so the page is captured as
+ * candidate cell texts plus the full page text and parsed in Node.
+ */
+
+const {
+  retryWithBackoff,
+  convertTo24Hour,
+  buildTeeTimeRow,
+  launchBrowser,
+  newPage,
+  sleep,
+  listConfiguredCourses,
+  waitForTeeSheet
+} = require('./utils');
+
+// NOTE: Baylands Golf Links moved to EZLinks booking system (https://baylandsbw.ezlinksgolf.com)
+// No Quick18 courses currently configured - adapter kept for future Quick18 integrations
+const QUICK18_COURSES = {
+  // 'baylands-golf-links': {
+  //   url: 'https://baylandswalking.quick18.com/teetimes/searchmatrix',
+  //   name: 'Baylands Golf Links'
+  // }
+};
+
+const CONFIG = {
+  pageTimeout: 30000,
+  postLoadWait: 3000,
+  maxRetries: 3,
+  retryDelayBase: 2000 // Exponential backoff: 2s, 4s, 8s
+};
+
+// Selectors Quick18 sites commonly use for tee time slots, in priority order
+const SLOT_SELECTORS = [
+  '.tee-time', '.teetime', '.time-slot', '.slot',
+  '[data-teetime]', '[data-time]',
+  '.matrix-cell', '.time-cell',
+  'table td', '.booking-slot'
+];
+
+// The search matrix renders even when the day has no open times
+const TEE_SHEET_SELECTOR = '.matrixTable, .tee-time, .teetime, .time-slot, [data-teetime]';
+
+function formatDateForUrl(dateStr) {
+  // Convert YYYY-MM-DD to MM/DD/YYYY for Quick18 URL
+  const [year, month, day] = dateStr.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+/**
+ * Load a course's search matrix for one date and capture its text
+ */
+async function scrapeQuick18(page, config, dateStr) {
+  const url = `${config.url}?date=${encodeURIComponent(formatDateForUrl(dateStr))}`;
+
+  await page.goto(url, { waitUntil: 'networkidle2', timeout: CONFIG.pageTimeout });
+  await waitForTeeSheet(page, TEE_SHEET_SELECTOR);
+  await sleep(CONFIG.postLoadWait);
+
+  return page.evaluate((selectors) => {
+    const selectorTexts = {};
+    for (const selector of selectors) {
+      selectorTexts[selector] = Array.from(document.querySelectorAll(selector))
+        .map(el => el.innerText || el.textContent || '');
+    }
+    return { selectorTexts, pageText: document.body.innerText || '' };
+  }, SLOT_SELECTORS);
+}
+
+function parseSlotText(text, dateStr) {
+  const timeMatch = text.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+  if (!timeMatch) return null;
+
+  const priceMatch = text.match(/\$(\d+)(?:\.\d{2})?/);
+  if (!priceMatch) return null;
+
+  const playerMatch = text.match(/(\d)\s*(?:player|golfer|spot)/i);
+  const holesMatch = text.match(/(\d+)\s*hole/i);
+
+  return {
+    time: `${timeMatch[1]}:${timeMatch[2]} ${timeMatch[3].toUpperCase()}`,
+    price: parseInt(priceMatch[1]),
+    players: playerMatch ? parseInt(playerMatch[1]) : 4,
+    holes: holesMatch ? parseInt(holesMatch[1]) : 18,
+    has_cart: 0, // Quick18 walking courses typically don't include cart
+    date: dateStr
+  };
+}
+
+/**
+ * Parse captured Quick18 page content into tee time records.
+ * Structured slot elements win; the full page text is the fallback.
+ */
+function parse({ selectorTexts = {}, pageText = '' }, dateStr) {
+  let results = [];
+
+  for (const selector of SLOT_SELECTORS) {
+    const texts = selectorTexts[selector] || [];
+    results = texts.map(text => parseSlotText(text, dateStr)).filter(Boolean);
+    if (results.length > 0) break;
+  }
+
+  if (results.length === 0) {
+    const lines = pageText.split('\n').map(l => l.trim()).filter(l => l);
+
+    for (let i = 0; i < lines.length; i++) {
+      const timeMatch = lines[i].match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+      if (!timeMatch) continue;
+
+      // Look for price in this line or nearby lines
+      let price = null;
+      for (let j = Math.max(0, i - 2); j < Math.min(i + 5, lines.length); j++) {
+        const priceMatch = lines[j].match(/\$(\d+)(?:\.\d{2})?/);
+        if (priceMatch) {
+          price = parseInt(priceMatch[1]);
+          break;
+        }
+      }
+
+      let holes = 18;
+      for (let j = Math.max(0, i - 2); j < Math.min(i + 3, lines.length); j++) {
+        if (lines[j].match(/9\s*hole/i)) {
+          holes = 9;
+          break;
+        }
+      }
+
+      if (price) {
+        results.push({
+          time: `${timeMatch[1]}:${timeMatch[2]} ${timeMatch[3].toUpperCase()}`,
+          price,
+          players: 4,
+          holes,
+          has_cart: 0,
+          date: dateStr
+        });
+      }
+    }
+  }
+
+  // Dedupe by time
+  const seen = new Set();
+  return results.filter(tt => {
+    if (seen.has(tt.time)) return false;
+    seen.add(tt.time);
+    return true;
+  });
+}
+
+module.exports = {
+  name: 'Quick18',
+  source: 'quick18',
+  concurrency: 4,
+  sequentialDays: true,
+
+  listCourses(coursesBySlug) {
+    return listConfiguredCourses(QUICK18_COURSES, coursesBySlug);
+  },
+
+  async openSession() {
+    return { browser: await launchBrowser(), pages: new Map() };
+  },
+
+  closeSession({ browser }) {
+    return browser.close();
+  },
+
+  async fetchCourseDay(session, target, dateStr) {
+    if (!session.pages.has(target.slug)) {
+      session.pages.set(target.slug, await newPage(session.browser));
+    }
+    const page = session.pages.get(target.slug);
+    return retryWithBackoff(
+      () => scrapeQuick18(page, target.config, dateStr),
+      CONFIG.maxRetries,
+      CONFIG.retryDelayBase
+    );
+  },
+
+  parse,
+
+  normalize(record, target, dateStr) {
+    const time24 = convertTo24Hour(record.time);
+    if (!time24) return null;
+
+    return buildTeeTimeRow({
+      courseId: target.course.id,
+      date: dateStr,
+      time: time24,
+      holes: record.holes,
+      players: record.players,
+      price: record.price,
+      hasCart: !!record.has_cart,
+      bookingUrl: target.config.url,
+      source: 'quick18'
+    });
+  },
+
+  QUICK18_COURSES,
+  scrapeQuick18
+};
@@ -0,0 +1,525 @@
+/**
+ * Shared Scraper Utilities
+ *
+ * Helpers used by every provider adapter: Pacific date math, time parsing,
+ * retries, concurrency limiting and batched tee_times writes.
+ * Keep provider-specific logic out of this file.
+ */
+
+const { ensureDemandTables, saleStatements, isSummaryRowSource } = require('../../src/services/demand');
+const { createCourseMatcher } = require('../../src/services/course-aliases');
+const { ensureObservationTables } = require('../../src/services/tee-time-observations');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const BROWSER_ARGS = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'];
+
+// Retry utility with exponential backoff
+async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt === maxRetries - 1) throw error;
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.log(`  [Retry] Attempt ${attempt + 1} failed, retrying in ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get a YYYY-MM-DD date string in Pacific time, offset by N days.
+ * Tee times are stored in course-local (Pacific) time.
+ */
+function getPacificDate(dayOffset = 0) {
+  const now = new Date();
+  const pst = new Date(now.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
+  pst.setDate(pst.getDate() + dayOffset);
+  const year = pst.getFullYear();
+  const month = String(pst.getMonth() + 1).padStart(2, '0');
+  const day = String(pst.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Current Pacific time as "YYYY-MM-DD HH:MM", the tee_times.datetime format
+ */
+function getPacificDateTime() {
+  const pst = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
+  const hours = String(pst.getHours()).padStart(2, '0');
+  const minutes = String(pst.getMinutes()).padStart(2, '0');
+  return `${getPacificDate(0)} ${hours}:${minutes}`;
+}
+
+/**
+ * List Pacific dates starting today for the given number of days
+ */
+function getPacificDates(days) {
+  const dates = [];
+  for (let dayOffset = 0; dayOffset < days; dayOffset++) {
+    dates.push(getPacificDate(dayOffset));
+  }
+  return dates;
+}
+
+/**
+ * Robust time parser that handles multiple formats:
+ * - "7:30 AM" or "7:30AM" (with/without space)
+ * - "7:30 A" or "7:30 P" (truncated AM/PM)
+ * - "7 AM" or "7AM" (no minutes)
+ * - "07:30" (already 24-hour format)
+ * - "7:30" (ambiguous, returned as-is with padded hours)
+ */
+function convertTo24Hour(timeStr, context = null) {
+  if (!timeStr) return null;
+
+  const original = timeStr;
+  const normalized = timeStr.trim().toUpperCase();
+
+  // Pattern 1: Already in 24-hour format (HH:MM)
+  const match24 = normalized.match(/^(\d{2}):(\d{2})$/);
+  if (match24) {
+    const hours = parseInt(match24[1]);
+    if (hours >= 0 && hours <= 23) {
+      return `${match24[1]}:${match24[2]}`;
+    }
+  }
+
+  // Pattern 2: Full format with optional space - "7:30 AM", "7:30AM", "7:30 PM", "7:30PM"
+  const matchFull = normalized.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/);
+  if (matchFull) {
+    let hours = parseInt(matchFull[1]);
+    const minutes = matchFull[2];
+    const period = matchFull[3];
+
+    if (period === 'PM' && hours !== 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+
+    return `${hours.toString().padStart(2, '0')}:${minutes}`;
+  }
+
+  // Pattern 3: Truncated period - "7:30 A", "7:30 P", "7:30A", "7:30P"
+  const matchTruncated = normalized.match(/^(\d{1,2}):(\d{2})\s*([AP])$/);
+  if (matchTruncated) {
+    let hours = parseInt(matchTruncated[1]);
+    const minutes = matchTruncated[2];
+    const period = matchTruncated[3];
+
+    if (period === 'P' && hours !== 12) hours += 12;
+    if (period === 'A' && hours === 12) hours = 0;
+
+    return `${hours.toString().padStart(2, '0')}:${minutes}`;
+  }
+
+  // Pattern 4: Hour only with period - "7 AM", "7AM", "7 PM", "7PM"
+  const matchHourOnly = normalized.match(/^(\d{1,2})\s*(AM|PM)$/);
+  if (matchHourOnly) {
+    let hours = parseInt(matchHourOnly[1]);
+    const period = matchHourOnly[2];
+
+    if (period === 'PM' && hours !== 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+
+    return `${hours.toString().padStart(2, '0')}:00`;
+  }
+
+  // Pattern 5: Hour only with truncated period - "7 A", "7A", "7 P", "7P"
+  const matchHourTruncated = normalized.match(/^(\d{1,2})\s*([AP])$/);
+  if (matchHourTruncated) {
+    let hours = parseInt(matchHourTruncated[1]);
+    const period = matchHourTruncated[2];
+
+    if (period === 'P' && hours !== 12) hours += 12;
+    if (period === 'A' && hours === 12) hours = 0;
+
+    return `${hours.toString().padStart(2, '0')}:00`;
+  }
+
+  // Pattern 6: Time without period - "7:30" (ambiguous, but pad hours)
+  const matchNoPeriod = normalized.match(/^(\d{1,2}):(\d{2})$/);
+  if (matchNoPeriod) {
+    const hours = parseInt(matchNoPeriod[1]);
+    const minutes = matchNoPeriod[2];
+    // If context provides AM/PM info, use it
+    if (context) {
+      const ctxUpper = context.toUpperCase();
+      if (ctxUpper === 'PM' || ctxUpper === 'P') {
+        const adjHours = hours !== 12 ? hours + 12 : hours;
+        return `${adjHours.toString().padStart(2, '0')}:${minutes}`;
+      } else if (ctxUpper === 'AM' || ctxUpper === 'A') {
+        const adjHours = hours === 12 ? 0 : hours;
+        return `${adjHours.toString().padStart(2, '0')}:${minutes}`;
+      }
+    }
+    // Return as-is with padded hours (APIs often return times like "7:30" which are already local time)
+    return `${hours.toString().padStart(2, '0')}:${minutes}`;
+  }
+
+  // Could not parse - log and return null
+  console.warn(`[Scraper] Unable to parse time: "${original}"`);
+  return null;
+}
+
+/**
+ * Run async task factories with a concurrency limit, preserving result order
+ */
+async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, tasks.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Space calls evenly to stay under a per-minute request budget.
+ * Returns an async function to await before each request.
+ */
+function createRateLimiter(requestsPerMinute) {
+  const spacing = 60000 / requestsPerMinute;
+  let nextSlot = 0;
+
+  return async function acquire() {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + spacing;
+    if (wait > 0) await sleep(wait);
+  };
+}
+
+/**
+ * Scrape targets for a provider's course config table ({ slug: config }).
+ * Config slugs are matched to courses by slug, name or alias (course.aliases,
+ * see attachCourseAliases), so a renamed course or a provider's own name for
+ * it still finds the right row; config.name is tried when the slug doesn't match.
+ */
+function listConfiguredCourses(configs, coursesBySlug) {
+  const matcher = createCourseMatcher(Object.values(coursesBySlug));
+  const targets = new Map();
+  for (const [slug, config] of Object.entries(configs)) {
+    const course = matcher.match(slug) || (config.name ? matcher.match(config.name) : null);
+    // First config wins if two resolve to the same course
+    if (course && !targets.has(course.id)) {
+      targets.set(course.id, { slug: course.slug, config, course });
+    }
+  }
+  return Array.from(targets.values());
+}
+
+/**
+ * Build a tee_times row from normalized provider data
+ */
+function buildTeeTimeRow({ courseId, date, time, holes, players, price, originalPrice, hasCart, bookingUrl, source }) {
+  return {
+    course_id: courseId,
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    holes: holes || 18,
+    players: players || 4,
+    price: price ?? null,
+    original_price: originalPrice ?? null,
+    has_cart: hasCart ? 1 : 0,
+    booking_url: bookingUrl,
+    source
+  };
+}
+
+// Upsert on the tee_times unique key so existing rows keep their id
+// (bookings reference tee times by id) and reappearing slots are un-booked
+const UPSERT_TEE_TIME = `ON CONFLICT(course_id, datetime, source) DO UPDATE SET
+            time = excluded.time, holes = excluded.holes, players = excluded.players,
+            price = excluded.price, original_price = excluded.original_price,
+            has_cart = excluded.has_cart, booking_url = excluded.booking_url,
+            scraped_at = excluded.scraped_at, is_booked = 0, booked_at = NULL`;
+
+/**
+ * Batch upsert tee_times rows with retry and per-row fallback.
+ * Returns the number of rows written; onFailed(row, error) sees each row that wasn't.
+ */
+async function insertTeeTimes(db, rows, { batchSize = 50, label = 'Scraper', onFailed = null } = {}) {
+  let inserted = 0;
+  await ensureSwapTables(db);
+
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    const statements = batch.map(tt => ({
+      sql: `INSERT INTO tee_times
+            (course_id, date, time, datetime, holes, players, price, original_price, has_cart, booking_url, source, scraped_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+            ${UPSERT_TEE_TIME}`,
+      args: [tt.course_id, tt.date, tt.time, tt.datetime, tt.holes, tt.players, tt.price, tt.original_price, tt.has_cart, tt.booking_url, tt.source]
+    }));
+
+    try {
+      await retryWithBackoff(() => db.batch(statements), 3, 500);
+      inserted += batch.length;
+    } catch (e) {
+      // Fallback to individual inserts with retry
+      for (const [index, stmt] of statements.entries()) {
+        try {
+          await retryWithBackoff(() => db.execute(stmt), 2, 500);
+          inserted++;
+        } catch (e2) {
+          console.log(`  [${label}] Failed to insert tee time after retries: ${e2.message}`);
+          if (onFailed) onFailed(batch[index], e2);
+        }
+      }
+    }
+  }
+
+  return inserted;
+}
+
+// Scrapes land here first and are swapped into tee_times one course-date at a time.
+// Rows only exist inside a swap transaction, so readers never see a half-written day.
+const SWAP_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS tee_times_staging (
+    course_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    time TEXT NOT NULL,
+    datetime TEXT NOT NULL,
+    holes INTEGER,
+    players INTEGER,
+    price REAL,
+    original_price REAL,
+    has_cart INTEGER DEFAULT 0,
+    booking_url TEXT,
+    source TEXT NOT NULL,
+    UNIQUE(course_id, datetime, source)
+  )`
+];
+
+// Vanished slots are flagged rather than deleted - booked_at feeds demand analytics
+const BOOKED_COLUMNS = [
+  'ALTER TABLE tee_times ADD COLUMN is_booked INTEGER DEFAULT 0',
+  'ALTER TABLE tee_times ADD COLUMN booked_at DATETIME'
+];
+
+const swapTablesReady = new WeakSet();
+
+// Statements per course-date besides one staging insert per row
+const STATEMENTS_PER_SLOT = 6;
+
+/**
+ * Create the staging table and booked columns once per client
+ */
+async function ensureSwapTables(db) {
+  if (swapTablesReady.has(db)) return;
+  for (const sql of SWAP_SCHEMA) await db.execute(sql);
+  for (const sql of BOOKED_COLUMNS) {
+    try {
+      await db.execute(sql);
+    } catch (e) { /* Column already exists */ }
+  }
+  await ensureDemandTables(db);
+  swapTablesReady.add(db);
+}
+
+/**
+ * Replace the tee times for whole course-dates in one transaction per chunk:
+ * stage the fresh rows, upsert them (existing ids are kept), then mark any
+ * still-future slot that is no longer offered as booked and record it as an
+ * inferred sale (see src/services/demand.js). Summary-row sources such as
+ * GolfNow skip the sales: their vanished rows are not single slots.
+ *
+ * Only pass course-dates whose fetch succeeded - an empty rows array means
+ * "the provider has nothing left for that day" and books out every open slot.
+ *
+ * @param {Object} db - libsql client
+ * @param {string} source - Provider source the rows belong to
+ * @param {Array<Object>} slots - [{ course_id, date, rows }]
+ * @param {Object} [options]
+ * @param {number} [options.maxStatements] - Statements per transaction
+ * @param {string} [options.now] - Pacific "YYYY-MM-DD HH:MM"; earlier slots are left alone
+ * @param {string} [options.label] - Log prefix
+ * @param {Function} [options.onFailed] - (slot, error) for course-dates that could not be swapped
+ * @returns {Promise<{ written: number, booked: number, bookedByCourse: Map<number, number> }>}
+ */
+async function swapTeeTimes(db, source, slots, { maxStatements = 200, now = getPacificDateTime(), label = 'Scraper', onFailed = null } = {}) {
+  const totals = { written: 0, booked: 0, bookedByCourse: new Map() };
+  if (slots.length === 0) return totals;
+  await ensureSwapTables(db);
+  const recordSales = !isSummaryRowSource(source);
+
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  for (const slot of slots) {
+    if (current.length > 0 && size + slot.rows.length + STATEMENTS_PER_SLOT > maxStatements) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(slot);
+    size += slot.rows.length + STATEMENTS_PER_SLOT;
+  }
+  chunks.push(current);
+
+  for (const chunk of chunks) {
+    const statements = [];
+    const bookedIndexes = [];
+
+    for (const { course_id: courseId, date, rows } of chunk) {
+      const scope = [source, courseId, date];
+      statements.push({
+        sql: 'DELETE FROM tee_times_staging WHERE source = ? AND course_id = ? AND date = ?',
+        args: scope
+      });
+      for (const tt of rows) {
+        statements.push({
+          sql: `INSERT OR REPLACE INTO tee_times_staging
+                (course_id, date, time, datetime, holes, players, price, original_price, has_cart, booking_url, source)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          args: [tt.course_id, tt.date, tt.time, tt.datetime, tt.holes, tt.players, tt.price, tt.original_price, tt.has_cart, tt.booking_url, tt.source]
+        });
+      }
+      statements.push({
+        sql: `INSERT INTO tee_times
+              (course_id, date, time, datetime, holes, players, price, original_price, has_cart, booking_url, source, scraped_at)
+              SELECT course_id, date, time, datetime, holes, players, price, original_price, has_cart, booking_url, source, datetime('now')
+              FROM tee_times_staging WHERE source = ? AND course_id = ? AND date = ?
+              ${UPSERT_TEE_TIME}`,
+        args: scope
+      });
+      // Vanished slots become inferred sales; reappeared ones take theirs back
+      if (recordSales) statements.push(...saleStatements(scope, now));
+      bookedIndexes.push({ index: statements.length, courseId });
+      statements.push({
+        sql: `UPDATE tee_times SET is_booked = 1, booked_at = datetime('now')
+              WHERE source = ? AND course_id = ? AND date = ? AND datetime >= ? AND is_booked = 0
+              AND datetime NOT IN (
+                SELECT datetime FROM tee_times_staging WHERE source = ? AND course_id = ? AND date = ?
+              )`,
+        args: [...scope, now, ...scope]
+      });
+      statements.push({
+        sql: 'DELETE FROM tee_times_staging WHERE source = ? AND course_id = ? AND date = ?',
+        args: scope
+      });
+    }
+
+    try {
+      const results = await retryWithBackoff(() => db.batch(statements), 3, 500);
+      totals.written += chunk.reduce((sum, slot) => sum + slot.rows.length, 0);
+      for (const { index, courseId } of bookedIndexes) {
+        const booked = results?.[index]?.rowsAffected || 0;
+        totals.booked += booked;
+        totals.bookedByCourse.set(courseId, (totals.bookedByCourse.get(courseId) || 0) + booked);
+      }
+    } catch (e) {
+      console.log(`  [${label}] Failed to swap ${chunk.length} course-dates after retries: ${e.message}`);
+      if (onFailed) chunk.forEach(slot => onFailed(slot, e));
+    }
+  }
+
+  return totals;
+}
+
+const observationTablesReady = new WeakSet();
+
+/**
+ * Append a price observation for every scraped tee time.
+ * Failures are logged, never thrown - history must not break a scrape.
+ */
+async function recordObservations(db, rows, { batchSize = 100, label = 'Scraper' } = {}) {
+  if (rows.length === 0) return 0;
+
+  try {
+    if (!observationTablesReady.has(db)) {
+      await ensureObservationTables(db);
+      observationTablesReady.add(db);
+    }
+  } catch (e) {
+    console.log(`  [${label}] Skipping price observations: ${e.message}`);
+    return 0;
+  }
+
+  let recorded = 0;
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    const statements = batch.map(tt => ({
+      sql: `INSERT INTO tee_time_observations
+            (course_id, date, datetime, source, price, original_price, players, observed_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+      args: [tt.course_id, tt.date, tt.datetime, tt.source, tt.price, tt.original_price, tt.players]
+    }));
+
+    try {
+      await retryWithBackoff(() => db.batch(statements), 3, 500);
+      recorded += batch.length;
+    } catch (e) {
+      console.log(`  [${label}] Failed to record ${batch.length} price observations: ${e.message}`);
+    }
+  }
+
+  return recorded;
+}
+
+/**
+ * Launch a headless browser with the flags all scrapers share
+ */
+async function launchBrowser() {
+  const puppeteer = require('puppeteer');
+  return retryWithBackoff(() => puppeteer.launch({ headless: 'new', args: BROWSER_ARGS }));
+}
+
+/**
+ * Open a page with the shared user agent and viewport
+ */
+async function newPage(browser) {
+  const page = await browser.newPage();
+  await page.setUserAgent(USER_AGENT);
+  await page.setViewport({ width: 1280, height: 800 });
+  return page;
+}
+
+/**
+ * Wait for a provider's tee sheet to render. Bot checks, Cloudflare
+ * challenges and error pages never render it, and their page text would
+ * otherwise parse to an empty - fully booked - course-date.
+ */
+async function waitForTeeSheet(page, selector, timeout = 15000) {
+  try {
+    await page.waitForSelector(selector, { timeout });
+  } catch (error) {
+    throw new Error(`Tee sheet did not load: ${error.message}`);
+  }
+}
+
+module.exports = {
+  USER_AGENT,
+  retryWithBackoff,
+  sleep,
+  getPacificDate,
+  getPacificDateTime,
+  getPacificDates,
+  convertTo24Hour,
+  runWithConcurrency,
+  createRateLimiter,
+  listConfiguredCourses,
+  buildTeeTimeRow,
+  insertTeeTimes,
+  swapTeeTimes,
+  recordObservations,
+  launchBrowser,
+  newPage,
+  waitForTeeSheet
+};
@@ -1,16 +1,22 @@
 #!/usr/bin/env node
 /**
- * Scheduled Full Scraper - 12x per day (every 2 hours)
+ * Scheduled Adaptive Scraper
  *
- * Scrapes 168 hours (7 days) of tee times from all booking systems.
+ * Covers each course's booking window (7 days by default, up to 30 where the
+ * provider or course allows it) across all booking systems, but only
+ * re-scrapes course-dates that are due (see src/services/scrape-schedule.js):
+ * today and tomorrow every 30 minutes, days 2-4 every 2 hours, days 5-6 every
+ * 6 hours, later days every 12 hours, twice as often for volatile courses.
+ * Failing providers back off.
  * Designed to be run via cron, launchd, or systemd.
  *
  * Usage:
- *   node scripts/scheduled-scrape.js           # Run once
- *   node scripts/scheduled-scrape.js --daemon  # Run continuously (every 2 hours)
+ *   node scripts/scheduled-scrape.js           # Run once (due course-dates only)
+ *   node scripts/scheduled-scrape.js --all     # Run once, scrape everything
+ *   node scripts/scheduled-scrape.js --daemon  # Run continuously (checks every 15 minutes)
  *
- * Cron example (12x/day, every 2 hours):
- *   0 0,2,4,6,8,10,12,14,16,18,20,22 * * * cd /path/to/project && node scripts/scheduled-scrape.js
+ * Cron example (every 30 minutes):
+ *   0,30 * * * * cd /path/to/project && node scripts/scheduled-scrape.js
  */
 
 require('dotenv').config({ path: '.env.local' });
@@ -18,19 +24,27 @@ const { createClient } = require('@libsql/client');
 const fs = require('fs');
 const path = require('path');
 
-// Import scrapers
-const { runScraperOptimized: runGolfNow } = require('./golfnow-optimized');
-const { scrapeAllAPI: runChronogolf } = require('./chrono-api');
-const { scrapeAllAPI: runTotaleIntegrated } = require('./totale-api');
-const { scrapeAllOptimized: runCPSGolf } = require('./cps-optimized');
+// Provider adapters
+const { getAdapters, runAdapter } = require('./providers');
+const { matchAlertRules, sendAlertNotifications } = require('../src/services/alerts');
+const { startScrapeRun, finishScrapeRun, trackProvider } = require('../src/services/scrape-runs');
+const { planScrape, ensureScheduleTables, MAX_BOOKING_WINDOW_DAYS } = require('../src/services/scrape-schedule');
+const { ensureCourseAliasTables, attachCourseAliases } = require('../src/services/course-aliases');
+const { getPacificDates } = require('./providers/utils');
+const { Resend } = require('resend');
 
 const db = createClient({
   url: process.env.TURSO_DATABASE_URL,
   authToken: process.env.TURSO_AUTH_TOKEN
 });
 
-const DAYS_TO_SCRAPE = 7; // 168 hours
-const SCRAPE_INTERVAL_MS = 2 * 60 * 60 * 1000; // 2 hours
+// Resend email client for tee time alerts (optional - matches stay queued if not configured)
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+
+const SCHEDULER_TICK_MS = 15 * 60 * 1000; // How often the daemon checks for due course-dates
+
+// Providers scraped on the schedule (Quick18/EZLinks run in the full scrape only)
+const SCHEDULED_SOURCES = ['golfnow', 'chronogolf', 'totaleintegrated', 'cpsgolf'];
 
 function getPacificTime() {
   return new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' });
@@ -42,24 +56,17 @@ function log(message) {
 }
 
 async function getCoursesBySlug() {
-  const result = await db.execute('SELECT id, name, slug, booking_system, golfnow_id FROM courses');
+  await ensureScheduleTables(db);
+  await ensureCourseAliasTables(db);
+  const result = await db.execute('SELECT id, name, slug, booking_system, golfnow_id, booking_window_days FROM courses');
+  // Aliases let providers match courses by their own names (see listConfiguredCourses)
   const bySlug = {};
-  result.rows.forEach(c => {
+  (await attachCourseAliases(db, result.rows)).forEach(c => {
     bySlug[c.slug] = c;
   });
   return bySlug;
 }
 
-async function cleanupStaleData() {
-  // Delete tee times older than 1 hour that weren't updated in the last scrape
-  const result = await db.execute(`
-    DELETE FROM tee_times
-    WHERE scraped_at < datetime('now', '-1 hour')
-    AND date >= date('now')
-  `);
-  return result.rowsAffected || 0;
-}
-
 async function cleanupPastData() {
   // Delete tee times for past dates
   const result = await db.execute(`
@@ -68,82 +75,74 @@ async function cleanupPastData() {
   return result.rowsAffected || 0;
 }
 
-async function runFullScrape() {
+async function runScheduledScrape({ force = false } = {}) {
   const startTime = Date.now();
   log('='.repeat(60));
-  log('SCHEDULED SCRAPE - 168 HOUR (7 DAY) COVERAGE');
+  log(`SCHEDULED SCRAPE - BOOKING WINDOW COVERAGE${force ? ' (ALL COURSE-DATES)' : ''}`);
   log('='.repeat(60));
 
   const coursesBySlug = await getCoursesBySlug();
   log(`Loaded ${Object.keys(coursesBySlug).length} courses`);
 
-  const results = {
-    golfnow: { success: false, teeTimes: 0, error: null },
-    chronogolf: { success: false, teeTimes: 0, error: null },
-    totaleintegrated: { success: false, teeTimes: 0, error: null },
-    cpsgolf: { success: false, teeTimes: 0, error: null }
-  };
+  const plans = await planScrape(db, getAdapters(SCHEDULED_SOURCES), coursesBySlug, {
+    dates: getPacificDates(MAX_BOOKING_WINDOW_DAYS),
+    force
+  });
 
-  // Run all scrapers in parallel
+  const results = {};
+  const duePlans = [];
+  plans.forEach(plan => {
+    const { adapter, due, total, backoff } = plan;
+    if (backoff) {
+      const retryAt = new Date(backoff.retryAt).toLocaleString('en-US', { timeZone: 'America/Los_Angeles' });
+      log(`[${adapter.name}] Backing off after ${backoff.failures} failed runs, next try after ${retryAt}`);
+    } else if (due === 0) {
+      log(`[${adapter.name}] Nothing due (${total} course-dates fresh)`);
+    } else {
+      log(`[${adapter.name}] ${due}/${total} course-dates due`);
+      results[adapter.source] = { success: false, teeTimes: 0, error: null };
+      duePlans.push(plan);
+    }
+  });
+
+  if (duePlans.length === 0) {
+    log('Nothing to scrape this run');
+    return { success: true, results, totalTeeTimes: 0, elapsed: ((Date.now() - startTime) / 1000).toFixed(1) };
+  }
+
+  const runId = await startScrapeRun(db, { trigger: 'scheduled', days: MAX_BOOKING_WINDOW_DAYS });
+
+  // Run due scrapers in parallel (each provider keeps to its own concurrency and rate budget)
   log('Starting parallel scrape...');
 
-  const scraperPromises = [
-    // GolfNow
-    (async () => {
-      try {
-        const count = await runGolfNow(db, DAYS_TO_SCRAPE);
-        results.golfnow = { success: true, teeTimes: count || 0, error: null };
-        log(`[GolfNow] Complete: ${count} tee times`);
-      } catch (e) {
-        results.golfnow = { success: false, teeTimes: 0, error: e.message };
-        log(`[GolfNow] Error: ${e.message}`);
-      }
-    })(),
-
-    // Chronogolf
-    (async () => {
-      try {
-        const result = await runChronogolf(db, coursesBySlug, DAYS_TO_SCRAPE);
-        results.chronogolf = { success: true, teeTimes: result.totalTeeTimes || 0, error: null };
-        log(`[Chronogolf] Complete: ${result.totalTeeTimes} tee times`);
-      } catch (e) {
-        results.chronogolf = { success: false, teeTimes: 0, error: e.message };
-        log(`[Chronogolf] Error: ${e.message}`);
-      }
-    })(),
-
-    // TotaleIntegrated
-    (async () => {
-      try {
-        const result = await runTotaleIntegrated(db, coursesBySlug, DAYS_TO_SCRAPE);
-        results.totaleintegrated = { success: true, teeTimes: result.totalTeeTimes || 0, error: null };
-        log(`[TotaleIntegrated] Complete: ${result.totalTeeTimes} tee times`);
-      } catch (e) {
-        results.totaleintegrated = { success: false, teeTimes: 0, error: e.message };
-        log(`[TotaleIntegrated] Error: ${e.message}`);
-      }
-    })(),
-
-    // CPS Golf
-    (async () => {
-      try {
-        const result = await runCPSGolf(db, coursesBySlug, DAYS_TO_SCRAPE);
-        results.cpsgolf = { success: true, teeTimes: result.totalTeeTimes || 0, error: null };
-        log(`[CPS Golf] Complete: ${result.totalTeeTimes} tee times`);
-      } catch (e) {
-        results.cpsgolf = { success: false, teeTimes: 0, error: e.message };
-        log(`[CPS Golf] Error: ${e.message}`);
-      }
-    })()
-  ];
-
-  await Promise.all(scraperPromises);
-
-  // Cleanup
-  log('Cleaning up stale data...');
-  const staleDeleted = await cleanupStaleData();
+  const outcomes = await Promise.all(duePlans.map(async ({ adapter, isDue }) => {
+    const outcome = await trackProvider(adapter, () => runAdapter(adapter, db, coursesBySlug, null, { isDue }));
+    if (outcome.success) {
+      results[adapter.source] = { success: true, teeTimes: outcome.result.totalTeeTimes || 0, error: null };
+      log(`[${adapter.name}] Complete: ${outcome.result.totalTeeTimes} tee times`);
+    } else {
+      results[adapter.source] = { success: false, teeTimes: outcome.result?.totalTeeTimes || 0, error: outcome.error };
+      log(`[${adapter.name}] Error: ${outcome.error}`);
+    }
+    return outcome;
+  }));
+
+  // Cleanup - vanished future slots were already marked booked by each provider's swap
+  log('Cleaning up past data...');
   const pastDeleted = await cleanupPastData();
-  log(`Deleted ${staleDeleted} stale records, ${pastDeleted} past records`);
+  const booked = outcomes.reduce((sum, o) => sum + (o.result?.booked || 0), 0);
+  log(`Marked ${booked} vanished tee times as booked, deleted ${pastDeleted} past records`);
+
+  await finishScrapeRun(db, runId, { providers: outcomes, pastDeleted, startedAt: startTime });
+
+  // Alerts - a failure here must not fail the scrape
+  try {
+    const matched = await matchAlertRules(db);
+    const delivery = await sendAlertNotifications(db, resend);
+    log(`Alerts: ${matched.queued} new matches across ${matched.rules} rules, ${delivery.sent} emailed, ${delivery.failed} failed`);
+  } catch (e) {
+    log(`Alert matching failed: ${e.message}`);
+  }
 
   // Summary
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -155,7 +154,7 @@ async function runFullScrape() {
   log('SCRAPE COMPLETE');
   log('='.repeat(60));
   log(`Duration: ${elapsed}s`);
-  log(`Scrapers: ${successCount}/4 successful`);
+  log(`Scrapers: ${successCount}/${duePlans.length} successful`);
   log(`Total tee times: ${totalTeeTimes}`);
   log('');
   log('Results by source:');
@@ -183,7 +182,7 @@ async function runFullScrape() {
   log('='.repeat(60));
 
   return {
-    success: successCount === 4,
+    success: successCount === duePlans.length,
     results,
     totalTeeTimes,
     elapsed
@@ -191,24 +190,25 @@ async function runFullScrape() {
 }
 
 async function runDaemon() {
-  log('Starting daemon mode - scraping every 2 hours');
-  log(`Next scrape: immediately`);
+  log('Starting daemon mode - checking for due course-dates every 15 minutes');
+  log(`Next check: immediately`);
 
   while (true) {
     try {
-      await runFullScrape();
+      await runScheduledScrape();
     } catch (e) {
       log(`Scrape failed: ${e.message}`);
     }
 
-    log(`Sleeping for 2 hours... Next scrape at ${new Date(Date.now() + SCRAPE_INTERVAL_MS).toLocaleString('en-US', { timeZone: 'America/Los_Angeles' })}`);
-    await new Promise(r => setTimeout(r, SCRAPE_INTERVAL_MS));
+    log(`Sleeping for 15 minutes... Next check at ${new Date(Date.now() + SCHEDULER_TICK_MS).toLocaleString('en-US', { timeZone: 'America/Los_Angeles' })}`);
+    await new Promise(r => setTimeout(r, SCHEDULER_TICK_MS));
   }
 }
 
 // Main
 const args = process.argv.slice(2);
 const isDaemon = args.includes('--daemon') || args.includes('-d');
+const scrapeAll = args.includes('--all');
 
 if (isDaemon) {
   runDaemon().catch(e => {
@@ -216,7 +216,7 @@ if (isDaemon) {
     process.exit(1);
   });
 } else {
-  runFullScrape()
+  runScheduledScrape({ force: scrapeAll })
     .then(result => {
       process.exit(result.success ? 0 : 1);
     })
@@ -0,0 +1,584 @@
+/**
+ * Booker Base Class
+ *
+ * The booking flow shared by every booking system's adapter: open the
+ * course's tee sheet for the date, pick the tee time, fill in the golfer's
+ * details and stop at the confirm button (we never click it - see book()).
+ * Each step is broadcast through onStatusChange using the stored booking's
+ * states (src/services/bookings.js).
+ *
+ * Adapters (./golfnow.js, ./cpsgolf.js, ...) extend Booker and set:
+ *   static system  courses.booking_system value ("cpsgolf")
+ *   static label   Display name used in errors and logs ("CPS Golf")
+ *   static hosts   Hostname patterns of the system's booking links
+ * and override what differs on their site: buildSearchUrl, slotSelectors,
+ * timePatterns, detectPageType, selectTeeTime.
+ */
+
+const { BookingStatus } = require('../../services/bookings');
+
+// Checkout pages usually have one of these
+const CHECKOUT_SELECTORS = 'form[action*="checkout"], .checkout-form, #checkout';
+const UNAVAILABLE_TEXT = ['sold out', 'unavailable', 'no longer available', 'not available'];
+
+/**
+ * Price shown on a tee time slot
+ * @param {string} text - The slot's text
+ * @returns {number|null} First dollar amount, e.g. 45 for "8:30 AM 18 holes $45.00"
+ */
+function parseSlotPrice(text) {
+  const match = text.match(/\$\s?(\d+(?:\.\d{1,2})?)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Ways a tee sheet may print a time
+ * @param {string} time - HH:MM (24h)
+ * @returns {Array<string>} e.g. ["8:30 AM", "8:30am", "08:30"]
+ */
+function formatTimePatterns(time) {
+  const [hours, minutes] = time.split(':');
+  const hour12 = parseInt(hours) % 12 || 12;
+  const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
+  return [
+    `${hour12}:${minutes} ${ampm}`,
+    `${hour12}:${minutes}${ampm.toLowerCase()}`,
+    time
+  ];
+}
+
+class Booker {
+  static system = null;
+  static label = 'Booking site';
+  static hosts = [];
+
+  constructor(options = {}) {
+    this.browser = null;
+    this.page = null;
+    this.options = {
+      headless: options.headless !== false, // Default to headless
+      timeout: options.timeout || 30000,
+      debug: options.debug || false,
+      screenshots: options.screenshots || false,
+      screenshotDir: options.screenshotDir || './booking-screenshots'
+    };
+    this.status = BookingStatus.PENDING;
+    this.statusCallbacks = [];
+  }
+
+  /**
+   * Whether a booking link is on this system's site
+   * @param {string} url
+   * @returns {boolean}
+   */
+  static handlesUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch {
+      return false;
+    }
+    return this.hosts.some(pattern => pattern.test(hostname));
+  }
+
+  /**
+   * Subscribe to status updates
+   */
+  onStatusChange(callback) {
+    this.statusCallbacks.push(callback);
+  }
+
+  /**
+   * Update and broadcast status
+   */
+  updateStatus(status, details = {}) {
+    this.status = status;
+    // Details may carry their own status (e.g. the result's 'ready_to_confirm')
+    const update = { ...details, status, timestamp: new Date().toISOString() };
+    this.statusCallbacks.forEach(cb => cb(update));
+    if (this.options.debug) {
+      console.log(`[Booker] ${this.constructor.label} status: ${status}`, details);
+    }
+    return update;
+  }
+
+  /**
+   * Initialize browser
+   */
+  async init() {
+    if (this.browser) return;
+
+    // Loaded here so the API can pick a booker without loading Puppeteer
+    const puppeteer = require('puppeteer');
+    this.browser = await puppeteer.launch({
+      headless: this.options.headless ? 'new' : false,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--disable-gpu',
+        '--window-size=1920,1080'
+      ]
+    });
+
+    this.page = await this.browser.newPage();
+    await this.page.setViewport({ width: 1920, height: 1080 });
+    await this.page.setUserAgent(
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    );
+
+    // Set default timeout
+    this.page.setDefaultTimeout(this.options.timeout);
+  }
+
+  /**
+   * Close browser
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.page = null;
+    }
+  }
+
+  /**
+   * Take a screenshot for debugging
+   */
+  async screenshot(name) {
+    if (!this.options.screenshots || !this.page) return;
+    const filename = `${this.options.screenshotDir}/${Date.now()}-${this.constructor.system}-${name}.png`;
+    await this.page.screenshot({ path: filename, fullPage: true });
+    return filename;
+  }
+
+  /**
+   * Tee sheet URL for the booking's date. Default: the booking link as is.
+   * @param {Object} bookingDetails - See book()
+   * @returns {string}
+   */
+  buildSearchUrl({ bookingUrl }) {
+    return bookingUrl;
+  }
+
+  /**
+   * Elements on the tee sheet that each hold one tee time
+   */
+  get slotSelectors() {
+    return ['.tee-time', '[data-testid="tee-time"]', '.time-slot', '.teetime'];
+  }
+
+  /**
+   * @param {string} time - HH:MM (24h)
+   * @returns {Array<string>} Texts that identify the time on this site
+   */
+  timePatterns(time) {
+    return formatTimePatterns(time);
+  }
+
+  /**
+   * Book a tee time
+   *
+   * @param {Object} bookingDetails - Booking information
+   * @param {string} bookingDetails.bookingUrl - Booking link from the tee time
+   * @param {string} bookingDetails.courseName - Course name for verification
+   * @param {string} bookingDetails.date - Date (YYYY-MM-DD)
+   * @param {string} bookingDetails.time - Time (HH:MM)
+   * @param {number} bookingDetails.players - Number of players (1-4)
+   * @param {Object} bookingDetails.contact - Contact information
+   * @param {string} bookingDetails.contact.firstName
+   * @param {string} bookingDetails.contact.lastName
+   * @param {string} bookingDetails.contact.email
+   * @param {string} bookingDetails.contact.phone
+   * @param {Object} bookingDetails.payment - Payment information (optional for hot deals)
+   *
+   * @returns {Object} Booking result with confirmation details
+   */
+  async book(bookingDetails) {
+    const { courseName, date, time, players, contact, payment } = bookingDetails;
+
+    try {
+      await this.init();
+      const url = this.buildSearchUrl(bookingDetails);
+      this.updateStatus(BookingStatus.NAVIGATING, { url, system: this.constructor.system });
+
+      // Navigate to booking URL
+      await this.page.goto(url, { waitUntil: 'networkidle2' });
+      await this.screenshot('01-landing');
+
+      // Wait for page to load and check for availability
+      await this.page.waitForSelector('body', { timeout: 10000 });
+
+      // Check if we're on a tee time selection page or booking page
+      const pageType = await this.detectPageType();
+      this.updateStatus(BookingStatus.SELECTING_TIME, { pageType });
+
+      if (pageType === 'search') {
+        // Need to select the specific tee time
+        await this.selectTeeTime(date, time, players);
+      }
+
+      await this.screenshot('02-tee-time-selected');
+      await this.assertGuestCheckout();
+      this.updateStatus(BookingStatus.FILLING_FORM);
+
+      // Fill contact information
+      await this.selectPlayers(players);
+      await this.fillContactInfo(contact);
+      await this.screenshot('03-contact-filled');
+
+      // Fill payment if required
+      if (payment) {
+        await this.fillPaymentInfo(payment);
+        await this.screenshot('04-payment-filled');
+      }
+
+      // Review and confirm
+      this.updateStatus(BookingStatus.CONFIRMING);
+
+      // Look for confirm/book button
+      const confirmButton = await this.findConfirmButton();
+      if (!confirmButton) {
+        throw new Error('Could not find confirmation button');
+      }
+
+      // Click confirm (in production, you might want to pause here for user verification)
+      // await confirmButton.click();
+      // await this.page.waitForNavigation({ waitUntil: 'networkidle2' });
+
+      await this.screenshot('05-pre-confirm');
+
+      // For safety, we'll return without actually clicking confirm
+      // Remove this block to enable actual booking
+      const result = {
+        status: 'ready_to_confirm',
+        message: 'Booking form filled. Ready for manual confirmation.',
+        bookingSystem: this.constructor.system,
+        // The filled-in form lives in this browser - the golfer books from the tee sheet
+        deepLink: url,
+        bookingDetails: {
+          course: courseName,
+          date,
+          time,
+          players,
+          contact: { email: contact.email }
+        },
+        screenshot: await this.screenshot('06-ready-to-confirm')
+      };
+
+      this.updateStatus(BookingStatus.READY_TO_CONFIRM, result);
+      return result;
+
+      /* Uncomment to enable actual booking:
+      await confirmButton.click();
+      await this.page.waitForNavigation({ waitUntil: 'networkidle2' });
+
+      // Extract confirmation number
+      const confirmation = await this.extractConfirmation();
+
+      const result = {
+        status: 'confirmed',
+        confirmationNumber: confirmation.number,
+        message: `Booking confirmed! Confirmation #${confirmation.number}`,
+        bookingSystem: this.constructor.system,
+        bookingDetails: {
+          course: courseName,
+          date,
+          time,
+          players,
+          contact: { email: contact.email }
+        }
+      };
+
+      this.updateStatus(BookingStatus.SUCCESS, result);
+      return result;
+      */
+
+    } catch (error) {
+      await this.screenshot('error');
+      this.updateStatus(BookingStatus.FAILED, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether we landed on the tee sheet or went straight to checkout
+   * @returns {Promise<string>} 'search' or 'checkout'
+   */
+  async detectPageType() {
+    const hasCheckoutForm = await this.page.$(CHECKOUT_SELECTORS);
+    return hasCheckoutForm ? 'checkout' : 'search';
+  }
+
+  /**
+   * Find the element for a tee time on the current page
+   * @param {string} time - HH:MM (24h)
+   * @returns {Promise<Object|null>} Puppeteer element handle
+   */
+  async findTimeSlot(time) {
+    // Not preceded by a digit, so 1:44 PM doesn't match 11:44 PM
+    const patterns = this.timePatterns(time)
+      .map(pattern => new RegExp(`(^|\\D)${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+
+    for (const selector of this.slotSelectors) {
+      for (const slot of await this.page.$$(selector)) {
+        // Collapse whitespace so times split across lines still match
+        const text = await slot.evaluate(el => el.textContent.replace(/\s+/g, ' '));
+        if (patterns.some(pattern => pattern.test(text))) return slot;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Select a specific tee time from the tee sheet
+   */
+  async selectTeeTime(date, time, players) {
+    await this.page.waitForSelector(this.slotSelectors.join(', '), { timeout: 15000 });
+
+    const slot = await this.findTimeSlot(time);
+    if (!slot) {
+      throw new Error(`Could not find tee time for ${time}`);
+    }
+    await this.clickSlot(slot);
+
+    // Wait for navigation or modal (page.waitForTimeout is gone since Puppeteer 22)
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  /**
+   * Click a tee time: its own book link or button when it has one
+   * @param {Object} slot - Element handle from findTimeSlot
+   */
+  async clickSlot(slot) {
+    const button = await slot.$('a[href], button, input[type="submit"]');
+    await (button || slot).click();
+  }
+
+  /**
+   * Set the party size where the site asks for it after choosing a time
+   */
+  async selectPlayers(players) {
+    const selectors = ['select[name*="player" i]', 'select[id*="player" i]', 'select[name*="golfer" i]'];
+    for (const selector of selectors) {
+      const select = await this.page.$(selector);
+      if (!select) continue;
+      const options = await select.evaluate(el => Array.from(el.options).map(o => o.value));
+      if (options.includes(String(players))) {
+        await select.select(String(players));
+      }
+      return;
+    }
+  }
+
+  /**
+   * Stop at a sign-in wall: we book as a guest, without the golfer's
+   * account on the booking site
+   */
+  async assertGuestCheckout() {
+    const hasPassword = await this.page.$('input[type="password"]');
+    const hasContactFields = await this.page.$('#email, [name="email"], [type="email"], #firstName, [name="firstName"]');
+    if (hasPassword && !hasContactFields) {
+      throw new Error(`${this.constructor.label} requires signing in to book - finish this booking with the booking link`);
+    }
+  }
+
+  /**
+   * Fill contact information
+   */
+  async fillContactInfo(contact) {
+    const { firstName, lastName, email, phone } = contact;
+
+    // Common field selectors across booking sites
+    const fieldMappings = [
+      { value: firstName, selectors: ['#firstName', '[name="firstName"]', '[name="first_name"]', 'input[placeholder*="First"]'] },
+      { value: lastName, selectors: ['#lastName', '[name="lastName"]', '[name="last_name"]', 'input[placeholder*="Last"]'] },
+      { value: email, selectors: ['#email', '[name="email"]', '[type="email"]', 'input[placeholder*="Email"]'] },
+      { value: phone, selectors: ['#phone', '[name="phone"]', '[type="tel"]', 'input[placeholder*="Phone"]'] }
+    ];
+
+    for (const field of fieldMappings) {
+      if (!field.value) continue;
+
+      for (const selector of field.selectors) {
+        try {
+          const element = await this.page.$(selector);
+          if (element) {
+            await element.click({ clickCount: 3 }); // Select all
+            await element.type(field.value);
+            break;
+          }
+        } catch (e) {
+          continue;
+        }
+      }
+    }
+  }
+
+  /**
+   * Fill payment information
+   */
+  async fillPaymentInfo(payment) {
+    const { cardNumber, expiry, cvv, zip } = payment;
+
+    // Payment fields are often in iframes
+    const paymentFrame = await this.page.$('iframe[name*="card"], iframe[src*="payment"]');
+
+    let paymentPage = this.page;
+    if (paymentFrame) {
+      paymentPage = await paymentFrame.contentFrame();
+    }
+
+    const paymentFields = [
+      { value: cardNumber, selectors: ['#cardNumber', '[name="cardNumber"]', '[data-testid="card-number"]'] },
+      { value: expiry, selectors: ['#expiry', '[name="expiry"]', '[name="exp"]', '[placeholder*="MM"]'] },
+      { value: cvv, selectors: ['#cvv', '[name="cvv"]', '[name="cvc"]', '[placeholder*="CVV"]'] },
+      { value: zip, selectors: ['#zip', '[name="zip"]', '[name="postalCode"]', '[placeholder*="ZIP"]'] }
+    ];
+
+    for (const field of paymentFields) {
+      if (!field.value) continue;
+
+      for (const selector of field.selectors) {
+        try {
+          const element = await paymentPage.$(selector);
+          if (element) {
+            await element.type(field.value);
+            break;
+          }
+        } catch (e) {
+          continue;
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the confirm/book button
+   */
+  async findConfirmButton() {
+    const buttonSelectors = [
+      'button[type="submit"]',
+      '.confirm-booking',
+      '.book-now',
+      '#confirm-button',
+      '[data-testid="confirm-booking"]'
+    ];
+
+    for (const selector of buttonSelectors) {
+      try {
+        const button = await this.page.$(selector);
+        if (button) {
+          const isVisible = await button.isIntersectingViewport();
+          if (isVisible) return button;
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    // Try finding by text content
+    const buttons = await this.page.$$('button, .btn, [role="button"]');
+    for (const button of buttons) {
+      const text = await button.evaluate(el => el.textContent.toLowerCase());
+      if (text.includes('confirm') || text.includes('book') || text.includes('complete')) {
+        return button;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract confirmation details after successful booking
+   */
+  async extractConfirmation() {
+    // Wait for confirmation page
+    await this.page.waitForSelector('.confirmation, .booking-confirmed, [data-testid="confirmation"]', { timeout: 10000 });
+
+    const confirmation = await this.page.evaluate(() => {
+      // Try various selectors for confirmation number
+      const confSelectors = [
+        '.confirmation-number',
+        '#confirmation-number',
+        '[data-testid="confirmation-number"]',
+        '.booking-reference'
+      ];
+
+      for (const sel of confSelectors) {
+        const el = document.querySelector(sel);
+        if (el) {
+          return { number: el.textContent.trim() };
+        }
+      }
+
+      // Try to find it in the page text
+      const pageText = document.body.textContent;
+      const match = pageText.match(/confirmation[:\s#]*([A-Z0-9-]+)/i);
+      if (match) {
+        return { number: match[1] };
+      }
+
+      return { number: 'UNKNOWN' };
+    });
+
+    return confirmation;
+  }
+
+  /**
+   * Check availability for a tee time
+   * @param {Object|string} bookingDetails - { bookingUrl, date, time, players }, or just the booking link
+   * @returns {Promise<Object>} { available, price, url } (price is the slot's
+   *   listed price when a time is given), or { error } when the tee sheet
+   *   showed no slots or couldn't be read
+   */
+  async checkAvailability(bookingDetails) {
+    const details = typeof bookingDetails === 'string' ? { bookingUrl: bookingDetails } : bookingDetails;
+    const url = this.buildSearchUrl(details);
+
+    try {
+      await this.init();
+      await this.page.goto(url, { waitUntil: 'networkidle2' });
+
+      // With a time, the tee sheet has to list that slot
+      if (details.time) {
+        const slotSelector = this.slotSelectors.join(', ');
+        await this.page.waitForSelector(slotSelector, { timeout: 15000 }).catch(() => {});
+        // No slots at all is as likely a sheet that didn't load (or a changed
+        // layout) as a sold-out day - only a rendered sheet says a slot is gone
+        if ((await this.page.$$(slotSelector)).length === 0) {
+          return { error: 'Tee sheet did not load', url };
+        }
+        const slot = await this.findTimeSlot(details.time);
+        const slotText = slot ? await slot.evaluate(el => el.textContent.replace(/\s+/g, ' ')) : '';
+        const available = !!slot && !UNAVAILABLE_TEXT.some(text => slotText.toLowerCase().includes(text));
+        return { available, price: available ? parseSlotPrice(slotText) : null, url };
+      }
+
+      // Check for availability indicators
+      const available = await this.page.evaluate((unavailableText) => {
+        // Check for "sold out" or "unavailable" messages
+        const pageText = document.body.textContent.toLowerCase();
+
+        for (const text of unavailableText) {
+          if (pageText.includes(text)) return false;
+        }
+
+        // Check for book button
+        const bookButton = document.querySelector('.book-now, .book-button, [data-testid="book"]');
+        return !!bookButton;
+      }, UNAVAILABLE_TEXT);
+
+      return { available, url };
+    } catch (error) {
+      return { available: false, error: error.message };
+    }
+  }
+}
+
+module.exports = {
+  Booker,
+  formatTimePatterns,
+  parseSlotPrice
+};
@@ -0,0 +1,33 @@
+/**
+ * Chronogolf Booker
+ *
+ * Booking links are club tee time pages
+ * (chronogolf.com/club/<club>/teetimes) - the same ones the scraper records
+ * (scripts/providers/chronogolf.js) - opened on the booking's date and party
+ * size. Chronogolf checks out signed-in golfers only for some clubs; those
+ * stop at the sign-in wall (see Booker#assertGuestCheckout).
+ */
+
+const { Booker } = require('./base');
+
+class ChronogolfBooker extends Booker {
+  static system = 'chronogolf';
+  static label = 'Chronogolf';
+  static hosts = [/(^|\.)chronogolf\.(com|ca)$/i];
+
+  buildSearchUrl({ bookingUrl, date, players }) {
+    const url = new URL(bookingUrl);
+    if (!url.pathname.endsWith('/teetimes')) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/teetimes`;
+    }
+    if (date) url.searchParams.set('date', date);
+    if (players) url.searchParams.set('nb_players', String(players));
+    return url.toString();
+  }
+
+  get slotSelectors() {
+    return ['.widget-teetime', '.teetime', '[class*="TeeTime"]', '.tee-time'];
+  }
+}
+
+module.exports = { ChronogolfBooker };
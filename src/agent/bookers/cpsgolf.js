@@ -0,0 +1,39 @@
+/**
+ * CPS Golf Booker
+ *
+ * Municipal tee sheets at <course>.cps.golf/onlineresweb/search-teetime,
+ * opened on a date with the same query the scraper uses
+ * (scripts/providers/cpsgolf.js). Times render as "1:44" with a lone "P" or
+ * "A" beneath. Many CPS courses only let signed-in golfers check out; those
+ * stop at the sign-in wall (see Booker#assertGuestCheckout).
+ */
+
+const { Booker, formatTimePatterns } = require('./base');
+
+class CpsGolfBooker extends Booker {
+  static system = 'cpsgolf';
+  static label = 'CPS Golf';
+  static hosts = [/\.cps\.golf$/i];
+
+  buildSearchUrl({ bookingUrl, date }) {
+    if (!date) return bookingUrl;
+    const url = new URL(bookingUrl);
+    url.searchParams.set('TeeOffTimeMin', '0');
+    url.searchParams.set('TeeOffTimeMax', '23');
+    url.searchParams.set('Date', date);
+    return url.toString();
+  }
+
+  get slotSelectors() {
+    return ['app-search-teetime-item', '.teetime-item', 'mat-card', '.tee-time'];
+  }
+
+  timePatterns(time) {
+    const [hours, minutes] = time.split(':');
+    const hour12 = parseInt(hours) % 12 || 12;
+    // "1:44 P" once the lines are joined
+    return [`${hour12}:${minutes} ${parseInt(hours) >= 12 ? 'P' : 'A'}`, ...formatTimePatterns(time)];
+  }
+}
+
+module.exports = { CpsGolfBooker };
@@ -0,0 +1,38 @@
+/**
+ * EZLinks Booker
+ *
+ * EZLinks courses book at <course>.ezlinksgolf.com, a single-page app that
+ * opens on today's tee sheet. The site sits behind Cloudflare, which
+ * usually stops headless browsers (the scraper hits the same wall, see
+ * scripts/providers/ezlinks.js); a run that can't get through fails with
+ * the tee time not found and the golfer keeps the booking link.
+ */
+
+const { Booker } = require('./base');
+
+class EzLinksBooker extends Booker {
+  static system = 'ezlinks';
+  static label = 'EZLinks';
+  static hosts = [/\.ezlinksgolf\.com$/i];
+
+  get slotSelectors() {
+    return ['.teetime-row', '.tee-time', '.teetime', '.time-slot'];
+  }
+
+  /**
+   * Move the tee sheet to the booking's date before looking for the time
+   */
+  async selectTeeTime(date, time, players) {
+    const dateInput = await this.page.$('input[type="date"], input[name*="date" i]');
+    if (dateInput) {
+      await dateInput.evaluate((el, value) => {
+        el.value = value;
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      }, date);
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    return super.selectTeeTime(date, time, players);
+  }
+}
+
+module.exports = { EzLinksBooker };
@@ -0,0 +1,50 @@
+/**
+ * GolfNow Booker
+ *
+ * Booking links are facility search pages
+ * (golfnow.com/tee-times/facility/<id>/search#date=...) that list the day's
+ * tee times; picking one leads to GolfNow's guest checkout.
+ *
+ * NOTE: This module is designed for authorized use only.
+ * Ensure compliance with GolfNow's terms of service.
+ */
+
+const { Booker } = require('./base');
+
+class GolfNowBooker extends Booker {
+  static system = 'golfnow';
+  static label = 'GolfNow';
+  static hosts = [/(^|\.)golfnow\.com$/i];
+
+  get slotSelectors() {
+    return ['.tee-time', '[data-testid="tee-time"]', '.tt-row', '.time-slot'];
+  }
+
+  /**
+   * Detect what type of GolfNow page we're on
+   */
+  async detectPageType() {
+    const url = this.page.url();
+
+    if (url.includes('/search') || url.includes('/tee-times')) {
+      return 'search';
+    }
+    if (url.includes('/checkout') || url.includes('/book')) {
+      return 'checkout';
+    }
+    if (url.includes('/confirmation')) {
+      return 'confirmation';
+    }
+
+    // Check page content
+    const hasSearchResults = await this.page.$('.tee-time-results, .search-results, [data-testid="tee-times"]');
+    if (hasSearchResults) return 'search';
+
+    const hasCheckoutForm = await this.page.$('form[action*="checkout"], .checkout-form, #checkout');
+    if (hasCheckoutForm) return 'checkout';
+
+    return 'unknown';
+  }
+}
+
+module.exports = { GolfNowBooker };
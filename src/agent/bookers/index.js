@@ -0,0 +1,99 @@
+/**
+ * Booker Adapters
+ *
+ * One booker per booking system, all with the same contract (see ./base.js):
+ *   new Booker(options)
+ *   book(bookingDetails)              Fill in the booking up to the confirm button
+ *   checkAvailability(bookingDetails) { available, url } for a tee time
+ *   onStatusChange(callback), close()
+ *
+ * The booker for a booking comes from its course's booking_system
+ * (courses.booking_system uses the scrapers' source names). Merged tee times
+ * can link to another system's site than the course's own, so a link on a
+ * known system's site wins; a course without a booking system (booking by
+ * link only) is matched by its link alone.
+ */
+
+const { Booker } = require('./base');
+const { GolfNowBooker } = require('./golfnow');
+const { CpsGolfBooker } = require('./cpsgolf');
+const { ChronogolfBooker } = require('./chronogolf');
+const { TotaleBooker } = require('./totaleintegrated');
+const { Quick18Booker } = require('./quick18');
+const { EzLinksBooker } = require('./ezlinks');
+
+const bookers = new Map();
+
+function registerBooker(BookerClass) {
+  if (!(BookerClass.prototype instanceof Booker) || !BookerClass.system) {
+    throw new Error(`Invalid booker: ${BookerClass.name || 'unnamed'}`);
+  }
+  bookers.set(BookerClass.system, BookerClass);
+  return BookerClass;
+}
+
+/**
+ * @param {string} system - courses.booking_system
+ * @returns {Function|null} Booker class
+ */
+function getBookerClass(system) {
+  return bookers.get(system) || null;
+}
+
+/**
+ * @returns {Array<string>} Booking systems we can automate
+ */
+function getBookingSystems() {
+  return Array.from(bookers.keys());
+}
+
+/**
+ * Pick the booker for a booking
+ * @param {Object} booking - { bookingSystem, bookingUrl }
+ * @returns {Function|null} Booker class, or null when no booker handles it
+ */
+function resolveBookerClass({ bookingSystem = null, bookingUrl = null }) {
+  const byUrl = bookingUrl
+    ? Array.from(bookers.values()).find(BookerClass => BookerClass.handlesUrl(bookingUrl)) || null
+    : null;
+  const bySystem = getBookerClass(bookingSystem);
+
+  if (bySystem && (!byUrl || byUrl === bySystem)) return bySystem;
+  return byUrl;
+}
+
+/**
+ * @param {Object} booking - { bookingSystem, bookingUrl }
+ * @param {Object} [options] - Booker options (headless, timeout, ...)
+ * @returns {Booker}
+ */
+function createBooker(booking, options = {}) {
+  const BookerClass = resolveBookerClass(booking);
+  if (!BookerClass) {
+    throw new Error(`No booking automation for ${booking.bookingSystem || booking.bookingUrl || 'this booking'}`);
+  }
+  return new BookerClass(options);
+}
+
+// Built-in booking systems
+registerBooker(GolfNowBooker);
+registerBooker(CpsGolfBooker);
+registerBooker(ChronogolfBooker);
+registerBooker(TotaleBooker);
+registerBooker(Quick18Booker);
+registerBooker(EzLinksBooker);
+
+module.exports = {
+  Booker,
+  GolfNowBooker,
+  CpsGolfBooker,
+  ChronogolfBooker,
+  TotaleBooker,
+  Quick18Booker,
+  EzLinksBooker,
+  registerBooker,
+  getBookerClass,
+  getBookingSystems,
+  resolveBookerClass,
+  createBooker
+};
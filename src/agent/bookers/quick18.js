@@ -0,0 +1,30 @@
+/**
+ * Quick18 Booker
+ *
+ * Quick18 tee sheets are a matrix at <course>.quick18.com/teetimes/searchmatrix
+ * taking the date as MM/DD/YYYY (as in scripts/providers/quick18.js). Each
+ * row is a time with a select button per rate; the row's first button
+ * is taken.
+ */
+
+const { Booker } = require('./base');
+
+class Quick18Booker extends Booker {
+  static system = 'quick18';
+  static label = 'Quick18';
+  static hosts = [/\.quick18\.com$/i];
+
+  buildSearchUrl({ bookingUrl, date }) {
+    if (!date) return bookingUrl;
+    const [year, month, day] = date.split('-');
+    const url = new URL(bookingUrl);
+    url.searchParams.set('date', `${month}/${day}/${year}`);
+    return url.toString();
+  }
+
+  get slotSelectors() {
+    return ['.matrixTable tr', 'table tr', '.tee-time', '.time-slot'];
+  }
+}
+
+module.exports = { Quick18Booker };
@@ -0,0 +1,29 @@
+/**
+ * TotaleGolf Booker
+ *
+ * TotaleIntegrated courses book on their own subdomain
+ * (<course>.totaleintegrated.net/web/tee-times), the page the scraper links
+ * to (scripts/providers/totaleintegrated.js). Slots print their time as
+ * "1:33 PM", so the base tee time matching works as is.
+ */
+
+const { Booker } = require('./base');
+
+class TotaleBooker extends Booker {
+  static system = 'totaleintegrated';
+  static label = 'TotaleGolf';
+  static hosts = [/\.totaleintegrated\.(net|com)$/i];
+
+  buildSearchUrl({ bookingUrl, date, players }) {
+    const url = new URL(bookingUrl);
+    if (date) url.searchParams.set('date', date);
+    if (players) url.searchParams.set('players', String(players));
+    return url.toString();
+  }
+
+  get slotSelectors() {
+    return ['.teetime-card', '.tee-time-card', '.tee-time', '.teetime'];
+  }
+}
+
+module.exports = { TotaleBooker };
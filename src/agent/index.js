@@ -113,11 +113,20 @@ async function refineSearch(previousParams, refinement, availableTeeTimes, conte
 
 /**
  * Get course recommendation for a specific course
+ * @param {string} courseName - Name as asked for
+ * @param {Array} teeTimes
+ * @param {Array<number>} [courseIds] - Courses found by course search, best first;
+ *   when empty, tee times are matched on the name instead
  */
-function getCourseInsight(courseName, teeTimes) {
-  const courseTeeTimes = teeTimes.filter(tt =>
-    (tt.course_name || tt.name || '').toLowerCase().includes(courseName.toLowerCase())
-  );
+function getCourseInsight(courseName, teeTimes, courseIds = []) {
+  const ids = new Set(courseIds);
+  const courseTeeTimes = ids.size > 0
+    ? teeTimes
+      .filter(tt => ids.has(tt.course_id))
+      .sort((a, b) => courseIds.indexOf(a.course_id) - courseIds.indexOf(b.course_id))
+    : teeTimes.filter(tt =>
+      (tt.course_name || tt.name || '').toLowerCase().includes(courseName.toLowerCase())
+    );
 
   if (courseTeeTimes.length === 0) {
     return {
@@ -4,6 +4,7 @@
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
+const { MAX_PARTY_SIZE } = require('../services/tee-time-groups');
 
 // Initialize Anthropic client
 const anthropic = new Anthropic();
@@ -14,14 +15,14 @@ const PARSER_SYSTEM_PROMPT = `You are a golf tee time search query parser. Your
 IMPORTANT: Today's date is {{TODAY_DATE}} and the current time is {{CURRENT_TIME}} (Pacific Time).
 
 Extract the following parameters when present:
-- date_preference: "today", "tomorrow", "this_weekend", "next_weekend", or specific date (YYYY-MM-DD)
+- date_preference: "today", "tomorrow", "this_weekend", "next_weekend", a day of the week ("saturday"), or specific date (YYYY-MM-DD)
 - time_preference: "early_morning" (before 8am), "morning" (8am-11am), "midday" (11am-2pm), "afternoon" (2pm-5pm), "twilight" (after 5pm), or specific time range
 - max_price: maximum price in dollars (number only)
 - min_price: minimum price in dollars (number only)
 - location: city name, region, or "near me" with coordinates
 - max_distance_miles: maximum distance willing to travel (number)
 - course_names: specific course names mentioned (array)
-- players: number of players (1-4)
+- players: number of players in the whole party (1-16); groups over 4 play adjacent tee times
 - holes: 9 or 18
 - quality_preference: "any", "high_rated", "best_value", "hidden_gems"
 - special_requests: any other requirements (string)
@@ -34,6 +35,7 @@ Popular Bay Area courses include:
 - Palo Alto Golf Course, Deep Cliff, Cinnabar Hills (South Bay)
 - Peacock Gap, StoneTree, Indian Valley (North Bay)
 - Crystal Springs, Half Moon Bay, Sharp Park (Peninsula)
+{{COURSE_NICKNAMES}}
 
 Respond ONLY with valid JSON, no explanation. If a parameter is not specified, omit it from the response.
 
@@ -53,6 +55,13 @@ Example output:
   "time_preference": "afternoon",
   "max_price": 100,
   "course_names": ["TPC Harding Park"]
+}
+
+Example input: "Tee times for 8 guys Saturday"
+Example output:
+{
+  "date_preference": "saturday",
+  "players": 8
 }`;
 
 /**
@@ -68,10 +77,11 @@ async function parseQuery(query, context = {}) {
   const todayDate = pacificTime.toISOString().split('T')[0];
   const currentTime = pacificTime.toTimeString().slice(0, 5);
 
-  // Build the system prompt with current date/time
+  // Build the system prompt with current date/time and known nicknames
   const systemPrompt = PARSER_SYSTEM_PROMPT
     .replace('{{TODAY_DATE}}', todayDate)
-    .replace('{{CURRENT_TIME}}', currentTime);
+    .replace('{{CURRENT_TIME}}', currentTime)
+    .replace('{{COURSE_NICKNAMES}}', formatCourseNicknames(context.courseMatcher));
 
   // Add user context to the query if available
   let enrichedQuery = query;
@@ -98,20 +108,39 @@ async function parseQuery(query, context = {}) {
     const params = JSON.parse(content);
 
     // Post-process and validate
-    return normalizeParams(params, todayDate);
+    return normalizeParams(params, todayDate, context.courseMatcher);
   } catch (error) {
     console.error('Query parsing error:', error);
     // Return a basic fallback parse
-    return fallbackParse(query, todayDate);
+    return fallbackParse(query, todayDate, context.courseMatcher);
   }
 }
 
+/**
+ * Prompt lines mapping nicknames to full course names
+ * @param {Object} [courseMatcher] - From loadCourseMatcher (src/services/course-aliases.js)
+ */
+function formatCourseNicknames(courseMatcher) {
+  const aliased = (courseMatcher?.courses || []).filter(c => c.aliases?.length);
+  if (!aliased.length) return '';
+
+  return '\nGolfers also call courses by these names - always return the full name in course_names:\n' +
+    aliased.map(c => `- ${c.aliases.join(', ')} = ${c.name}`).join('\n') + '\n';
+}
+
 /**
  * Normalize and validate parsed parameters
+ * @param {Object} params
+ * @param {string} todayDate
+ * @param {Object} [courseMatcher] - Resolves nicknames in course_names to full names
  */
-function normalizeParams(params, todayDate) {
+function normalizeParams(params, todayDate, courseMatcher = null) {
   const normalized = { ...params };
 
+  if (Array.isArray(params.course_names) && courseMatcher) {
+    normalized.course_names = [...new Set(params.course_names.map(name => courseMatcher.match(name)?.name || name))];
+  }
+
   // Convert date preferences to actual dates
   if (params.date_preference) {
     normalized.dates = resolveDatePreference(params.date_preference, todayDate);
@@ -132,12 +161,14 @@ function normalizeParams(params, todayDate) {
 
   // Ensure players is valid
   if (params.players) {
-    normalized.players = Math.min(4, Math.max(1, parseInt(params.players)));
+    normalized.players = Math.min(MAX_PARTY_SIZE, Math.max(1, parseInt(params.players)));
   }
 
   return normalized;
 }
 
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
 /**
  * Resolve date preference to actual date(s)
  */
@@ -145,6 +176,14 @@ function resolveDatePreference(preference, todayDate) {
   const today = new Date(todayDate + 'T12:00:00');
   const dayOfWeek = today.getDay(); // 0 = Sunday, 6 = Saturday
 
+  // A day of the week is the next one, or today if it's that day
+  const weekday = WEEKDAYS.indexOf(String(preference).toLowerCase());
+  if (weekday !== -1) {
+    const date = new Date(today);
+    date.setDate(date.getDate() + (weekday - dayOfWeek + 7) % 7);
+    return [date.toISOString().split('T')[0]];
+  }
+
   switch (preference) {
     case 'today':
       return [todayDate];
@@ -230,16 +269,35 @@ function resolveTimePreference(preference) {
 
 /**
  * Fallback parser when Claude is unavailable
+ * @param {string} query
+ * @param {string} todayDate
+ * @param {Object} [courseMatcher] - Finds courses mentioned by name or nickname
  */
-function fallbackParse(query, todayDate) {
+function fallbackParse(query, todayDate, courseMatcher = null) {
   const q = query.toLowerCase();
   const params = {};
 
+  // Course detection
+  const mentioned = courseMatcher ? courseMatcher.findMentions(query) : [];
+  if (mentioned.length) params.course_names = mentioned.map(c => c.name);
+
   // Date detection
   if (q.includes('today')) params.date_preference = 'today';
   else if (q.includes('tomorrow')) params.date_preference = 'tomorrow';
   else if (q.includes('this weekend')) params.date_preference = 'this_weekend';
   else if (q.includes('next weekend')) params.date_preference = 'next_weekend';
+  else {
+    const weekday = WEEKDAYS.find(day => q.includes(day));
+    if (weekday) params.date_preference = weekday;
+  }
+
+  // Party size ("8 guys", "group of 6", "a foursome")
+  const partyMatch = q.match(/\b(\d{1,2})\s*(?:players|people|guys|golfers|of us|ladies|gals)\b/) ||
+    q.match(/\b(?:party|group) of\s*(\d{1,2})\b/);
+  if (partyMatch) params.players = parseInt(partyMatch[1]);
+  else if (q.includes('foursome')) params.players = 4;
+  else if (q.includes('threesome')) params.players = 3;
+  else if (q.includes('twosome')) params.players = 2;
 
   // Time detection
   if (q.includes('morning') || q.includes('early')) params.time_preference = 'morning';
@@ -267,7 +325,7 @@ function fallbackParse(query, todayDate) {
   }
 
   // Normalize
-  return normalizeParams(params, todayDate);
+  return normalizeParams(params, todayDate, courseMatcher);
 }
 
 module.exports = {
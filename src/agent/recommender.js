@@ -105,6 +105,7 @@ function buildRecommendationPrompt(originalQuery, params, topResults) {
   if (params.max_price) prompt += `- Max price: $${params.max_price}\n`;
   if (params.location) prompt += `- Location: ${params.location}\n`;
   if (params.quality_preference) prompt += `- Looking for: ${params.quality_preference}\n`;
+  if (params.players) prompt += `- Players: ${params.players}\n`;
 
   prompt += `\nTop ${topResults.length} options found:\n\n`;
 
@@ -120,6 +121,10 @@ function buildRecommendationPrompt(originalQuery, params, topResults) {
     if (tt.city) prompt += `   Location: ${tt.city}\n`;
     if (tt.distance_miles) prompt += `   Distance: ${tt.distance_miles} miles\n`;
     if (tt.matchReasons?.length) prompt += `   Highlights: ${tt.matchReasons.join(', ')}\n`;
+    if (tt.group) {
+      prompt += `   Group booking: ${tt.group.slots.map(s => `${formatTime12(s.time)} (${s.players})`).join(' + ')}`;
+      prompt += tt.group.total_price ? `, $${tt.group.total_price} total\n` : '\n';
+    }
     prompt += '\n';
   });
 
@@ -174,7 +179,8 @@ function formatRecommendation(tt) {
     distanceMiles: tt.distance_miles,
     score: tt.totalScore,
     matchReasons: tt.matchReasons || [],
-    scores: tt.scores
+    scores: tt.scores,
+    group: tt.group
   };
 }
 
@@ -3,6 +3,9 @@
  * Scores and ranks tee times based on user preferences and multiple factors
  */
 
+const { mergeTeeTimeSources } = require('../services/tee-time-merge');
+const { MAX_PLAYERS_PER_SLOT, findTeeTimeGroups } = require('../services/tee-time-groups');
+
 // Haversine formula to calculate distance between two points
 function calculateDistance(lat1, lon1, lat2, lon2) {
   const R = 3959; // Earth's radius in miles
@@ -28,6 +31,10 @@ const DEFAULT_WEIGHTS = {
   value: 0.10           // 10% weight on deal/discount
 };
 
+// Stale tee times (missed a scheduled re-scrape, see src/services/freshness.js)
+// may already be gone, so they rank below equally good fresh ones
+const STALE_SCORE_FACTOR = 0.85;
+
 /**
  * Score a single tee time based on user preferences
  * @param {Object} teeTime - Tee time with course info
@@ -60,13 +67,17 @@ function scoreTeeTime(teeTime, params, context = {}) {
   scores.value = calculateValueScore(teeTime, params);
 
   // Calculate weighted total score
-  const totalScore =
+  let totalScore =
     scores.price * weights.price +
     scores.time_match * weights.time_match +
     scores.distance * weights.distance +
     scores.quality * weights.quality +
     scores.value * weights.value;
 
+  if (teeTime.freshness?.is_stale) {
+    totalScore *= STALE_SCORE_FACTOR;
+  }
+
   return {
     ...teeTime,
     scores,
@@ -276,10 +287,15 @@ function rankTeeTimes(teeTimes, params, context = {}) {
 }
 
 /**
- * Filter tee times based on hard constraints
+ * Filter tee times based on hard constraints.
+ * A party bigger than one tee time holds ("8 guys Saturday") gets the first
+ * slot of each set of adjacent slots that seats them, with the whole set as
+ * tt.group (see src/services/tee-time-groups.js)
  */
 function filterTeeTimes(teeTimes, params) {
-  return teeTimes.filter(tt => {
+  const isGroup = params.players > MAX_PLAYERS_PER_SLOT;
+
+  const filtered = teeTimes.filter(tt => {
     // Price filter
     if (params.max_price && tt.price > params.max_price) return false;
     if (params.min_price && tt.price < params.min_price) return false;
@@ -318,7 +334,7 @@ function filterTeeTimes(teeTimes, params) {
     }
 
     // Players filter
-    if (params.players && tt.players && tt.players < params.players) {
+    if (!isGroup && params.players && tt.players && tt.players < params.players) {
       return false;
     }
 
@@ -329,6 +345,19 @@ function filterTeeTimes(teeTimes, params) {
 
     return true;
   });
+
+  if (!isGroup) return filtered;
+
+  return findTeeTimeGroups(mergeTeeTimeSources(filtered), { partySize: params.players }).map(group => ({
+    ...group.slots[0],
+    group: {
+      party_size: group.party_size,
+      slots: group.slots.map(s => ({ id: s.id, time: s.time, players: s.assigned_players, price: s.price, booking_url: s.booking_url })),
+      span_minutes: group.span_minutes,
+      total_price: group.total_price,
+      price_per_player: group.price_per_player
+    }
+  }));
 }
 
 /**
@@ -350,7 +379,8 @@ function processTeeTimes(teeTimes, params, context = {}) {
       dates: params.dates,
       time_range: params.time_range,
       location: params.location,
-      course_names: params.course_names
+      course_names: params.course_names,
+      players: params.players
     }
   };
 }
@@ -361,5 +391,6 @@ module.exports = {
   filterTeeTimes,
   processTeeTimes,
   calculateDistance,
-  DEFAULT_WEIGHTS
+  DEFAULT_WEIGHTS,
+  STALE_SCORE_FACTOR
 };
@@ -0,0 +1,118 @@
+/**
+ * Public API v1 - API Key Authentication
+ *
+ * Clients send their key as X-API-Key (or Authorization: Bearer <key>).
+ * Requests pass, in order:
+ *   1. a per-IP limit on failed authentications (stops key guessing)
+ *   2. key lookup - unknown or revoked keys are unauthorized
+ *   3. the key's per-minute rate limit
+ *   4. the key's daily quota, which also records usage
+ * Scope checks happen per route (see ROUTES in ./index.js).
+ */
+
+const rateLimit = require('express-rate-limit');
+const { ApiError } = require('./http');
+const { findApiKey, recordApiKeyUsage } = require('../../services/api-keys');
+
+const AUTH_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_AUTH_FAILURES = 30;
+
+/**
+ * @param {Object} req
+ * @returns {string|null} Key from X-API-Key or a Bearer token
+ */
+function readApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const auth = req.get('authorization');
+  if (auth && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return null;
+}
+
+/**
+ * Forward limiter rejections to the v1 error handler
+ */
+const rejectWith = (message) => (req, res, next) => next(new ApiError('rate_limited', message(req)));
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.db - libsql client
+ * @param {Function} deps.getPacificDate - Day the quota counts against
+ * @returns {Array<Function>} Middleware, in order
+ */
+function createApiKeyAuth({ db, getPacificDate }) {
+  const authFailureLimiter = rateLimit({
+    windowMs: AUTH_FAILURE_WINDOW_MS,
+    limit: MAX_AUTH_FAILURES,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: rejectWith(() => 'Too many requests with an invalid API key. Please try again later.')
+  });
+
+  const authenticate = async (req, res, next) => {
+    try {
+      const key = readApiKey(req);
+      if (!key) {
+        throw new ApiError('unauthorized', 'API key required. Send it in the X-API-Key header.');
+      }
+
+      const apiKey = await findApiKey(db, key);
+      if (!apiKey) {
+        throw new ApiError('unauthorized', 'Invalid API key');
+      }
+      if (apiKey.status !== 'active') {
+        throw new ApiError('unauthorized', 'API key has been revoked');
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const keyRateLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    limit: (req) => req.apiKey.rate_limit_per_minute,
+    keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: rejectWith(req => `Rate limit of ${req.apiKey.rate_limit_per_minute} requests per minute exceeded`)
+  });
+
+  const enforceQuota = async (req, res, next) => {
+    try {
+      const usage = await recordApiKeyUsage(db, req.apiKey, getPacificDate());
+      res.set('X-Quota-Limit', String(req.apiKey.daily_quota));
+      res.set('X-Quota-Remaining', String(usage.remaining));
+      if (!usage.allowed) {
+        throw new ApiError('rate_limited', `Daily quota of ${req.apiKey.daily_quota} requests exceeded. Resets at midnight Pacific.`);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return [authFailureLimiter, authenticate, keyRateLimiter, enforceQuota];
+}
+
+/**
+ * @param {Object} apiKey - req.apiKey
+ * @param {string} [scope] - Scope the route needs
+ * @throws {ApiError} forbidden
+ */
+function requireScope(apiKey, scope) {
+  if (scope && !apiKey.scopes.includes(scope)) {
+    throw new ApiError('forbidden', `API key lacks the ${scope} scope`);
+  }
+}
+
+module.exports = {
+  readApiKey,
+  createApiKeyAuth,
+  requireScope
+};
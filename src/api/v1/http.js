@@ -0,0 +1,160 @@
+/**
+ * Public API v1 - Response Conventions
+ *
+ * Every /api/v1 response is JSON in one of two shapes:
+ *   success  { data, meta }             meta.pagination on list endpoints
+ *   error    { error: { code, message, details? } }
+ *
+ * Lists page with an opaque cursor: pass meta.pagination.next_cursor back as
+ * ?cursor= until has_more is false.
+ */
+
+const { z } = require('zod');
+
+/** HTTP status for each error code */
+const ERROR_STATUS = {
+  invalid_request: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  gone: 410,
+  rate_limited: 429,
+  internal_error: 500,
+  upstream_error: 502,
+  upstream_timeout: 504
+};
+
+const STATUS_CODES = Object.fromEntries(Object.entries(ERROR_STATUS).map(([code, status]) => [status, code]));
+
+class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_STATUS
+   * @param {string} message - Human readable message
+   * @param {Array|Object} [details] - e.g. validation issues
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+/**
+ * @param {string} code
+ * @param {string} message
+ * @param {Array|Object} [details]
+ * @returns {Object} Error body
+ */
+function errorBody(code, message, details) {
+  return { error: details === undefined ? { code, message } : { code, message, details } };
+}
+
+/**
+ * Error code for an HTTP status (for wrapping handlers that only set a status)
+ * @param {number} status
+ * @returns {string}
+ */
+function codeForStatus(status) {
+  if (STATUS_CODES[status]) return STATUS_CODES[status];
+  return status >= 500 ? 'internal_error' : 'invalid_request';
+}
+
+/**
+ * Parse a request part against a zod schema
+ * @param {Object} schema - zod schema
+ * @param {Object} input - req.query or req.params
+ * @param {string} location - "query" or "path" (reported in error details)
+ * @returns {Object} Parsed values
+ * @throws {ApiError} invalid_request listing every problem
+ */
+function validate(schema, input, location) {
+  const result = schema.safeParse(input);
+  if (!result.success) {
+    throw new ApiError('invalid_request', `Invalid ${location} parameters`, result.error.issues.map(issue => ({
+      location,
+      field: issue.path.join('.'),
+      message: issue.message
+    })));
+  }
+  return result.data;
+}
+
+/**
+ * @param {Array} values - Sort key of the last item on the page
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @param {number} length - Expected number of sort key values
+ * @returns {Array}
+ * @throws {ApiError} invalid_request for a malformed cursor
+ */
+function decodeCursor(cursor, length) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === length) return values;
+  } catch (e) {
+    // Fall through
+  }
+  throw new ApiError('invalid_request', 'Invalid cursor', [{ location: 'query', field: 'cursor', message: 'Cursor is malformed or expired' }]);
+}
+
+/**
+ * Trim a limit+1 query result to a page and describe it
+ * @param {Array} rows - Up to limit + 1 rows
+ * @param {number} limit
+ * @param {Function} keyOf - row => sort key values for the cursor
+ * @returns {Object} { items, pagination: { limit, has_more, next_cursor } }
+ */
+function paginate(rows, limit, keyOf) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items,
+    pagination: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(keyOf(items[items.length - 1])) : null
+    }
+  };
+}
+
+/** Shared query parameters for paginated lists */
+const paginationQuery = {
+  limit: z.coerce.number().int().min(1).max(200).default(50).describe('Page size (1-200)'),
+  cursor: z.string().optional().describe('next_cursor from the previous page')
+};
+
+/**
+ * Express error middleware for the v1 router
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err instanceof ApiError) {
+    return res.status(err.status).json(errorBody(err.code, err.message, err.details));
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(errorBody('invalid_request', 'Request body is not valid JSON'));
+  }
+  console.error('API v1 error:', err);
+  res.status(500).json(errorBody('internal_error', 'Something went wrong'));
+}
+
+module.exports = {
+  ERROR_STATUS,
+  ApiError,
+  errorBody,
+  codeForStatus,
+  validate,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  paginationQuery,
+  errorHandler
+};
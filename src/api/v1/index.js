@@ -0,0 +1,304 @@
+/**
+ * Public API v1
+ *
+ * Versioned, documented REST surface over the same tables the web app reads:
+ * courses, tee times, deals and per-course conditions (weather, tides, air
+ * quality, daylight). Unlike the internal /api routes the shapes here are a
+ * contract - fields are only ever added within v1.
+ *
+ * Every route is declared once in ROUTES; the router validates against the
+ * route's zod schemas and ./openapi.js documents from the same table
+ * (served at /api/v1/openapi.json). Everything but the spec needs an API key
+ * (./auth.js) holding the route's scope, if it declares one.
+ */
+
+const express = require('express');
+const { ApiError, codeForStatus, validate, decodeCursor, paginate, errorHandler } = require('./http');
+const schemas = require('./schemas');
+const { buildOpenApiDocument } = require('./openapi');
+const { createApiKeyAuth, requireScope } = require('./auth');
+const { API_KEY_SCOPES } = require('../../services/api-keys');
+
+const TEE_TIME_COLUMNS = 't.*, c.name as course_name, c.city, c.region, c.slug as course_slug';
+const DISCOUNT_PCT = 'ROUND((t.original_price - t.price) * 100.0 / t.original_price, 0)';
+
+/**
+ * @param {Object} db
+ * @param {string} idOrSlug
+ * @returns {Promise<Object>} courses row
+ * @throws {ApiError} not_found
+ */
+async function findCourse(db, idOrSlug) {
+  const result = /^\d+$/.test(idOrSlug)
+    ? await db.execute({ sql: 'SELECT * FROM courses WHERE id = ?', args: [parseInt(idOrSlug)] })
+    : await db.execute({ sql: 'SELECT * FROM courses WHERE slug = ?', args: [idOrSlug] });
+
+  if (!result.rows.length) {
+    throw new ApiError('not_found', `Course "${idOrSlug}" not found`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Keyset-paginated tee times, soonest first
+ * @param {Object} deps - See createV1Router
+ * @param {Object} query - Parsed teeTimeListQuery / courseTeeTimeQuery
+ * @returns {Promise<Object>} { items, pagination }
+ */
+async function listTeeTimes(deps, query) {
+  const { db, getPacificNow, hideSynthetic, annotateTeeTimes, ensureTeeTimesExist } = deps;
+  await ensureTeeTimesExist();
+
+  let sql = `SELECT ${TEE_TIME_COLUMNS}
+    FROM tee_times t
+    JOIN courses c ON t.course_id = c.id
+    WHERE t.datetime >= ? AND t.is_booked = 0${hideSynthetic()}`;
+  const args = [getPacificNow()];
+
+  const filters = [
+    ['date', 't.date = ?'],
+    ['from', 't.date >= ?'],
+    ['to', 't.date <= ?'],
+    ['region', 'c.region = ?'],
+    ['course_id', 't.course_id = ?'],
+    ['min_price', 't.price >= ?'],
+    ['max_price', 't.price <= ?'],
+    ['players', 't.players >= ?'],
+    ['holes', 't.holes = ?']
+  ];
+  for (const [param, clause] of filters) {
+    if (query[param] !== undefined) {
+      sql += ` AND ${clause}`;
+      args.push(query[param]);
+    }
+  }
+
+  if (query.cursor) {
+    const [datetime, id] = decodeCursor(query.cursor, 2);
+    sql += ' AND (t.datetime > ? OR (t.datetime = ? AND t.id > ?))';
+    args.push(datetime, datetime, id);
+  }
+
+  sql += ` ORDER BY t.datetime, t.id LIMIT ${query.limit + 1}`;
+
+  const result = await db.execute({ sql, args });
+  const page = paginate(result.rows, query.limit, row => [row.datetime, row.id]);
+  return { ...page, items: annotateTeeTimes(page.items).map(schemas.toTeeTime) };
+}
+
+/**
+ * Run one of the legacy /api environment handlers and capture its response
+ * instead of sending it, so v1 can re-wrap it. Header calls (Cache-Control)
+ * pass straight through.
+ * @returns {Promise<Object>} { status, body }
+ */
+function captureLegacyResponse(handler, req, res, params) {
+  return new Promise((resolve, reject) => {
+    let status = 200;
+    const capture = {
+      set(...args) { res.set(...args); return capture; },
+      status(code) { status = code; return capture; },
+      json(body) { resolve({ status, body }); return capture; }
+    };
+    const legacyReq = Object.create(req, { params: { value: params } });
+    Promise.resolve(handler(legacyReq, capture)).catch(reject);
+  });
+}
+
+/**
+ * Route for a per-course conditions endpoint backed by a legacy handler
+ */
+function conditionsRoute(path, operationId, summary, handlerName, query) {
+  return {
+    method: 'get',
+    path,
+    operationId,
+    summary,
+    tag: 'Conditions',
+    scope: API_KEY_SCOPES.CONDITIONS,
+    params: schemas.courseParams,
+    query,
+    response: 'Conditions',
+    async handler({ params, req, res }, deps) {
+      const { status, body } = await captureLegacyResponse(deps.handlers[handlerName], req, res, { courseId: params.course });
+      if (status >= 400) {
+        // The legacy handlers answer 500 when the upstream service fails
+        const code = status === 500 ? 'upstream_error' : codeForStatus(status);
+        throw new ApiError(code, body.error || 'Request failed');
+      }
+      return { data: body };
+    }
+  };
+}
+
+const ROUTES = [
+  {
+    method: 'get',
+    path: '/courses',
+    operationId: 'listCourses',
+    summary: 'List courses',
+    tag: 'Courses',
+    query: schemas.courseListQuery,
+    response: 'Course',
+    paginated: true,
+    async handler({ query }, { db }) {
+      let sql = 'SELECT * FROM courses c WHERE 1 = 1';
+      const args = [];
+
+      if (query.region) {
+        sql += ' AND c.region = ?';
+        args.push(query.region);
+      }
+      if (query.staff_picks) {
+        sql += ' AND c.is_staff_pick = 1';
+      }
+      if (query.cursor) {
+        const [name, id] = decodeCursor(query.cursor, 2);
+        sql += ' AND (c.name > ? OR (c.name = ? AND c.id > ?))';
+        args.push(name, name, id);
+      }
+      sql += ` ORDER BY c.name, c.id LIMIT ${query.limit + 1}`;
+
+      const result = await db.execute({ sql, args });
+      const { items, pagination } = paginate(result.rows, query.limit, row => [row.name, row.id]);
+      return { data: items.map(schemas.toCourse), meta: { pagination } };
+    }
+  },
+  {
+    method: 'get',
+    path: '/courses/:course',
+    operationId: 'getCourse',
+    summary: 'Get a course by id or slug',
+    tag: 'Courses',
+    params: schemas.courseParams,
+    response: 'Course',
+    async handler({ params }, { db }) {
+      return { data: schemas.toCourse(await findCourse(db, params.course)) };
+    }
+  },
+  {
+    method: 'get',
+    path: '/courses/:course/tee-times',
+    operationId: 'listCourseTeeTimes',
+    summary: 'List open tee times at a course',
+    tag: 'Tee Times',
+    scope: API_KEY_SCOPES.TEE_TIMES,
+    params: schemas.courseParams,
+    query: schemas.courseTeeTimeQuery,
+    response: 'TeeTime',
+    paginated: true,
+    async handler({ params, query }, deps) {
+      const course = await findCourse(deps.db, params.course);
+      const { items, pagination } = await listTeeTimes(deps, { ...query, course_id: course.id });
+      return { data: items, meta: { pagination } };
+    }
+  },
+  conditionsRoute('/courses/:course/weather', 'getCourseWeather', 'Current weather and hourly forecast at a course', 'weather'),
+  conditionsRoute('/courses/:course/tides', 'getCourseTides', 'Tide predictions at the nearest NOAA station', 'tides'),
+  conditionsRoute('/courses/:course/air-quality', 'getCourseAirQuality', 'Current air quality at a course', 'airQuality'),
+  conditionsRoute('/courses/:course/daylight', 'getCourseDaylight', 'Sunrise, sunset and golden hour at a course', 'daylight', schemas.daylightQuery),
+  {
+    method: 'get',
+    path: '/tee-times',
+    operationId: 'listTeeTimes',
+    summary: 'Search open tee times across courses',
+    tag: 'Tee Times',
+    scope: API_KEY_SCOPES.TEE_TIMES,
+    query: schemas.teeTimeListQuery,
+    response: 'TeeTime',
+    paginated: true,
+    async handler({ query }, deps) {
+      const { items, pagination } = await listTeeTimes(deps, query);
+      return { data: items, meta: { pagination } };
+    }
+  },
+  {
+    method: 'get',
+    path: '/deals',
+    operationId: 'listDeals',
+    summary: 'Discounted tee times, biggest discount first',
+    tag: 'Tee Times',
+    scope: API_KEY_SCOPES.DEALS,
+    query: schemas.dealListQuery,
+    response: 'Deal',
+    paginated: true,
+    async handler({ query }, deps) {
+      const { db, getPacificNow, hideSynthetic, annotateTeeTimes, ensureTeeTimesExist } = deps;
+      await ensureTeeTimesExist();
+
+      let sql = `SELECT ${TEE_TIME_COLUMNS},
+          (t.original_price - t.price) as savings,
+          ${DISCOUNT_PCT} as discount_pct
+        FROM tee_times t
+        JOIN courses c ON t.course_id = c.id
+        WHERE t.datetime >= ?
+          AND t.is_booked = 0${hideSynthetic()}
+          AND t.original_price IS NOT NULL
+          AND t.price < t.original_price`;
+      const args = [getPacificNow()];
+
+      if (query.region) {
+        sql += ' AND c.region = ?';
+        args.push(query.region);
+      }
+      if (query.cursor) {
+        const [discountPct, id] = decodeCursor(query.cursor, 2);
+        sql += ` AND (${DISCOUNT_PCT} < ? OR (${DISCOUNT_PCT} = ? AND t.id > ?))`;
+        args.push(discountPct, discountPct, id);
+      }
+      sql += ` ORDER BY discount_pct DESC, t.id LIMIT ${query.limit + 1}`;
+
+      const result = await db.execute({ sql, args });
+      const { items, pagination } = paginate(result.rows, query.limit, row => [row.discount_pct, row.id]);
+      return { data: annotateTeeTimes(items).map(schemas.toDeal), meta: { pagination } };
+    }
+  }
+];
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.db - libsql client
+ * @param {Function} deps.getPacificNow
+ * @param {Function} deps.getPacificDate
+ * @param {Function} deps.hideSynthetic - Synthetic tee time SQL filter
+ * @param {Function} deps.annotateTeeTimes - Adds provenance and freshness
+ * @param {Function} deps.ensureTeeTimesExist
+ * @param {Object} deps.handlers - Legacy { weather, tides, airQuality, daylight } handlers
+ * @returns {express.Router}
+ */
+function createV1Router(deps) {
+  const router = express.Router();
+  const openApiDocument = buildOpenApiDocument(ROUTES);
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  router.use(createApiKeyAuth(deps));
+
+  for (const route of ROUTES) {
+    router[route.method](route.path, async (req, res, next) => {
+      try {
+        requireScope(req.apiKey, route.scope);
+        const params = route.params ? validate(route.params, req.params, 'path') : {};
+        const query = route.query ? validate(route.query, req.query, 'query') : {};
+        const { data, meta = {} } = await route.handler({ params, query, req, res }, deps);
+        res.json({ data, meta });
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  router.use((req, res, next) => {
+    next(new ApiError('not_found', `No v1 endpoint for ${req.method} ${req.path}`));
+  });
+  router.use(errorHandler);
+
+  return router;
+}
+
+module.exports = {
+  ROUTES,
+  createV1Router
+};
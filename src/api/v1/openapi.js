@@ -0,0 +1,172 @@
+/**
+ * Public API v1 - OpenAPI Document
+ *
+ * Generated from the route table in ./index.js: path and query parameters
+ * come from each route's zod request schemas and response bodies reference
+ * the schemas registered in ./schemas.js, so the spec can't drift from the
+ * validation that actually runs.
+ */
+
+const { z } = require('zod');
+const { apiSchemas } = require('./schemas');
+
+const SAFE_INTEGER_BOUNDS = [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER];
+
+const ERROR_RESPONSES = {
+  400: 'Invalid request parameters',
+  401: 'Missing, invalid or revoked API key',
+  403: 'API key lacks the required scope',
+  404: 'Resource not found',
+  429: 'Rate limit exceeded',
+  500: 'Unexpected server error'
+};
+
+/**
+ * Drop JSON Schema noise zod emits that OpenAPI tooling doesn't need
+ * ($schema, $id, safe-integer bounds on every integer)
+ */
+function tidy(schema) {
+  if (Array.isArray(schema)) return schema.map(tidy);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === '$schema' || key === '$id') continue;
+    if ((key === 'minimum' || key === 'maximum') && SAFE_INTEGER_BOUNDS.includes(value)) continue;
+    out[key] = tidy(value);
+  }
+  return out;
+}
+
+/**
+ * Express path to OpenAPI path: /courses/:course -> /courses/{course}
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z_]+)/g, '{$1}');
+}
+
+function parametersFor(schema, location) {
+  if (!schema) return [];
+  const json = tidy(z.toJSONSchema(schema, { io: 'input' }));
+  const required = new Set(json.required || []);
+  return Object.entries(json.properties || {}).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.has(name),
+      ...(description ? { description } : {}),
+      schema: rest
+    };
+  });
+}
+
+function responseFor(route) {
+  const ref = { $ref: `#/components/schemas/${route.response}` };
+  const properties = {
+    data: route.paginated ? { type: 'array', items: ref } : ref,
+    meta: route.paginated
+      ? { type: 'object', properties: { pagination: { $ref: '#/components/schemas/Pagination' } }, required: ['pagination'] }
+      : { type: 'object' }
+  };
+  return {
+    description: 'Success',
+    content: { 'application/json': { schema: { type: 'object', properties, required: ['data', 'meta'] } } }
+  };
+}
+
+/**
+ * @param {Array<Object>} routes - Route table from ./index.js
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument(routes) {
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+
+    const responses = { 200: responseFor(route) };
+    for (const [status, description] of Object.entries(ERROR_RESPONSES)) {
+      responses[status] = { $ref: `#/components/responses/Error${status}`, description };
+    }
+
+    paths[path][route.method] = {
+      operationId: route.operationId,
+      summary: route.summary,
+      ...(route.scope ? { description: `Requires the \`${route.scope}\` scope.` } : {}),
+      tags: [route.tag],
+      parameters: [...parametersFor(route.params, 'path'), ...parametersFor(route.query, 'query')],
+      responses
+    };
+  }
+
+  const { schemas } = z.toJSONSchema(apiSchemas, { uri: id => `#/components/schemas/${id}` });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Golf The Bay API',
+      version: '1.0.0',
+      description: 'Tee times, courses, deals and course conditions for Bay Area public golf. ' +
+        'Successful responses are { data, meta }; errors are { error: { code, message, details } }. ' +
+        'Lists are cursor paginated: pass meta.pagination.next_cursor as ?cursor= until has_more is false. ' +
+        'Send your API key in the X-API-Key header; each key has a per-minute rate limit and a daily quota ' +
+        '(X-Quota-Limit / X-Quota-Remaining headers).'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ ApiKeyAuth: [] }],
+    tags: [...new Set(routes.map(r => r.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        ...tidy(schemas),
+        Pagination: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer' },
+            has_more: { type: 'boolean' },
+            next_cursor: { type: ['string', 'null'] }
+          },
+          required: ['limit', 'has_more', 'next_cursor']
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: {
+                  type: 'string',
+                  enum: ['invalid_request', 'unauthorized', 'forbidden', 'not_found', 'gone', 'rate_limited',
+                    'internal_error', 'upstream_error', 'upstream_timeout']
+                },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { location: { type: 'string' }, field: { type: 'string' }, message: { type: 'string' } }
+                  }
+                }
+              },
+              required: ['code', 'message']
+            }
+          },
+          required: ['error']
+        }
+      },
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+        `Error${status}`,
+        { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      ]))
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  toOpenApiPath
+};
@@ -0,0 +1,195 @@
+/**
+ * Public API v1 - Schemas
+ *
+ * zod schemas for request validation and for the response objects documented
+ * in the OpenAPI spec (see ./openapi.js). Row mappers keep internal columns
+ * (is_booked, is_synthetic, scrape bookkeeping) out of the public surface.
+ */
+
+const { z } = require('zod');
+const { paginationQuery } = require('./http');
+
+// Response objects published under components.schemas in the OpenAPI spec
+const apiSchemas = z.registry();
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+const booleanFlag = z.enum(['true', 'false']).transform(value => value === 'true');
+
+// ========== REQUESTS ==========
+
+const courseParams = z.object({
+  course: z.string().min(1).describe('Course id or slug')
+});
+
+const courseListQuery = z.object({
+  region: z.string().min(1).optional().describe('Region name, e.g. "San Francisco"'),
+  staff_picks: booleanFlag.optional().describe('Only staff picks'),
+  ...paginationQuery
+});
+
+const teeTimeFilters = {
+  date: isoDate.optional().describe('Only this date (Pacific)'),
+  from: isoDate.optional().describe('Earliest date (Pacific)'),
+  to: isoDate.optional().describe('Latest date (Pacific)'),
+  min_price: z.coerce.number().min(0).optional().describe('Minimum green fee in USD'),
+  max_price: z.coerce.number().min(0).optional().describe('Maximum green fee in USD'),
+  players: z.coerce.number().int().min(1).max(4).optional().describe('Open spots needed'),
+  holes: z.enum(['9', '18']).transform(Number).optional().describe('9 or 18 holes')
+};
+
+const courseTeeTimeQuery = z.object({
+  ...teeTimeFilters,
+  ...paginationQuery
+});
+
+const teeTimeListQuery = z.object({
+  ...teeTimeFilters,
+  region: z.string().min(1).optional().describe('Region name'),
+  course_id: z.coerce.number().int().positive().optional().describe('Course id'),
+  ...paginationQuery
+});
+
+const dealListQuery = z.object({
+  region: z.string().min(1).optional().describe('Region name'),
+  ...paginationQuery
+});
+
+const daylightQuery = z.object({
+  date: isoDate.optional().describe('Date (defaults to today)')
+});
+
+// ========== RESPONSES ==========
+
+const CourseSummary = z.object({
+  id: z.number().int(),
+  slug: z.string().nullable(),
+  name: z.string(),
+  city: z.string().nullable(),
+  region: z.string().nullable()
+});
+
+const Course = CourseSummary.extend({
+  holes: z.number().int().nullable(),
+  par: z.number().int().nullable(),
+  yardage: z.number().int().nullable(),
+  slope_rating: z.number().nullable(),
+  course_rating: z.number().nullable(),
+  latitude: z.number().nullable(),
+  longitude: z.number().nullable(),
+  phone_number: z.string().nullable(),
+  website_url: z.string().nullable(),
+  booking_url: z.string().nullable(),
+  booking_system: z.string().nullable(),
+  avg_rating: z.number().nullable(),
+  total_reviews: z.number().int().nullable(),
+  photo_url: z.string().nullable(),
+  is_staff_pick: z.boolean(),
+  booking_window_days: z.number().int().nullable().describe('Days ahead the course takes bookings (null: provider default)')
+}).register(apiSchemas, { id: 'Course' });
+
+const Freshness = z.object({
+  source: z.string().nullable(),
+  last_scraped_at: z.string().nullable().describe('ISO 8601 time the course-date was last scraped'),
+  age_minutes: z.number().int().nullable(),
+  is_stale: z.boolean().describe('Missed a scheduled re-scrape; the slot may already be gone')
+}).register(apiSchemas, { id: 'Freshness' });
+
+const TeeTime = z.object({
+  id: z.number().int(),
+  course: CourseSummary,
+  date: z.string().describe('YYYY-MM-DD (Pacific)'),
+  time: z.string().describe('HH:MM (Pacific)'),
+  datetime: z.string().describe('YYYY-MM-DD HH:MM (Pacific)'),
+  holes: z.number().int().nullable(),
+  players: z.number().int().nullable().describe('Open spots'),
+  price: z.number().nullable(),
+  original_price: z.number().nullable(),
+  has_cart: z.boolean(),
+  booking_url: z.string().nullable(),
+  source: z.string().describe('Booking system the slot was scraped from'),
+  provenance: z.enum(['scraped', 'synthetic']),
+  freshness: Freshness
+}).register(apiSchemas, { id: 'TeeTime' });
+
+const Deal = TeeTime.extend({
+  savings: z.number(),
+  discount_pct: z.number()
+}).register(apiSchemas, { id: 'Deal' });
+
+// Weather, tides, air quality and daylight pass through the upstream shape
+const Conditions = z.object({
+  course: z.object({ id: z.number().int(), name: z.string() })
+}).catchall(z.unknown()).register(apiSchemas, { id: 'Conditions' });
+
+// ========== ROW MAPPERS ==========
+
+const COURSE_FIELDS = Object.keys(Course.shape);
+
+/**
+ * @param {Object} row - courses row
+ * @returns {Object} Course
+ */
+function toCourse(row) {
+  const course = {};
+  for (const field of COURSE_FIELDS) {
+    course[field] = row[field] ?? null;
+  }
+  course.is_staff_pick = Boolean(row.is_staff_pick);
+  return course;
+}
+
+/**
+ * @param {Object} row - tee_times row joined with course columns, annotated
+ *   with provenance and freshness
+ * @returns {Object} TeeTime
+ */
+function toTeeTime(row) {
+  return {
+    id: row.id,
+    course: {
+      id: row.course_id,
+      slug: row.course_slug ?? null,
+      name: row.course_name,
+      city: row.city ?? null,
+      region: row.region ?? null
+    },
+    date: row.date,
+    time: row.time,
+    datetime: row.datetime,
+    holes: row.holes ?? null,
+    players: row.players ?? null,
+    price: row.price ?? null,
+    original_price: row.original_price ?? null,
+    has_cart: Boolean(row.has_cart),
+    booking_url: row.booking_url ?? null,
+    source: row.source,
+    provenance: row.provenance,
+    freshness: row.freshness
+  };
+}
+
+/**
+ * @param {Object} row - As toTeeTime, plus savings and discount_pct
+ * @returns {Object} Deal
+ */
+function toDeal(row) {
+  return { ...toTeeTime(row), savings: row.savings, discount_pct: row.discount_pct };
+}
+
+module.exports = {
+  apiSchemas,
+  courseParams,
+  courseListQuery,
+  courseTeeTimeQuery,
+  teeTimeListQuery,
+  dealListQuery,
+  daylightQuery,
+  Course,
+  TeeTime,
+  Deal,
+  Freshness,
+  Conditions,
+  toCourse,
+  toTeeTime,
+  toDeal
+};
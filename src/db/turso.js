@@ -1,4 +1,5 @@
 const { createClient } = require('@libsql/client');
+const { ensureObservationTables } = require('../services/tee-time-observations');
 
 // Turso connection - uses environment variables
 const db = createClient({
@@ -42,6 +43,7 @@ async function initSchema() {
       slug TEXT UNIQUE,
       is_staff_pick INTEGER DEFAULT 0,
       staff_pick_order INTEGER,
+      booking_window_days INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -62,6 +64,9 @@ async function initSchema() {
       booking_url TEXT,
       source TEXT,
       scraped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      is_booked INTEGER DEFAULT 0,
+      booked_at DATETIME,
+      is_synthetic INTEGER DEFAULT 0,
       FOREIGN KEY (course_id) REFERENCES courses(id),
       UNIQUE(course_id, datetime, source)
     )
@@ -168,6 +173,9 @@ async function initSchema() {
     )
   `);
 
+  // Append-only price log written by the scrapers
+  await ensureObservationTables(db);
+
   // Add password reset columns if they don't exist
   try {
     await db.execute('ALTER TABLE users ADD COLUMN reset_token TEXT');
@@ -176,6 +184,24 @@ async function initSchema() {
     await db.execute('ALTER TABLE users ADD COLUMN reset_token_expires DATETIME');
   } catch (e) { /* Column already exists */ }
 
+  // Booked-slot flags for tee times that vanish between scrapes
+  try {
+    await db.execute('ALTER TABLE tee_times ADD COLUMN is_booked INTEGER DEFAULT 0');
+  } catch (e) { /* Column already exists */ }
+  try {
+    await db.execute('ALTER TABLE tee_times ADD COLUMN booked_at DATETIME');
+  } catch (e) { /* Column already exists */ }
+
+  // Generated demo tee times (served only with DEMO_MODE=true)
+  try {
+    await db.execute('ALTER TABLE tee_times ADD COLUMN is_synthetic INTEGER DEFAULT 0');
+  } catch (e) { /* Column already exists */ }
+
+  // Days out a course takes bookings (NULL = provider default)
+  try {
+    await db.execute('ALTER TABLE courses ADD COLUMN booking_window_days INTEGER');
+  } catch (e) { /* Column already exists */ }
+
   // Create indexes
   await db.execute('CREATE INDEX IF NOT EXISTS idx_tee_times_datetime ON tee_times(datetime)');
   await db.execute('CREATE INDEX IF NOT EXISTS idx_tee_times_date ON tee_times(date)');
@@ -62,6 +62,7 @@ db.exec(`
     has_cart INTEGER DEFAULT 0,
     booking_url TEXT,
     source TEXT,
+    is_synthetic INTEGER DEFAULT 0,
     scraped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (course_id) REFERENCES courses(id),
     UNIQUE(course_id, datetime, source)
@@ -533,13 +534,17 @@ for (const [courseName, course] of Object.entries(courseMap)) {
 }
 console.log('Generated food items for all courses');
 
-// Generate tee times
+// Generate tee times (tagged synthetic - the API only serves them with DEMO_MODE=true)
 console.log('Generating demo tee times...');
 
+try {
+  db.exec('ALTER TABLE tee_times ADD COLUMN is_synthetic INTEGER DEFAULT 0');
+} catch (e) { /* Column already exists */ }
+
 const insertTeeTime = db.prepare(`
   INSERT OR REPLACE INTO tee_times
-  (course_id, date, time, datetime, holes, players, price, original_price, has_cart, booking_url, source, scraped_at)
-  VALUES (@course_id, @date, @time, @datetime, @holes, @players, @price, @original_price, @has_cart, @booking_url, @source, datetime('now'))
+  (course_id, date, time, datetime, holes, players, price, original_price, has_cart, booking_url, source, is_synthetic, scraped_at)
+  VALUES (@course_id, @date, @time, @datetime, @holes, @players, @price, @original_price, @has_cart, @booking_url, @source, 1, datetime('now'))
 `);
 
 function generateTeeTimes() {
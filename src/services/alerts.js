@@ -0,0 +1,381 @@
+/**
+ * Tee Time Alerts Service
+ *
+ * Saved alert rules ("Saturday mornings at Harding Park under $80 for 4")
+ * are matched against tee_times after every scheduled scrape:
+ * - validateAlertRule: sanitize API input into a rule row
+ * - matchAlertRules: queue one notification per new matching tee time
+ * - sendAlertNotifications: email queued matches through Resend
+ */
+
+const { isDemoMode, syntheticFilter } = require('./tee-time-provenance');
+
+const ALERT_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT,
+    course_id INTEGER,
+    region TEXT,
+    date_from TEXT,
+    date_to TEXT,
+    time_from TEXT,
+    time_to TEXT,
+    max_price REAL,
+    players INTEGER,
+    is_active INTEGER DEFAULT 1,
+    last_matched_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (course_id) REFERENCES courses(id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS alert_notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    course_id INTEGER NOT NULL,
+    datetime TEXT NOT NULL,
+    source TEXT,
+    price REAL,
+    status TEXT DEFAULT 'pending',
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    FOREIGN KEY (rule_id) REFERENCES alert_rules(id),
+    UNIQUE(rule_id, course_id, datetime, source)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_alert_notifications_status ON alert_notifications(status)'
+];
+
+/** Most rules a single user may save */
+const MAX_RULES_PER_USER = 20;
+
+/** Most tee times listed in a single alert email */
+const MAX_TEE_TIMES_PER_EMAIL = 10;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Current Pacific datetime as "YYYY-MM-DD HH:MM" (tee_times are stored in Pacific time)
+ * @returns {string}
+ */
+function getPacificNow() {
+  const pst = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
+  const pad = n => String(n).padStart(2, '0');
+  return `${pst.getFullYear()}-${pad(pst.getMonth() + 1)}-${pad(pst.getDate())} ${pad(pst.getHours())}:${pad(pst.getMinutes())}`;
+}
+
+/**
+ * Create the alert tables if they don't exist
+ * @param {Object} db - libsql client
+ */
+async function ensureAlertTables(db) {
+  for (const sql of ALERT_SCHEMA) {
+    await db.execute(sql);
+  }
+}
+
+/**
+ * Validate alert rule input from the API
+ * @param {Object} input - Request body (camelCase or snake_case keys)
+ * @returns {{ rule: Object|null, error: string|null }}
+ */
+function validateAlertRule(input = {}) {
+  const pick = (camel, snake) => input[camel] ?? input[snake] ?? null;
+  const blank = value => value === null || value === '';
+
+  const courseId = pick('courseId', 'course_id');
+  const region = pick('region', 'region');
+  const dateFrom = pick('dateFrom', 'date_from');
+  const dateTo = pick('dateTo', 'date_to');
+  const timeFrom = pick('timeFrom', 'time_from');
+  const timeTo = pick('timeTo', 'time_to');
+  const maxPrice = pick('maxPrice', 'max_price');
+  const players = pick('players', 'players');
+
+  if (blank(courseId) && blank(region)) {
+    return { rule: null, error: 'A course or region is required' };
+  }
+  if (!blank(courseId) && !Number.isInteger(Number(courseId))) {
+    return { rule: null, error: 'Invalid course' };
+  }
+  for (const date of [dateFrom, dateTo]) {
+    if (!blank(date) && !DATE_PATTERN.test(date)) {
+      return { rule: null, error: 'Dates must be YYYY-MM-DD' };
+    }
+  }
+  if (!blank(dateFrom) && !blank(dateTo) && dateFrom > dateTo) {
+    return { rule: null, error: 'Date window ends before it starts' };
+  }
+  for (const time of [timeFrom, timeTo]) {
+    if (!blank(time) && !TIME_PATTERN.test(time)) {
+      return { rule: null, error: 'Times must be HH:MM (24-hour)' };
+    }
+  }
+  if (!blank(timeFrom) && !blank(timeTo) && timeFrom > timeTo) {
+    return { rule: null, error: 'Time window ends before it starts' };
+  }
+  if (!blank(maxPrice) && !(Number(maxPrice) > 0)) {
+    return { rule: null, error: 'Max price must be a positive number' };
+  }
+  if (!blank(players) && !(Number.isInteger(Number(players)) && players >= 1 && players <= 4)) {
+    return { rule: null, error: 'Players must be between 1 and 4' };
+  }
+
+  const isActive = pick('isActive', 'is_active');
+  const name = pick('name', 'name');
+
+  return {
+    rule: {
+      name: blank(name) ? null : String(name).slice(0, 100),
+      course_id: blank(courseId) ? null : Number(courseId),
+      region: blank(region) ? null : String(region),
+      date_from: blank(dateFrom) ? null : dateFrom,
+      date_to: blank(dateTo) ? null : dateTo,
+      time_from: blank(timeFrom) ? null : timeFrom,
+      time_to: blank(timeTo) ? null : timeTo,
+      max_price: blank(maxPrice) ? null : Number(maxPrice),
+      players: blank(players) ? null : Number(players),
+      is_active: isActive === null ? 1 : (isActive && isActive !== '0' ? 1 : 0)
+    },
+    error: null
+  };
+}
+
+/**
+ * Build the WHERE clause selecting tee times that satisfy a rule
+ * @param {Object} rule - alert_rules row
+ * @param {string} now - Current Pacific datetime ("YYYY-MM-DD HH:MM")
+ * @param {Object} [options]
+ * @param {boolean} [options.demoMode] - Match synthetic demo tee times too (defaults to DEMO_MODE)
+ * @returns {{ sql: string, args: Array }}
+ */
+function buildRuleFilter(rule, now, { demoMode = isDemoMode() } = {}) {
+  let sql = `t.datetime >= ? AND t.is_booked = 0${syntheticFilter('t', demoMode)} AND t.price IS NOT NULL AND t.price > 0`;
+  const args = [now];
+
+  if (rule.course_id) {
+    sql += ' AND t.course_id = ?';
+    args.push(rule.course_id);
+  }
+  if (rule.region) {
+    sql += ' AND c.region = ?';
+    args.push(rule.region);
+  }
+  if (rule.date_from) {
+    sql += ' AND t.date >= ?';
+    args.push(rule.date_from);
+  }
+  if (rule.date_to) {
+    sql += ' AND t.date <= ?';
+    args.push(rule.date_to);
+  }
+  if (rule.time_from) {
+    sql += ' AND t.time >= ?';
+    args.push(rule.time_from);
+  }
+  if (rule.time_to) {
+    sql += ' AND t.time <= ?';
+    args.push(rule.time_to);
+  }
+  if (rule.max_price) {
+    sql += ' AND t.price <= ?';
+    args.push(rule.max_price);
+  }
+  if (rule.players) {
+    sql += ' AND t.players >= ?';
+    args.push(rule.players);
+  }
+
+  return { sql, args };
+}
+
+/**
+ * Queue a notification for every tee time matching an active rule.
+ * A tee time is only ever queued once per rule.
+ * @param {Object} db - libsql client
+ * @param {string} [now] - Current Pacific datetime ("YYYY-MM-DD HH:MM")
+ * @param {Object} [options] - { demoMode } (see buildRuleFilter)
+ * @returns {Promise<{ rules: number, queued: number }>}
+ */
+async function matchAlertRules(db, now = getPacificNow(), options = {}) {
+  await ensureAlertTables(db);
+
+  const rulesResult = await db.execute({
+    sql: 'SELECT * FROM alert_rules WHERE is_active = 1 AND (date_to IS NULL OR date_to >= ?)',
+    args: [now.slice(0, 10)]
+  });
+
+  let queued = 0;
+  for (const rule of rulesResult.rows) {
+    const filter = buildRuleFilter(rule, now, options);
+    const result = await db.execute({
+      sql: `INSERT OR IGNORE INTO alert_notifications (rule_id, user_id, course_id, datetime, source, price)
+            SELECT ?, ?, t.course_id, t.datetime, t.source, t.price
+            FROM tee_times t
+            JOIN courses c ON t.course_id = c.id
+            WHERE ${filter.sql}`,
+      args: [rule.id, rule.user_id, ...filter.args]
+    });
+
+    if (result.rowsAffected > 0) {
+      queued += result.rowsAffected;
+      await db.execute({
+        sql: "UPDATE alert_rules SET last_matched_at = datetime('now') WHERE id = ?",
+        args: [rule.id]
+      });
+    }
+  }
+
+  return { rules: rulesResult.rows.length, queued };
+}
+
+/**
+ * Format "2026-10-24 07:30" as "Sat, Oct 24 at 7:30 AM"
+ * @param {string} datetime
+ * @returns {string}
+ */
+function formatTeeTime(datetime) {
+  const [date, time] = datetime.split(' ');
+  const [hours, minutes] = time.split(':').map(Number);
+  const day = new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const hour12 = hours % 12 || 12;
+  return `${day} at ${hour12}:${String(minutes).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Build the alert email for one user's rule
+ * @param {Object} group - { displayName, ruleName, notifications: [{ course_name, course_slug, datetime, price }] }
+ * @param {string} domain - Site domain for links
+ * @returns {{ subject: string, html: string }}
+ */
+function buildAlertEmail(group, domain) {
+  const shown = group.notifications.slice(0, MAX_TEE_TIMES_PER_EMAIL);
+  const extra = group.notifications.length - shown.length;
+  const label = group.ruleName || 'your tee time alert';
+
+  const rows = shown.map(n => `
+          <tr>
+            <td style="padding: 10px 0; border-bottom: 1px solid #e8efe6; color: #3d2914;">
+              <strong>${n.course_name}</strong><br>
+              <span style="color: #6b5344; font-size: 14px;">${formatTeeTime(n.datetime)}</span>
+            </td>
+            <td style="padding: 10px 0; border-bottom: 1px solid #e8efe6; text-align: right;">
+              <a href="https://${domain}/go/${n.course_slug}" style="color: #2d5a27; font-weight: bold; text-decoration: none;">$${Math.round(n.price)} &rarr;</a>
+            </td>
+          </tr>`).join('');
+
+  return {
+    subject: `${group.notifications.length} new tee time${group.notifications.length === 1 ? '' : 's'} for ${label}`,
+    html: `
+      <div style="font-family: Georgia, serif; max-width: 600px; margin: 0 auto; padding: 40px 20px; background: #f9f6ef;">
+        <div style="background: #2d5a27; padding: 24px; border-radius: 8px 8px 0 0; text-align: center;">
+          <h1 style="color: #f4f1e8; font-size: 28px; margin: 0;">Golf The Bay</h1>
+        </div>
+
+        <div style="background: white; padding: 32px; border-radius: 0 0 8px 8px; border: 1px solid #ddd0bc; border-top: none;">
+          <h2 style="color: #2d5a27; font-size: 22px; margin: 0 0 16px 0;">Hi ${group.displayName || 'Golfer'}, tee times just opened up</h2>
+          <p style="color: #3d2914; font-size: 16px; line-height: 1.6;">These match ${label}:</p>
+
+          <table style="width: 100%; border-collapse: collapse;">${rows}
+          </table>
+          ${extra > 0 ? `<p style="color: #6b5344; font-size: 14px;">+ ${extra} more on <a href="https://${domain}/app.html" style="color: #2d5a27;">Golf The Bay</a></p>` : ''}
+
+          <p style="color: #6b5344; font-size: 13px; margin-top: 32px;">
+            Prices and availability can change quickly. Manage your alerts from your <a href="https://${domain}/account.html" style="color: #2d5a27;">account</a>.
+          </p>
+        </div>
+      </div>
+    `
+  };
+}
+
+/**
+ * Email queued notifications, one message per user and rule
+ * @param {Object} db - libsql client
+ * @param {Object|null} resend - Resend client (notifications stay queued when null)
+ * @param {Object} [options]
+ * @param {string} [options.from] - Sender address
+ * @param {string} [options.domain] - Site domain for links
+ * @param {number} [options.limit] - Max notifications to process per run
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+async function sendAlertNotifications(db, resend, options = {}) {
+  const {
+    from = process.env.RESEND_FROM_EMAIL || 'Golf The Bay <noreply@golfthebay.com>',
+    domain = process.env.PRIMARY_DOMAIN || 'golfthebay.com',
+    limit = 500
+  } = options;
+
+  if (!resend) {
+    console.log('Resend not configured - alert notifications left queued');
+    return { sent: 0, failed: 0 };
+  }
+
+  const pending = await db.execute({
+    sql: `SELECT n.id, n.rule_id, n.user_id, n.datetime, n.price,
+          u.email, u.display_name, r.name as rule_name,
+          c.name as course_name, c.slug as course_slug
+          FROM alert_notifications n
+          JOIN users u ON n.user_id = u.id
+          JOIN alert_rules r ON n.rule_id = r.id
+          JOIN courses c ON n.course_id = c.id
+          WHERE n.status = 'pending'
+          ORDER BY n.rule_id, n.datetime
+          LIMIT ?`,
+    args: [limit]
+  });
+
+  const groups = new Map();
+  for (const n of pending.rows) {
+    if (!groups.has(n.rule_id)) {
+      groups.set(n.rule_id, { email: n.email, displayName: n.display_name, ruleName: n.rule_name, notifications: [] });
+    }
+    groups.get(n.rule_id).notifications.push(n);
+  }
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const group of groups.values()) {
+    const ids = group.notifications.map(n => n.id);
+    const placeholders = ids.map(() => '?').join(',');
+
+    try {
+      const { subject, html } = buildAlertEmail(group, domain);
+      await resend.emails.send({ from, to: group.email, subject, html });
+      await db.execute({
+        sql: `UPDATE alert_notifications SET status = 'sent', sent_at = datetime('now') WHERE id IN (${placeholders})`,
+        args: ids
+      });
+      sent += ids.length;
+    } catch (e) {
+      console.error(`Failed to send alert to ${group.email}:`, e.message);
+      await db.execute({
+        sql: `UPDATE alert_notifications SET status = 'failed', error = ? WHERE id IN (${placeholders})`,
+        args: [e.message, ...ids]
+      });
+      failed += ids.length;
+    }
+  }
+
+  return { sent, failed };
+}
+
+module.exports = {
+  ALERT_SCHEMA,
+  MAX_RULES_PER_USER,
+  ensureAlertTables,
+  validateAlertRule,
+  buildRuleFilter,
+  matchAlertRules,
+  formatTeeTime,
+  buildAlertEmail,
+  sendAlertNotifications
+};
@@ -0,0 +1,241 @@
+/**
+ * Partner API Keys
+ *
+ * Third-party consumers of /api/v1 (clubs, local sites) authenticate with an
+ * issued key. Only a SHA-256 hash of each key is stored - the key itself is
+ * shown once, when it is created or rotated. Each key carries scopes, a
+ * per-minute rate limit and a daily quota; api_key_usage counts requests per
+ * key per Pacific day.
+ */
+
+const crypto = require('crypto');
+
+const API_KEY_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    contact_email TEXT,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,
+    rate_limit_per_minute INTEGER NOT NULL,
+    daily_quota INTEGER NOT NULL,
+    status TEXT DEFAULT 'active',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    rotated_at DATETIME,
+    revoked_at DATETIME,
+    last_used_at DATETIME
+  )`,
+  `CREATE TABLE IF NOT EXISTS api_key_usage (
+    key_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    requests INTEGER DEFAULT 0,
+    PRIMARY KEY (key_id, date),
+    FOREIGN KEY (key_id) REFERENCES api_keys(id)
+  )`
+];
+
+/** What a key may read; /api/v1 routes declare the scope they need */
+const API_KEY_SCOPES = {
+  TEE_TIMES: 'tee_times:read',
+  DEALS: 'deals:read',
+  CONDITIONS: 'conditions:read'
+};
+
+const KEY_PREFIX = 'gtb_';
+/** Characters of the key kept in the clear so admins can tell keys apart */
+const DISPLAY_PREFIX_LENGTH = 12;
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const DEFAULT_DAILY_QUOTA = 5000;
+const MAX_RATE_LIMIT_PER_MINUTE = 1000;
+const MAX_DAILY_QUOTA = 1000000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Create the key and usage tables if they don't exist
+ * @param {Object} db - libsql client
+ */
+async function ensureApiKeyTables(db) {
+  for (const sql of API_KEY_SCHEMA) {
+    await db.execute(sql);
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns {string} Hex SHA-256 of the key
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * @returns {Object} { key, prefix, hash }
+ */
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), hash: hashApiKey(key) };
+}
+
+/**
+ * Validate admin input for a new key
+ * @param {Object} input - { name, contact_email, scopes, rate_limit_per_minute, daily_quota }
+ * @returns {Object} { key, error } - normalized fields, or an error message
+ */
+function validateApiKeyInput(input = {}) {
+  const blank = value => value === undefined || value === null || value === '';
+  const validScopes = Object.values(API_KEY_SCOPES);
+
+  const name = blank(input.name) ? '' : String(input.name).trim();
+  if (!name) {
+    return { key: null, error: 'Name is required' };
+  }
+  if (!blank(input.contact_email) && !EMAIL_PATTERN.test(input.contact_email)) {
+    return { key: null, error: 'Invalid contact email' };
+  }
+
+  const scopes = Array.isArray(input.scopes) ? [...new Set(input.scopes)] : [];
+  if (!scopes.length) {
+    return { key: null, error: `At least one scope is required (${validScopes.join(', ')})` };
+  }
+  const unknown = scopes.filter(scope => !validScopes.includes(scope));
+  if (unknown.length) {
+    return { key: null, error: `Unknown scope: ${unknown.join(', ')}` };
+  }
+
+  const rateLimit = blank(input.rate_limit_per_minute) ? DEFAULT_RATE_LIMIT_PER_MINUTE : Number(input.rate_limit_per_minute);
+  if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT_PER_MINUTE) {
+    return { key: null, error: `Rate limit must be 1-${MAX_RATE_LIMIT_PER_MINUTE} requests per minute` };
+  }
+  const dailyQuota = blank(input.daily_quota) ? DEFAULT_DAILY_QUOTA : Number(input.daily_quota);
+  if (!Number.isInteger(dailyQuota) || dailyQuota < 1 || dailyQuota > MAX_DAILY_QUOTA) {
+    return { key: null, error: `Daily quota must be 1-${MAX_DAILY_QUOTA} requests` };
+  }
+
+  return {
+    key: {
+      name: name.slice(0, 100),
+      contact_email: blank(input.contact_email) ? null : input.contact_email,
+      scopes,
+      rate_limit_per_minute: rateLimit,
+      daily_quota: dailyQuota
+    },
+    error: null
+  };
+}
+
+/**
+ * api_keys row as returned to admins (never includes the hash)
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toApiKeyRecord(row) {
+  const { key_hash, ...record } = row;
+  return { ...record, scopes: row.scopes ? row.scopes.split(',') : [] };
+}
+
+/**
+ * Issue a new key
+ * @param {Object} db - libsql client
+ * @param {Object} fields - Output of validateApiKeyInput
+ * @returns {Promise<Object>} { key, id, prefix } - key is only ever returned here and by rotate
+ */
+async function createApiKey(db, fields) {
+  const { key, prefix, hash } = generateApiKey();
+  const result = await db.execute({
+    sql: `INSERT INTO api_keys (name, contact_email, key_prefix, key_hash, scopes, rate_limit_per_minute, daily_quota)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    args: [fields.name, fields.contact_email, prefix, hash, fields.scopes.join(','), fields.rate_limit_per_minute, fields.daily_quota]
+  });
+  return { key, id: Number(result.lastInsertRowid), prefix };
+}
+
+/**
+ * Replace an active key's secret; the old key stops working immediately
+ * @param {Object} db - libsql client
+ * @param {number} id
+ * @returns {Promise<Object|null>} { key, id, prefix }, or null if no active key has that id
+ */
+async function rotateApiKey(db, id) {
+  const { key, prefix, hash } = generateApiKey();
+  const result = await db.execute({
+    sql: `UPDATE api_keys SET key_prefix = ?, key_hash = ?, rotated_at = datetime('now')
+          WHERE id = ? AND status = 'active'`,
+    args: [prefix, hash, id]
+  });
+  return result.rowsAffected ? { key, id, prefix } : null;
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {number} id
+ * @returns {Promise<boolean>} Whether an active key was revoked
+ */
+async function revokeApiKey(db, id) {
+  const result = await db.execute({
+    sql: "UPDATE api_keys SET status = 'revoked', revoked_at = datetime('now') WHERE id = ? AND status = 'active'",
+    args: [id]
+  });
+  return result.rowsAffected > 0;
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {string} key - Key presented by the client
+ * @returns {Promise<Object|null>} api_keys row (with scopes as an array), or null for an unknown key
+ */
+async function findApiKey(db, key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+  const result = await db.execute({
+    sql: 'SELECT * FROM api_keys WHERE key_hash = ?',
+    args: [hashApiKey(key)]
+  });
+  return result.rows.length ? toApiKeyRecord(result.rows[0]) : null;
+}
+
+/**
+ * Count a request against the key's daily quota
+ * @param {Object} db - libsql client
+ * @param {Object} apiKey - Row from findApiKey
+ * @param {string} date - Pacific YYYY-MM-DD
+ * @returns {Promise<Object>} { allowed, used, remaining } - over-quota requests are counted too
+ */
+async function recordApiKeyUsage(db, apiKey, date) {
+  const [usage] = await db.batch([
+    {
+      sql: `INSERT INTO api_key_usage (key_id, date, requests) VALUES (?, ?, 1)
+            ON CONFLICT(key_id, date) DO UPDATE SET requests = requests + 1
+            RETURNING requests`,
+      args: [apiKey.id, date]
+    },
+    {
+      sql: "UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?",
+      args: [apiKey.id]
+    }
+  ], 'write');
+
+  const used = Number(usage.rows[0].requests);
+  return {
+    allowed: used <= apiKey.daily_quota,
+    used,
+    remaining: Math.max(apiKey.daily_quota - used, 0)
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  DEFAULT_DAILY_QUOTA,
+  ensureApiKeyTables,
+  hashApiKey,
+  generateApiKey,
+  validateApiKeyInput,
+  toApiKeyRecord,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  findApiKey,
+  recordApiKeyUsage
+};
@@ -0,0 +1,364 @@
+/**
+ * Booking Jobs
+ *
+ * Queue and worker that run the booking automation (src/agent/bookers, one
+ * booker per booking system) for pending booking requests. /api/bookings/request enqueues a job;
+ * scripts/booking-worker.js claims jobs one at a time and runs the booker,
+ * recording each status it reports on the booking (see ./bookings.js).
+ *
+ * A claim is a lease: a worker that dies mid-run leaves its job "running"
+ * until the lease expires, when another worker picks it up again. A run
+ * that fails or times out before the booker reaches confirming puts the
+ * booking back to pending and retries after a delay, up to max_attempts;
+ * after that, or once confirming (the booking site may have the order), the
+ * booking fails. Cancelling the booking stops a run at the booker's next step.
+ */
+
+const crypto = require('crypto');
+const {
+  BookingStatus,
+  BookingActor,
+  canTransition,
+  getBooking,
+  transitionBooking,
+  trackBookerStatus
+} = require('./bookings');
+const { resolveBookerClass } = require('../agent/bookers');
+
+const BOOKING_JOB_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS booking_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    run_after TEXT NOT NULL,
+    locked_by TEXT,
+    locked_at TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (booking_id) REFERENCES booking_requests(id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_booking_jobs_due ON booking_jobs(status, run_after)'
+];
+
+const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+/** Wait before attempt 2, 3, ... */
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000];
+const DEFAULT_JOB_TIMEOUT_MS = 3 * 60 * 1000;
+/** A running job whose worker hasn't finished it by then is picked up again */
+const JOB_LEASE_MS = 10 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+const addMs = (iso, ms) => new Date(new Date(iso).getTime() + ms).toISOString();
+
+/**
+ * Create the job table if it doesn't exist. Run after ensureBookingTables.
+ * @param {Object} db - libsql client
+ */
+async function ensureBookingJobTables(db) {
+  for (const sql of BOOKING_JOB_SCHEMA) {
+    await db.execute(sql);
+  }
+}
+
+/**
+ * Whether a booker can book this booking's site - one for the course's
+ * booking system or for the site its booking link is on
+ * @param {Object} booking - Booking record
+ * @returns {boolean}
+ */
+function canAutomateBooking(booking) {
+  return Boolean(booking.bookingUrl) && resolveBookerClass(booking) !== null;
+}
+
+/**
+ * Queue a booking for the worker (once - re-enqueueing is a no-op)
+ * @param {Object} db - libsql client
+ * @param {string} bookingId
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts]
+ * @param {string} [options.now] - ISO timestamp
+ */
+async function enqueueBookingJob(db, bookingId, { maxAttempts = DEFAULT_MAX_ATTEMPTS, now = new Date().toISOString() } = {}) {
+  await db.execute({
+    sql: `INSERT OR IGNORE INTO booking_jobs (booking_id, status, max_attempts, run_after, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?)`,
+    args: [bookingId, JobStatus.QUEUED, maxAttempts, now, now, now]
+  });
+}
+
+/**
+ * Take the next due job: queued and past its run_after, or running on an
+ * expired lease. The conditional update means two workers can't both win.
+ * @param {Object} db - libsql client
+ * @param {string} workerId
+ * @param {Object} [options]
+ * @param {string} [options.now] - ISO timestamp
+ * @returns {Promise<Object|null>} Job row, attempts already counting this one
+ */
+async function claimBookingJob(db, workerId, { now = new Date().toISOString() } = {}) {
+  const leaseExpired = addMs(now, -JOB_LEASE_MS);
+  const due = `(status = '${JobStatus.QUEUED}' AND run_after <= ?) OR (status = '${JobStatus.RUNNING}' AND locked_at <= ?)`;
+
+  const result = await db.execute({
+    sql: `UPDATE booking_jobs
+          SET status = '${JobStatus.RUNNING}', locked_by = ?, locked_at = ?, attempts = attempts + 1, updated_at = ?
+          WHERE id = (SELECT id FROM booking_jobs WHERE ${due} ORDER BY run_after, id LIMIT 1)
+            AND (${due})
+          RETURNING *`,
+    args: [workerId, now, now, now, leaseExpired, now, leaseExpired]
+  });
+  return result.rows[0] || null;
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {number} jobId
+ * @param {string} status - JobStatus.DONE, FAILED or CANCELLED
+ * @param {Object} [options] - { error, now }
+ */
+async function finishBookingJob(db, jobId, status, { error = null, now = new Date().toISOString() } = {}) {
+  await db.execute({
+    sql: `UPDATE booking_jobs SET status = ?, last_error = COALESCE(?, last_error), locked_by = NULL, locked_at = NULL, updated_at = ?
+          WHERE id = ?`,
+    args: [status, error, now, jobId]
+  });
+}
+
+/**
+ * Put a job back in the queue after its retry delay
+ * @param {Object} db - libsql client
+ * @param {Object} job - Claimed job row
+ * @param {string} error
+ * @param {string} [now] - ISO timestamp
+ */
+async function retryBookingJob(db, job, error, now = new Date().toISOString()) {
+  const delay = RETRY_DELAYS_MS[Math.min(job.attempts, RETRY_DELAYS_MS.length) - 1];
+  await db.execute({
+    sql: `UPDATE booking_jobs SET status = ?, run_after = ?, last_error = ?, locked_by = NULL, locked_at = NULL, updated_at = ?
+          WHERE id = ?`,
+    args: [JobStatus.QUEUED, addMs(now, delay), error, now, job.id]
+  });
+}
+
+/**
+ * Reject if the promise hasn't settled in time
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Booking timed out after ${Math.round(ms / 1000)}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * What Booker#book() needs from a booking
+ * @param {Object} booking - Booking record
+ * @returns {Object}
+ */
+function toBookerDetails(booking) {
+  return {
+    bookingUrl: booking.bookingUrl,
+    bookingSystem: booking.bookingSystem,
+    courseName: booking.teeTime.course_name,
+    date: booking.teeTime.date,
+    time: booking.teeTime.time,
+    players: booking.players,
+    contact: booking.contact
+  };
+}
+
+/**
+ * Run one claimed job
+ * @param {Object} db - libsql client
+ * @param {Object} job - From claimBookingJob
+ * @param {Object} options
+ * @param {Function} options.createBooker - (booking) => Booker for the booking's
+ *   system ({ book, close, onStatusChange }), e.g. createBooker from src/agent/bookers
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<Object>} { outcome: 'success' | 'ready_to_confirm' | 'retry' | 'failed' | 'skipped', error }
+ */
+async function runBookingJob(db, job, { createBooker, timeoutMs = DEFAULT_JOB_TIMEOUT_MS }) {
+  let booking = await getBooking(db, job.booking_id);
+  if (!booking) {
+    await finishBookingJob(db, job.id, JobStatus.FAILED, { error: 'Booking not found' });
+    return { outcome: 'skipped', error: 'Booking not found' };
+  }
+
+  // A worker died mid-run: start over from pending
+  if (booking.status !== BookingStatus.PENDING && canTransition(booking.status, BookingStatus.PENDING)) {
+    booking = await transitionBooking(db, booking.id, BookingStatus.PENDING, {
+      details: { reason: 'Previous run did not finish' }
+    });
+  }
+  // ...unless it got as far as confirming, when only the course knows whether it went through
+  if (booking.status === BookingStatus.CONFIRMING) {
+    return handleFailure(db, job, 'Previous run stopped while confirming - check with the course before booking again');
+  }
+  if (booking.status !== BookingStatus.PENDING) {
+    const status = booking.status === BookingStatus.CANCELLED ? JobStatus.CANCELLED : JobStatus.DONE;
+    await finishBookingJob(db, job.id, status);
+    return { outcome: 'skipped', error: null };
+  }
+
+  let booker;
+  try {
+    booker = createBooker(booking);
+  } catch (error) {
+    return handleFailure(db, job, error.message);
+  }
+  // Outcomes are recorded here: failure may be retried, and the final
+  // state is stored with the result book() returns
+  const tracking = trackBookerStatus(db, booking.id, booker, {
+    skip: [BookingStatus.SUCCESS, BookingStatus.READY_TO_CONFIRM, BookingStatus.FAILED]
+  });
+
+  // Stop the browser at the next step if the golfer cancelled
+  booker.onStatusChange(() => {
+    tracking.flush()
+      .then(() => getBooking(db, booking.id))
+      .then(current => {
+        if (current?.status === BookingStatus.CANCELLED) booker.close().catch(() => {});
+      })
+      .catch(() => {});
+  });
+
+  try {
+    const result = await withTimeout(booker.book(toBookerDetails(booking)), timeoutMs);
+    await tracking.flush();
+    // Only a confirmation number means the course has the booking; a form
+    // stopped at the confirm button is left for the golfer to finish
+    if (result?.confirmationNumber) {
+      await transitionBooking(db, booking.id, BookingStatus.SUCCESS, { actor: BookingActor.BOOKER, details: result });
+      await finishBookingJob(db, job.id, JobStatus.DONE);
+      return { outcome: 'success', error: null };
+    }
+    await transitionBooking(db, booking.id, BookingStatus.READY_TO_CONFIRM, {
+      actor: BookingActor.BOOKER,
+      details: { ...result, deepLink: result?.deepLink || booking.bookingUrl }
+    });
+    await finishBookingJob(db, job.id, JobStatus.DONE);
+    return { outcome: 'ready_to_confirm', error: null };
+  } catch (error) {
+    tracking.stop();
+    await tracking.flush();
+    return handleFailure(db, job, error.message);
+  } finally {
+    await booker.close().catch(() => {});
+  }
+}
+
+/**
+ * Retry or fail a job whose booker run threw
+ * @returns {Promise<Object>} { outcome, error }
+ */
+async function handleFailure(db, job, message) {
+  const booking = await getBooking(db, job.booking_id);
+
+  if (booking.status === BookingStatus.CANCELLED) {
+    await finishBookingJob(db, job.id, JobStatus.CANCELLED, { error: message });
+    return { outcome: 'skipped', error: message };
+  }
+
+  const canRetry = booking.status === BookingStatus.PENDING || canTransition(booking.status, BookingStatus.PENDING);
+  if (job.attempts < job.max_attempts && canRetry) {
+    if (booking.status !== BookingStatus.PENDING) {
+      await transitionBooking(db, booking.id, BookingStatus.PENDING, {
+        details: { error: message, attempt: job.attempts }
+      });
+    }
+    await retryBookingJob(db, job, message);
+    return { outcome: 'retry', error: message };
+  }
+
+  if (canTransition(booking.status, BookingStatus.FAILED)) {
+    await transitionBooking(db, booking.id, BookingStatus.FAILED, {
+      actor: BookingActor.SYSTEM,
+      details: { error: message, attempts: job.attempts }
+    });
+  }
+  await finishBookingJob(db, job.id, JobStatus.FAILED, { error: message });
+  return { outcome: 'failed', error: message };
+}
+
+/**
+ * Run due jobs until the queue has none left
+ * @param {Object} db - libsql client
+ * @param {Object} options - See runBookingJob, plus workerId
+ * @returns {Promise<Object>} Counts by outcome
+ */
+async function runDueBookingJobs(db, { workerId = createWorkerId(), ...options }) {
+  const counts = { success: 0, ready_to_confirm: 0, retry: 0, failed: 0, skipped: 0 };
+  let job;
+  while ((job = await claimBookingJob(db, workerId))) {
+    const { outcome, error } = await runBookingJob(db, job, options);
+    counts[outcome]++;
+    console.log(`[Booking worker] ${job.booking_id} attempt ${job.attempts}: ${outcome}${error ? ` (${error})` : ''}`);
+  }
+  return counts;
+}
+
+/**
+ * Poll for jobs until stopped
+ * @param {Object} db - libsql client
+ * @param {Object} options - See runDueBookingJobs, plus pollIntervalMs
+ * @returns {Object} { stop() - resolves once the current job finishes }
+ */
+function startBookingWorker(db, { pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, workerId = createWorkerId(), ...options }) {
+  let running = true;
+  let wake = null;
+
+  const loop = (async () => {
+    while (running) {
+      try {
+        await runDueBookingJobs(db, { workerId, ...options });
+      } catch (error) {
+        console.error('[Booking worker] Poll failed:', error.message);
+      }
+      if (!running) break;
+      await new Promise(resolve => {
+        wake = resolve;
+        setTimeout(resolve, pollIntervalMs);
+      });
+    }
+  })();
+
+  return {
+    stop() {
+      running = false;
+      wake?.();
+      return loop;
+    }
+  };
+}
+
+function createWorkerId() {
+  return `worker_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+module.exports = {
+  JobStatus,
+  DEFAULT_MAX_ATTEMPTS,
+  RETRY_DELAYS_MS,
+  ensureBookingJobTables,
+  canAutomateBooking,
+  enqueueBookingJob,
+  claimBookingJob,
+  runBookingJob,
+  runDueBookingJobs,
+  startBookingWorker
+};
@@ -0,0 +1,232 @@
+/**
+ * Booking Status Stream
+ *
+ * Server-Sent Events behind /api/bookings/:id/events. The booker runs in
+ * scripts/booking-worker.js, not in the API process, so the stream follows
+ * the booking's audit trail (booking_events, see ./bookings.js) rather than
+ * the booker itself: it replays the history, then polls for new events
+ * until the booking reaches a final status.
+ *
+ * Each status event's id is its booking_events id, so a browser that
+ * reconnects (EventSource sends Last-Event-ID) picks up where it left off.
+ * Streams end after MAX_STREAM_MS, before serverless functions are cut off,
+ * and the browser reconnects.
+ *
+ * EventSource can't send an Authorization header, and a session token in a
+ * URL ends up in logs and history, so signed-in golfers open the stream with
+ * a stream token instead: issued by an authenticated POST, good for one
+ * booking and only for STREAM_TOKEN_TTL_MS.
+ */
+
+const crypto = require('crypto');
+const { getBookingEvents, isFinalStatus } = require('./bookings');
+
+const BOOKING_STREAM_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS booking_stream_tokens (
+    token TEXT PRIMARY KEY,
+    booking_id TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (booking_id) REFERENCES booking_requests(id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_booking_stream_tokens_expires ON booking_stream_tokens(expires_at)'
+];
+
+/** Long enough to open a stream and ride out its reconnects, not to be worth stealing */
+const STREAM_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+const STREAM_POLL_INTERVAL_MS = 1000;
+/** Comment line that keeps proxies from closing an idle connection */
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const MAX_STREAM_MS = 4 * 60 * 1000;
+/** Sent as the stream's retry: field */
+const RECONNECT_DELAY_MS = 3000;
+
+const STATUS_MESSAGES = {
+  pending: 'Waiting for the booking assistant',
+  navigating: 'Opening the booking site',
+  selecting_time: 'Selecting your tee time',
+  filling_form: 'Filling in your details',
+  confirming: 'Confirming the booking',
+  success: 'Booked',
+  ready_to_confirm: 'Booking form filled in - finish booking on the course\'s site',
+  failed: 'Booking failed',
+  cancelled: 'Booking cancelled'
+};
+
+/**
+ * Create the stream token table if it doesn't exist. Run after ensureBookingTables.
+ * @param {Object} db - libsql client
+ */
+async function ensureBookingStreamTables(db) {
+  for (const sql of BOOKING_STREAM_SCHEMA) {
+    await db.execute(sql);
+  }
+}
+
+/**
+ * Issue a token that opens one booking's event stream. Check the caller may
+ * see the booking (canAccessBooking) first. Expired tokens are cleared on the way.
+ * @param {Object} db - libsql client
+ * @param {string} bookingId
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs]
+ * @param {string} [options.now] - ISO timestamp
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+async function createStreamToken(db, bookingId, { ttlMs = STREAM_TOKEN_TTL_MS, now = new Date().toISOString() } = {}) {
+  const token = 'bst_' + crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(new Date(now).getTime() + ttlMs).toISOString();
+  await db.batch([
+    { sql: 'DELETE FROM booking_stream_tokens WHERE expires_at <= ?', args: [now] },
+    {
+      sql: 'INSERT INTO booking_stream_tokens (token, booking_id, expires_at, created_at) VALUES (?, ?, ?, ?)',
+      args: [token, bookingId, expiresAt, now]
+    }
+  ], 'write');
+  return { token, expiresAt };
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {string} token - From createStreamToken
+ * @param {string} bookingId - Booking the stream is for
+ * @param {Object} [options]
+ * @param {string} [options.now] - ISO timestamp
+ * @returns {Promise<boolean>} Whether the token opens this booking's stream
+ */
+async function verifyStreamToken(db, token, bookingId, { now = new Date().toISOString() } = {}) {
+  if (!token) return false;
+  const result = await db.execute({
+    sql: 'SELECT 1 FROM booking_stream_tokens WHERE token = ? AND booking_id = ? AND expires_at > ?',
+    args: [token, bookingId, now]
+  });
+  return result.rows.length > 0;
+}
+
+/**
+ * Timeline entry for one booking_events row
+ * @param {Object} event - From getBookingEvents
+ * @returns {Object} { id, status, from, actor, at, message, confirmationNumber, deepLink, error, final }
+ */
+function toStatusEvent(event) {
+  const details = event.details || {};
+  const status = event.to_status;
+
+  let message = STATUS_MESSAGES[status] || status;
+  if (status === 'pending' && event.from_status) {
+    message = 'Trying again';
+  } else if (status === 'success' && details.confirmationNumber) {
+    message = `Booked - confirmation #${details.confirmationNumber}`;
+  }
+
+  return {
+    id: event.id,
+    status,
+    from: event.from_status,
+    actor: event.actor,
+    at: event.created_at,
+    message,
+    confirmationNumber: details.confirmationNumber || null,
+    deepLink: status === 'ready_to_confirm' ? details.deepLink || null : null,
+    error: details.error || null,
+    final: isFinalStatus(status)
+  };
+}
+
+/**
+ * @param {Object} message - { id, event, data }
+ * @returns {string} One SSE message
+ */
+function formatSseMessage({ id, event, data }) {
+  return [
+    id != null ? `id: ${id}` : null,
+    event ? `event: ${event}` : null,
+    `data: ${JSON.stringify(data)}`
+  ].filter(Boolean).join('\n') + '\n\n';
+}
+
+/**
+ * Stream a booking's status events to an HTTP response. Sends "status"
+ * events (see toStatusEvent), then an "end" event once the booking is final.
+ * @param {Object} db - libsql client
+ * @param {Object} booking - Booking record
+ * @param {Object} res - HTTP response
+ * @param {Object} [options]
+ * @param {number|string} [options.lastEventId] - Resume after this event
+ * @param {number} [options.intervalMs]
+ * @param {number} [options.heartbeatMs]
+ * @param {number} [options.maxDurationMs]
+ * @returns {Function} Stops the stream (call when the client disconnects)
+ */
+function streamBookingEvents(db, booking, res, {
+  lastEventId = 0,
+  intervalMs = STREAM_POLL_INTERVAL_MS,
+  heartbeatMs = HEARTBEAT_INTERVAL_MS,
+  maxDurationMs = MAX_STREAM_MS
+} = {}) {
+  let afterId = parseInt(lastEventId) || 0;
+  let closed = false;
+  let pollTimer = null;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+  const deadline = setTimeout(() => stop(), maxDurationMs);
+
+  function stop() {
+    if (closed) return;
+    closed = true;
+    clearTimeout(pollTimer);
+    clearInterval(heartbeat);
+    clearTimeout(deadline);
+    res.end();
+  }
+
+  const end = (status) => {
+    res.write(formatSseMessage({ event: 'end', data: { status } }));
+    stop();
+  };
+
+  const poll = async (first) => {
+    try {
+      const events = await getBookingEvents(db, booking.id, { afterId });
+      if (closed) return;
+
+      for (const event of events) {
+        afterId = event.id;
+        const update = toStatusEvent(event);
+        res.write(formatSseMessage({ id: event.id, event: 'status', data: update }));
+        if (update.final) return end(update.status);
+      }
+
+      // Reconnected after the final event but before "end" arrived
+      if (first && !events.length && isFinalStatus(booking.status)) return end(booking.status);
+    } catch (error) {
+      console.error(`[Bookings] Stream for ${booking.id} could not read events:`, error.message);
+    }
+    if (!closed) pollTimer = setTimeout(() => poll(false), intervalMs);
+  };
+  poll(true);
+
+  return stop;
+}
+
+module.exports = {
+  BOOKING_STREAM_SCHEMA,
+  STREAM_TOKEN_TTL_MS,
+  STATUS_MESSAGES,
+  ensureBookingStreamTables,
+  createStreamToken,
+  verifyStreamToken,
+  toStatusEvent,
+  formatSseMessage,
+  streamBookingEvents
+};
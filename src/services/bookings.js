@@ -0,0 +1,444 @@
+/**
+ * Booking Requests
+ *
+ * Booking requests and their lifecycle, stored in the database so they
+ * survive serverless cold starts. A booking moves through the states the
+ * GolfNow booker reports:
+ *
+ *   pending -> navigating -> selecting_time -> filling_form -> confirming -> success
+ *
+ * and can fail from any of them or be cancelled until it reaches
+ * confirming. A booker run that breaks off before confirming can go back to
+ * pending for another attempt (see ./booking-jobs.js); once confirming, the
+ * booking site may have the order, so it never goes back. The bookers stop
+ * at the confirm button, so a booker run ends in ready_to_confirm - the
+ * golfer still has to book it on the site, through the deep link in the
+ * result - rather than success.
+ * success, ready_to_confirm, failed and cancelled are final. Every change is
+ * written to booking_events with a timestamp, who made it and any details
+ * (the booker's result, an error), so a booking's history can be replayed.
+ */
+
+const crypto = require('crypto');
+
+const BOOKING_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS booking_requests (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER,
+    status TEXT NOT NULL DEFAULT 'pending',
+    tee_time_id INTEGER,
+    course_id INTEGER,
+    course_name TEXT,
+    date TEXT,
+    time TEXT,
+    price REAL,
+    players INTEGER NOT NULL DEFAULT 1,
+    booking_url TEXT,
+    booking_system TEXT,
+    contact_first_name TEXT NOT NULL,
+    contact_last_name TEXT NOT NULL,
+    contact_email TEXT NOT NULL,
+    contact_phone TEXT,
+    result TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    completed_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_booking_requests_user ON booking_requests(user_id, created_at)',
+  `CREATE TABLE IF NOT EXISTS booking_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    details TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (booking_id) REFERENCES booking_requests(id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_booking_events_booking ON booking_events(booking_id, id)'
+];
+
+const BOOKING_MIGRATIONS = [
+  'ALTER TABLE booking_requests ADD COLUMN booking_system TEXT'
+];
+
+const BookingStatus = {
+  PENDING: 'pending',
+  NAVIGATING: 'navigating',
+  SELECTING_TIME: 'selecting_time',
+  FILLING_FORM: 'filling_form',
+  CONFIRMING: 'confirming',
+  SUCCESS: 'success',
+  READY_TO_CONFIRM: 'ready_to_confirm',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/** Allowed next states for each state; final states have none */
+const BOOKING_TRANSITIONS = {
+  [BookingStatus.PENDING]: [BookingStatus.NAVIGATING, BookingStatus.FAILED, BookingStatus.CANCELLED],
+  [BookingStatus.NAVIGATING]: [BookingStatus.SELECTING_TIME, BookingStatus.FAILED, BookingStatus.CANCELLED, BookingStatus.PENDING],
+  [BookingStatus.SELECTING_TIME]: [BookingStatus.FILLING_FORM, BookingStatus.FAILED, BookingStatus.CANCELLED, BookingStatus.PENDING],
+  [BookingStatus.FILLING_FORM]: [BookingStatus.CONFIRMING, BookingStatus.FAILED, BookingStatus.CANCELLED, BookingStatus.PENDING],
+  // The booking site has the order by now - only the outcome is left
+  [BookingStatus.CONFIRMING]: [BookingStatus.SUCCESS, BookingStatus.READY_TO_CONFIRM, BookingStatus.FAILED],
+  [BookingStatus.SUCCESS]: [],
+  [BookingStatus.READY_TO_CONFIRM]: [],
+  [BookingStatus.FAILED]: [],
+  [BookingStatus.CANCELLED]: []
+};
+
+/** Who changed a booking's state, recorded on each event */
+const BookingActor = {
+  USER: 'user',
+  BOOKER: 'booker',
+  SYSTEM: 'system'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_PLAYERS = 4;
+
+/**
+ * A state change the state machine doesn't allow, e.g. cancelling a booking
+ * that already succeeded
+ */
+class BookingTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move a ${from} booking to ${to}`);
+    this.name = 'BookingTransitionError';
+    this.from = from;
+    this.to = to;
+    this.statusCode = 409;
+  }
+}
+
+/**
+ * Create the booking and event tables if they don't exist
+ * @param {Object} db - libsql client
+ */
+async function ensureBookingTables(db) {
+  for (const sql of BOOKING_SCHEMA) {
+    await db.execute(sql);
+  }
+  for (const sql of BOOKING_MIGRATIONS) {
+    try {
+      await db.execute(sql);
+    } catch (e) { /* Column already exists */ }
+  }
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (BOOKING_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * @param {string} status
+ * @returns {boolean} Whether nothing can happen to the booking any more
+ */
+function isFinalStatus(status) {
+  return BOOKING_TRANSITIONS[status]?.length === 0;
+}
+
+/**
+ * @returns {string} Unguessable booking id - anonymous bookings are read by id alone
+ */
+function generateBookingId() {
+  return 'bk_' + crypto.randomBytes(12).toString('base64url');
+}
+
+/**
+ * Validate a booking request body
+ * @param {Object} input - { teeTimeId, courseId, date, time, players, contact, bookingUrl }
+ * @returns {Object} { request, error }
+ */
+function validateBookingInput(input = {}) {
+  const { contact } = input;
+  if (!contact?.email || !contact?.firstName || !contact?.lastName) {
+    return { request: null, error: 'Contact information required (firstName, lastName, email)' };
+  }
+  if (!EMAIL_PATTERN.test(contact.email)) {
+    return { request: null, error: 'Invalid contact email' };
+  }
+  if (!input.bookingUrl && !input.teeTimeId) {
+    return { request: null, error: 'Either bookingUrl or teeTimeId required' };
+  }
+
+  const players = input.players === undefined || input.players === null ? 1 : Number(input.players);
+  if (!Number.isInteger(players) || players < 1 || players > MAX_PLAYERS) {
+    return { request: null, error: `Players must be between 1 and ${MAX_PLAYERS}` };
+  }
+
+  return {
+    request: {
+      teeTimeId: input.teeTimeId ? parseInt(input.teeTimeId) : null,
+      courseId: input.courseId ? parseInt(input.courseId) : null,
+      date: input.date || null,
+      time: input.time || null,
+      bookingUrl: input.bookingUrl || null,
+      players,
+      contact: {
+        firstName: String(contact.firstName).trim(),
+        lastName: String(contact.lastName).trim(),
+        email: String(contact.email).trim(),
+        phone: contact.phone ? String(contact.phone).trim() : null
+      }
+    },
+    error: null
+  };
+}
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * booking_requests row in the shape the API returns
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toBookingRecord(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+    userId: row.user_id,
+    teeTime: {
+      id: row.tee_time_id,
+      course_id: row.course_id,
+      course_name: row.course_name,
+      date: row.date,
+      time: row.time,
+      price: row.price,
+      booking_url: row.booking_url
+    },
+    players: row.players,
+    contact: {
+      firstName: row.contact_first_name,
+      lastName: row.contact_last_name,
+      email: row.contact_email,
+      phone: row.contact_phone
+    },
+    bookingUrl: row.booking_url,
+    bookingSystem: row.booking_system,
+    result: parseJson(row.result),
+    error: row.error
+  };
+}
+
+/**
+ * Store a new pending booking and its first event
+ * @param {Object} db - libsql client
+ * @param {Object} request - From validateBookingInput
+ * @param {Object} options
+ * @param {Object} [options.teeTime] - tee_times row (with course_name and the
+ *   course's booking_system) when booking by id
+ * @param {number} [options.userId]
+ * @param {string} [options.now] - ISO timestamp
+ * @returns {Promise<Object>} Booking record
+ */
+async function createBooking(db, request, { teeTime = null, userId = null, now = new Date().toISOString() } = {}) {
+  const id = generateBookingId();
+  const row = {
+    id,
+    user_id: userId,
+    status: BookingStatus.PENDING,
+    tee_time_id: teeTime?.id ?? request.teeTimeId,
+    course_id: teeTime?.course_id ?? request.courseId,
+    course_name: teeTime?.course_name ?? null,
+    date: teeTime?.date ?? request.date,
+    time: teeTime?.time ?? request.time,
+    price: teeTime?.price ?? null,
+    players: request.players,
+    booking_url: request.bookingUrl || teeTime?.booking_url || null,
+    booking_system: teeTime?.booking_system ?? null,
+    contact_first_name: request.contact.firstName,
+    contact_last_name: request.contact.lastName,
+    contact_email: request.contact.email,
+    contact_phone: request.contact.phone,
+    result: null,
+    error: null,
+    created_at: now,
+    updated_at: now,
+    completed_at: null
+  };
+
+  const columns = Object.keys(row);
+  await db.batch([
+    {
+      sql: `INSERT INTO booking_requests (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      args: Object.values(row)
+    },
+    {
+      sql: `INSERT INTO booking_events (booking_id, from_status, to_status, actor, details, created_at)
+            VALUES (?, NULL, ?, ?, NULL, ?)`,
+      args: [id, BookingStatus.PENDING, userId ? BookingActor.USER : BookingActor.SYSTEM, now]
+    }
+  ], 'write');
+
+  return toBookingRecord(row);
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {string} id
+ * @returns {Promise<Object|null>} Booking record
+ */
+async function getBooking(db, id) {
+  const result = await db.execute({ sql: 'SELECT * FROM booking_requests WHERE id = ?', args: [id] });
+  return result.rows.length ? toBookingRecord(result.rows[0]) : null;
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {number} userId
+ * @returns {Promise<Array<Object>>} The user's booking records, newest first
+ */
+async function listUserBookings(db, userId) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM booking_requests WHERE user_id = ? ORDER BY created_at DESC',
+    args: [userId]
+  });
+  return result.rows.map(toBookingRecord);
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {string} bookingId
+ * @param {Object} [options]
+ * @param {number} [options.afterId] - Only events newer than this one
+ * @returns {Promise<Array<Object>>} State changes, oldest first
+ */
+async function getBookingEvents(db, bookingId, { afterId = 0 } = {}) {
+  const result = await db.execute({
+    sql: `SELECT id, from_status, to_status, actor, details, created_at
+          FROM booking_events WHERE booking_id = ? AND id > ? ORDER BY id`,
+    args: [bookingId, afterId]
+  });
+  return result.rows.map(row => ({ ...row, details: parseJson(row.details) }));
+}
+
+/**
+ * Whether a user may see or cancel a booking: bookings made while signed in
+ * belong to that user; anonymous ones to whoever holds the id
+ * @param {Object} booking - Booking record
+ * @param {Object} [user] - req.user
+ * @returns {boolean}
+ */
+function canAccessBooking(booking, user) {
+  return !booking.userId || booking.userId === user?.id;
+}
+
+/**
+ * Move a booking to a new state and audit it. The update only applies if
+ * the booking is still in the state it was read in, so two concurrent
+ * changes can't both win.
+ * @param {Object} db - libsql client
+ * @param {string} id
+ * @param {string} to - BookingStatus
+ * @param {Object} [options]
+ * @param {string} [options.actor] - BookingActor
+ * @param {Object} [options.details] - Stored on the event; result/error are
+ *   also kept on the booking when it succeeds or is ready to confirm/fails
+ * @param {string} [options.now] - ISO timestamp
+ * @returns {Promise<Object|null>} Updated booking record, or null if there's no such booking
+ * @throws {BookingTransitionError} When the state machine doesn't allow the change
+ */
+async function transitionBooking(db, id, to, { actor = BookingActor.SYSTEM, details = null, now = new Date().toISOString() } = {}) {
+  const current = await getBooking(db, id);
+  if (!current) return null;
+  if (!canTransition(current.status, to)) {
+    throw new BookingTransitionError(current.status, to);
+  }
+
+  const hasDetails = details && Object.keys(details).length > 0;
+  const hasResult = to === BookingStatus.SUCCESS || to === BookingStatus.READY_TO_CONFIRM;
+  const result = hasResult && hasDetails ? JSON.stringify(details) : null;
+  const error = to === BookingStatus.FAILED ? details?.error || 'Booking failed' : null;
+
+  const [update] = await db.batch([
+    {
+      sql: `UPDATE booking_requests
+            SET status = ?, updated_at = ?, completed_at = ?, result = COALESCE(?, result), error = COALESCE(?, error)
+            WHERE id = ? AND status = ?`,
+      args: [to, now, isFinalStatus(to) ? now : null, result, error, id, current.status]
+    },
+    {
+      sql: `INSERT INTO booking_events (booking_id, from_status, to_status, actor, details, created_at)
+            SELECT ?, ?, ?, ?, ?, ? WHERE changes() > 0`,
+      args: [id, current.status, to, actor, hasDetails ? JSON.stringify(details) : null, now]
+    }
+  ], 'write');
+
+  if (!update.rowsAffected) {
+    // Changed between the read and the update - report against the new state
+    const latest = await getBooking(db, id);
+    throw new BookingTransitionError(latest?.status || current.status, to);
+  }
+
+  return {
+    ...current,
+    status: to,
+    updatedAt: now,
+    completedAt: isFinalStatus(to) ? now : null,
+    result: result ? details : current.result,
+    error: error || current.error
+  };
+}
+
+/**
+ * Record a GolfNowBooker's status updates against a booking, in order
+ * @param {Object} db - libsql client
+ * @param {string} bookingId
+ * @param {Object} booker - GolfNowBooker (anything with onStatusChange)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.skip] - Statuses left for the caller to record
+ * @returns {Object} { flush() - resolves once every update so far is stored,
+ *   stop() - ignore any later updates }
+ */
+function trackBookerStatus(db, bookingId, booker, { skip = [] } = {}) {
+  let chain = Promise.resolve();
+  let stopped = false;
+  booker.onStatusChange(({ status, timestamp, ...details }) => {
+    if (stopped || skip.includes(status)) return;
+    chain = chain
+      .then(() => transitionBooking(db, bookingId, status, { actor: BookingActor.BOOKER, details, now: timestamp }))
+      .catch(error => console.error(`[Bookings] Could not record ${status} for ${bookingId}:`, error.message));
+  });
+  return {
+    flush: () => chain,
+    stop: () => { stopped = true; }
+  };
+}
+
+module.exports = {
+  BookingStatus,
+  BOOKING_TRANSITIONS,
+  BookingActor,
+  BookingTransitionError,
+  ensureBookingTables,
+  canTransition,
+  isFinalStatus,
+  validateBookingInput,
+  toBookingRecord,
+  createBooking,
+  getBooking,
+  listUserBookings,
+  getBookingEvents,
+  canAccessBooking,
+  transitionBooking,
+  trackBookerStatus
+};
@@ -0,0 +1,249 @@
+/**
+ * Course Aliases
+ *
+ * What golfers and booking sites call a course when it isn't the name in
+ * the courses table: "Harding" for TPC Harding Park, "Corica South" for
+ * Corica Park - South Course, a provider's listing name, an old slug.
+ * Aliases are matched after normalizeCourseName, so case, accents and
+ * punctuation don't matter, and each normalized alias points at one course.
+ *
+ * Used by the agent parser (nicknames in queries), course search (indexed
+ * alongside the name, see ./course-search.js), /api/courses/:idOrSlug and
+ * the scrapers' provider-to-course matching (scripts/providers/utils.js).
+ */
+
+const COURSE_ALIAS_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS course_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    alias TEXT NOT NULL,
+    normalized TEXT NOT NULL UNIQUE,
+    source TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_course_aliases_course ON course_aliases(course_id)'
+];
+
+/** Nicknames seeded by course slug; admins add the rest */
+const DEFAULT_COURSE_ALIASES = {
+  'tpc-harding-park': ['Harding', 'Harding Park'],
+  'lincoln-park-golf-course': ['Lincoln', 'Lincoln Park'],
+  'sharp-park-golf-course': ['Sharp', 'Sharp Park'],
+  'presidio-golf-course': ['Presidio'],
+  'golden-gate-park-golf-course': ['Golden Gate Park', 'GGP'],
+  'san-jose-municipal-golf-course': ['San Jose Muni', 'SJ Muni'],
+  'cinnabar-hills-golf-club': ['Cinnabar'],
+  'corica-park-south-course': ['Corica South', 'Chuck Corica South'],
+  'corica-park-north-course': ['Corica North', 'Chuck Corica North'],
+  'metropolitan-golf-links': ['Metropolitan'],
+  'tilden-park-golf-course': ['Tilden'],
+  'boundary-oak-golf-course': ['Boundary Oak'],
+  'poppy-ridge-golf-course': ['Poppy Ridge'],
+  'peacock-gap-golf-club': ['Peacock Gap'],
+  'half-moon-bay-old-course': ['HMB Old'],
+  'half-moon-bay-ocean-course': ['HMB Ocean']
+};
+
+const MAX_ALIAS_LENGTH = 100;
+
+/**
+ * Create the alias table and seed the default nicknames for courses that exist
+ * @param {Object} db - libsql client
+ */
+async function ensureCourseAliasTables(db) {
+  for (const sql of COURSE_ALIAS_SCHEMA) {
+    await db.execute(sql);
+  }
+
+  const seeds = Object.entries(DEFAULT_COURSE_ALIASES).flatMap(([slug, aliases]) =>
+    aliases.map(alias => ({
+      sql: `INSERT OR IGNORE INTO course_aliases (course_id, alias, normalized)
+            SELECT id, ?, ? FROM courses WHERE slug = ?`,
+      args: [alias, normalizeCourseName(alias), slug]
+    }))
+  );
+  await db.batch(seeds, 'write');
+}
+
+/**
+ * Lookup key for a course name, alias or slug: lowercase, accent-free words
+ * separated by single spaces ("Corica Park - South" -> "corica park south")
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCourseName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Validate an alias from the admin API
+ * @param {Object} input - { alias, source }
+ * @returns {Object} { alias, error }
+ */
+function validateAliasInput(input = {}) {
+  const alias = typeof input.alias === 'string' ? input.alias.trim() : '';
+  if (!normalizeCourseName(alias)) {
+    return { alias: null, error: 'alias is required' };
+  }
+  if (alias.length > MAX_ALIAS_LENGTH) {
+    return { alias: null, error: `alias must be ${MAX_ALIAS_LENGTH} characters or less` };
+  }
+  if (input.source !== undefined && input.source !== null && typeof input.source !== 'string') {
+    return { alias: null, error: 'source must be a provider name' };
+  }
+
+  return {
+    alias: { alias, normalized: normalizeCourseName(alias), source: input.source?.trim() || null },
+    error: null
+  };
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {number} courseId
+ * @returns {Promise<Array<Object>>} Alias rows, oldest first
+ */
+async function listCourseAliases(db, courseId) {
+  const result = await db.execute({
+    sql: 'SELECT id, course_id, alias, source, created_at FROM course_aliases WHERE course_id = ? ORDER BY id',
+    args: [courseId]
+  });
+  return result.rows;
+}
+
+/**
+ * Add an alias to a course
+ * @param {Object} db - libsql client
+ * @param {number} courseId
+ * @param {Object} alias - From validateAliasInput
+ * @returns {Promise<Object>} { alias, conflict } - conflict is the course that
+ *   already owns the alias, when it's taken
+ */
+async function addCourseAlias(db, courseId, { alias, normalized, source }) {
+  const existing = await db.execute({
+    sql: `SELECT a.course_id, c.name FROM course_aliases a JOIN courses c ON c.id = a.course_id
+          WHERE a.normalized = ?`,
+    args: [normalized]
+  });
+  if (existing.rows.length) {
+    return { alias: null, conflict: { course_id: existing.rows[0].course_id, name: existing.rows[0].name } };
+  }
+
+  const result = await db.execute({
+    sql: `INSERT INTO course_aliases (course_id, alias, normalized, source) VALUES (?, ?, ?, ?)
+          RETURNING id, course_id, alias, source, created_at`,
+    args: [courseId, alias, normalized, source]
+  });
+  return { alias: result.rows[0], conflict: null };
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {number} courseId
+ * @param {number} aliasId
+ * @returns {Promise<boolean>} Whether the alias existed
+ */
+async function removeCourseAlias(db, courseId, aliasId) {
+  const result = await db.execute({
+    sql: 'DELETE FROM course_aliases WHERE id = ? AND course_id = ?',
+    args: [aliasId, courseId]
+  });
+  return result.rowsAffected > 0;
+}
+
+/**
+ * Copies of course rows with their aliases attached (as course.aliases)
+ * @param {Object} db - libsql client
+ * @param {Array<Object>} courses - Rows with id
+ * @returns {Promise<Array<Object>>}
+ */
+async function attachCourseAliases(db, courses) {
+  const result = await db.execute('SELECT course_id, alias FROM course_aliases ORDER BY id');
+  const byCourse = new Map();
+  for (const row of result.rows) {
+    if (!byCourse.has(row.course_id)) byCourse.set(row.course_id, []);
+    byCourse.get(row.course_id).push(row.alias);
+  }
+  return courses.map(course => ({ ...course, aliases: byCourse.get(course.id) || [] }));
+}
+
+/**
+ * Name lookups over a set of courses
+ * @param {Array<Object>} courses - Rows with id, name, slug and optional aliases
+ * @returns {Object} { courses, match(nameOrSlug), findMentions(text) }
+ */
+function createCourseMatcher(courses) {
+  // Names first so an alias can never shadow a course's real name
+  const byKey = new Map();
+  const add = (key, course) => {
+    if (key && !byKey.has(key)) byKey.set(key, course);
+  };
+  courses.forEach(c => add(normalizeCourseName(c.name), c));
+  courses.forEach(c => add(normalizeCourseName(c.slug), c));
+  courses.forEach(c => (c.aliases || []).forEach(alias => add(normalizeCourseName(alias), c)));
+
+  // Longest first, so "harding park" wins over "harding"
+  const keys = [...byKey.keys()].sort((a, b) => b.length - a.length);
+
+  return {
+    courses,
+
+    /**
+     * @param {string} nameOrSlug
+     * @returns {Object|null} The course whose name, slug or alias this is
+     */
+    match(nameOrSlug) {
+      return byKey.get(normalizeCourseName(nameOrSlug)) || null;
+    },
+
+    /**
+     * Courses named in free text, in order of first mention
+     * @param {string} text - e.g. a golfer's query
+     * @returns {Array<Object>}
+     */
+    findMentions(text) {
+      let remaining = ` ${normalizeCourseName(text)} `;
+      const found = [];
+      for (const key of keys) {
+        const index = remaining.indexOf(` ${key} `);
+        if (index === -1) continue;
+        const course = byKey.get(key);
+        if (!found.some(f => f.course === course)) found.push({ course, index });
+        // Blank out the mention so a shorter alias inside it doesn't match too
+        remaining = remaining.slice(0, index + 1) + ' '.repeat(key.length) + remaining.slice(index + 1 + key.length);
+      }
+      return found.sort((a, b) => a.index - b.index).map(f => f.course);
+    }
+  };
+}
+
+/**
+ * Matcher over every course and alias in the database
+ * @param {Object} db - libsql client
+ * @returns {Promise<Object>} See createCourseMatcher
+ */
+async function loadCourseMatcher(db) {
+  const result = await db.execute('SELECT id, name, slug FROM courses');
+  return createCourseMatcher(await attachCourseAliases(db, result.rows));
+}
+
+module.exports = {
+  DEFAULT_COURSE_ALIASES,
+  ensureCourseAliasTables,
+  normalizeCourseName,
+  validateAliasInput,
+  listCourseAliases,
+  addCourseAlias,
+  removeCourseAlias,
+  attachCourseAliases,
+  createCourseMatcher,
+  loadCourseMatcher
+};
@@ -0,0 +1,235 @@
+/**
+ * Course Search
+ *
+ * Full-text search over course name, city, region and aliases, backed by an
+ * SQLite FTS5 table (course_search, rowid = course id). Triggers on courses
+ * and course_aliases (see ./course-aliases.js) keep it in sync;
+ * ensureCourseSearchTables fills it the first time.
+ *
+ * Every query word is matched as a prefix, so "crystal spring" finds
+ * "Crystal Springs" and partial words autocomplete. Words that match nothing
+ * are corrected against the index vocabulary by edit distance ("hardng" ->
+ * "harding") and the search is run again.
+ */
+
+// A course's aliases as one indexed string
+const ALIASES_OF = (courseId) =>
+  `SELECT COALESCE(group_concat(alias, ' '), '') FROM course_aliases WHERE course_id = ${courseId}`;
+
+const COURSE_SEARCH_SCHEMA = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS course_search USING fts5(
+    name,
+    city,
+    region,
+    aliases,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+  )`,
+  // One row per indexed word, for typo correction
+  "CREATE VIRTUAL TABLE IF NOT EXISTS course_search_vocab USING fts5vocab(course_search, 'row')",
+  `CREATE TRIGGER IF NOT EXISTS course_search_insert AFTER INSERT ON courses BEGIN
+    INSERT INTO course_search (rowid, name, city, region, aliases) VALUES (new.id, new.name, new.city, new.region, '');
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS course_search_update AFTER UPDATE OF name, city, region ON courses BEGIN
+    UPDATE course_search SET name = new.name, city = new.city, region = new.region WHERE rowid = new.id;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS course_search_delete AFTER DELETE ON courses BEGIN
+    DELETE FROM course_search WHERE rowid = old.id;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS course_search_alias_insert AFTER INSERT ON course_aliases BEGIN
+    UPDATE course_search SET aliases = (${ALIASES_OF('new.course_id')}) WHERE rowid = new.course_id;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS course_search_alias_delete AFTER DELETE ON course_aliases BEGIN
+    UPDATE course_search SET aliases = (${ALIASES_OF('old.course_id')}) WHERE rowid = old.course_id;
+  END`
+];
+
+/** bm25 weights for name, city, region, aliases */
+const COLUMN_WEIGHTS = [10, 2, 1, 8];
+
+const MAX_QUERY_WORDS = 6;
+const MAX_CORRECTIONS_PER_WORD = 3;
+
+// Words in most course names; only searched for when the query has nothing else
+const GENERIC_WORDS = new Set(['golf', 'course', 'club', 'gc', 'cc', 'links', 'the', 'at', 'of']);
+
+/**
+ * Create the search index and its triggers, and fill it if it's out of step
+ * with the courses or course_aliases tables (e.g. aliases added before the
+ * triggers existed). Run after ensureCourseAliasTables.
+ * @param {Object} db - libsql client
+ */
+async function ensureCourseSearchTables(db) {
+  for (const sql of COURSE_SEARCH_SCHEMA) {
+    await db.execute(sql);
+  }
+
+  const counts = await db.execute(`SELECT
+    (SELECT COUNT(*) FROM courses) as courses,
+    (SELECT COUNT(*) FROM course_search) as indexed,
+    (SELECT COUNT(DISTINCT course_id) FROM course_aliases) as aliased,
+    (SELECT COUNT(*) FROM course_search WHERE aliases != '') as indexed_aliased`);
+  const { courses, indexed, aliased, indexed_aliased } = counts.rows[0];
+  if (Number(courses) !== Number(indexed) || Number(aliased) !== Number(indexed_aliased)) {
+    await rebuildCourseSearchIndex(db);
+  }
+}
+
+/**
+ * Re-index every course
+ * @param {Object} db - libsql client
+ */
+async function rebuildCourseSearchIndex(db) {
+  await db.batch([
+    'DELETE FROM course_search',
+    `INSERT INTO course_search (rowid, name, city, region, aliases)
+     SELECT id, name, city, region, (${ALIASES_OF('courses.id')}) FROM courses`
+  ], 'write');
+}
+
+/**
+ * Lowercase, accent-free words of a query
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+function tokenize(query) {
+  const words = String(query || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  const specific = words.filter(w => !GENERIC_WORDS.has(w));
+  return (specific.length ? specific : words).slice(0, MAX_QUERY_WORDS);
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Typos allowed in a word: none for short words, where one edit is a
+ * different word
+ * @param {string} word
+ * @returns {number}
+ */
+function maxEdits(word) {
+  if (word.length <= 3) return 0;
+  return word.length <= 6 ? 1 : 2;
+}
+
+/**
+ * Indexed words within typo distance of a query word, closest first.
+ * A word still being typed is compared with the same-length start of each
+ * indexed word too, so a half-typed misspelling like "hardn" reaches "harding".
+ * @param {string} word
+ * @param {Array<string>} vocabulary
+ * @returns {Array<string>}
+ */
+function correctWord(word, vocabulary) {
+  const allowed = maxEdits(word);
+  if (!allowed) return [];
+
+  return vocabulary
+    .map(term => ({
+      term,
+      distance: Math.min(editDistance(word, term), editDistance(word, term.slice(0, word.length)))
+    }))
+    .filter(c => c.distance <= allowed)
+    .sort((a, b) => a.distance - b.distance || a.term.length - b.term.length)
+    .slice(0, MAX_CORRECTIONS_PER_WORD)
+    .map(c => c.term);
+}
+
+/**
+ * FTS5 MATCH expression: every group must match; a group matches any of its
+ * words as a prefix
+ * @param {Array<Array<string>>} groups
+ * @returns {string}
+ */
+function buildMatchExpression(groups) {
+  return groups
+    .map(words => `(${words.map(w => `"${w.replace(/"/g, '""')}"*`).join(' OR ')})`)
+    .join(' AND ');
+}
+
+async function runMatch(db, groups, limit) {
+  const result = await db.execute({
+    sql: `SELECT c.id, c.name, c.slug, c.city, c.region
+          FROM course_search s
+          JOIN courses c ON c.id = s.rowid
+          WHERE course_search MATCH ?
+          ORDER BY bm25(course_search, ${COLUMN_WEIGHTS.join(', ')}), c.name
+          LIMIT ?`,
+    args: [buildMatchExpression(groups), limit]
+  });
+  return result.rows;
+}
+
+/**
+ * Search courses, correcting typos when the query as typed finds nothing
+ * @param {Object} db - libsql client
+ * @param {string} query - Free text ("hardng park")
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} { courses, corrections: [{ from, to }] }
+ */
+async function searchCourses(db, query, { limit = 10 } = {}) {
+  const words = tokenize(query);
+  if (!words.length) return { courses: [], corrections: [] };
+
+  const courses = await runMatch(db, words.map(w => [w]), limit);
+  if (courses.length) return { courses, corrections: [] };
+
+  const vocab = await db.execute('SELECT term FROM course_search_vocab');
+  const vocabulary = vocab.rows.map(r => r.term);
+
+  // Words nothing starts with get their closest corrections instead;
+  // words with no correction either can't match and are left out
+  const corrections = [];
+  const groups = [];
+  for (const word of words) {
+    if (vocabulary.some(term => term.startsWith(word))) {
+      groups.push([word]);
+      continue;
+    }
+    const alternatives = correctWord(word, vocabulary);
+    if (alternatives.length) {
+      groups.push(alternatives);
+      corrections.push({ from: word, to: alternatives[0] });
+    }
+  }
+
+  const unchanged = !corrections.length && groups.length === words.length;
+  if (!groups.length || unchanged) return { courses: [], corrections };
+  return { courses: await runMatch(db, groups, limit), corrections };
+}
+
+module.exports = {
+  ensureCourseSearchTables,
+  rebuildCourseSearchIndex,
+  tokenize,
+  editDistance,
+  correctWord,
+  buildMatchExpression,
+  searchCourses
+};
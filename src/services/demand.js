@@ -0,0 +1,292 @@
+/**
+ * Course Demand Analytics
+ *
+ * A tee time that disappears between two scrapes was most likely booked.
+ * swapTeeTimes (scripts/providers/utils.js) records each one in
+ * tee_time_sales with how far ahead of the tee time it went, and takes the
+ * sale back if the slot reappears (a cancellation or a blip on the site).
+ *
+ * Sell-through compares those sales with every slot seen in
+ * tee_time_observations, so both tables outlive the past-date cleanup.
+ *
+ * Sources that scrape a summary instead of a tee sheet (GolfNow lists one row
+ * per facility per day, at its first time and lowest price) say nothing about
+ * single slots: they never record sales and are left out of the analytics.
+ */
+
+const DEMAND_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS tee_time_sales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    datetime TEXT NOT NULL,
+    source TEXT NOT NULL,
+    price REAL,
+    sold_at TEXT NOT NULL,
+    lead_hours REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id),
+    UNIQUE(course_id, datetime, source)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_tee_time_sales_date ON tee_time_sales(date)',
+  'CREATE INDEX IF NOT EXISTS idx_tee_time_sales_course ON tee_time_sales(course_id, date)'
+];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAYPART_PLURALS = { morning: 'mornings', afternoon: 'afternoons', twilight: 'twilight times' };
+
+/** Lead time buckets, by hours between the sale and the tee time */
+const LEAD_TIME_BUCKETS = [
+  { label: 'Same day', maxHours: 24 },
+  { label: '1-2 days', maxHours: 72 },
+  { label: '3-4 days', maxHours: 120 },
+  { label: '5-7 days', maxHours: 192 },
+  { label: '8+ days', maxHours: Infinity }
+];
+
+/** Sources whose rows summarize a facility's day rather than list its slots */
+const SUMMARY_ROW_SOURCES = ['golfnow'];
+
+/** A course/weekday/daypart needs this many slots before it is called a sell-out */
+const MIN_PATTERN_SLOTS = 10;
+const SELLOUT_THRESHOLD = 0.8;
+
+/**
+ * Create the sales table if it doesn't exist
+ * @param {Object} db - libsql client
+ */
+async function ensureDemandTables(db) {
+  for (const sql of DEMAND_SCHEMA) {
+    await db.execute(sql);
+  }
+}
+
+/**
+ * @param {string} source - tee_times.source
+ * @returns {boolean} Whether the source's rows are per-facility summaries
+ */
+function isSummaryRowSource(source) {
+  return SUMMARY_ROW_SOURCES.includes(source);
+}
+
+/**
+ * Statements run inside a course-date swap, after the fresh rows are upserted
+ * and before vanished slots are flagged (both read tee_times_staging).
+ * @param {Array} scope - [source, courseId, date]
+ * @param {string} now - Pacific "YYYY-MM-DD HH:MM" of the scrape
+ * @returns {Array<Object>} [retract reappeared sales, record new sales]
+ */
+function saleStatements(scope, now) {
+  return [
+    {
+      sql: `DELETE FROM tee_time_sales
+            WHERE source = ? AND course_id = ? AND date = ?
+            AND datetime IN (
+              SELECT datetime FROM tee_times_staging WHERE source = ? AND course_id = ? AND date = ?
+            )`,
+      args: [...scope, ...scope]
+    },
+    {
+      sql: `INSERT OR IGNORE INTO tee_time_sales (course_id, date, datetime, source, price, sold_at, lead_hours)
+            SELECT course_id, date, datetime, source, price, ?, ROUND((julianday(datetime) - julianday(?)) * 24, 1)
+            FROM tee_times
+            WHERE source = ? AND course_id = ? AND date = ? AND datetime >= ? AND is_booked = 0
+            AND datetime NOT IN (
+              SELECT datetime FROM tee_times_staging WHERE source = ? AND course_id = ? AND date = ?
+            )`,
+      args: [now, now, ...scope, now, ...scope]
+    }
+  ];
+}
+
+/**
+ * @param {number} hour - 0-23
+ * @returns {string} "morning", "afternoon" or "twilight"
+ */
+function getDaypart(hour) {
+  if (hour < 12) return 'morning';
+  if (hour < 15) return 'afternoon';
+  return 'twilight';
+}
+
+/**
+ * @param {number} hours - Hours between sale and tee time
+ * @returns {string} Bucket label
+ */
+function getLeadTimeBucket(hours) {
+  return LEAD_TIME_BUCKETS.find(b => hours < b.maxHours).label;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function rate(sold, offered) {
+  return offered > 0 ? Math.round((sold / offered) * 1000) / 1000 : null;
+}
+
+/**
+ * Describe a sell-out pattern, e.g. "Harding Park Saturday mornings sell out 5 days ahead"
+ * @param {Object} pattern - { course_name, weekday, daypart, median_lead_days }
+ * @returns {string}
+ */
+function describePattern({ course_name, weekday, daypart, median_lead_days }) {
+  const when = `${course_name} ${WEEKDAYS[weekday]} ${DAYPART_PLURALS[daypart]}`;
+  if (median_lead_days < 1) return `${when} sell out the same day`;
+  const days = Math.round(median_lead_days);
+  return `${when} sell out ${days} day${days === 1 ? '' : 's'} ahead`;
+}
+
+/**
+ * Roll offered slots and inferred sales up into sell-through tables.
+ * @param {Array<Object>} offered - [{ course_id, weekday, hour, offered }]
+ * @param {Array<Object>} sales - [{ course_id, weekday, hour, lead_hours }]
+ * @param {Object} coursesById - { [id]: { name, slug, region } }
+ * @returns {Object} { overall, byCourse, byWeekday, byHour, byLeadTime, selloutPatterns }
+ */
+function aggregateDemand(offered, sales, coursesById) {
+  const groups = {
+    course: new Map(),
+    weekday: new Map(),
+    hour: new Map(),
+    pattern: new Map()
+  };
+  const overall = { offered: 0, sold: 0 };
+
+  const bucket = (map, key, init) => {
+    if (!map.has(key)) map.set(key, { ...init, offered: 0, sold: 0, leads: [] });
+    return map.get(key);
+  };
+  const keysFor = (row) => {
+    const weekday = Number(row.weekday);
+    const hour = Number(row.hour);
+    const daypart = getDaypart(hour);
+    return [
+      bucket(groups.course, row.course_id, { course_id: row.course_id }),
+      bucket(groups.weekday, weekday, { weekday, label: WEEKDAYS[weekday] }),
+      bucket(groups.hour, hour, { hour }),
+      bucket(groups.pattern, `${row.course_id}|${weekday}|${daypart}`, { course_id: row.course_id, weekday, daypart })
+    ];
+  };
+
+  for (const row of offered) {
+    const count = Number(row.offered) || 0;
+    overall.offered += count;
+    for (const group of keysFor(row)) group.offered += count;
+  }
+
+  const leadCounts = new Map(LEAD_TIME_BUCKETS.map(b => [b.label, 0]));
+  for (const row of sales) {
+    overall.sold++;
+    const leadHours = Number(row.lead_hours) || 0;
+    const label = getLeadTimeBucket(leadHours);
+    leadCounts.set(label, leadCounts.get(label) + 1);
+    for (const group of keysFor(row)) {
+      group.sold++;
+      group.leads.push(leadHours / 24);
+    }
+  }
+
+  const finish = ({ leads, ...group }) => ({
+    ...group,
+    sell_through: rate(group.sold, group.offered),
+    median_lead_days: leads.length ? Math.round(median(leads) * 10) / 10 : null
+  });
+  const withCourse = (group) => {
+    const course = coursesById[group.course_id] || {};
+    return { ...group, course_name: course.name || null, course_slug: course.slug || null, region: course.region || null };
+  };
+
+  const byCourse = Array.from(groups.course.values()).map(finish).map(withCourse)
+    .sort((a, b) => (b.sell_through || 0) - (a.sell_through || 0) || b.sold - a.sold)
+    .map((c, i) => ({ rank: i + 1, ...c }));
+
+  const selloutPatterns = Array.from(groups.pattern.values()).map(finish).map(withCourse)
+    .filter(p => p.offered >= MIN_PATTERN_SLOTS && p.sell_through >= SELLOUT_THRESHOLD && p.course_name)
+    .sort((a, b) => b.sell_through - a.sell_through || b.median_lead_days - a.median_lead_days)
+    .map(p => ({ ...p, summary: describePattern(p) }));
+
+  return {
+    overall: { ...overall, sell_through: rate(overall.sold, overall.offered) },
+    byCourse,
+    byWeekday: Array.from(groups.weekday.values()).map(finish).sort((a, b) => a.weekday - b.weekday),
+    byHour: Array.from(groups.hour.values()).map(finish).sort((a, b) => a.hour - b.hour),
+    byLeadTime: LEAD_TIME_BUCKETS.map(b => ({
+      label: b.label,
+      sold: leadCounts.get(b.label),
+      share: rate(leadCounts.get(b.label), overall.sold)
+    })),
+    selloutPatterns
+  };
+}
+
+/**
+ * Sell-through by course, weekday, hour and lead time for tee times dated
+ * between from and to (inclusive).
+ * @param {Object} db - libsql client
+ * @param {Object} options
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD
+ * @param {number} [options.courseId]
+ * @param {string} [options.region]
+ * @returns {Promise<Object>} See aggregateDemand
+ */
+async function getDemandAnalytics(db, { from, to, courseId = null, region = null }) {
+  await ensureDemandTables(db);
+
+  let filter = `x.date >= ? AND x.date <= ? AND x.source NOT IN (${SUMMARY_ROW_SOURCES.map(() => '?').join(', ')})`;
+  const args = [from, to, ...SUMMARY_ROW_SOURCES];
+  if (courseId) {
+    filter += ' AND x.course_id = ?';
+    args.push(courseId);
+  }
+  if (region) {
+    filter += ' AND c.region = ?';
+    args.push(region);
+  }
+
+  const [offeredResult, salesResult, coursesResult] = await Promise.all([
+    db.execute({
+      sql: `SELECT x.course_id, strftime('%w', x.date) as weekday, CAST(substr(x.datetime, 12, 2) AS INTEGER) as hour,
+              COUNT(DISTINCT x.datetime || '|' || x.source) as offered
+            FROM tee_time_observations x
+            JOIN courses c ON c.id = x.course_id
+            WHERE ${filter}
+            GROUP BY x.course_id, weekday, hour`,
+      args
+    }),
+    db.execute({
+      sql: `SELECT x.course_id, strftime('%w', x.date) as weekday, CAST(substr(x.datetime, 12, 2) AS INTEGER) as hour, x.lead_hours
+            FROM tee_time_sales x
+            JOIN courses c ON c.id = x.course_id
+            WHERE ${filter}`,
+      args
+    }),
+    db.execute('SELECT id, name, slug, region FROM courses')
+  ]);
+
+  const coursesById = {};
+  coursesResult.rows.forEach(c => {
+    coursesById[c.id] = c;
+  });
+
+  return aggregateDemand(offeredResult.rows, salesResult.rows, coursesById);
+}
+
+module.exports = {
+  DEMAND_SCHEMA,
+  LEAD_TIME_BUCKETS,
+  SUMMARY_ROW_SOURCES,
+  ensureDemandTables,
+  isSummaryRowSource,
+  saleStatements,
+  getDaypart,
+  getLeadTimeBucket,
+  describePattern,
+  aggregateDemand,
+  getDemandAnalytics
+};
@@ -0,0 +1,62 @@
+/**
+ * Tee Time Freshness
+ *
+ * Every swap rewrites scraped_at on a course-date's rows (see swapTeeTimes in
+ * scripts/providers/utils.js), so a row's scraped_at is when its course was
+ * last scraped from that source for that date. A tee time is stale once it
+ * has missed a scheduled refresh: older than twice the adaptive scheduler's
+ * interval for its lead time (30 minutes for today, 12 hours for far dates).
+ */
+
+const { getDayOffset, getIntervalMinutes, parseSqliteTime } = require('./scrape-schedule');
+
+/** Scheduler intervals a course-date can miss before it counts as stale */
+const STALE_INTERVAL_MULTIPLIER = 2;
+
+/**
+ * @param {string} date - Tee time date (YYYY-MM-DD)
+ * @param {string} today - Pacific YYYY-MM-DD
+ * @returns {number} Minutes after which the tee time is stale
+ */
+function getStaleAfterMinutes(date, today) {
+  return getIntervalMinutes(Math.max(getDayOffset(today, date), 0)) * STALE_INTERVAL_MULTIPLIER;
+}
+
+/**
+ * @param {Object} row - tee_times row
+ * @param {Object} options
+ * @param {string} options.today - Pacific YYYY-MM-DD
+ * @param {number} [options.now] - ms since epoch
+ * @returns {Object} { source, last_scraped_at, age_minutes, is_stale }
+ */
+function getFreshness(row, { today, now = Date.now() }) {
+  const scrapedAt = parseSqliteTime(row.scraped_at);
+  if (scrapedAt === null) {
+    return { source: row.source || null, last_scraped_at: null, age_minutes: null, is_stale: true };
+  }
+
+  const ageMinutes = Math.max(Math.floor((now - scrapedAt) / 60000), 0);
+  return {
+    source: row.source || null,
+    last_scraped_at: new Date(scrapedAt).toISOString(),
+    age_minutes: ageMinutes,
+    is_stale: ageMinutes > getStaleAfterMinutes(row.date, today)
+  };
+}
+
+/**
+ * Attach freshness to tee_times rows
+ * @param {Array<Object>} rows
+ * @param {Object} options - See getFreshness
+ * @returns {Array<Object>} Rows with a freshness field
+ */
+function withFreshness(rows, options) {
+  return rows.map(row => ({ ...row, freshness: getFreshness(row, options) }));
+}
+
+module.exports = {
+  STALE_INTERVAL_MULTIPLIER,
+  getStaleAfterMinutes,
+  getFreshness,
+  withFreshness
+};
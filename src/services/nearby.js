@@ -0,0 +1,127 @@
+/**
+ * "Near Me" Course Search
+ *
+ * Finds courses around an origin - coordinates, or an address geocoded with
+ * LocationIQService.geocode - within a straight-line radius and/or a maximum
+ * drive time from a travel-time matrix (see ./travel-times.js). Results are
+ * sorted nearest first: by drive time when a drive limit was asked for,
+ * otherwise by distance.
+ */
+
+const { calculateDistance } = require('../agent/scorer');
+const { BAY_AREA_VIEWBOX } = require('../../services/locationiq');
+
+const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 150;
+const MAX_DRIVE_MINUTES = 240;
+
+/**
+ * Error with an HTTP status for the route to pass through
+ */
+class NearbySearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NearbySearchError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate query params
+ * @param {Object} query - req.query: lat + lng or address, radius, max_drive_minutes
+ * @returns {Object} { params, error }
+ */
+function parseNearbyQuery(query = {}) {
+  const blank = value => value === undefined || value === null || value === '';
+  const fail = error => ({ params: null, error });
+
+  const hasCoordinates = !blank(query.lat) || !blank(query.lng);
+  const address = blank(query.address) ? null : String(query.address).trim();
+  if (!hasCoordinates && !address) {
+    return fail('An origin is required: lat and lng, or address');
+  }
+
+  let coordinates = null;
+  if (hasCoordinates) {
+    const latitude = Number(query.lat);
+    const longitude = Number(query.lng);
+    if (blank(query.lat) || blank(query.lng) || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+      return fail('lat and lng must both be valid coordinates');
+    }
+    coordinates = { latitude, longitude };
+  }
+
+  const maxDriveMinutes = blank(query.max_drive_minutes) ? null : Number(query.max_drive_minutes);
+  if (maxDriveMinutes !== null && !(maxDriveMinutes > 0 && maxDriveMinutes <= MAX_DRIVE_MINUTES)) {
+    return fail(`max_drive_minutes must be 1-${MAX_DRIVE_MINUTES}`);
+  }
+
+  // A drive limit alone shouldn't be cut short by the default radius
+  const defaultRadius = maxDriveMinutes === null ? DEFAULT_RADIUS_MILES : MAX_RADIUS_MILES;
+  const radiusMiles = blank(query.radius) ? defaultRadius : Number(query.radius);
+  if (!(radiusMiles > 0 && radiusMiles <= MAX_RADIUS_MILES)) {
+    return fail(`radius must be 1-${MAX_RADIUS_MILES} miles`);
+  }
+
+  return { params: { coordinates, address, radiusMiles, maxDriveMinutes }, error: null };
+}
+
+/**
+ * @param {Object} params - From parseNearbyQuery
+ * @param {Object} [geocoder] - LocationIQService (only needed for addresses)
+ * @returns {Promise<Object>} { latitude, longitude, label, source }
+ * @throws {NearbySearchError} When the address can't be geocoded
+ */
+async function resolveOrigin({ coordinates, address }, geocoder) {
+  if (coordinates) {
+    return { ...coordinates, label: null, source: 'coordinates' };
+  }
+  if (!geocoder) {
+    throw new NearbySearchError('Address search is not configured', 503);
+  }
+
+  const location = await geocoder.geocode(address, { countrycodes: ['us'], viewbox: BAY_AREA_VIEWBOX });
+  if (!location) {
+    throw new NearbySearchError(`Could not find "${address}"`, 404);
+  }
+  return {
+    latitude: location.coordinates.latitude,
+    longitude: location.coordinates.longitude,
+    label: location.displayName,
+    source: 'geocoded'
+  };
+}
+
+/**
+ * Courses around an origin, nearest first
+ * @param {Array<Object>} courses - Rows with id, latitude, longitude
+ * @param {Object} origin - { latitude, longitude }
+ * @param {Object} options
+ * @param {number} options.radiusMiles
+ * @param {number|null} options.maxDriveMinutes
+ * @param {Object} options.matrix - Travel time matrix
+ * @returns {Promise<Array<Object>>} Courses with distance_miles and drive_minutes
+ */
+async function rankCoursesByDistance(courses, origin, { radiusMiles, maxDriveMinutes, matrix }) {
+  const inRadius = courses
+    .filter(c => c.latitude && c.longitude)
+    .map(c => ({ ...c, distance_miles: Math.round(calculateDistance(origin.latitude, origin.longitude, c.latitude, c.longitude) * 10) / 10 }))
+    .filter(c => c.distance_miles <= radiusMiles);
+
+  const driveMinutes = await matrix.driveMinutes(origin, inRadius);
+  const ranked = inRadius
+    .map(c => ({ ...c, drive_minutes: driveMinutes.get(c.id) ?? null }))
+    .filter(c => maxDriveMinutes === null || (c.drive_minutes !== null && c.drive_minutes <= maxDriveMinutes));
+
+  const byDrive = (a, b) => (a.drive_minutes ?? Infinity) - (b.drive_minutes ?? Infinity);
+  const byDistance = (a, b) => a.distance_miles - b.distance_miles;
+  return ranked.sort((a, b) => (maxDriveMinutes !== null && byDrive(a, b)) || byDistance(a, b));
+}
+
+module.exports = {
+  DEFAULT_RADIUS_MILES,
+  NearbySearchError,
+  parseNearbyQuery,
+  resolveOrigin,
+  rankCoursesByDistance
+};
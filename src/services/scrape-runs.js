@@ -0,0 +1,262 @@
+/**
+ * Scrape Run Ledger
+ *
+ * Every scheduled or full scrape writes one scrape_runs row, plus a row per
+ * provider and per course, so the admin dashboard can chart run history and
+ * spot providers or courses that quietly stop returning tee times.
+ *
+ * Ledger writes never throw - a broken ledger must not fail a scrape.
+ */
+
+const SCRAPE_RUN_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS scrape_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trigger TEXT NOT NULL,
+    status TEXT DEFAULT 'running',
+    days INTEGER,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    duration_ms INTEGER,
+    providers_total INTEGER DEFAULT 0,
+    providers_succeeded INTEGER DEFAULT 0,
+    fetched INTEGER DEFAULT 0,
+    inserted INTEGER DEFAULT 0,
+    updated INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    booked INTEGER DEFAULT 0,
+    stale_deleted INTEGER DEFAULT 0,
+    past_deleted INTEGER DEFAULT 0,
+    errors TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS scrape_run_providers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    name TEXT,
+    success INTEGER DEFAULT 0,
+    courses INTEGER DEFAULT 0,
+    fetched INTEGER DEFAULT 0,
+    inserted INTEGER DEFAULT 0,
+    updated INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    booked INTEGER DEFAULT 0,
+    fetch_errors INTEGER DEFAULT 0,
+    error TEXT,
+    duration_ms INTEGER,
+    FOREIGN KEY (run_id) REFERENCES scrape_runs(id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS scrape_run_courses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    course_id INTEGER NOT NULL,
+    fetched INTEGER DEFAULT 0,
+    inserted INTEGER DEFAULT 0,
+    updated INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    booked INTEGER DEFAULT 0,
+    fetch_errors INTEGER DEFAULT 0,
+    FOREIGN KEY (run_id) REFERENCES scrape_runs(id),
+    FOREIGN KEY (course_id) REFERENCES courses(id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_scrape_runs_started ON scrape_runs(started_at)',
+  'CREATE INDEX IF NOT EXISTS idx_scrape_run_providers_run ON scrape_run_providers(run_id)',
+  'CREATE INDEX IF NOT EXISTS idx_scrape_run_courses_run ON scrape_run_courses(run_id)',
+  'CREATE INDEX IF NOT EXISTS idx_scrape_run_courses_course ON scrape_run_courses(course_id)'
+];
+
+// Columns added after the ledger first shipped
+const SCRAPE_RUN_MIGRATIONS = [
+  'ALTER TABLE scrape_runs ADD COLUMN booked INTEGER DEFAULT 0',
+  'ALTER TABLE scrape_run_providers ADD COLUMN booked INTEGER DEFAULT 0',
+  'ALTER TABLE scrape_run_courses ADD COLUMN booked INTEGER DEFAULT 0'
+];
+
+/** Fetch error messages kept per run (the rest are counted, not stored) */
+const MAX_STORED_ERRORS = 50;
+
+/**
+ * A provider whose fetches mostly errored failed, even though runAdapter
+ * returned: a blocked or broken site errors on every fetch without throwing,
+ * and the scheduler only backs off from failed runs (getProviderBackoff in
+ * ./scrape-schedule.js).
+ */
+const MAX_FETCH_ERROR_RATE = 0.5;
+
+/**
+ * Create the ledger tables if they don't exist
+ * @param {Object} db - libsql client
+ */
+async function ensureScrapeRunTables(db) {
+  for (const sql of SCRAPE_RUN_SCHEMA) {
+    await db.execute(sql);
+  }
+  for (const sql of SCRAPE_RUN_MIGRATIONS) {
+    try {
+      await db.execute(sql);
+    } catch (e) { /* Column already exists */ }
+  }
+}
+
+/**
+ * Open a run record
+ * @param {Object} db - libsql client
+ * @param {Object} options
+ * @param {string} options.trigger - What started the run ("scheduled", "full")
+ * @param {number} options.days - Days of tee times requested
+ * @returns {Promise<number|null>} Run id, or null if the ledger is unavailable
+ */
+async function startScrapeRun(db, { trigger, days }) {
+  try {
+    await ensureScrapeRunTables(db);
+    const result = await db.execute({
+      sql: "INSERT INTO scrape_runs (trigger, status, days, started_at) VALUES (?, 'running', ?, datetime('now'))",
+      args: [trigger, days]
+    });
+    return Number(result.lastInsertRowid);
+  } catch (e) {
+    console.log(`[Ledger] Could not start scrape run: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Roll provider outcomes up into run totals
+ * @param {Array<Object>} providers - [{ source, name, success, error, durationMs, result }]
+ *   where result is the runAdapter return value (absent when the provider threw)
+ * @returns {Object} Run status and totals
+ */
+function summarizeProviders(providers) {
+  const totals = { fetched: 0, inserted: 0, updated: 0, failed: 0, booked: 0 };
+  const errors = [];
+
+  for (const p of providers) {
+    const result = p.result || {};
+    for (const field of Object.keys(totals)) {
+      totals[field] += result[field] || 0;
+    }
+    if (p.error) errors.push({ source: p.source, message: p.error });
+    for (const e of result.errors || []) {
+      errors.push({ source: p.source, slug: e.slug, date: e.date, message: e.message });
+    }
+  }
+
+  const succeeded = providers.filter(p => p.success).length;
+  let status = 'success';
+  if (succeeded === 0) status = 'failed';
+  else if (succeeded < providers.length) status = 'partial';
+
+  return {
+    status,
+    providers_total: providers.length,
+    providers_succeeded: succeeded,
+    ...totals,
+    error_count: errors.length,
+    errors: errors.slice(0, MAX_STORED_ERRORS)
+  };
+}
+
+/**
+ * Close a run record with per-provider and per-course stats
+ * @param {Object} db - libsql client
+ * @param {number|null} runId - Id from startScrapeRun (no-op when null)
+ * @param {Object} options
+ * @param {Array<Object>} options.providers - Provider outcomes (see summarizeProviders)
+ * @param {number} [options.staleDeleted] - Stale tee times removed after the run (legacy cleanup)
+ * @param {number} [options.pastDeleted] - Past tee times removed after the run
+ * @param {number} options.startedAt - Run start (ms since epoch)
+ * @returns {Promise<Object|null>} Run summary
+ */
+async function finishScrapeRun(db, runId, { providers, staleDeleted = 0, pastDeleted = 0, startedAt }) {
+  if (!runId) return null;
+
+  const summary = summarizeProviders(providers);
+
+  try {
+    const statements = [{
+      sql: `UPDATE scrape_runs SET
+            status = ?, finished_at = datetime('now'), duration_ms = ?,
+            providers_total = ?, providers_succeeded = ?,
+            fetched = ?, inserted = ?, updated = ?, failed = ?, booked = ?,
+            stale_deleted = ?, past_deleted = ?, errors = ?
+            WHERE id = ?`,
+      args: [
+        summary.status, Date.now() - startedAt,
+        summary.providers_total, summary.providers_succeeded,
+        summary.fetched, summary.inserted, summary.updated, summary.failed, summary.booked,
+        staleDeleted, pastDeleted, JSON.stringify(summary.errors),
+        runId
+      ]
+    }];
+
+    for (const p of providers) {
+      const result = p.result || {};
+      statements.push({
+        sql: `INSERT INTO scrape_run_providers
+              (run_id, source, name, success, courses, fetched, inserted, updated, failed, booked, fetch_errors, error, duration_ms)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          runId, p.source, p.name, p.success ? 1 : 0, result.coursesScraped || 0,
+          result.fetched || 0, result.inserted || 0, result.updated || 0, result.failed || 0, result.booked || 0,
+          (result.errors || []).length, p.error || null, p.durationMs || null
+        ]
+      });
+
+      for (const c of result.courses || []) {
+        statements.push({
+          sql: `INSERT INTO scrape_run_courses
+                (run_id, source, course_id, fetched, inserted, updated, failed, booked, fetch_errors)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          args: [runId, p.source, c.course_id, c.fetched, c.inserted, c.updated, c.failed, c.booked || 0, c.errors]
+        });
+      }
+    }
+
+    await db.batch(statements);
+  } catch (e) {
+    console.log(`[Ledger] Could not record scrape run ${runId}: ${e.message}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Describe a run whose fetches mostly errored
+ * @param {Object} result - runAdapter result ({ errors, attempted })
+ * @returns {string|null} Error message, or null when enough fetches succeeded
+ */
+function getFetchFailure(result) {
+  const failed = (result?.errors || []).length;
+  const attempted = result?.attempted || 0;
+  if (attempted === 0 || failed / attempted <= MAX_FETCH_ERROR_RATE) return null;
+  return `${failed} of ${attempted} fetches failed`;
+}
+
+/**
+ * Run a provider and capture its outcome in the shape finishScrapeRun expects.
+ * A run that returned but had most of its fetches error counts as failed,
+ * with its result kept for the ledger totals.
+ * @param {Object} adapter - Provider adapter
+ * @param {Function} run - () => Promise<runAdapter result>
+ * @returns {Promise<Object>} { source, name, success, error, durationMs, result }
+ */
+async function trackProvider(adapter, run) {
+  const start = Date.now();
+  try {
+    const result = await run();
+    const error = getFetchFailure(result);
+    return { source: adapter.source, name: adapter.name, success: !error, error, durationMs: Date.now() - start, result };
+  } catch (e) {
+    return { source: adapter.source, name: adapter.name, success: false, error: e.message, durationMs: Date.now() - start, result: null };
+  }
+}
+
+module.exports = {
+  SCRAPE_RUN_SCHEMA,
+  ensureScrapeRunTables,
+  startScrapeRun,
+  summarizeProviders,
+  finishScrapeRun,
+  getFetchFailure,
+  trackProvider
+};
@@ -0,0 +1,295 @@
+/**
+ * Adaptive Scrape Scheduling
+ *
+ * Instead of scraping every course for all 7 days on a fixed interval, each
+ * provider/course/date inside the course's booking window is re-scraped
+ * when it is due:
+ * - Lead time: today and tomorrow change fastest, days 5+ barely move
+ * - Volatility: courses selling out or repricing a lot are scraped twice as often
+ * - Backoff: providers that keep failing are skipped for exponentially longer
+ *
+ * scrape_course_dates remembers when each course-date was last swapped in
+ * (written by runAdapter in scripts/providers).
+ */
+
+const SCHEDULE_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS scrape_course_dates (
+    source TEXT NOT NULL,
+    course_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    last_scraped_at DATETIME NOT NULL,
+    PRIMARY KEY (source, course_id, date)
+  )`
+];
+
+const SCHEDULE_MIGRATIONS = [
+  'ALTER TABLE courses ADD COLUMN booking_window_days INTEGER'
+];
+
+/**
+ * Booking windows: how many days out (today included) a course takes bookings.
+ * courses.booking_window_days overrides the provider's bookingWindowDays.
+ */
+const DEFAULT_BOOKING_WINDOW_DAYS = 7;
+const MAX_BOOKING_WINDOW_DAYS = 30;
+
+/** Re-scrape interval by days ahead of today (Pacific) */
+const LEAD_TIME_TIERS = [
+  { maxDayOffset: 1, intervalMinutes: 30 },
+  { maxDayOffset: 4, intervalMinutes: 120 },
+  { maxDayOffset: 6, intervalMinutes: 360 },
+  { maxDayOffset: Infinity, intervalMinutes: 720 }
+];
+
+/** Share of a course's open slots sold or repriced in a day that counts as volatile */
+const HIGH_VOLATILITY = 0.15;
+const VOLATILE_INTERVAL_FACTOR = 0.5;
+
+/** Provider backoff after consecutive failed runs: 30m, 1h, 2h... up to 12h */
+const BACKOFF_BASE_MINUTES = 30;
+const BACKOFF_MAX_MINUTES = 12 * 60;
+
+const scheduleTablesReady = new WeakSet();
+
+/**
+ * Create the schedule table (and courses.booking_window_days) once per client
+ * @param {Object} db - libsql client
+ */
+async function ensureScheduleTables(db) {
+  if (scheduleTablesReady.has(db)) return;
+  for (const sql of SCHEDULE_SCHEMA) {
+    await db.execute(sql);
+  }
+  for (const sql of SCHEDULE_MIGRATIONS) {
+    try {
+      await db.execute(sql);
+    } catch (e) { /* Column already exists */ }
+  }
+  scheduleTablesReady.add(db);
+}
+
+/**
+ * Days of tee times to scrape for a course
+ * @param {Object} adapter - Provider adapter (optional bookingWindowDays)
+ * @param {Object} course - courses row (optional booking_window_days)
+ * @returns {number} 1 to MAX_BOOKING_WINDOW_DAYS
+ */
+function getBookingWindowDays(adapter, course) {
+  const days = Number(course?.booking_window_days) || adapter?.bookingWindowDays || DEFAULT_BOOKING_WINDOW_DAYS;
+  return Math.min(Math.max(Math.round(days), 1), MAX_BOOKING_WINDOW_DAYS);
+}
+
+/**
+ * Parse a SQLite datetime('now') string (UTC) to ms since epoch
+ * @param {string} value - "YYYY-MM-DD HH:MM:SS"
+ * @returns {number|null}
+ */
+function parseSqliteTime(value) {
+  if (!value) return null;
+  const ms = Date.parse(`${String(value).replace(' ', 'T')}Z`);
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Days between two YYYY-MM-DD dates
+ * @param {string} today
+ * @param {string} date
+ * @returns {number}
+ */
+function getDayOffset(today, date) {
+  return Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Minutes between scrapes of one course-date
+ * @param {number} dayOffset - 0 for today
+ * @param {number} [volatility] - Score from getCourseVolatility
+ * @returns {number}
+ */
+function getIntervalMinutes(dayOffset, volatility = 0) {
+  const tier = LEAD_TIME_TIERS.find(t => dayOffset <= t.maxDayOffset);
+  return volatility >= HIGH_VOLATILITY ? tier.intervalMinutes * VOLATILE_INTERVAL_FACTOR : tier.intervalMinutes;
+}
+
+/**
+ * Record course-dates that were just swapped in.
+ * Failures are logged, never thrown - the next run simply treats them as due.
+ * @param {Object} db - libsql client
+ * @param {string} source - Provider source
+ * @param {Array<Object>} courseDates - [{ course_id, date }]
+ */
+async function recordScrapedCourseDates(db, source, courseDates) {
+  if (courseDates.length === 0) return;
+  try {
+    await ensureScheduleTables(db);
+    await db.batch(courseDates.map(({ course_id, date }) => ({
+      sql: `INSERT INTO scrape_course_dates (source, course_id, date, last_scraped_at)
+            VALUES (?, ?, ?, datetime('now'))
+            ON CONFLICT(source, course_id, date) DO UPDATE SET last_scraped_at = excluded.last_scraped_at`,
+      args: [source, course_id, date]
+    })));
+  } catch (e) {
+    console.log(`  [Schedule] Could not record scraped course-dates for ${source}: ${e.message}`);
+  }
+}
+
+/**
+ * Volatility per course over the last day: slots sold or repriced divided by
+ * open future slots.
+ * @param {Object} db - libsql client
+ * @param {string} today - Pacific YYYY-MM-DD
+ * @returns {Promise<Map<number, number>>} course_id -> score
+ */
+async function getCourseVolatility(db, today) {
+  const scores = new Map();
+  try {
+    const [open, sold, repriced] = await Promise.all([
+      db.execute({
+        sql: 'SELECT course_id, COUNT(*) as count FROM tee_times WHERE date >= ? AND is_booked = 0 GROUP BY course_id',
+        args: [today]
+      }),
+      db.execute(`SELECT course_id, COUNT(*) as count FROM tee_time_sales
+                  WHERE created_at >= datetime('now', '-1 day') GROUP BY course_id`),
+      db.execute(`SELECT course_id, COUNT(*) as count FROM (
+                    SELECT course_id FROM tee_time_observations
+                    WHERE observed_at >= datetime('now', '-1 day')
+                    GROUP BY course_id, datetime, source
+                    HAVING MIN(price) != MAX(price)
+                  ) GROUP BY course_id`)
+    ]);
+
+    const openByCourse = new Map(open.rows.map(r => [r.course_id, Number(r.count)]));
+    const changes = new Map();
+    for (const r of [...sold.rows, ...repriced.rows]) {
+      changes.set(r.course_id, (changes.get(r.course_id) || 0) + Number(r.count));
+    }
+    for (const [courseId, count] of changes) {
+      scores.set(courseId, count / Math.max(openByCourse.get(courseId) || 0, 1));
+    }
+  } catch (e) {
+    // Demand tables may not exist yet - schedule on lead time alone
+  }
+  return scores;
+}
+
+/**
+ * Providers currently backing off after consecutive failed runs
+ * @param {Object} db - libsql client
+ * @param {number} [now] - ms since epoch
+ * @returns {Promise<Map<string, { failures: number, retryAt: number }>>}
+ */
+async function getProviderBackoff(db, now = Date.now()) {
+  const backoff = new Map();
+  try {
+    const result = await db.execute(`
+      SELECT p.source, p.success, r.finished_at
+      FROM scrape_run_providers p
+      JOIN scrape_runs r ON r.id = p.run_id
+      WHERE r.finished_at >= datetime('now', '-2 days')
+      ORDER BY p.run_id DESC
+    `);
+
+    const streaks = new Map();
+    for (const row of result.rows) {
+      const streak = streaks.get(row.source) || { failures: 0, lastFailure: null, done: false };
+      if (!streak.done) {
+        if (row.success) {
+          streak.done = true;
+        } else {
+          streak.failures++;
+          streak.lastFailure = streak.lastFailure || parseSqliteTime(row.finished_at);
+        }
+      }
+      streaks.set(row.source, streak);
+    }
+
+    for (const [source, { failures, lastFailure }] of streaks) {
+      if (failures === 0 || !lastFailure) continue;
+      const minutes = Math.min(BACKOFF_BASE_MINUTES * Math.pow(2, failures - 1), BACKOFF_MAX_MINUTES);
+      const retryAt = lastFailure + minutes * 60000;
+      if (retryAt > now) backoff.set(source, { failures, retryAt });
+    }
+  } catch (e) {
+    // No ledger yet - nothing to back off from
+  }
+  return backoff;
+}
+
+/**
+ * Work out which course-dates each provider should scrape now.
+ * @param {Object} db - libsql client
+ * @param {Array<Object>} adapters - Provider adapters
+ * @param {Object} coursesBySlug - Courses keyed by slug
+ * @param {Object} options
+ * @param {Array<string>} options.dates - Pacific dates in scope, today first
+ *   (course-dates past a course's booking window are never due)
+ * @param {boolean} [options.force] - Treat everything as due (ignores backoff too)
+ * @param {number} [options.now] - ms since epoch
+ * @returns {Promise<Array<Object>>} [{ adapter, isDue(target, dateStr), due, total, backoff }]
+ */
+async function planScrape(db, adapters, coursesBySlug, { dates, force = false, now = Date.now() }) {
+  await ensureScheduleTables(db);
+  const today = dates[0];
+
+  const [lastResult, volatility, backoff] = await Promise.all([
+    db.execute({
+      sql: 'SELECT source, course_id, date, last_scraped_at FROM scrape_course_dates WHERE date >= ?',
+      args: [today]
+    }),
+    getCourseVolatility(db, today),
+    getProviderBackoff(db, now)
+  ]);
+
+  const lastScraped = new Map(lastResult.rows.map(r => [
+    `${r.source}|${r.course_id}|${r.date}`, parseSqliteTime(r.last_scraped_at)
+  ]));
+
+  const plans = [];
+  for (const adapter of adapters) {
+    const isDue = (target, dateStr) => {
+      const dayOffset = getDayOffset(today, dateStr);
+      if (dayOffset >= getBookingWindowDays(adapter, target.course)) return false;
+      if (force) return true;
+      const last = lastScraped.get(`${adapter.source}|${target.course.id}|${dateStr}`);
+      if (!last) return true;
+      const interval = getIntervalMinutes(dayOffset, volatility.get(target.course.id));
+      return now - last >= interval * 60000;
+    };
+
+    const targets = await adapter.listCourses(coursesBySlug);
+    let due = 0;
+    let total = 0;
+    for (const target of targets) {
+      total += Math.min(getBookingWindowDays(adapter, target.course), dates.length);
+      for (const dateStr of dates) {
+        if (isDue(target, dateStr)) due++;
+      }
+    }
+
+    plans.push({
+      adapter,
+      isDue,
+      due,
+      total,
+      backoff: force ? null : backoff.get(adapter.source) || null
+    });
+  }
+
+  return plans;
+}
+
+module.exports = {
+  SCHEDULE_SCHEMA,
+  DEFAULT_BOOKING_WINDOW_DAYS,
+  MAX_BOOKING_WINDOW_DAYS,
+  LEAD_TIME_TIERS,
+  ensureScheduleTables,
+  getBookingWindowDays,
+  parseSqliteTime,
+  getDayOffset,
+  getIntervalMinutes,
+  recordScrapedCourseDates,
+  getCourseVolatility,
+  getProviderBackoff,
+  planScrape
+};
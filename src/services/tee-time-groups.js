@@ -0,0 +1,253 @@
+/**
+ * Tee Time Group Finder
+ *
+ * A tee time holds at most four players, so a party of 6-8 needs two or
+ * more slots at the same course close enough together to play as one
+ * outing. findTeeTimeGroups walks each course's day in time order and
+ * returns every run of adjacent slots (no gap over maxGapMinutes) with
+ * enough open spots for the party, using as few slots as possible, ranked
+ * by combined price and how close the first slot is to the preferred time.
+ *
+ * Input is one row per slot (course + datetime): run tee_times rows through
+ * mergeTeeTimeSources first so a slot sold on two sites isn't counted twice.
+ *
+ * Searches need a date range of at most MAX_SEARCH_DAYS, and callers load
+ * it a day at a time, so every slot in range is considered.
+ */
+
+/** Most players one tee time can hold */
+const MAX_PLAYERS_PER_SLOT = 4;
+
+const MIN_PARTY_SIZE = 2;
+const MAX_PARTY_SIZE = 16;
+const DEFAULT_MAX_GAP_MINUTES = 10;
+const MAX_GAP_LIMIT_MINUTES = 60;
+const MAX_SEARCH_DAYS = 7;
+
+const GROUP_WEIGHTS = {
+  price: 0.6,
+  time_match: 0.4
+};
+
+// Time match loses this many points per hour the first slot is off the preferred time
+const TIME_PENALTY_PER_HOUR = 15;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Every date from one YYYY-MM-DD to another, stopping one past MAX_SEARCH_DAYS
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<string>} Empty when the range is invalid or backwards
+ */
+function listDates(from, to) {
+  const dates = [];
+  const day = new Date(`${from}T00:00:00Z`);
+  const last = new Date(`${to}T00:00:00Z`);
+  while (day <= last && dates.length <= MAX_SEARCH_DAYS) {
+    dates.push(day.toISOString().slice(0, 10));
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * Validate group search params (the tee time filters themselves go through
+ * parseSearchFilters in ./tee-time-search.js)
+ * @param {Object} query - req.query
+ * @returns {Object} { options: { partySize, maxGapMinutes, preferredTime, dates }, error }
+ */
+function parseGroupOptions(query = {}) {
+  const fail = error => ({ options: null, error });
+
+  const partySize = Number(query.party_size);
+  if (!Number.isInteger(partySize) || partySize < MIN_PARTY_SIZE || partySize > MAX_PARTY_SIZE) {
+    return fail(`party_size must be between ${MIN_PARTY_SIZE} and ${MAX_PARTY_SIZE}`);
+  }
+
+  const maxGapMinutes = query.max_gap === undefined || query.max_gap === ''
+    ? DEFAULT_MAX_GAP_MINUTES
+    : Number(query.max_gap);
+  if (!Number.isInteger(maxGapMinutes) || maxGapMinutes < 0 || maxGapMinutes > MAX_GAP_LIMIT_MINUTES) {
+    return fail(`max_gap must be 0-${MAX_GAP_LIMIT_MINUTES} minutes`);
+  }
+
+  const preferredTime = query.preferred_time || null;
+  if (preferredTime && !TIME_PATTERN.test(preferredTime)) {
+    return fail('preferred_time must be HH:MM (24-hour)');
+  }
+
+  const dateFrom = query.date_from || query.date || '';
+  const dateTo = query.date_to || query.date || '';
+  if (!DATE_PATTERN.test(dateFrom) || !DATE_PATTERN.test(dateTo)) {
+    return fail('date (or date_from and date_to) is required, as YYYY-MM-DD');
+  }
+  const dates = listDates(dateFrom, dateTo);
+  if (dates.length === 0 || dates.length > MAX_SEARCH_DAYS) {
+    return fail(`Date range must cover 1-${MAX_SEARCH_DAYS} days`);
+  }
+
+  return { options: { partySize, maxGapMinutes, preferredTime, dates }, error: null };
+}
+
+/**
+ * @param {string} time - HH:MM
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Split a party across slots as evenly as their open spots allow
+ * ("8 over two foursomes" -> 4 + 4, "6" -> 3 + 3, "6 over a twosome and a foursome" -> 2 + 4)
+ * @param {number} partySize
+ * @param {Array<number>} capacities - Open spots per slot
+ * @returns {Array<number>} Players per slot
+ */
+function splitParty(partySize, capacities) {
+  let remaining = partySize;
+  const shares = capacities.map((capacity, i) => {
+    const share = Math.min(capacity, Math.ceil(remaining / (capacities.length - i)));
+    remaining -= share;
+    return share;
+  });
+
+  // A small slot late in the run can leave players over; seat them wherever there's room
+  for (let i = 0; i < shares.length && remaining > 0; i++) {
+    const extra = Math.min(capacities[i] - shares[i], remaining);
+    shares[i] += extra;
+    remaining -= extra;
+  }
+  return shares;
+}
+
+/**
+ * Time match for a group (0-100)
+ * @param {string} startTime - HH:MM of the first slot
+ * @param {string|null} preferredTime
+ * @returns {number}
+ */
+function timeMatchScore(startTime, preferredTime) {
+  if (!preferredTime) return 100;
+  const hoursOff = Math.abs(toMinutes(startTime) - toMinutes(preferredTime)) / 60;
+  return Math.max(0, 100 - hoursOff * TIME_PENALTY_PER_HOUR);
+}
+
+/**
+ * The fewest adjacent slots from slots[start] that seat the party
+ * @param {Array<Object>} slots - One course's day, in time order
+ * @param {number} start
+ * @param {Object} options - { partySize, maxGapMinutes }
+ * @returns {Array<Object>|null}
+ */
+function collectRun(slots, start, { partySize, maxGapMinutes }) {
+  const run = [];
+  let seats = 0;
+  for (let i = start; i < slots.length && seats < partySize; i++) {
+    const slot = slots[i];
+    if (run.length && toMinutes(slot.time) - toMinutes(run[run.length - 1].time) > maxGapMinutes) break;
+    if (!(slot.players > 0)) break;
+    run.push(slot);
+    seats += Math.min(slot.players, MAX_PLAYERS_PER_SLOT);
+  }
+  return seats >= partySize ? run : null;
+}
+
+/**
+ * Find and rank sets of adjacent tee times that together seat a party
+ * @param {Array<Object>} slots - One row per course + datetime, with course_id, date, time, players, price
+ * @param {Object} options
+ * @param {number} options.partySize
+ * @param {number} [options.maxGapMinutes] - Most minutes between consecutive slots
+ * @param {string} [options.preferredTime] - HH:MM the group would like to start
+ * @returns {Array<Object>} Groups, best first: { course_id, course_name, date,
+ *   start_time, end_time, span_minutes, slots (each with assigned_players),
+ *   total_price, price_per_player, scores, score, rank }
+ */
+function findTeeTimeGroups(slots, { partySize, maxGapMinutes = DEFAULT_MAX_GAP_MINUTES, preferredTime = null }) {
+  const byCourseDay = new Map();
+  for (const slot of slots) {
+    const key = `${slot.course_id}|${slot.date}`;
+    if (!byCourseDay.has(key)) byCourseDay.set(key, []);
+    byCourseDay.get(key).push(slot);
+  }
+
+  const groups = [];
+  for (const daySlots of byCourseDay.values()) {
+    daySlots.sort((a, b) => a.time.localeCompare(b.time));
+
+    for (let start = 0; start < daySlots.length; start++) {
+      const run = collectRun(daySlots, start, { partySize, maxGapMinutes });
+      if (!run) continue;
+
+      const assigned = splitParty(partySize, run.map(s => Math.min(s.players, MAX_PLAYERS_PER_SLOT)));
+      const priced = run.every(s => s.price > 0);
+      const totalPrice = priced
+        ? Math.round(run.reduce((sum, s, i) => sum + s.price * assigned[i], 0) * 100) / 100
+        : null;
+      const first = run[0];
+      const last = run[run.length - 1];
+
+      groups.push({
+        course_id: first.course_id,
+        course_name: first.course_name,
+        course_slug: first.course_slug,
+        city: first.city,
+        region: first.region,
+        date: first.date,
+        start_time: first.time,
+        end_time: last.time,
+        span_minutes: toMinutes(last.time) - toMinutes(first.time),
+        party_size: partySize,
+        slots: run.map((s, i) => ({ ...s, assigned_players: assigned[i] })),
+        total_price: totalPrice,
+        price_per_player: priced ? Math.round(totalPrice / partySize * 100) / 100 : null
+      });
+    }
+  }
+
+  return rankGroups(groups, preferredTime);
+}
+
+/**
+ * Score groups on price (cheapest found = 100, unknown = neutral 50) and
+ * time match, best first
+ * @param {Array<Object>} groups
+ * @param {string|null} preferredTime
+ * @returns {Array<Object>}
+ */
+function rankGroups(groups, preferredTime) {
+  const prices = groups.map(g => g.price_per_player).filter(p => p !== null);
+  const cheapest = Math.min(...prices);
+  const priciest = Math.max(...prices);
+
+  const scored = groups.map(group => {
+    const scores = {
+      price: group.price_per_player === null ? 50
+        : priciest === cheapest ? 100
+          : 100 - (group.price_per_player - cheapest) / (priciest - cheapest) * 100,
+      time_match: timeMatchScore(group.start_time, preferredTime)
+    };
+    const score = scores.price * GROUP_WEIGHTS.price + scores.time_match * GROUP_WEIGHTS.time_match;
+    return { ...group, scores, score: Math.round(score * 100) / 100 };
+  });
+
+  scored.sort((a, b) =>
+    b.score - a.score ||
+    `${a.date} ${a.start_time}`.localeCompare(`${b.date} ${b.start_time}`)
+  );
+  return scored.map((group, index) => ({ ...group, rank: index + 1 }));
+}
+
+module.exports = {
+  MAX_PLAYERS_PER_SLOT,
+  MAX_PARTY_SIZE,
+  DEFAULT_MAX_GAP_MINUTES,
+  MAX_SEARCH_DAYS,
+  parseGroupOptions,
+  splitParty,
+  findTeeTimeGroups
+};
@@ -0,0 +1,68 @@
+/**
+ * Cross-Source Tee Time Merge
+ *
+ * The same tee time often appears on several booking sites (a course's own
+ * Chronogolf sheet and GolfNow, for example). tee_times keeps one row per
+ * source; the public API shows one slot per course + datetime with a
+ * "book via" list of every source offering it, cheapest first.
+ */
+
+/**
+ * Order booking options cheapest first; unknown prices go last
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareOptions(a, b) {
+  const aPrice = a.price > 0 ? a.price : Infinity;
+  const bPrice = b.price > 0 ? b.price : Infinity;
+  return aPrice - bPrice;
+}
+
+/**
+ * Merge tee_times rows that share course_id + datetime.
+ * Each merged slot keeps the cheapest row's fields (price, booking_url,
+ * source...) so existing clients keep working, and adds:
+ * - book_via: [{ id, source, price, original_price, players, has_cart, booking_url, provenance, freshness }]
+ * - source_count: number of sources offering the slot
+ *
+ * Slots keep the position of their first row, so query ordering is preserved.
+ * @param {Array<Object>} rows - tee_times rows (joined course columns are carried over)
+ * @returns {Array<Object>} Merged slots
+ */
+function mergeTeeTimeSources(rows) {
+  const slots = new Map();
+
+  for (const row of rows) {
+    const key = `${row.course_id}|${row.datetime}`;
+    if (!slots.has(key)) slots.set(key, []);
+    slots.get(key).push(row);
+  }
+
+  return Array.from(slots.values()).map(group => {
+    const sorted = [...group].sort(compareOptions);
+    const cheapest = sorted[0];
+
+    return {
+      ...cheapest,
+      // Seats are sold independently on each site - show the most available
+      players: Math.max(...group.map(r => r.players || 0)) || cheapest.players,
+      source_count: group.length,
+      book_via: sorted.map(r => ({
+        id: r.id,
+        source: r.source,
+        price: r.price,
+        original_price: r.original_price,
+        players: r.players,
+        has_cart: r.has_cart,
+        booking_url: r.booking_url,
+        provenance: r.provenance,
+        freshness: r.freshness
+      }))
+    };
+  });
+}
+
+module.exports = {
+  mergeTeeTimeSources
+};
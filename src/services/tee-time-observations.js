@@ -0,0 +1,41 @@
+/**
+ * Tee Time Observations
+ *
+ * Append-only price log: the scrapers write one row per tee time per scrape
+ * (recordObservations in scripts/providers/utils.js) and never update or
+ * delete it. Price history (/api/courses/:id/price-history) and demand
+ * analytics (./demand.js) read it long after the tee times themselves are
+ * cleaned up.
+ */
+
+const OBSERVATIONS_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS tee_time_observations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    datetime TEXT NOT NULL,
+    source TEXT,
+    price REAL,
+    original_price REAL,
+    players INTEGER,
+    observed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_observations_course_date ON tee_time_observations(course_id, date)',
+  'CREATE INDEX IF NOT EXISTS idx_observations_slot ON tee_time_observations(course_id, datetime, source)'
+];
+
+/**
+ * Create the observations table if it doesn't exist
+ * @param {Object} db - libsql client
+ */
+async function ensureObservationTables(db) {
+  for (const sql of OBSERVATIONS_SCHEMA) {
+    await db.execute(sql);
+  }
+}
+
+module.exports = {
+  OBSERVATIONS_SCHEMA,
+  ensureObservationTables
+};
@@ -0,0 +1,62 @@
+/**
+ * Tee Time Provenance
+ *
+ * Scraped tee times come from a course's booking site. Synthetic tee times are
+ * generated demo inventory: source 'demo', tagged is_synthetic = 1. They are
+ * only generated and served when the API runs with DEMO_MODE=true, so a real
+ * deployment never shows a fabricated slot.
+ *
+ * Every tee time an endpoint returns carries provenance: 'scraped' | 'synthetic'.
+ */
+
+const PROVENANCE = {
+  SCRAPED: 'scraped',
+  SYNTHETIC: 'synthetic'
+};
+
+const DEMO_SOURCE = 'demo';
+
+/**
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {boolean} True when DEMO_MODE=true
+ */
+function isDemoMode(env = process.env) {
+  return env.DEMO_MODE === 'true';
+}
+
+/**
+ * SQL condition appended to tee_times queries to hide synthetic rows
+ * @param {string|null} alias - Table alias ("t"), or null for an unaliased tee_times
+ * @param {boolean} demoMode - Synthetic rows are visible in demo mode
+ * @returns {string} " AND t.is_synthetic = 0", or '' in demo mode
+ */
+function syntheticFilter(alias, demoMode) {
+  if (demoMode) return '';
+  return ` AND ${alias ? `${alias}.` : ''}is_synthetic = 0`;
+}
+
+/**
+ * @param {Object} row - tee_times row
+ * @returns {string} PROVENANCE value
+ */
+function getProvenance(row) {
+  return row.is_synthetic || row.source === DEMO_SOURCE ? PROVENANCE.SYNTHETIC : PROVENANCE.SCRAPED;
+}
+
+/**
+ * Tag tee_times rows with their provenance
+ * @param {Array<Object>} rows
+ * @returns {Array<Object>} Rows with a provenance field
+ */
+function withProvenance(rows) {
+  return rows.map(row => ({ ...row, provenance: getProvenance(row) }));
+}
+
+module.exports = {
+  PROVENANCE,
+  DEMO_SOURCE,
+  isDemoMode,
+  syntheticFilter,
+  getProvenance,
+  withProvenance
+};
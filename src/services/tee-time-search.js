@@ -0,0 +1,277 @@
+/**
+ * Faceted Tee Time Search
+ *
+ * Filters for /api/tee-times/search plus the facet counts the UI shows next
+ * to them ("23 times under $50 in East Bay"). Each facet is counted with
+ * every filter except its own, so picking East Bay still shows how many
+ * times the other regions have. Counts are slots (course + time), matching
+ * the merged list where one tee time sold on two sites appears once.
+ *
+ * Distance is per course: courses inside the lat/lng radius are found first
+ * (bounding box in SQL, haversine here) and become a course filter.
+ */
+
+const { calculateDistance } = require('../agent/scorer');
+
+const PRICE_BUCKETS = [
+  { key: 'under_50', label: 'Under $50', min: 0, max: 50 },
+  { key: '50_75', label: '$50-$75', min: 50, max: 75 },
+  { key: '75_100', label: '$75-$100', min: 75, max: 100 },
+  { key: '100_150', label: '$100-$150', min: 100, max: 150 },
+  { key: '150_plus', label: '$150+', min: 150, max: null }
+];
+
+const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 100;
+const MILES_PER_DEGREE_LAT = 69;
+
+const SORTS = {
+  datetime: 't.datetime ASC',
+  price: 't.price ASC, t.datetime ASC',
+  rating: 'c.avg_rating DESC, t.datetime ASC'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A slot is one course + time, however many sites sell it
+const SLOT_COUNT = "COUNT(DISTINCT t.course_id || '|' || t.datetime)";
+
+/**
+ * Comma-separated or repeated query values
+ * @param {string|Array|undefined} value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Validate search query params
+ * @param {Object} query - req.query
+ * @returns {Object} { filters, error }
+ */
+function parseSearchFilters(query = {}) {
+  const blank = value => value === undefined || value === null || value === '';
+  const number = value => blank(value) ? null : Number(value);
+  const fail = error => ({ filters: null, error });
+
+  const courseIds = parseList(query.course_id).map(Number);
+  if (courseIds.some(id => !Number.isInteger(id))) {
+    return fail('course_id must be a list of course ids');
+  }
+
+  const dateFrom = query.date_from || query.date || null;
+  const dateTo = query.date_to || query.date || null;
+  for (const date of [dateFrom, dateTo]) {
+    if (date && !DATE_PATTERN.test(date)) return fail('Dates must be YYYY-MM-DD');
+  }
+  if (dateFrom && dateTo && dateFrom > dateTo) return fail('Date range ends before it starts');
+
+  const minTime = query.min_time || null;
+  const maxTime = query.max_time || null;
+  for (const time of [minTime, maxTime]) {
+    if (time && !TIME_PATTERN.test(time)) return fail('Times must be HH:MM (24-hour)');
+  }
+
+  const minPrice = number(query.min_price ?? query.minPrice);
+  const maxPrice = number(query.max_price ?? query.maxPrice);
+  for (const price of [minPrice, maxPrice]) {
+    if (price !== null && !(price >= 0)) return fail('Prices must be positive numbers');
+  }
+
+  const holes = number(query.holes);
+  if (holes !== null && holes !== 9 && holes !== 18) return fail('holes must be 9 or 18');
+
+  const players = number(query.players);
+  if (players !== null && !(Number.isInteger(players) && players >= 1 && players <= 4)) {
+    return fail('Players must be between 1 and 4');
+  }
+
+  const minRating = number(query.min_rating);
+  if (minRating !== null && !(minRating >= 0 && minRating <= 5)) return fail('min_rating must be between 0 and 5');
+
+  let near = null;
+  if (!blank(query.lat) || !blank(query.lng)) {
+    const lat = number(query.lat);
+    const lng = number(query.lng);
+    if (lat === null || lng === null || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+      return fail('lat and lng must both be valid coordinates');
+    }
+    const radius = blank(query.radius) ? DEFAULT_RADIUS_MILES : Number(query.radius);
+    if (!(radius > 0 && radius <= MAX_RADIUS_MILES)) return fail(`radius must be 1-${MAX_RADIUS_MILES} miles`);
+    near = { lat, lng, radius };
+  }
+
+  return {
+    filters: {
+      regions: parseList(query.region),
+      courseIds,
+      dateFrom,
+      dateTo,
+      minTime,
+      maxTime,
+      minPrice,
+      maxPrice,
+      holes,
+      players,
+      cart: query.cart === 'true',
+      dealsOnly: query.deals === 'true',
+      staffPicks: query.staff_picks === 'true',
+      minRating,
+      near,
+      sort: SORTS[query.sort_by] ? query.sort_by : 'datetime'
+    },
+    error: null
+  };
+}
+
+/**
+ * Courses within the search radius
+ * @param {Object} db - libsql client
+ * @param {Object} near - { lat, lng, radius } in miles
+ * @returns {Promise<Map<number, number>>} course id -> distance in miles
+ */
+async function findCoursesNear(db, { lat, lng, radius }) {
+  const latDelta = radius / MILES_PER_DEGREE_LAT;
+  const lngDelta = radius / (MILES_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+  const result = await db.execute({
+    sql: `SELECT id, latitude, longitude FROM courses
+          WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?`,
+    args: [lat - latDelta, lat + latDelta, lng - lngDelta, lng + lngDelta]
+  });
+
+  const distances = new Map();
+  for (const course of result.rows) {
+    const miles = calculateDistance(lat, lng, course.latitude, course.longitude);
+    if (miles <= radius) distances.set(course.id, Math.round(miles * 10) / 10);
+  }
+  return distances;
+}
+
+/**
+ * WHERE clause for a search
+ * @param {Object} filters - From parseSearchFilters
+ * @param {Object} options
+ * @param {string} options.now - Pacific ISO datetime; earlier tee times are excluded
+ * @param {string} options.syntheticClause - e.g. " AND t.is_synthetic = 0"
+ * @param {Map} [options.nearby] - Courses in range, when searching by distance
+ * @param {string} [options.exclude] - Facet whose own filter is left out: region, price or hour
+ * @returns {Object} { sql, args }
+ */
+function buildSearchWhere(filters, { now, syntheticClause, nearby = null, exclude = null }) {
+  let sql = `t.datetime >= ? AND t.is_booked = 0${syntheticClause}`;
+  const args = [now];
+  const inList = (column, values) => {
+    sql += ` AND ${column} IN (${values.map(() => '?').join(', ')})`;
+    args.push(...values);
+  };
+
+  if (filters.regions.length && exclude !== 'region') inList('c.region', filters.regions);
+  if (filters.courseIds.length) inList('t.course_id', filters.courseIds);
+  if (nearby) {
+    if (nearby.size) {
+      inList('t.course_id', [...nearby.keys()]);
+    } else {
+      sql += ' AND 0';
+    }
+  }
+
+  const conditions = [
+    [filters.dateFrom, 't.date >= ?'],
+    [filters.dateTo, 't.date <= ?'],
+    [exclude === 'hour' ? null : filters.minTime, 't.time >= ?'],
+    [exclude === 'hour' ? null : filters.maxTime, 't.time <= ?'],
+    [exclude === 'price' ? null : filters.minPrice, 't.price >= ?'],
+    [exclude === 'price' ? null : filters.maxPrice, 't.price <= ?'],
+    [filters.holes, 't.holes = ?'],
+    [filters.players, 't.players >= ?'],
+    [filters.minRating, 'c.avg_rating >= ?']
+  ];
+  for (const [value, clause] of conditions) {
+    if (value !== null) {
+      sql += ` AND ${clause}`;
+      args.push(value);
+    }
+  }
+
+  if (filters.cart) sql += ' AND t.has_cart = 1';
+  if (filters.dealsOnly) sql += ' AND t.original_price IS NOT NULL AND t.price < t.original_price';
+  if (filters.staffPicks) sql += ' AND c.is_staff_pick = 1';
+
+  return { sql, args };
+}
+
+const PRICE_BUCKET_CASE = `CASE ${PRICE_BUCKETS.map(b =>
+  b.max === null ? `ELSE '${b.key}'` : `WHEN t.price < ${b.max} THEN '${b.key}'`
+).join(' ')} END`;
+
+/**
+ * Run a search: one page of tee time rows plus totals and facet counts
+ * @param {Object} db - libsql client
+ * @param {Object} filters - From parseSearchFilters
+ * @param {Object} options
+ * @param {string} options.now - Pacific ISO datetime
+ * @param {string} options.syntheticClause
+ * @param {number} options.limit - Rows to fetch
+ * @returns {Promise<Object>} { rows, total, facets: { regions, price, hours } }
+ */
+async function searchTeeTimes(db, filters, { now, syntheticClause, limit }) {
+  const nearby = filters.near ? await findCoursesNear(db, filters.near) : null;
+  const where = (exclude) => buildSearchWhere(filters, { now, syntheticClause, nearby, exclude });
+  const from = 'FROM tee_times t JOIN courses c ON t.course_id = c.id';
+
+  const all = where();
+  const byRegion = where('region');
+  const byPrice = where('price');
+  const byHour = where('hour');
+
+  const [rowsResult, totalResult, regionResult, priceResult, hourResult] = await Promise.all([
+    db.execute({
+      sql: `SELECT t.*, c.name as course_name, c.city, c.region, c.slug as course_slug, c.avg_rating
+            ${from} WHERE ${all.sql} ORDER BY ${SORTS[filters.sort]} LIMIT ${limit}`,
+      args: all.args
+    }),
+    db.execute({ sql: `SELECT ${SLOT_COUNT} as count ${from} WHERE ${all.sql}`, args: all.args }),
+    db.execute({
+      sql: `SELECT c.region as value, ${SLOT_COUNT} as count ${from} WHERE ${byRegion.sql}
+            GROUP BY c.region ORDER BY count DESC, c.region`,
+      args: byRegion.args
+    }),
+    db.execute({
+      sql: `SELECT ${PRICE_BUCKET_CASE} as bucket, ${SLOT_COUNT} as count ${from}
+            WHERE ${byPrice.sql} AND t.price IS NOT NULL GROUP BY bucket`,
+      args: byPrice.args
+    }),
+    db.execute({
+      sql: `SELECT CAST(substr(t.time, 1, 2) AS INTEGER) as hour, ${SLOT_COUNT} as count ${from}
+            WHERE ${byHour.sql} GROUP BY hour ORDER BY hour`,
+      args: byHour.args
+    })
+  ]);
+
+  const priceCounts = new Map(priceResult.rows.map(r => [r.bucket, Number(r.count)]));
+
+  return {
+    rows: nearby ? rowsResult.rows.map(r => ({ ...r, distance_miles: nearby.get(r.course_id) ?? null })) : rowsResult.rows,
+    total: Number(totalResult.rows[0]?.count || 0),
+    facets: {
+      regions: regionResult.rows.filter(r => r.value).map(r => ({ value: r.value, count: Number(r.count) })),
+      price: PRICE_BUCKETS.map(b => ({ ...b, count: priceCounts.get(b.key) || 0 })),
+      hours: hourResult.rows.map(r => ({ hour: Number(r.hour), count: Number(r.count) }))
+    }
+  };
+}
+
+module.exports = {
+  PRICE_BUCKETS,
+  DEFAULT_RADIUS_MILES,
+  parseList,
+  parseSearchFilters,
+  findCoursesNear,
+  buildSearchWhere,
+  searchTeeTimes
+};
@@ -0,0 +1,286 @@
+/**
+ * Tee Time Verification
+ *
+ * Scraped tee times can be hours old, so a slot may be gone or repriced by
+ * the time a golfer clicks through. Before /go/:slug sends them to the
+ * booking site or /api/bookings/request queues a booking, the slot is
+ * re-checked on its booking site by the booker for its system
+ * (src/agent/bookers - checkAvailability reads the live tee sheet).
+ *
+ * Outcomes:
+ *   available      Still listed at the stored price
+ *   price_changed  Still listed at another price
+ *   unavailable    Gone from the tee sheet, with the closest open tee times
+ *                  that day as alternatives. Slots already flagged booked
+ *                  skip the check.
+ *   unverified     Demo slot, no booker for the site, live check skipped, or
+ *                  the check failed or timed out - callers carry on as they
+ *                  would without a check
+ *
+ * A check never changes tee_times or the demand tables: it runs on page
+ * views, so anyone could otherwise book out or reprice slots. Each live
+ * check is logged in tee_time_verifications and the next scrape of the
+ * course reconciles the slot.
+ */
+
+const { createBooker, resolveBookerClass } = require('../agent/bookers');
+const { mergeTeeTimeSources } = require('./tee-time-merge');
+const { PROVENANCE, getProvenance } = require('./tee-time-provenance');
+
+const VERIFICATION_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS tee_time_verifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tee_time_id INTEGER NOT NULL,
+    course_id INTEGER NOT NULL,
+    datetime TEXT NOT NULL,
+    source TEXT,
+    status TEXT NOT NULL,
+    price REAL,
+    previous_price REAL,
+    reason TEXT,
+    checked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_tee_time_verifications_slot ON tee_time_verifications(course_id, datetime, source)'
+];
+
+const VerificationStatus = {
+  AVAILABLE: 'available',
+  PRICE_CHANGED: 'price_changed',
+  UNAVAILABLE: 'unavailable',
+  UNVERIFIED: 'unverified'
+};
+
+/** Give up on the live check after this long - the golfer is waiting on it */
+const DEFAULT_VERIFY_TIMEOUT_MS = 20 * 1000;
+
+const MAX_ALTERNATIVES = 5;
+/** Alternatives start within this many minutes of the lost slot */
+const ALTERNATIVE_WINDOW_MINUTES = 120;
+
+const TIME_MINUTES_SQL = 'CAST(substr(t.time, 1, 2) AS INTEGER) * 60 + CAST(substr(t.time, 4, 2) AS INTEGER)';
+
+/**
+ * Create the verification log table if it doesn't exist
+ * @param {Object} db - libsql client
+ */
+async function ensureVerificationTables(db) {
+  for (const sql of VERIFICATION_SCHEMA) {
+    await db.execute(sql);
+  }
+}
+
+/**
+ * Log a live check. Best effort - a golfer on their way to book isn't held
+ * up by the log.
+ * @param {Object} db - libsql client
+ * @param {Object} teeTime - tee_times row
+ * @param {Object} verification - From verifyTeeTime
+ */
+async function recordVerification(db, teeTime, verification) {
+  try {
+    await db.execute({
+      sql: `INSERT INTO tee_time_verifications (tee_time_id, course_id, datetime, source, status, price, previous_price, reason)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        teeTime.id, teeTime.course_id, teeTime.datetime, teeTime.source,
+        verification.status, verification.price ?? null, verification.previousPrice ?? null, verification.reason
+      ]
+    });
+  } catch (error) {
+    console.error(`[Verify] Could not log the check of tee time ${teeTime.id}:`, error.message);
+  }
+}
+
+/**
+ * Current Pacific time as "YYYY-MM-DD HH:MM", the tee_times.datetime format
+ * @returns {string}
+ */
+function getPacificNow() {
+  const pst = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pst.getFullYear()}-${pad(pst.getMonth() + 1)}-${pad(pst.getDate())} ${pad(pst.getHours())}:${pad(pst.getMinutes())}`;
+}
+
+/**
+ * Load a tee time with the course fields verification needs
+ * @param {Object} db - libsql client
+ * @param {number} teeTimeId
+ * @returns {Promise<Object|null>} tee_times row with course_name, course_slug, booking_system
+ */
+async function getTeeTimeForVerification(db, teeTimeId) {
+  const result = await db.execute({
+    sql: `SELECT t.*, c.name as course_name, c.slug as course_slug, c.booking_system
+          FROM tee_times t
+          JOIN courses c ON t.course_id = c.id
+          WHERE t.id = ?`,
+    args: [teeTimeId]
+  });
+  return result.rows[0] || null;
+}
+
+/**
+ * Look the slot up on its live tee sheet with the booker for its site
+ * @param {Object} details - { bookingUrl, bookingSystem, date, time, players }
+ * @param {Object} options
+ * @param {number} options.timeoutMs
+ * @returns {Promise<Object>} checkAvailability result: { available, price } or { error }
+ */
+async function checkSlotWithBooker(details, { timeoutMs }) {
+  const booker = createBooker(details, { timeout: timeoutMs });
+  let timer;
+  try {
+    return await Promise.race([
+      booker.checkAvailability(details),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Availability check timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+    await booker.close().catch(() => {});
+  }
+}
+
+/**
+ * Closest open tee times to a lost slot: the same course first, then other
+ * courses in its region, nearest in time. Slots sold on several sites are
+ * merged (see ./tee-time-merge.js), so another site still selling the same
+ * slot shows up here.
+ * @param {Object} db - libsql client
+ * @param {Object} teeTime - tee_times row
+ * @param {Object} [options]
+ * @param {number} [options.players] - Party size the alternatives must fit
+ * @param {number} [options.limit]
+ * @param {string} [options.syntheticClause] - From syntheticFilter('t', ...)
+ * @param {Function} [options.annotate] - Rows => rows, run before merging (provenance, freshness)
+ * @param {string} [options.now] - Pacific "YYYY-MM-DD HH:MM"
+ * @returns {Promise<Array<Object>>} Merged tee times with course_name and course_slug
+ */
+async function findAlternativeTeeTimes(db, teeTime, {
+  players = 1,
+  limit = MAX_ALTERNATIVES,
+  syntheticClause = '',
+  annotate = rows => rows,
+  now = getPacificNow()
+} = {}) {
+  const [hours, minutes] = teeTime.time.split(':').map(Number);
+  const target = hours * 60 + minutes;
+
+  const result = await db.execute({
+    sql: `SELECT t.*, c.name as course_name, c.slug as course_slug
+          FROM tee_times t
+          JOIN courses c ON t.course_id = c.id
+          WHERE t.date = ? AND t.id != ? AND t.is_booked = 0 AND t.datetime >= ?${syntheticClause}
+          AND (t.players IS NULL OR t.players >= ?)
+          AND (t.course_id = ? OR c.region = (SELECT region FROM courses WHERE id = ?))
+          AND ABS(${TIME_MINUTES_SQL} - ?) <= ?
+          ORDER BY t.course_id = ? DESC, ABS(${TIME_MINUTES_SQL} - ?), t.price
+          LIMIT ?`,
+    args: [
+      teeTime.date, teeTime.id, now, players,
+      teeTime.course_id, teeTime.course_id,
+      target, ALTERNATIVE_WINDOW_MINUTES,
+      teeTime.course_id, target,
+      // Room for the same slot from several sources before merging
+      limit * 4
+    ]
+  });
+
+  return mergeTeeTimeSources(annotate(result.rows)).slice(0, limit);
+}
+
+/**
+ * Re-check a tee time on its booking site
+ * @param {Object} db - libsql client
+ * @param {Object} teeTime - From getTeeTimeForVerification
+ * @param {Object} [options]
+ * @param {number} [options.players] - Party size (defaults to 1)
+ * @param {boolean} [options.live] - false skips the live check (e.g. for crawlers)
+ * @param {Function} [options.checkSlot] - (details, { timeoutMs }) => { available, price } | { error }
+ * @param {number} [options.timeoutMs]
+ * @param {string} [options.syntheticClause] - Hides demo slots from the alternatives
+ * @param {Function} [options.annotate] - Applied to the alternatives (see findAlternativeTeeTimes)
+ * @param {string} [options.now] - Pacific "YYYY-MM-DD HH:MM"
+ * @returns {Promise<Object>} { status, teeTimeId, price, previousPrice, alternatives, reason, checkedAt }
+ */
+async function verifyTeeTime(db, teeTime, {
+  players = 1,
+  live = true,
+  checkSlot = checkSlotWithBooker,
+  timeoutMs = DEFAULT_VERIFY_TIMEOUT_MS,
+  syntheticClause = '',
+  annotate,
+  now = getPacificNow()
+} = {}) {
+  const verification = (status, fields = {}) => ({
+    status,
+    teeTimeId: teeTime.id,
+    price: teeTime.price,
+    previousPrice: teeTime.price,
+    alternatives: [],
+    reason: null,
+    checkedAt: new Date().toISOString(),
+    ...fields
+  });
+
+  const alternatives = () => findAlternativeTeeTimes(db, teeTime, { players, syntheticClause, annotate, now });
+
+  // Already found gone by a scrape
+  if (teeTime.is_booked) {
+    return verification(VerificationStatus.UNAVAILABLE, { price: null, alternatives: await alternatives() });
+  }
+  if (getProvenance(teeTime) === PROVENANCE.SYNTHETIC) {
+    return verification(VerificationStatus.UNVERIFIED, { reason: 'Demo tee time' });
+  }
+  if (!live) {
+    return verification(VerificationStatus.UNVERIFIED, { reason: 'Live check skipped' });
+  }
+
+  const details = {
+    bookingUrl: teeTime.booking_url,
+    bookingSystem: teeTime.booking_system,
+    date: teeTime.date,
+    time: teeTime.time,
+    players
+  };
+  if (!details.bookingUrl || !resolveBookerClass(details)) {
+    return verification(VerificationStatus.UNVERIFIED, { reason: 'No live check for this booking site' });
+  }
+
+  let result;
+  try {
+    result = await checkSlot(details, { timeoutMs });
+  } catch (error) {
+    result = { error: error.message };
+  }
+
+  let checked;
+  if (result.error) {
+    checked = verification(VerificationStatus.UNVERIFIED, { reason: result.error });
+  } else if (!result.available) {
+    checked = verification(VerificationStatus.UNAVAILABLE, { price: null });
+  } else {
+    // Prices are compared to the cent; no price on the sheet keeps the stored one
+    const livePrice = result.price ?? null;
+    checked = livePrice !== null && Math.round(livePrice * 100) !== Math.round((teeTime.price ?? 0) * 100)
+      ? verification(VerificationStatus.PRICE_CHANGED, { price: livePrice })
+      : verification(VerificationStatus.AVAILABLE);
+  }
+  await recordVerification(db, teeTime, checked);
+
+  if (checked.status === VerificationStatus.UNAVAILABLE) {
+    return { ...checked, alternatives: await alternatives() };
+  }
+  return checked;
+}
+
+module.exports = {
+  VERIFICATION_SCHEMA,
+  VerificationStatus,
+  DEFAULT_VERIFY_TIMEOUT_MS,
+  ensureVerificationTables,
+  getTeeTimeForVerification,
+  checkSlotWithBooker,
+  findAlternativeTeeTimes,
+  verifyTeeTime
+};
@@ -0,0 +1,115 @@
+/**
+ * Course Drive Times
+ *
+ * Drive-time search asks a travel-time matrix for minutes from an origin to
+ * a set of courses. A matrix is any object with
+ *
+ *   driveMinutes(origin, courses) -> Promise<Map<courseId, minutes|null>>
+ *
+ * where origin is { latitude, longitude } and courses are rows with id,
+ * latitude and longitude. Two implementations:
+ *
+ * - createEstimatedTravelTimeMatrix: straight-line distance stretched by a
+ *   road circuity factor at an average Bay Area driving speed. No I/O, so
+ *   it is the fallback and the stand-in for tests.
+ * - createPrecomputedTravelTimeMatrix: reads course_travel_times, filled by
+ *   scripts/build-travel-times.js from a routing API for a grid of origin
+ *   cells. Courses without a precomputed time fall back to the estimate.
+ */
+
+const { calculateDistance } = require('../agent/scorer');
+
+const TRAVEL_TIME_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS course_travel_times (
+    origin_cell TEXT NOT NULL,
+    course_id INTEGER NOT NULL,
+    drive_minutes REAL NOT NULL,
+    drive_miles REAL,
+    computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (origin_cell, course_id),
+    FOREIGN KEY (course_id) REFERENCES courses(id)
+  )`
+];
+
+/** Origins are snapped to a grid of this many degrees (~3.5 miles) */
+const ORIGIN_CELL_DEGREES = 0.05;
+
+/** Roads are this much longer than the straight line, on average */
+const ROAD_CIRCUITY_FACTOR = 1.3;
+const AVERAGE_SPEED_MPH = 35;
+
+/**
+ * Create the travel time table if it doesn't exist
+ * @param {Object} db - libsql client
+ */
+async function ensureTravelTimeTables(db) {
+  for (const sql of TRAVEL_TIME_SCHEMA) {
+    await db.execute(sql);
+  }
+}
+
+/**
+ * Grid cell key for an origin (its cell's center, "lat,lng")
+ * @param {Object} origin - { latitude, longitude }
+ * @returns {string}
+ */
+function getOriginCell({ latitude, longitude }) {
+  const snap = value => (Math.round(value / ORIGIN_CELL_DEGREES) * ORIGIN_CELL_DEGREES).toFixed(2);
+  return `${snap(latitude)},${snap(longitude)}`;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.circuityFactor]
+ * @param {number} [options.speedMph]
+ * @returns {Object} Travel time matrix
+ */
+function createEstimatedTravelTimeMatrix({ circuityFactor = ROAD_CIRCUITY_FACTOR, speedMph = AVERAGE_SPEED_MPH } = {}) {
+  return {
+    async driveMinutes(origin, courses) {
+      const minutes = new Map();
+      for (const course of courses) {
+        const miles = calculateDistance(origin.latitude, origin.longitude, course.latitude, course.longitude);
+        minutes.set(course.id, Math.round(miles * circuityFactor / speedMph * 60));
+      }
+      return minutes;
+    }
+  };
+}
+
+/**
+ * @param {Object} db - libsql client
+ * @param {Object} [options]
+ * @param {Object} [options.fallback] - Matrix for courses with no precomputed time
+ * @returns {Object} Travel time matrix
+ */
+function createPrecomputedTravelTimeMatrix(db, { fallback = createEstimatedTravelTimeMatrix() } = {}) {
+  return {
+    async driveMinutes(origin, courses) {
+      if (!courses.length) return new Map();
+
+      const result = await db.execute({
+        sql: `SELECT course_id, drive_minutes FROM course_travel_times
+              WHERE origin_cell = ? AND course_id IN (${courses.map(() => '?').join(', ')})`,
+        args: [getOriginCell(origin), ...courses.map(c => c.id)]
+      });
+
+      const minutes = new Map(result.rows.map(r => [r.course_id, Math.round(r.drive_minutes)]));
+      const missing = courses.filter(c => !minutes.has(c.id));
+      if (missing.length && fallback) {
+        for (const [courseId, estimate] of await fallback.driveMinutes(origin, missing)) {
+          minutes.set(courseId, estimate);
+        }
+      }
+      return minutes;
+    }
+  };
+}
+
+module.exports = {
+  ORIGIN_CELL_DEGREES,
+  ensureTravelTimeTables,
+  getOriginCell,
+  createEstimatedTravelTimeMatrix,
+  createPrecomputedTravelTimeMatrix
+};
@@ -0,0 +1,213 @@
+/**
+ * Tee Time Alerts Service Tests
+ *
+ * Tests for src/services/alerts.js:
+ * - validateAlertRule input validation
+ * - buildRuleFilter SQL generation
+ * - matchAlertRules queueing
+ * - sendAlertNotifications delivery and status updates
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  validateAlertRule,
+  buildRuleFilter,
+  matchAlertRules,
+  formatTeeTime,
+  buildAlertEmail,
+  sendAlertNotifications
+} from '../src/services/alerts.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const NOW = '2026-10-19 08:00';
+
+/**
+ * Mock libsql client that answers SELECTs by matching SQL fragments
+ */
+const createMockDb = (responses = {}) => ({
+  execute: vi.fn(async (stmt) => {
+    const sql = typeof stmt === 'string' ? stmt : stmt.sql;
+    for (const [fragment, response] of Object.entries(responses)) {
+      if (sql.includes(fragment)) return typeof response === 'function' ? response(stmt) : response;
+    }
+    return { rows: [], rowsAffected: 0 };
+  })
+});
+
+const statementsMatching = (db, fragment) => db.execute.mock.calls
+  .map(call => call[0])
+  .filter(stmt => typeof stmt !== 'string' && stmt.sql.includes(fragment));
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('validateAlertRule', () => {
+  it('should accept a full rule in camelCase', () => {
+    const { rule, error } = validateAlertRule({
+      name: 'Weekend mornings',
+      courseId: '12',
+      dateFrom: '2026-10-24',
+      dateTo: '2026-10-25',
+      timeFrom: '06:00',
+      timeTo: '10:30',
+      maxPrice: '80',
+      players: 4
+    });
+
+    expect(error).toBeNull();
+    expect(rule).toEqual({
+      name: 'Weekend mornings',
+      course_id: 12,
+      region: null,
+      date_from: '2026-10-24',
+      date_to: '2026-10-25',
+      time_from: '06:00',
+      time_to: '10:30',
+      max_price: 80,
+      players: 4,
+      is_active: 1
+    });
+  });
+
+  it('should accept snake_case region rules', () => {
+    const { rule, error } = validateAlertRule({ region: 'East Bay', max_price: 50, is_active: false });
+    expect(error).toBeNull();
+    expect(rule.region).toBe('East Bay');
+    expect(rule.is_active).toBe(0);
+  });
+
+  it('should require a course or region', () => {
+    expect(validateAlertRule({ maxPrice: 50 }).error).toMatch(/course or region/);
+  });
+
+  it('should reject malformed windows and limits', () => {
+    expect(validateAlertRule({ region: 'Peninsula', dateFrom: '10/24/2026' }).error).toMatch(/YYYY-MM-DD/);
+    expect(validateAlertRule({ region: 'Peninsula', dateFrom: '2026-10-25', dateTo: '2026-10-24' }).error).toMatch(/ends before/);
+    expect(validateAlertRule({ region: 'Peninsula', timeFrom: '7:00 AM' }).error).toMatch(/HH:MM/);
+    expect(validateAlertRule({ region: 'Peninsula', timeFrom: '14:00', timeTo: '09:00' }).error).toMatch(/ends before/);
+    expect(validateAlertRule({ region: 'Peninsula', maxPrice: -5 }).error).toMatch(/positive/);
+    expect(validateAlertRule({ region: 'Peninsula', players: 6 }).error).toMatch(/between 1 and 4/);
+  });
+});
+
+describe('buildRuleFilter', () => {
+  it('should only filter on fields the rule sets', () => {
+    const { sql, args } = buildRuleFilter({ region: 'San Francisco', max_price: 60 }, NOW);
+
+    expect(sql).toContain('c.region = ?');
+    expect(sql).toContain('t.price <= ?');
+    expect(sql).not.toContain('t.course_id');
+    expect(sql).toContain('t.is_synthetic = 0');
+    expect(args).toEqual([NOW, 'San Francisco', 60]);
+  });
+
+  it('should match demo tee times only in demo mode', () => {
+    expect(buildRuleFilter({ region: 'San Francisco' }, NOW, { demoMode: false }).sql).toContain('t.is_synthetic = 0');
+    expect(buildRuleFilter({ region: 'San Francisco' }, NOW, { demoMode: true }).sql).not.toContain('is_synthetic');
+  });
+
+  it('should include date, time and player bounds', () => {
+    const { args } = buildRuleFilter({
+      course_id: 3, date_from: '2026-10-24', date_to: '2026-10-24', time_from: '07:00', time_to: '09:00', players: 4
+    }, NOW);
+
+    expect(args).toEqual([NOW, 3, '2026-10-24', '2026-10-24', '07:00', '09:00', 4]);
+  });
+});
+
+describe('matchAlertRules', () => {
+  it('should queue matches per active rule and stamp matched rules', async () => {
+    const db = createMockDb({
+      'SELECT * FROM alert_rules': {
+        rows: [
+          { id: 1, user_id: 10, course_id: 5, max_price: 70 },
+          { id: 2, user_id: 11, region: 'North Bay' }
+        ]
+      },
+      'INSERT OR IGNORE INTO alert_notifications': (stmt) => ({ rows: [], rowsAffected: stmt.args[0] === 1 ? 3 : 0 })
+    });
+
+    const result = await matchAlertRules(db, NOW);
+
+    expect(result).toEqual({ rules: 2, queued: 3 });
+    const inserts = statementsMatching(db, 'INSERT OR IGNORE INTO alert_notifications');
+    expect(inserts).toHaveLength(2);
+    expect(inserts[0].args).toEqual([1, 10, NOW, 5, 70]);
+    expect(statementsMatching(db, 'UPDATE alert_rules SET last_matched_at')).toHaveLength(1);
+  });
+
+  it('should ignore rules whose date window has passed', async () => {
+    const db = createMockDb();
+    await matchAlertRules(db, NOW);
+
+    const [select] = statementsMatching(db, 'SELECT * FROM alert_rules');
+    expect(select.args).toEqual(['2026-10-19']);
+  });
+});
+
+describe('Alert emails', () => {
+  it('should format tee times for display', () => {
+    expect(formatTeeTime('2026-10-24 07:30')).toBe('Sat, Oct 24 at 7:30 AM');
+    expect(formatTeeTime('2026-10-24 13:05')).toBe('Sat, Oct 24 at 1:05 PM');
+  });
+
+  it('should link each tee time through the booking redirect', () => {
+    const { subject, html } = buildAlertEmail({
+      displayName: 'Sam',
+      ruleName: 'Sharp Park cheap',
+      notifications: [{ course_name: 'Sharp Park Golf Course', course_slug: 'sharp-park-golf-course', datetime: '2026-10-24 07:30', price: 39 }]
+    }, 'golfthebay.com');
+
+    expect(subject).toBe('1 new tee time for Sharp Park cheap');
+    expect(html).toContain('https://golfthebay.com/go/sharp-park-golf-course');
+    expect(html).toContain('$39');
+  });
+});
+
+describe('sendAlertNotifications', () => {
+  const pendingRows = [
+    { id: 1, rule_id: 7, user_id: 10, email: 'a@example.com', display_name: 'A', rule_name: null, course_name: 'Lincoln Park', course_slug: 'lincoln-park-golf-course', datetime: '2026-10-24 12:30', price: 25 },
+    { id: 2, rule_id: 7, user_id: 10, email: 'a@example.com', display_name: 'A', rule_name: null, course_name: 'Lincoln Park', course_slug: 'lincoln-park-golf-course', datetime: '2026-10-24 12:40', price: 25 },
+    { id: 3, rule_id: 8, user_id: 11, email: 'b@example.com', display_name: 'B', rule_name: 'Tilden', course_name: 'Tilden Park', course_slug: 'tilden-park-golf-course', datetime: '2026-10-25 09:00', price: 52 }
+  ];
+
+  it('should leave notifications queued without an email client', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+
+    expect(await sendAlertNotifications(db, null)).toEqual({ sent: 0, failed: 0 });
+    expect(db.execute).not.toHaveBeenCalled();
+  });
+
+  it('should send one email per rule and mark results', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const db = createMockDb({ "WHERE n.status = 'pending'": { rows: pendingRows } });
+    const resend = {
+      emails: {
+        send: vi.fn(async ({ to }) => {
+          if (to === 'b@example.com') throw new Error('Mailbox unavailable');
+          return { id: 'email_1' };
+        })
+      }
+    };
+
+    const result = await sendAlertNotifications(db, resend, { from: 'test@example.com', domain: 'example.com' });
+
+    expect(result).toEqual({ sent: 2, failed: 1 });
+    expect(resend.emails.send).toHaveBeenCalledTimes(2);
+    expect(resend.emails.send.mock.calls[0][0].subject).toBe('2 new tee times for your tee time alert');
+
+    const [sentUpdate] = statementsMatching(db, "status = 'sent'");
+    expect(sentUpdate.args).toEqual([1, 2]);
+    const [failedUpdate] = statementsMatching(db, "status = 'failed'");
+    expect(failedUpdate.args).toEqual(['Mailbox unavailable', 3]);
+  });
+});
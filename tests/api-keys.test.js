@@ -0,0 +1,156 @@
+/**
+ * Partner API Key Tests
+ *
+ * Tests for src/services/api-keys.js:
+ * - Key generation and hashing
+ * - Admin input validation
+ * - Issuing, rotating and revoking keys
+ * - Daily quota accounting
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  DEFAULT_DAILY_QUOTA,
+  generateApiKey,
+  hashApiKey,
+  validateApiKeyInput,
+  toApiKeyRecord,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  findApiKey,
+  recordApiKeyUsage
+} from '../src/services/api-keys.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const createMockDb = () => ({
+  batch: vi.fn(),
+  execute: vi.fn()
+});
+
+const apiKey = { id: 9, daily_quota: 100 };
+
+// ============================================================================
+// Keys
+// ============================================================================
+
+describe('generateApiKey', () => {
+  it('should generate distinct prefixed keys with a matching hash', () => {
+    const a = generateApiKey();
+    const b = generateApiKey();
+
+    expect(a.key).toMatch(/^gtb_[A-Za-z0-9_-]{32}$/);
+    expect(a.key).not.toBe(b.key);
+    expect(a.prefix).toBe(a.key.slice(0, 12));
+    expect(a.hash).toBe(hashApiKey(a.key));
+    expect(a.hash).not.toContain(a.key);
+  });
+});
+
+describe('validateApiKeyInput', () => {
+  it('should apply default limits', () => {
+    const { key, error } = validateApiKeyInput({ name: ' Do The Bay ', scopes: [API_KEY_SCOPES.TEE_TIMES] });
+    expect(error).toBeNull();
+    expect(key).toEqual({
+      name: 'Do The Bay',
+      contact_email: null,
+      scopes: ['tee_times:read'],
+      rate_limit_per_minute: DEFAULT_RATE_LIMIT_PER_MINUTE,
+      daily_quota: DEFAULT_DAILY_QUOTA
+    });
+  });
+
+  it('should reject missing names, unknown scopes and bad limits', () => {
+    expect(validateApiKeyInput({ scopes: ['deals:read'] }).error).toBe('Name is required');
+    expect(validateApiKeyInput({ name: 'x', scopes: [] }).error).toContain('At least one scope');
+    expect(validateApiKeyInput({ name: 'x', scopes: ['bookings:write'] }).error).toBe('Unknown scope: bookings:write');
+    expect(validateApiKeyInput({ name: 'x', scopes: ['deals:read'], rate_limit_per_minute: 0 }).error).toContain('Rate limit');
+    expect(validateApiKeyInput({ name: 'x', scopes: ['deals:read'], daily_quota: 1.5 }).error).toContain('Daily quota');
+    expect(validateApiKeyInput({ name: 'x', scopes: ['deals:read'], contact_email: 'nope' }).error).toBe('Invalid contact email');
+  });
+});
+
+describe('toApiKeyRecord', () => {
+  it('should drop the hash and split scopes', () => {
+    const record = toApiKeyRecord({ id: 1, key_hash: 'abc', scopes: 'deals:read,conditions:read' });
+    expect(record).toEqual({ id: 1, scopes: ['deals:read', 'conditions:read'] });
+  });
+});
+
+// ============================================================================
+// Lifecycle
+// ============================================================================
+
+describe('createApiKey', () => {
+  it('should store only the hash and return the key once', async () => {
+    const db = createMockDb();
+    db.execute.mockResolvedValue({ lastInsertRowid: 4n });
+
+    const created = await createApiKey(db, {
+      name: 'Presidio GC', contact_email: null, scopes: ['tee_times:read', 'deals:read'], rate_limit_per_minute: 60, daily_quota: 5000
+    });
+
+    expect(created.id).toBe(4);
+    const { args } = db.execute.mock.calls[0][0];
+    expect(args).toContain(hashApiKey(created.key));
+    expect(args).not.toContain(created.key);
+    expect(args).toContain('tee_times:read,deals:read');
+  });
+});
+
+describe('rotateApiKey / revokeApiKey', () => {
+  it('should only touch active keys', async () => {
+    const db = createMockDb();
+    db.execute.mockResolvedValueOnce({ rowsAffected: 1 }).mockResolvedValueOnce({ rowsAffected: 0 });
+
+    const rotated = await rotateApiKey(db, 4);
+    expect(rotated.id).toBe(4);
+    expect(db.execute.mock.calls[0][0].args).toEqual([rotated.prefix, hashApiKey(rotated.key), 4]);
+    expect(db.execute.mock.calls[0][0].sql).toContain("status = 'active'");
+
+    expect(await revokeApiKey(db, 4)).toBe(false);
+  });
+});
+
+describe('findApiKey', () => {
+  it('should look keys up by hash', async () => {
+    const db = createMockDb();
+    db.execute.mockResolvedValue({ rows: [{ id: 2, key_hash: hashApiKey('gtb_abc'), scopes: 'deals:read', status: 'active' }] });
+
+    const found = await findApiKey(db, 'gtb_abc');
+    expect(found).toEqual({ id: 2, scopes: ['deals:read'], status: 'active' });
+    expect(db.execute.mock.calls[0][0].args).toEqual([hashApiKey('gtb_abc')]);
+  });
+
+  it('should not query for keys without the prefix', async () => {
+    const db = createMockDb();
+    expect(await findApiKey(db, 'sk_live_123')).toBeNull();
+    expect(db.execute).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================================
+// Usage
+// ============================================================================
+
+describe('recordApiKeyUsage', () => {
+  it('should count the request and report what is left', async () => {
+    const db = createMockDb();
+    db.batch.mockResolvedValue([{ rows: [{ requests: 40 }] }, { rowsAffected: 1 }]);
+
+    expect(await recordApiKeyUsage(db, apiKey, '2026-10-19')).toEqual({ allowed: true, used: 40, remaining: 60 });
+    expect(db.batch.mock.calls[0][0][0].args).toEqual([9, '2026-10-19']);
+  });
+
+  it('should refuse requests past the quota', async () => {
+    const db = createMockDb();
+    db.batch.mockResolvedValue([{ rows: [{ requests: 101 }] }, { rowsAffected: 1 }]);
+
+    expect(await recordApiKeyUsage(db, apiKey, '2026-10-19')).toEqual({ allowed: false, used: 101, remaining: 0 });
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Public API v1 Tests
+ *
+ * Tests for src/api/v1:
+ * - Validation errors and cursor helpers
+ * - OpenAPI document generated from the route table
+ * - Router envelopes, pagination and typed errors against a mock db
+ * - API key authentication, scopes, rate limits and quotas
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import { ApiError, validate, encodeCursor, decodeCursor, paginate } from '../src/api/v1/http.js';
+import { teeTimeListQuery } from '../src/api/v1/schemas.js';
+import { buildOpenApiDocument, toOpenApiPath } from '../src/api/v1/openapi.js';
+import { ROUTES, createV1Router } from '../src/api/v1/index.js';
+import { hashApiKey } from '../src/services/api-keys.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const teeTimeRow = (id, datetime) => ({
+  id,
+  course_id: 7,
+  course_name: 'Presidio',
+  course_slug: 'presidio',
+  city: 'San Francisco',
+  region: 'San Francisco',
+  date: datetime.slice(0, 10),
+  time: datetime.slice(11),
+  datetime,
+  holes: 18,
+  players: 4,
+  price: 95,
+  original_price: null,
+  has_cart: 1,
+  booking_url: 'https://example.com',
+  source: 'golfnow',
+  is_booked: 0,
+  is_synthetic: 0
+});
+
+const API_KEYS = {
+  gtb_full: { id: 1, scopes: 'tee_times:read,deals:read,conditions:read', rate_limit_per_minute: 100, daily_quota: 1000, status: 'active' },
+  gtb_deals: { id: 2, scopes: 'deals:read', rate_limit_per_minute: 100, daily_quota: 1000, status: 'active' },
+  gtb_revoked: { id: 3, scopes: 'tee_times:read', rate_limit_per_minute: 100, daily_quota: 1000, status: 'revoked' },
+  gtb_slow: { id: 4, scopes: 'tee_times:read', rate_limit_per_minute: 2, daily_quota: 1000, status: 'active' },
+  gtb_quota: { id: 5, scopes: 'tee_times:read', rate_limit_per_minute: 100, daily_quota: 1, status: 'active' }
+};
+
+// api_keys lookups and usage counters; every other query goes to `execute`
+const createDb = (execute) => {
+  const usage = new Map();
+  return {
+    execute: async (query) => {
+      if (query.sql.includes('FROM api_keys WHERE key_hash')) {
+        const [key, row] = Object.entries(API_KEYS).find(([key]) => hashApiKey(key) === query.args[0]) || [];
+        return { rows: key ? [{ ...row, key_hash: query.args[0] }] : [] };
+      }
+      return execute(query);
+    },
+    batch: async ([increment]) => {
+      const [keyId, date] = increment.args;
+      const requests = (usage.get(`${keyId}:${date}`) || 0) + 1;
+      usage.set(`${keyId}:${date}`, requests);
+      return [{ rows: [{ requests }] }, { rowsAffected: 1 }];
+    }
+  };
+};
+
+const createDeps = (execute) => ({
+  db: createDb(execute),
+  getPacificNow: () => '2026-10-19T08:00:00',
+  getPacificDate: () => '2026-10-19',
+  hideSynthetic: () => ' AND t.is_synthetic = 0',
+  annotateTeeTimes: (rows) => rows.map(r => ({ ...r, provenance: 'scraped', freshness: { source: r.source, last_scraped_at: null, age_minutes: null, is_stale: true } })),
+  ensureTeeTimesExist: vi.fn(async () => {}),
+  handlers: {
+    weather: async (req, res) => res.status(404).json({ error: 'Course not found' }),
+    tides: async (req, res) => res.json({ course: { id: 7, name: 'Presidio' }, station: req.params.courseId }),
+    airQuality: async (req, res) => res.status(500).json({ error: 'Failed to fetch air quality data' }),
+    daylight: async (req, res) => res.json({ course: { id: 7, name: 'Presidio' }, date: req.query.date })
+  }
+});
+
+let server;
+let baseUrl;
+let execute;
+
+const get = async (path, headers = { 'X-API-Key': 'gtb_full' }) => {
+  const response = await fetch(`${baseUrl}/api/v1${path}`, { headers });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+beforeAll(async () => {
+  execute = vi.fn();
+  const app = express();
+  app.use('/api/v1', createV1Router(createDeps((...args) => execute(...args))));
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+// ============================================================================
+// HTTP helpers
+// ============================================================================
+
+describe('validate', () => {
+  it('should coerce query strings and apply defaults', () => {
+    const query = validate(teeTimeListQuery, { max_price: '80', holes: '9' }, 'query');
+    expect(query).toMatchObject({ max_price: 80, holes: 9, limit: 50 });
+  });
+
+  it('should throw invalid_request listing each bad field', () => {
+    let error;
+    try {
+      validate(teeTimeListQuery, { date: 'tomorrow', limit: '500' }, 'query');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('invalid_request');
+    expect(error.details.map(d => d.field).sort()).toEqual(['date', 'limit']);
+    expect(error.details[0].location).toBe('query');
+  });
+});
+
+describe('cursors', () => {
+  it('should round trip sort keys', () => {
+    const cursor = encodeCursor(['2026-10-19T08:00', 42]);
+    expect(decodeCursor(cursor, 2)).toEqual(['2026-10-19T08:00', 42]);
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(() => decodeCursor('not-a-cursor', 2)).toThrow(ApiError);
+    expect(() => decodeCursor(encodeCursor(['only-one']), 2)).toThrow('Invalid cursor');
+  });
+
+  it('should only return a next cursor when there is another page', () => {
+    const rows = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    const first = paginate(rows, 2, row => [row.id]);
+    expect(first.items).toHaveLength(2);
+    expect(first.pagination).toMatchObject({ limit: 2, has_more: true });
+    expect(decodeCursor(first.pagination.next_cursor, 1)).toEqual([2]);
+
+    const last = paginate(rows, 3, row => [row.id]);
+    expect(last.pagination).toEqual({ limit: 3, has_more: false, next_cursor: null });
+  });
+});
+
+// ============================================================================
+// OpenAPI
+// ============================================================================
+
+describe('buildOpenApiDocument', () => {
+  const doc = buildOpenApiDocument(ROUTES);
+
+  it('should document every route', () => {
+    expect(doc.openapi).toBe('3.1.0');
+    for (const route of ROUTES) {
+      expect(doc.paths[toOpenApiPath(route.path)][route.method].operationId).toBe(route.operationId);
+    }
+    expect(doc.paths['/courses/{course}/tee-times']).toBeDefined();
+  });
+
+  it('should derive parameters from the request schemas', () => {
+    const { parameters } = doc.paths['/tee-times'].get;
+    const byName = Object.fromEntries(parameters.map(p => [p.name, p]));
+
+    expect(byName.limit).toMatchObject({ in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } });
+    expect(byName.holes.schema.enum).toEqual(['9', '18']);
+
+    const pathParams = doc.paths['/courses/{course}'].get.parameters;
+    expect(pathParams).toEqual([expect.objectContaining({ name: 'course', in: 'path', required: true })]);
+  });
+
+  it('should reference registered response schemas', () => {
+    expect(Object.keys(doc.components.schemas)).toEqual(
+      expect.arrayContaining(['Course', 'TeeTime', 'Deal', 'Freshness', 'Conditions', 'Pagination', 'Error'])
+    );
+    const list = doc.paths['/tee-times'].get.responses[200].content['application/json'].schema;
+    expect(list.properties.data.items.$ref).toBe('#/components/schemas/TeeTime');
+    expect(doc.components.schemas.TeeTime.properties.freshness.$ref).toBe('#/components/schemas/Freshness');
+    expect(JSON.stringify(doc)).not.toContain(String(Number.MAX_SAFE_INTEGER));
+  });
+});
+
+// ============================================================================
+// Router
+// ============================================================================
+
+describe('createV1Router', () => {
+  it('should serve the OpenAPI document', async () => {
+    const { status, body } = await get('/openapi.json');
+    expect(status).toBe(200);
+    expect(body.info.title).toBe('Golf The Bay API');
+  });
+
+  it('should page tee times with a keyset cursor', async () => {
+    execute.mockResolvedValueOnce({
+      rows: [teeTimeRow(1, '2026-10-19T09:00'), teeTimeRow(2, '2026-10-19T09:10'), teeTimeRow(3, '2026-10-19T09:20')]
+    });
+
+    const first = await get('/tee-times?limit=2&region=San%20Francisco');
+    expect(first.status).toBe(200);
+    expect(first.body.data.map(t => t.id)).toEqual([1, 2]);
+    expect(first.body.data[0]).not.toHaveProperty('is_booked');
+    expect(first.body.data[0].course).toEqual({ id: 7, slug: 'presidio', name: 'Presidio', city: 'San Francisco', region: 'San Francisco' });
+    expect(first.body.meta.pagination.has_more).toBe(true);
+
+    const { sql, args } = execute.mock.calls.at(-1)[0];
+    expect(sql).toContain('c.region = ?');
+    expect(sql).toContain('LIMIT 3');
+    expect(args).toEqual(['2026-10-19T08:00:00', 'San Francisco']);
+
+    execute.mockResolvedValueOnce({ rows: [teeTimeRow(3, '2026-10-19T09:20')] });
+    const second = await get(`/tee-times?limit=2&cursor=${first.body.meta.pagination.next_cursor}`);
+    expect(second.body.data.map(t => t.id)).toEqual([3]);
+    expect(second.body.meta.pagination).toEqual({ limit: 2, has_more: false, next_cursor: null });
+    expect(execute.mock.calls.at(-1)[0].args).toEqual(['2026-10-19T08:00:00', '2026-10-19T09:10', '2026-10-19T09:10', 2]);
+  });
+
+  it('should answer validation failures with invalid_request', async () => {
+    const { status, body } = await get('/tee-times?players=9');
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('invalid_request');
+    expect(body.error.details[0]).toMatchObject({ location: 'query', field: 'players' });
+  });
+
+  it('should answer unknown courses with not_found', async () => {
+    execute.mockResolvedValueOnce({ rows: [] });
+    const { status, body } = await get('/courses/no-such-course');
+    expect(status).toBe(404);
+    expect(body).toEqual({ error: { code: 'not_found', message: 'Course "no-such-course" not found' } });
+  });
+
+  it('should wrap legacy conditions handlers in the envelope', async () => {
+    const tides = await get('/courses/presidio/tides');
+    expect(tides.status).toBe(200);
+    expect(tides.body).toEqual({ data: { course: { id: 7, name: 'Presidio' }, station: 'presidio' }, meta: {} });
+
+    const daylight = await get('/courses/presidio/daylight?date=2026-10-20');
+    expect(daylight.body.data.date).toBe('2026-10-20');
+
+    const weather = await get('/courses/presidio/weather');
+    expect(weather.status).toBe(404);
+    expect(weather.body.error.code).toBe('not_found');
+
+    const airQuality = await get('/courses/presidio/air-quality');
+    expect(airQuality.status).toBe(502);
+    expect(airQuality.body.error).toEqual({ code: 'upstream_error', message: 'Failed to fetch air quality data' });
+  });
+
+  it('should answer unknown paths with not_found', async () => {
+    const { status, body } = await get('/nope');
+    expect(status).toBe(404);
+    expect(body.error.code).toBe('not_found');
+  });
+});
+
+describe('API key authentication', () => {
+  it('should serve the OpenAPI document without a key', async () => {
+    const { status } = await get('/openapi.json', {});
+    expect(status).toBe(200);
+  });
+
+  it('should require a key', async () => {
+    const { status, body } = await get('/courses', {});
+    expect(status).toBe(401);
+    expect(body.error.code).toBe('unauthorized');
+  });
+
+  it('should reject unknown and revoked keys', async () => {
+    expect((await get('/courses', { 'X-API-Key': 'gtb_nope' })).body.error.message).toBe('Invalid API key');
+    expect((await get('/courses', { 'X-API-Key': 'gtb_revoked' })).body.error.message).toBe('API key has been revoked');
+  });
+
+  it('should accept a Bearer token', async () => {
+    execute.mockResolvedValueOnce({ rows: [] });
+    const { status } = await get('/courses', { Authorization: 'Bearer gtb_full' });
+    expect(status).toBe(200);
+  });
+
+  it('should enforce route scopes', async () => {
+    const { status, body } = await get('/tee-times', { 'X-API-Key': 'gtb_deals' });
+    expect(status).toBe(403);
+    expect(body.error).toEqual({ code: 'forbidden', message: 'API key lacks the tee_times:read scope' });
+
+    execute.mockResolvedValueOnce({ rows: [] });
+    expect((await get('/deals', { 'X-API-Key': 'gtb_deals' })).status).toBe(200);
+  });
+
+  it('should apply the per-minute rate limit per key', async () => {
+    execute.mockResolvedValue({ rows: [] });
+    const headers = { 'X-API-Key': 'gtb_slow' };
+    expect((await get('/tee-times', headers)).status).toBe(200);
+    expect((await get('/tee-times', headers)).status).toBe(200);
+
+    const limited = await get('/tee-times', headers);
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.code).toBe('rate_limited');
+
+    // Other keys are unaffected
+    expect((await get('/tee-times')).status).toBe(200);
+    execute.mockReset();
+  });
+
+  it('should enforce the daily quota and report what is left', async () => {
+    execute.mockResolvedValue({ rows: [] });
+    const headers = { 'X-API-Key': 'gtb_quota' };
+
+    const first = await get('/tee-times', headers);
+    expect(first.status).toBe(200);
+    expect(first.headers.get('x-quota-limit')).toBe('1');
+    expect(first.headers.get('x-quota-remaining')).toBe('0');
+
+    const second = await get('/tee-times', headers);
+    expect(second.status).toBe(429);
+    expect(second.body.error.message).toContain('Daily quota of 1 requests exceeded');
+    execute.mockReset();
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Booker Adapter Tests
+ *
+ * Tests for src/agent/bookers:
+ * - Picking the booker from the course's booking system and booking link
+ * - Each adapter's tee sheet URL, time formats and slot prices
+ * - Reading a slot's availability off a tee sheet (stubbed page)
+ *
+ * The booking flow itself runs in a browser - see the GolfNowBooker
+ * tests in booking-jobs.test.js.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  Booker,
+  GolfNowBooker,
+  CpsGolfBooker,
+  ChronogolfBooker,
+  TotaleBooker,
+  Quick18Booker,
+  EzLinksBooker,
+  registerBooker,
+  getBookerClass,
+  getBookingSystems,
+  resolveBookerClass,
+  createBooker
+} from '../src/agent/bookers/index.js';
+import { parseSlotPrice } from '../src/agent/bookers/base.js';
+
+// ============================================================================
+// Dispatch
+// ============================================================================
+
+describe('getBookerClass', () => {
+  it('should have a booker for each automated booking system', () => {
+    expect(getBookingSystems()).toEqual(['golfnow', 'cpsgolf', 'chronogolf', 'totaleintegrated', 'quick18', 'ezlinks']);
+    expect(getBookerClass('totaleintegrated')).toBe(TotaleBooker);
+    expect(getBookerClass('phone')).toBeNull();
+  });
+
+  it('should reject classes that are not bookers', () => {
+    expect(() => registerBooker(class NotABooker {})).toThrow('Invalid booker');
+  });
+});
+
+describe('resolveBookerClass', () => {
+  it('should use the course\'s booking system for its own booking site', () => {
+    expect(resolveBookerClass({ bookingSystem: 'cpsgolf', bookingUrl: 'https://tee-times.sfgov.org/' })).toBe(CpsGolfBooker);
+    expect(resolveBookerClass({ bookingSystem: 'quick18', bookingUrl: 'https://sharpparkgc.quick18.com/teetimes/searchmatrix' })).toBe(Quick18Booker);
+  });
+
+  it('should fall back to the booking link when the course has no booking system', () => {
+    expect(resolveBookerClass({ bookingSystem: null, bookingUrl: 'https://www.chronogolf.com/club/lincoln-park' })).toBe(ChronogolfBooker);
+    expect(resolveBookerClass({ bookingSystem: 'other', bookingUrl: 'https://presidio.totaleintegrated.net/' })).toBe(TotaleBooker);
+  });
+
+  it('should follow the booking link when it is on another system\'s site', () => {
+    // Merged tee times can link to GolfNow for a course that books through CPS
+    expect(resolveBookerClass({ bookingSystem: 'cpsgolf', bookingUrl: 'https://www.golfnow.com/tee-times/facility/1/search' })).toBe(GolfNowBooker);
+  });
+
+  it('should find no booker for phone bookings or unknown sites', () => {
+    expect(resolveBookerClass({ bookingSystem: 'phone', bookingUrl: null })).toBeNull();
+    expect(resolveBookerClass({ bookingSystem: null, bookingUrl: 'https://www.example-golf.com/' })).toBeNull();
+    expect(resolveBookerClass({ bookingSystem: null, bookingUrl: 'not a url' })).toBeNull();
+  });
+});
+
+describe('createBooker', () => {
+  it('should create the booker with the given options', () => {
+    const booker = createBooker({ bookingSystem: 'ezlinks', bookingUrl: 'https://sfmuni.ezlinksgolf.com/' }, { headless: false });
+    expect(booker).toBeInstanceOf(EzLinksBooker);
+    expect(booker).toBeInstanceOf(Booker);
+    expect(booker.options.headless).toBe(false);
+  });
+
+  it('should throw when no booker handles the booking', () => {
+    expect(() => createBooker({ bookingSystem: 'phone', bookingUrl: null })).toThrow('No booking automation for phone');
+  });
+});
+
+// ============================================================================
+// Booking links
+// ============================================================================
+
+describe('handlesUrl', () => {
+  it('should match the system\'s hosts only', () => {
+    expect(GolfNowBooker.handlesUrl('https://golfnow.com/tee-times')).toBe(true);
+    expect(GolfNowBooker.handlesUrl('https://golfnow.com.evil.test/')).toBe(false);
+    expect(CpsGolfBooker.handlesUrl('https://sfgov.cps.golf/onlineresweb/search-teetime')).toBe(true);
+    expect(ChronogolfBooker.handlesUrl('https://www.chronogolf.ca/club/1')).toBe(true);
+    expect(TotaleBooker.handlesUrl('https://presidio.totaleintegrated.net/')).toBe(true);
+    expect(EzLinksBooker.handlesUrl('https://www.ezlinks.com/')).toBe(false);
+  });
+});
+
+describe('buildSearchUrl', () => {
+  const details = { date: '2026-10-24', time: '13:44', players: 2 };
+
+  it('should open CPS Golf on the booking date, all day', () => {
+    const url = new URL(new CpsGolfBooker().buildSearchUrl({ ...details, bookingUrl: 'https://sfgov.cps.golf/onlineresweb/search-teetime' }));
+    expect(url.searchParams.get('Date')).toBe('2026-10-24');
+    expect(url.searchParams.get('TeeOffTimeMin')).toBe('0');
+    expect(url.searchParams.get('TeeOffTimeMax')).toBe('23');
+  });
+
+  it('should open the Chronogolf club\'s tee times for the date and party', () => {
+    const booker = new ChronogolfBooker();
+    expect(booker.buildSearchUrl({ ...details, bookingUrl: 'https://www.chronogolf.com/club/lincoln-park/' }))
+      .toBe('https://www.chronogolf.com/club/lincoln-park/teetimes?date=2026-10-24&nb_players=2');
+    expect(booker.buildSearchUrl({ ...details, bookingUrl: 'https://www.chronogolf.com/club/lincoln-park/teetimes' }))
+      .toBe('https://www.chronogolf.com/club/lincoln-park/teetimes?date=2026-10-24&nb_players=2');
+  });
+
+  it('should pass the date in each system\'s format', () => {
+    expect(new TotaleBooker().buildSearchUrl({ ...details, bookingUrl: 'https://presidio.totaleintegrated.net/' }))
+      .toBe('https://presidio.totaleintegrated.net/?date=2026-10-24&players=2');
+    expect(new Quick18Booker().buildSearchUrl({ ...details, bookingUrl: 'https://sharpparkgc.quick18.com/teetimes/searchmatrix' }))
+      .toBe('https://sharpparkgc.quick18.com/teetimes/searchmatrix?date=10%2F24%2F2026');
+  });
+
+  it('should open GolfNow and EZLinks links as they are', () => {
+    const bookingUrl = 'https://www.golfnow.com/tee-times/facility/1/search#date=2026-10-24';
+    expect(new GolfNowBooker().buildSearchUrl({ ...details, bookingUrl })).toBe(bookingUrl);
+    expect(new EzLinksBooker().buildSearchUrl({ ...details, bookingUrl: 'https://sfmuni.ezlinksgolf.com/' })).toBe('https://sfmuni.ezlinksgolf.com/');
+  });
+});
+
+describe('timePatterns', () => {
+  it('should match the ways tee sheets print a time', () => {
+    expect(new GolfNowBooker().timePatterns('08:30')).toEqual(['8:30 AM', '8:30am', '08:30']);
+    expect(new CpsGolfBooker().timePatterns('13:44')).toEqual(['1:44 P', '1:44 PM', '1:44pm', '13:44']);
+  });
+});
+
+describe('parseSlotPrice', () => {
+  it('should read the first dollar amount on a slot', () => {
+    expect(parseSlotPrice('8:30 AM 18 Holes 4 Players $45.00 $62.00')).toBe(45);
+    expect(parseSlotPrice('1:44 P Walking $ 38.5')).toBe(38.5);
+    expect(parseSlotPrice('9:10 AM Sold out')).toBeNull();
+  });
+});
+
+// ============================================================================
+// Availability
+// ============================================================================
+
+describe('checkAvailability', () => {
+  const details = { bookingUrl: 'https://www.golfnow.com/tee-times/facility/1/search', date: '2026-10-24', time: '08:30', players: 2 };
+
+  /** GolfNowBooker on a stubbed page listing slots with the given texts */
+  const bookerWithSlots = (texts) => {
+    const booker = new GolfNowBooker();
+    booker.init = vi.fn(async () => {});
+    const slots = texts.map(text => ({ evaluate: async (fn) => fn({ textContent: text }) }));
+    booker.page = {
+      goto: vi.fn(async () => {}),
+      waitForSelector: vi.fn(async () => {
+        if (slots.length === 0) throw new Error('Waiting for selector timed out');
+      }),
+      $$: vi.fn(async () => slots)
+    };
+    return booker;
+  };
+
+  it('should read the slot and its price off the tee sheet', async () => {
+    const result = await bookerWithSlots(['8:20 AM $40.00', '8:30 AM 18 Holes $45.00']).checkAvailability(details);
+    expect(result).toMatchObject({ available: true, price: 45 });
+  });
+
+  it('should report a slot missing from a rendered tee sheet as unavailable', async () => {
+    expect(await bookerWithSlots(['8:20 AM $40.00', '8:40 AM $40.00']).checkAvailability(details))
+      .toMatchObject({ available: false, price: null });
+    expect(await bookerWithSlots(['8:30 AM Sold out']).checkAvailability(details))
+      .toMatchObject({ available: false });
+  });
+
+  it('should not call a slot gone when the tee sheet showed no slots', async () => {
+    const result = await bookerWithSlots([]).checkAvailability(details);
+    expect(result).toMatchObject({ error: 'Tee sheet did not load' });
+    expect(result.available).toBeUndefined();
+  });
+});
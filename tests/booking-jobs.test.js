@@ -0,0 +1,316 @@
+/**
+ * Booking Job Tests
+ *
+ * Tests for src/services/booking-jobs.js, against an in-memory database:
+ * - Which bookings the worker can automate
+ * - Claiming jobs: due times, leases, one winner
+ * - Running the booker: status updates recorded, retries, timeouts,
+ *   failures once confirming, cancellation
+ * - End to end: GolfNowBooker against a mock booking site served from
+ *   tests/fixtures/booking-site (skipped when Chrome can't start here)
+ */
+
+import { describe, it, expect, vi, beforeEach, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { createClient } from '@libsql/client';
+import {
+  ensureBookingTables,
+  validateBookingInput,
+  createBooking,
+  getBooking,
+  getBookingEvents,
+  transitionBooking
+} from '../src/services/bookings.js';
+import {
+  ensureBookingJobTables,
+  canAutomateBooking,
+  enqueueBookingJob,
+  claimBookingJob,
+  runBookingJob,
+  runDueBookingJobs
+} from '../src/services/booking-jobs.js';
+import { GolfNowBooker } from '../src/agent/booker.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const CONTACT = { firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com' };
+
+let db;
+
+beforeEach(async () => {
+  db = createClient({ url: ':memory:' });
+  await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY)');
+  await ensureBookingTables(db);
+  await ensureBookingJobTables(db);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const newBooking = async (bookingUrl = 'https://www.golfnow.com/tee-times/facility/1/search') => {
+  const { request } = validateBookingInput({ bookingUrl, date: '2026-10-24', time: '08:10', players: 4, contact: CONTACT });
+  const booking = await createBooking(db, request);
+  await enqueueBookingJob(db, booking.id);
+  return booking;
+};
+
+const STEPS = ['navigating', 'selecting_time', 'filling_form', 'confirming'];
+
+/**
+ * Stand-in for GolfNowBooker: reports statuses like the real one, then
+ * stops at the confirm button (or books it when confirmed), throws at a
+ * given step, or never finishes
+ */
+const fakeBooker = ({ failAt = null, hang = false, confirmed = false, deepLink = 'https://www.golfnow.com/tee-times/facility/1/search' } = {}) => {
+  const callbacks = [];
+  const booker = {
+    onStatusChange: cb => callbacks.push(cb),
+    close: vi.fn(async () => {}),
+    book: vi.fn(async () => {
+      const report = (status, details = {}) => callbacks.forEach(cb => cb({ status, timestamp: new Date().toISOString(), ...details }));
+      for (const step of STEPS) {
+        report(step);
+        if (step === failAt) {
+          report('failed', { error: `Broke while ${step}` });
+          throw new Error(`Broke while ${step}`);
+        }
+      }
+      if (hang) return new Promise(() => {});
+      const result = confirmed
+        ? { status: 'confirmed', confirmationNumber: 'GN123' }
+        : { status: 'ready_to_confirm', deepLink };
+      report(confirmed ? 'success' : 'ready_to_confirm', result);
+      return result;
+    })
+  };
+  return booker;
+};
+
+const jobFor = async (bookingId) =>
+  (await db.execute({ sql: 'SELECT * FROM booking_jobs WHERE booking_id = ?', args: [bookingId] })).rows[0];
+
+const later = (ms) => new Date(Date.now() + ms).toISOString();
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+describe('canAutomateBooking', () => {
+  it('should only automate booking sites with a booker', () => {
+    expect(canAutomateBooking({ bookingUrl: 'https://www.golfnow.com/tee-times/facility/1/search' })).toBe(true);
+    expect(canAutomateBooking({ bookingUrl: 'https://www.chronogolf.com/club/lincoln' })).toBe(true);
+    expect(canAutomateBooking({ bookingUrl: 'https://www.lincolnparkgolf.com/tee-times' })).toBe(false);
+    expect(canAutomateBooking({ bookingUrl: 'https://golfnow.com.evil.test/' })).toBe(false);
+    expect(canAutomateBooking({ bookingUrl: null, bookingSystem: 'golfnow' })).toBe(false);
+  });
+
+  it('should automate a course\'s own booking site by its booking system', () => {
+    expect(canAutomateBooking({ bookingUrl: 'https://tee-times.sfgov.org/', bookingSystem: 'cpsgolf' })).toBe(true);
+    expect(canAutomateBooking({ bookingUrl: 'https://tee-times.sfgov.org/', bookingSystem: 'phone' })).toBe(false);
+  });
+});
+
+describe('claimBookingJob', () => {
+  it('should hand a due job to one worker only', async () => {
+    const booking = await newBooking();
+    await enqueueBookingJob(db, booking.id);
+
+    const job = await claimBookingJob(db, 'worker_a');
+
+    expect(job).toMatchObject({ booking_id: booking.id, status: 'running', locked_by: 'worker_a', attempts: 1 });
+    expect(await claimBookingJob(db, 'worker_b')).toBeNull();
+  });
+
+  it('should reclaim a job whose worker stopped responding', async () => {
+    await newBooking();
+    await claimBookingJob(db, 'worker_a');
+
+    const job = await claimBookingJob(db, 'worker_b', { now: later(11 * 60 * 1000) });
+
+    expect(job).toMatchObject({ locked_by: 'worker_b', attempts: 2 });
+  });
+});
+
+// ============================================================================
+// Worker
+// ============================================================================
+
+describe('runBookingJob', () => {
+  it('should record each booker status and leave the filled-in booking for the golfer', async () => {
+    const booking = await newBooking();
+
+    const counts = await runDueBookingJobs(db, { createBooker: () => fakeBooker() });
+
+    expect(counts).toMatchObject({ ready_to_confirm: 1, success: 0 });
+    const stored = await getBooking(db, booking.id);
+    expect(stored).toMatchObject({
+      status: 'ready_to_confirm',
+      result: { status: 'ready_to_confirm', deepLink: 'https://www.golfnow.com/tee-times/facility/1/search' }
+    });
+    expect(stored.completedAt).toBeTruthy();
+    expect((await getBookingEvents(db, booking.id)).map(e => e.to_status))
+      .toEqual(['pending', ...STEPS, 'ready_to_confirm']);
+    expect((await jobFor(booking.id)).status).toBe('done');
+  });
+
+  it('should fall back to the booking link when the booker gives no deep link', async () => {
+    const booking = await newBooking();
+    await runBookingJob(db, await claimBookingJob(db, 'worker_a'), { createBooker: () => fakeBooker({ deepLink: null }) });
+
+    expect((await getBooking(db, booking.id)).result).toMatchObject({ deepLink: booking.bookingUrl });
+  });
+
+  it('should only record success for a booking the course confirmed', async () => {
+    const booking = await newBooking();
+
+    const result = await runBookingJob(db, await claimBookingJob(db, 'worker_a'), { createBooker: () => fakeBooker({ confirmed: true }) });
+
+    expect(result).toMatchObject({ outcome: 'success' });
+    expect(await getBooking(db, booking.id)).toMatchObject({ status: 'success', result: { confirmationNumber: 'GN123' } });
+  });
+
+  it('should put the booking back to pending and retry later', async () => {
+    const booking = await newBooking();
+
+    const first = await runDueBookingJobs(db, { createBooker: () => fakeBooker({ failAt: 'selecting_time' }) });
+
+    expect(first).toMatchObject({ retry: 1 });
+    expect((await getBooking(db, booking.id)).status).toBe('pending');
+    const job = await jobFor(booking.id);
+    expect(job).toMatchObject({ status: 'queued', last_error: 'Broke while selecting_time' });
+    expect(job.run_after > new Date().toISOString()).toBe(true);
+
+    const retried = await claimBookingJob(db, 'worker_a', { now: later(60 * 1000) });
+    expect(await runBookingJob(db, retried, { createBooker: () => fakeBooker() })).toMatchObject({ outcome: 'ready_to_confirm' });
+    expect((await getBooking(db, booking.id)).status).toBe('ready_to_confirm');
+  });
+
+  it('should fail the booking once attempts run out', async () => {
+    const booking = await newBooking();
+    await db.execute({ sql: 'UPDATE booking_jobs SET max_attempts = 1 WHERE booking_id = ?', args: [booking.id] });
+
+    await runDueBookingJobs(db, { createBooker: () => fakeBooker({ failAt: 'navigating' }) });
+
+    expect(await getBooking(db, booking.id)).toMatchObject({ status: 'failed', error: 'Broke while navigating' });
+    expect((await jobFor(booking.id)).status).toBe('failed');
+  });
+
+  it('should not retry once the booker was confirming', async () => {
+    const booking = await newBooking();
+
+    await runDueBookingJobs(db, { createBooker: () => fakeBooker({ failAt: 'confirming' }) });
+
+    expect((await getBooking(db, booking.id)).status).toBe('failed');
+    expect((await jobFor(booking.id)).attempts).toBe(1);
+  });
+
+  it('should give up on a booker that takes too long and close its browser', async () => {
+    const booking = await newBooking();
+    const booker = fakeBooker({ hang: true });
+
+    const result = await runBookingJob(db, await claimBookingJob(db, 'worker_a'), { createBooker: () => booker, timeoutMs: 50 });
+
+    // Hung after confirming - can't tell whether the course took the order
+    expect(result).toMatchObject({ outcome: 'failed', error: 'Booking timed out after 0s' });
+    expect((await getBooking(db, booking.id)).status).toBe('failed');
+    expect(booker.close).toHaveBeenCalled();
+  });
+
+  it('should skip bookings cancelled while queued', async () => {
+    const booking = await newBooking();
+    await transitionBooking(db, booking.id, 'cancelled', { actor: 'user' });
+    const createBooker = vi.fn();
+
+    const counts = await runDueBookingJobs(db, { createBooker });
+
+    expect(counts).toMatchObject({ skipped: 1 });
+    expect(createBooker).not.toHaveBeenCalled();
+    expect((await jobFor(booking.id)).status).toBe('cancelled');
+  });
+
+  it('should start over a booking left mid-run by a worker that died', async () => {
+    const booking = await newBooking();
+    await claimBookingJob(db, 'worker_a');
+    await transitionBooking(db, booking.id, 'navigating', { actor: 'booker' });
+
+    const job = await claimBookingJob(db, 'worker_b', { now: later(11 * 60 * 1000) });
+    await runBookingJob(db, job, { createBooker: () => fakeBooker() });
+
+    const events = (await getBookingEvents(db, booking.id)).map(e => e.to_status);
+    expect(events.slice(0, 3)).toEqual(['pending', 'navigating', 'pending']);
+    expect((await getBooking(db, booking.id)).status).toBe('ready_to_confirm');
+  });
+});
+
+// ============================================================================
+// End to end
+// ============================================================================
+
+describe('booking worker with GolfNowBooker', () => {
+  const FIXTURES = path.join(__dirname, 'fixtures', 'booking-site');
+  const PAGES = {
+    '/tee-times/facility/1/search': 'search.html',
+    '/checkout': 'checkout.html',
+    '/sold-out': 'sold-out.html'
+  };
+  let server;
+  let baseUrl;
+  let browserAvailable = false;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url.pathname + url.search);
+      const page = PAGES[url.pathname];
+      if (!page) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(fs.readFileSync(path.join(FIXTURES, page)));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const probe = new GolfNowBooker();
+    try {
+      await probe.init();
+      browserAvailable = true;
+    } catch {
+      // No Chrome build for this machine
+    } finally {
+      await probe.close();
+    }
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should pick the requested time and fill in the checkout form', async (ctx) => {
+    if (!browserAvailable) ctx.skip();
+    const booking = await newBooking(`${baseUrl}/tee-times/facility/1/search#date=2026-10-24`);
+
+    await runDueBookingJobs(db, { createBooker: () => new GolfNowBooker({ timeout: 10000 }), timeoutMs: 45000 });
+
+    expect(requests).toContain('/checkout?time=08:10');
+    expect(await getBooking(db, booking.id)).toMatchObject({
+      status: 'ready_to_confirm',
+      result: { status: 'ready_to_confirm', deepLink: `${baseUrl}/tee-times/facility/1/search#date=2026-10-24`, bookingDetails: { time: '08:10', players: 4 } }
+    });
+    expect((await getBookingEvents(db, booking.id)).map(e => e.to_status)).toEqual(['pending', ...STEPS, 'ready_to_confirm']);
+  }, 60000);
+
+  it('should fail a booking whose checkout page has no way to book', async (ctx) => {
+    if (!browserAvailable) ctx.skip();
+    const booking = await newBooking(`${baseUrl}/sold-out`);
+
+    await runDueBookingJobs(db, { createBooker: () => new GolfNowBooker({ timeout: 10000 }), timeoutMs: 45000 });
+
+    expect(await getBooking(db, booking.id)).toMatchObject({ status: 'failed', error: 'Could not find confirmation button' });
+  }, 60000);
+});
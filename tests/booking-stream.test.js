@@ -0,0 +1,231 @@
+/**
+ * Booking Status Stream Tests
+ *
+ * Tests for src/services/booking-stream.js, against an in-memory database:
+ * - Timeline entries for booking events
+ * - SSE message format
+ * - Replaying history, following new events, resuming after
+ *   Last-Event-ID and ending once the booking is final
+ * - Short-lived, booking-scoped stream tokens
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createClient } from '@libsql/client';
+import {
+  ensureBookingTables,
+  validateBookingInput,
+  createBooking,
+  getBooking,
+  transitionBooking
+} from '../src/services/bookings.js';
+import {
+  ensureBookingStreamTables,
+  createStreamToken,
+  verifyStreamToken,
+  toStatusEvent,
+  formatSseMessage,
+  streamBookingEvents
+} from '../src/services/booking-stream.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const CONTACT = { firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com' };
+
+let db;
+let booking;
+const streams = [];
+
+beforeEach(async () => {
+  db = createClient({ url: ':memory:' });
+  await db.execute('CREATE TABLE users (id INTEGER PRIMARY KEY)');
+  await ensureBookingTables(db);
+  await ensureBookingStreamTables(db);
+  const { request } = validateBookingInput({ bookingUrl: 'https://www.golfnow.com/x', date: '2026-10-24', time: '08:10', contact: CONTACT });
+  booking = await createBooking(db, request);
+});
+
+afterEach(() => {
+  streams.splice(0).forEach(stop => stop());
+});
+
+/** Response stand-in that parses what the stream writes */
+const createMockRes = () => {
+  const res = {
+    chunks: [],
+    ended: false,
+    writeHead: vi.fn(),
+    write: (chunk) => res.chunks.push(chunk),
+    end: () => { res.ended = true; },
+    messages: () => res.chunks.join('').split('\n\n').filter(Boolean).map(block => {
+      const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+      return { ...fields, data: fields.data && JSON.parse(fields.data) };
+    }).filter(message => message.event)
+  };
+  return res;
+};
+
+const stream = (res, options = {}) => {
+  const stop = streamBookingEvents(db, booking, res, { intervalMs: 10, ...options });
+  streams.push(stop);
+  return stop;
+};
+
+const waitFor = (check) => vi.waitFor(check, { timeout: 2000, interval: 10 });
+
+const event = (overrides = {}) => ({
+  id: 1,
+  from_status: null,
+  to_status: 'pending',
+  actor: 'system',
+  details: null,
+  created_at: '2026-10-19T16:00:00.000Z',
+  ...overrides
+});
+
+// ============================================================================
+// Messages
+// ============================================================================
+
+describe('toStatusEvent', () => {
+  it('should describe each step', () => {
+    expect(toStatusEvent(event({ to_status: 'navigating', from_status: 'pending' }))).toMatchObject({
+      status: 'navigating',
+      from: 'pending',
+      message: 'Opening the booking site',
+      at: '2026-10-19T16:00:00.000Z',
+      final: false
+    });
+    expect(toStatusEvent(event({ to_status: 'pending', from_status: 'filling_form', details: { error: 'Timed out' } })))
+      .toMatchObject({ message: 'Trying again', error: 'Timed out' });
+  });
+
+  it('should surface the confirmation number', () => {
+    const update = toStatusEvent(event({ to_status: 'success', details: { status: 'confirmed', confirmationNumber: 'GN123' } }));
+    expect(update).toMatchObject({ message: 'Booked - confirmation #GN123', confirmationNumber: 'GN123', final: true });
+  });
+
+  it('should link a booking left at the confirm button to the booking site', () => {
+    const deepLink = 'https://www.golfnow.com/tee-times/facility/1/search';
+    const update = toStatusEvent(event({ to_status: 'ready_to_confirm', details: { status: 'ready_to_confirm', deepLink } }));
+    expect(update).toMatchObject({ status: 'ready_to_confirm', deepLink, confirmationNumber: null, final: true });
+    expect(update.message).toMatch(/finish booking/);
+    expect(update.message).not.toMatch(/Booked/);
+  });
+});
+
+describe('formatSseMessage', () => {
+  it('should write id, event and JSON data lines', () => {
+    expect(formatSseMessage({ id: 4, event: 'status', data: { status: 'pending' } }))
+      .toBe('id: 4\nevent: status\ndata: {"status":"pending"}\n\n');
+    expect(formatSseMessage({ event: 'end', data: {} })).toBe('event: end\ndata: {}\n\n');
+  });
+});
+
+// ============================================================================
+// Streaming
+// ============================================================================
+
+describe('streamBookingEvents', () => {
+  it('should replay the history, then push new events as they happen', async () => {
+    const res = createMockRes();
+    stream(res);
+
+    await waitFor(() => expect(res.messages()).toHaveLength(1));
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.messages()[0]).toMatchObject({ event: 'status', data: { status: 'pending' } });
+
+    await transitionBooking(db, booking.id, 'navigating', { actor: 'booker' });
+    await transitionBooking(db, booking.id, 'selecting_time', { actor: 'booker' });
+
+    await waitFor(() => expect(res.messages().map(m => m.data.status)).toEqual(['pending', 'navigating', 'selecting_time']));
+    expect(res.ended).toBe(false);
+  });
+
+  it('should end once the booking is final', async () => {
+    const res = createMockRes();
+    stream(res);
+    await transitionBooking(db, booking.id, 'cancelled', { actor: 'user' });
+
+    await waitFor(() => expect(res.ended).toBe(true));
+    expect(res.messages().at(-1)).toEqual({ event: 'end', data: { status: 'cancelled' } });
+  });
+
+  it('should resume after the last event the browser saw', async () => {
+    const navigating = await transitionBooking(db, booking.id, 'navigating', { actor: 'booker' });
+    const [, seen] = (await db.execute('SELECT id FROM booking_events ORDER BY id')).rows;
+    const res = createMockRes();
+
+    stream(res, { lastEventId: String(seen.id) });
+    await transitionBooking(db, navigating.id, 'selecting_time', { actor: 'booker' });
+
+    await waitFor(() => expect(res.messages().map(m => m.data.status)).toEqual(['selecting_time']));
+    expect(res.messages()[0].id).toBe(String(seen.id + 1));
+  });
+
+  it('should end straight away for a finished booking with nothing new', async () => {
+    await transitionBooking(db, booking.id, 'cancelled', { actor: 'user' });
+    const [, last] = (await db.execute('SELECT id FROM booking_events ORDER BY id')).rows;
+    booking = await getBooking(db, booking.id);
+    const res = createMockRes();
+
+    stream(res, { lastEventId: last.id });
+
+    await waitFor(() => expect(res.ended).toBe(true));
+    expect(res.messages()).toEqual([{ event: 'end', data: { status: 'cancelled' } }]);
+  });
+
+  it('should stop polling when the client goes away', async () => {
+    const res = createMockRes();
+    const stop = stream(res);
+    await waitFor(() => expect(res.messages()).toHaveLength(1));
+
+    stop();
+    await transitionBooking(db, booking.id, 'navigating', { actor: 'booker' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(res.messages()).toHaveLength(1);
+    expect(res.ended).toBe(true);
+  });
+
+  it('should close long-lived streams so the browser reconnects', async () => {
+    const res = createMockRes();
+    stream(res, { maxDurationMs: 30 });
+
+    await waitFor(() => expect(res.ended).toBe(true));
+    expect(res.chunks[0]).toMatch(/^retry: \d+/);
+  });
+});
+
+// ============================================================================
+// Stream tokens
+// ============================================================================
+
+describe('stream tokens', () => {
+  const NOW = '2026-10-19T16:00:00.000Z';
+  const minutesLater = (minutes) => new Date(Date.parse(NOW) + minutes * 60 * 1000).toISOString();
+
+  it('should open only the booking it was issued for', async () => {
+    const other = await createBooking(db, validateBookingInput({ bookingUrl: 'https://www.golfnow.com/y', date: '2026-10-25', time: '09:00', contact: CONTACT }).request);
+
+    const { token, expiresAt } = await createStreamToken(db, booking.id, { now: NOW });
+
+    expect(token).toMatch(/^bst_/);
+    expect(expiresAt).toBe(minutesLater(10));
+    expect(await verifyStreamToken(db, token, booking.id, { now: minutesLater(1) })).toBe(true);
+    expect(await verifyStreamToken(db, token, other.id, { now: minutesLater(1) })).toBe(false);
+    expect(await verifyStreamToken(db, 'bst_made_up', booking.id, { now: minutesLater(1) })).toBe(false);
+    expect(await verifyStreamToken(db, undefined, booking.id)).toBe(false);
+  });
+
+  it('should expire and clear old tokens', async () => {
+    const { token } = await createStreamToken(db, booking.id, { now: NOW, ttlMs: 60 * 1000 });
+
+    expect(await verifyStreamToken(db, token, booking.id, { now: minutesLater(2) })).toBe(false);
+
+    await createStreamToken(db, booking.id, { now: minutesLater(2) });
+    const { rows } = await db.execute('SELECT token FROM booking_stream_tokens');
+    expect(rows.map(r => r.token)).not.toContain(token);
+  });
+});
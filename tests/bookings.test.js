@@ -0,0 +1,293 @@
+/**
+ * Booking Request Tests
+ *
+ * Tests for src/services/bookings.js:
+ * - Lifecycle state machine
+ * - Request validation
+ * - Storing bookings with their first audit event
+ * - Audited, race-safe state changes
+ * - Ownership checks
+ * - Recording GolfNowBooker status updates
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  BookingStatus,
+  BookingTransitionError,
+  canTransition,
+  isFinalStatus,
+  validateBookingInput,
+  createBooking,
+  transitionBooking,
+  canAccessBooking,
+  trackBookerStatus
+} from '../src/services/bookings.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const NOW = '2026-10-19T16:00:00.000Z';
+
+const CONTACT = { firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com' };
+
+const bookingRow = (overrides = {}) => ({
+  id: 'bk_test',
+  user_id: 7,
+  status: 'pending',
+  tee_time_id: 42,
+  course_id: 3,
+  course_name: 'Lincoln Park Golf Course',
+  date: '2026-10-24',
+  time: '08:00',
+  price: 45,
+  players: 2,
+  booking_url: 'https://www.golfnow.com/tee-times/42',
+  contact_first_name: 'Pat',
+  contact_last_name: 'Lee',
+  contact_email: 'pat@example.com',
+  contact_phone: null,
+  result: null,
+  error: null,
+  created_at: NOW,
+  updated_at: NOW,
+  completed_at: null,
+  ...overrides
+});
+
+/**
+ * Mock libsql client holding one booking row; batch applies the status
+ * update when the row is still in the expected state
+ */
+const createMockDb = (row = bookingRow()) => {
+  const state = { row };
+  return {
+    state,
+    execute: vi.fn(async () => ({ rows: state.row ? [state.row] : [] })),
+    batch: vi.fn(async (statements) => {
+      const [update] = statements;
+      if (!update.sql.startsWith('UPDATE')) return statements.map(() => ({ rowsAffected: 1 }));
+      const [to, , , , , , from] = update.args;
+      if (state.row.status !== from) return [{ rowsAffected: 0 }, { rowsAffected: 0 }];
+      state.row = { ...state.row, status: to };
+      return [{ rowsAffected: 1 }, { rowsAffected: 1 }];
+    })
+  };
+};
+
+// ============================================================================
+// State machine
+// ============================================================================
+
+describe('booking state machine', () => {
+  it('should follow the booker through each step', () => {
+    const steps = ['pending', 'navigating', 'selecting_time', 'filling_form', 'confirming', 'success'];
+    steps.slice(1).forEach((to, i) => expect(canTransition(steps[i], to)).toBe(true));
+  });
+
+  it('should not skip steps or go backwards', () => {
+    expect(canTransition('pending', 'confirming')).toBe(false);
+    expect(canTransition('filling_form', 'navigating')).toBe(false);
+    expect(canTransition('pending', 'success')).toBe(false);
+  });
+
+  it('should let an unfinished run go back to pending for a retry', () => {
+    expect(canTransition('filling_form', 'pending')).toBe(true);
+    expect(canTransition('confirming', 'pending')).toBe(false);
+  });
+
+  it('should allow cancelling until the booking is confirming', () => {
+    expect(canTransition('filling_form', 'cancelled')).toBe(true);
+    expect(canTransition('confirming', 'cancelled')).toBe(false);
+    expect(canTransition('confirming', 'failed')).toBe(true);
+  });
+
+  it('should end a booker run at success or ready_to_confirm', () => {
+    expect(canTransition('confirming', 'ready_to_confirm')).toBe(true);
+    expect(canTransition('filling_form', 'ready_to_confirm')).toBe(false);
+  });
+
+  it('should treat success, ready_to_confirm, failed and cancelled as final', () => {
+    ['success', 'ready_to_confirm', 'failed', 'cancelled'].forEach(status => {
+      expect(isFinalStatus(status)).toBe(true);
+      Object.values(BookingStatus).forEach(to => expect(canTransition(status, to)).toBe(false));
+    });
+    expect(isFinalStatus('pending')).toBe(false);
+  });
+});
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+describe('validateBookingInput', () => {
+  it('should require contact details and a tee time or link', () => {
+    expect(validateBookingInput({ teeTimeId: 1 }).error).toMatch(/Contact information/);
+    expect(validateBookingInput({ teeTimeId: 1, contact: { ...CONTACT, email: 'nope' } }).error).toBe('Invalid contact email');
+    expect(validateBookingInput({ contact: CONTACT }).error).toBe('Either bookingUrl or teeTimeId required');
+  });
+
+  it('should default to one player and cap at a foursome', () => {
+    expect(validateBookingInput({ teeTimeId: '42', contact: CONTACT }).request).toMatchObject({ teeTimeId: 42, players: 1 });
+    expect(validateBookingInput({ teeTimeId: 42, players: 5, contact: CONTACT }).error).toMatch(/Players/);
+  });
+});
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+describe('createBooking', () => {
+  it('should store a pending booking from the tee time with its first event', async () => {
+    const db = createMockDb();
+    const { request } = validateBookingInput({ teeTimeId: 42, players: 2, contact: CONTACT });
+    const teeTime = { id: 42, course_id: 3, course_name: 'Lincoln Park Golf Course', date: '2026-10-24', time: '08:00', price: 45, booking_url: 'https://golfnow.test/42', booking_system: 'golfnow' };
+
+    const booking = await createBooking(db, request, { teeTime, userId: 7, now: NOW });
+
+    expect(booking.id).toMatch(/^bk_/);
+    expect(booking).toMatchObject({ status: 'pending', userId: 7, players: 2, bookingUrl: 'https://golfnow.test/42', bookingSystem: 'golfnow', createdAt: NOW });
+    expect(booking.teeTime).toMatchObject({ id: 42, course_name: 'Lincoln Park Golf Course', price: 45 });
+
+    const [insert, event] = db.batch.mock.calls[0][0];
+    expect(insert.sql).toContain('INSERT INTO booking_requests');
+    expect(event.args).toEqual([booking.id, 'pending', 'user', NOW]);
+  });
+
+  it('should fall back to the request details without a tee time', async () => {
+    const db = createMockDb();
+    const { request } = validateBookingInput({ bookingUrl: 'https://x.test', date: '2026-10-24', time: '09:00', contact: CONTACT });
+
+    const booking = await createBooking(db, request, { now: NOW });
+
+    expect(booking.teeTime).toMatchObject({ date: '2026-10-24', time: '09:00', booking_url: 'https://x.test' });
+    expect(booking.bookingSystem).toBeNull();
+    expect(db.batch.mock.calls[0][0][1].args[2]).toBe('system');
+  });
+});
+
+// ============================================================================
+// Transitions
+// ============================================================================
+
+describe('transitionBooking', () => {
+  it('should update the booking and audit the change', async () => {
+    const db = createMockDb();
+
+    const booking = await transitionBooking(db, 'bk_test', 'navigating', { actor: 'booker', details: { url: 'https://x' }, now: NOW });
+
+    expect(booking.status).toBe('navigating');
+    const [update, event] = db.batch.mock.calls[0][0];
+    expect(update.args).toEqual(['navigating', NOW, null, null, null, 'bk_test', 'pending']);
+    expect(event.sql).toContain('WHERE changes() > 0');
+    expect(event.args).toEqual(['bk_test', 'pending', 'navigating', 'booker', '{"url":"https://x"}', NOW]);
+  });
+
+  it('should keep the result and completion time on success', async () => {
+    const db = createMockDb(bookingRow({ status: 'confirming' }));
+
+    const booking = await transitionBooking(db, 'bk_test', 'success', { details: { status: 'confirmed', confirmationNumber: 'GN123' }, now: NOW });
+
+    expect(booking).toMatchObject({ status: 'success', completedAt: NOW, result: { confirmationNumber: 'GN123' } });
+  });
+
+  it('should keep the deep link of a booking ready to confirm', async () => {
+    const db = createMockDb(bookingRow({ status: 'confirming' }));
+    const details = { status: 'ready_to_confirm', deepLink: 'https://www.golfnow.com/tee-times/facility/1/search' };
+
+    const booking = await transitionBooking(db, 'bk_test', 'ready_to_confirm', { details, now: NOW });
+
+    expect(booking).toMatchObject({ status: 'ready_to_confirm', completedAt: NOW, result: details });
+  });
+
+  it('should keep the error on failure', async () => {
+    const db = createMockDb(bookingRow({ status: 'selecting_time' }));
+    const booking = await transitionBooking(db, 'bk_test', 'failed', { details: { error: 'Tee time gone' } });
+    expect(booking.error).toBe('Tee time gone');
+  });
+
+  it('should reject changes the state machine does not allow', async () => {
+    const db = createMockDb(bookingRow({ status: 'success' }));
+
+    await expect(transitionBooking(db, 'bk_test', 'cancelled')).rejects.toThrow(BookingTransitionError);
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+
+  it('should reject a change that lost a race', async () => {
+    const db = createMockDb();
+    db.batch.mockImplementationOnce(async () => {
+      db.state.row = { ...db.state.row, status: 'cancelled' };
+      return [{ rowsAffected: 0 }, { rowsAffected: 0 }];
+    });
+
+    const error = await transitionBooking(db, 'bk_test', 'navigating').catch(e => e);
+
+    expect(error).toBeInstanceOf(BookingTransitionError);
+    expect(error).toMatchObject({ from: 'cancelled', to: 'navigating', statusCode: 409 });
+  });
+
+  it('should return null for an unknown booking', async () => {
+    expect(await transitionBooking(createMockDb(null), 'bk_missing', 'cancelled')).toBeNull();
+  });
+});
+
+// ============================================================================
+// Ownership
+// ============================================================================
+
+describe('canAccessBooking', () => {
+  it('should limit signed-in bookings to their owner', () => {
+    expect(canAccessBooking({ userId: 7 }, { id: 7 })).toBe(true);
+    expect(canAccessBooking({ userId: 7 }, { id: 8 })).toBe(false);
+    expect(canAccessBooking({ userId: 7 }, undefined)).toBe(false);
+  });
+
+  it('should allow anyone with the id to reach an anonymous booking', () => {
+    expect(canAccessBooking({ userId: null }, undefined)).toBe(true);
+  });
+});
+
+// ============================================================================
+// Booker
+// ============================================================================
+
+describe('trackBookerStatus', () => {
+  it('should record the booker\'s updates in order', async () => {
+    const db = createMockDb();
+    let listener;
+    const tracking = trackBookerStatus(db, 'bk_test', { onStatusChange: cb => { listener = cb; } });
+
+    listener({ status: 'navigating', timestamp: NOW, url: 'https://x' });
+    listener({ status: 'selecting_time', timestamp: NOW });
+    await tracking.flush();
+
+    expect(db.state.row.status).toBe('selecting_time');
+    expect(db.batch.mock.calls.map(([statements]) => statements[1].args[2])).toEqual(['navigating', 'selecting_time']);
+  });
+
+  it('should log rather than throw on an update the state machine rejects', async () => {
+    const db = createMockDb(bookingRow({ status: 'cancelled' }));
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    let listener;
+    const tracking = trackBookerStatus(db, 'bk_test', { onStatusChange: cb => { listener = cb; } });
+
+    listener({ status: 'navigating', timestamp: NOW });
+    await tracking.flush();
+
+    expect(consoleSpy).toHaveBeenCalled();
+    consoleSpy.mockRestore();
+  });
+
+  it('should leave skipped statuses and updates after stop to the caller', async () => {
+    const db = createMockDb();
+    let listener;
+    const tracking = trackBookerStatus(db, 'bk_test', { onStatusChange: cb => { listener = cb; } }, { skip: ['failed'] });
+
+    listener({ status: 'failed', timestamp: NOW, error: 'boom' });
+    tracking.stop();
+    listener({ status: 'navigating', timestamp: NOW });
+    await tracking.flush();
+
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+});
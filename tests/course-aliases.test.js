@@ -0,0 +1,191 @@
+/**
+ * Course Alias Tests
+ *
+ * Tests for src/services/course-aliases.js:
+ * - Name normalization and admin input validation
+ * - Course matcher: names, slugs, aliases and mentions in free text
+ * - Alias storage: seeding, conflicts, removal
+ * - Agent parser use of the matcher for nicknames
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_COURSE_ALIASES,
+  ensureCourseAliasTables,
+  normalizeCourseName,
+  validateAliasInput,
+  addCourseAlias,
+  removeCourseAlias,
+  attachCourseAliases,
+  createCourseMatcher
+} from '../src/services/course-aliases.js';
+import { fallbackParse, normalizeParams } from '../src/agent/parser.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const HARDING = { id: 1, name: 'TPC Harding Park', slug: 'tpc-harding-park', aliases: ['Harding', 'Harding Park'] };
+const SHARP = { id: 2, name: 'Sharp Park Golf Course', slug: 'sharp-park-golf-course', aliases: ['Sharp'] };
+const CORICA = { id: 3, name: 'Corica Park - South Course', slug: 'corica-park-south-course', aliases: ['Corica South'] };
+const COURSES = [HARDING, SHARP, CORICA];
+
+const createMockDb = () => ({
+  batch: vi.fn().mockResolvedValue([]),
+  execute: vi.fn().mockResolvedValue({ rows: [], rowsAffected: 0 })
+});
+
+// ============================================================================
+// Normalization & validation
+// ============================================================================
+
+describe('normalizeCourseName', () => {
+  it('should lowercase and strip accents and punctuation', () => {
+    expect(normalizeCourseName('  Corica Park - South Course ')).toBe('corica park south course');
+    expect(normalizeCourseName('Peña Adobe')).toBe('pena adobe');
+    expect(normalizeCourseName('tpc-harding-park')).toBe('tpc harding park');
+  });
+
+  it('should spell out ampersands', () => {
+    expect(normalizeCourseName('Golf & Country Club')).toBe('golf and country club');
+  });
+
+  it('should handle empty input', () => {
+    expect(normalizeCourseName(null)).toBe('');
+  });
+});
+
+describe('validateAliasInput', () => {
+  it('should accept an alias with an optional source', () => {
+    expect(validateAliasInput({ alias: ' The Harding ', source: 'golfnow' })).toEqual({
+      alias: { alias: 'The Harding', normalized: 'the harding', source: 'golfnow' },
+      error: null
+    });
+    expect(validateAliasInput({ alias: 'Harding' }).alias.source).toBeNull();
+  });
+
+  it('should reject missing, blank or oversized aliases', () => {
+    expect(validateAliasInput({}).error).toBe('alias is required');
+    expect(validateAliasInput({ alias: ' -- ' }).error).toBe('alias is required');
+    expect(validateAliasInput({ alias: 'x'.repeat(101) }).error).toMatch(/100 characters/);
+  });
+
+  it('should reject a non-string source', () => {
+    expect(validateAliasInput({ alias: 'Harding', source: 5 }).error).toBe('source must be a provider name');
+  });
+});
+
+// ============================================================================
+// Matcher
+// ============================================================================
+
+describe('createCourseMatcher', () => {
+  const matcher = createCourseMatcher(COURSES);
+
+  it('should match names, slugs and aliases regardless of formatting', () => {
+    expect(matcher.match('TPC HARDING PARK')).toBe(HARDING);
+    expect(matcher.match('sharp-park-golf-course')).toBe(SHARP);
+    expect(matcher.match('corica south')).toBe(CORICA);
+    expect(matcher.match('Lincoln')).toBeNull();
+  });
+
+  it('should never let an alias shadow a course name', () => {
+    const park = { id: 4, name: 'Harding', slug: 'harding' };
+    expect(createCourseMatcher([HARDING, park]).match('Harding')).toBe(park);
+  });
+
+  it('should find courses mentioned in a query in order', () => {
+    expect(matcher.findMentions('Sharp or Harding Park this Saturday?')).toEqual([SHARP, HARDING]);
+  });
+
+  it('should only match whole words', () => {
+    expect(matcher.findMentions('sharpen my game at hardingville')).toEqual([]);
+  });
+
+  it('should not count a course twice when a longer alias contains a shorter one', () => {
+    expect(matcher.findMentions('harding park')).toEqual([HARDING]);
+  });
+});
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+describe('ensureCourseAliasTables', () => {
+  it('should seed the default nicknames by slug without overwriting', async () => {
+    const db = createMockDb();
+    await ensureCourseAliasTables(db);
+
+    const seeds = db.batch.mock.calls[0][0];
+    expect(seeds).toHaveLength(Object.values(DEFAULT_COURSE_ALIASES).flat().length);
+    expect(seeds[0].sql).toContain('INSERT OR IGNORE');
+    expect(seeds[0].args).toEqual(['Harding', 'harding', 'tpc-harding-park']);
+  });
+});
+
+describe('addCourseAlias', () => {
+  const alias = { alias: 'The Harding', normalized: 'the harding', source: null };
+
+  it('should insert an alias nobody owns', async () => {
+    const db = createMockDb();
+    db.execute
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 9, course_id: 1, alias: 'The Harding' }] });
+
+    const result = await addCourseAlias(db, 1, alias);
+
+    expect(result).toEqual({ alias: { id: 9, course_id: 1, alias: 'The Harding' }, conflict: null });
+    expect(db.execute.mock.calls[1][0].args).toEqual([1, 'The Harding', 'the harding', null]);
+  });
+
+  it('should report the course that already owns the alias', async () => {
+    const db = createMockDb();
+    db.execute.mockResolvedValueOnce({ rows: [{ course_id: 2, name: 'Sharp Park Golf Course' }] });
+
+    const result = await addCourseAlias(db, 1, alias);
+
+    expect(result).toEqual({ alias: null, conflict: { course_id: 2, name: 'Sharp Park Golf Course' } });
+    expect(db.execute).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('removeCourseAlias', () => {
+  it('should report whether the alias existed', async () => {
+    const db = createMockDb();
+    expect(await removeCourseAlias(db, 1, 9)).toBe(false);
+
+    db.execute.mockResolvedValueOnce({ rowsAffected: 1 });
+    expect(await removeCourseAlias(db, 1, 9)).toBe(true);
+  });
+});
+
+describe('attachCourseAliases', () => {
+  it('should return copies with each course\'s aliases', async () => {
+    const db = createMockDb();
+    db.execute.mockResolvedValueOnce({ rows: [{ course_id: 1, alias: 'Harding' }, { course_id: 1, alias: 'Harding Park' }] });
+    const rows = [{ id: 1, name: 'TPC Harding Park' }, { id: 2, name: 'Sharp Park Golf Course' }];
+
+    const result = await attachCourseAliases(db, rows);
+
+    expect(result.map(c => c.aliases)).toEqual([['Harding', 'Harding Park'], []]);
+    expect(rows[0].aliases).toBeUndefined();
+  });
+});
+
+// ============================================================================
+// Agent parser
+// ============================================================================
+
+describe('parser nicknames', () => {
+  const matcher = createCourseMatcher(COURSES);
+
+  it('should detect nicknames in the fallback parser', () => {
+    const params = fallbackParse('tee times at corica south or sharp tomorrow', '2026-10-19', matcher);
+    expect(params.course_names).toEqual(['Corica Park - South Course', 'Sharp Park Golf Course']);
+  });
+
+  it('should canonicalize course names from the model', () => {
+    const params = normalizeParams({ course_names: ['Harding', 'TPC Harding Park', 'Unknown Links'] }, '2026-10-19', matcher);
+    expect(params.course_names).toEqual(['TPC Harding Park', 'Unknown Links']);
+  });
+});
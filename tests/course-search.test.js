@@ -0,0 +1,185 @@
+/**
+ * Course Search Tests
+ *
+ * Tests for src/services/course-search.js:
+ * - Query tokenizing and FTS5 match expressions
+ * - Edit distance and typo correction against the index vocabulary
+ * - Search flow: as typed first, corrected when nothing matches
+ * - Index setup and rebuild
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ensureCourseSearchTables,
+  tokenize,
+  editDistance,
+  correctWord,
+  buildMatchExpression,
+  searchCourses
+} from '../src/services/course-search.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const VOCABULARY = ['burlingame', 'crystal', 'francisco', 'harding', 'lincoln', 'park', 'san', 'springs', 'tpc'];
+
+const HARDING = { id: 1, name: 'TPC Harding Park', slug: 'tpc-harding-park', city: 'San Francisco', region: 'San Francisco' };
+
+/**
+ * Mock libsql client: MATCH queries answer with matchResult(expression),
+ * the vocabulary query with VOCABULARY
+ */
+const createMockDb = (matchResult = () => []) => ({
+  batch: vi.fn(),
+  execute: vi.fn(async (stmt) => {
+    const sql = typeof stmt === 'string' ? stmt : stmt.sql;
+    if (sql.includes('course_search_vocab')) return { rows: VOCABULARY.map(term => ({ term })) };
+    if (sql.includes('MATCH')) return { rows: matchResult(stmt.args[0]) };
+    return { rows: [] };
+  })
+});
+
+const matchCalls = (db) => db.execute.mock.calls
+  .map(([stmt]) => stmt)
+  .filter(stmt => typeof stmt !== 'string' && stmt.sql.includes('MATCH'));
+
+// ============================================================================
+// Query parsing
+// ============================================================================
+
+describe('tokenize', () => {
+  it('should lowercase, strip accents and punctuation', () => {
+    expect(tokenize('  Sán Mateo - Poplar Creek! ')).toEqual(['san', 'mateo', 'poplar', 'creek']);
+  });
+
+  it('should drop generic golf words unless nothing else is left', () => {
+    expect(tokenize('Harding Park Golf Course')).toEqual(['harding', 'park']);
+    expect(tokenize('golf club')).toEqual(['golf', 'club']);
+  });
+
+  it('should handle empty input', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('buildMatchExpression', () => {
+  it('should AND groups of prefix terms', () => {
+    expect(buildMatchExpression([['harding'], ['park', 'parks']]))
+      .toBe('("harding"*) AND ("park"* OR "parks"*)');
+  });
+});
+
+// ============================================================================
+// Typo correction
+// ============================================================================
+
+describe('editDistance', () => {
+  it('should count insertions, deletions, substitutions and swaps', () => {
+    expect(editDistance('harding', 'harding')).toBe(0);
+    expect(editDistance('hardng', 'harding')).toBe(1);
+    expect(editDistance('lincon', 'lincoln')).toBe(1);
+    expect(editDistance('hrading', 'harding')).toBe(1);
+    expect(editDistance('sharp', 'harding')).toBeGreaterThan(2);
+  });
+});
+
+describe('correctWord', () => {
+  it('should find close indexed words', () => {
+    expect(correctWord('hardng', VOCABULARY)).toEqual(['harding']);
+    expect(correctWord('cristal', VOCABULARY)).toEqual(['crystal']);
+  });
+
+  it('should match a misspelled start of a word', () => {
+    expect(correctWord('lincl', VOCABULARY)).toEqual(['lincoln']);
+  });
+
+  it('should not correct short words', () => {
+    expect(correctWord('tpx', VOCABULARY)).toEqual([]);
+  });
+});
+
+// ============================================================================
+// Search
+// ============================================================================
+
+describe('searchCourses', () => {
+  it('should return matches as typed without loading the vocabulary', async () => {
+    const db = createMockDb(() => [HARDING]);
+
+    const result = await searchCourses(db, 'harding', { limit: 5 });
+
+    expect(result).toEqual({ courses: [HARDING], corrections: [] });
+    expect(matchCalls(db)[0].args).toEqual(['("harding"*)', 5]);
+    expect(db.execute).toHaveBeenCalledTimes(1);
+  });
+
+  it('should correct typos when nothing matches as typed', async () => {
+    const db = createMockDb(expression => expression.includes('"harding"') ? [HARDING] : []);
+
+    const result = await searchCourses(db, 'hardng park');
+
+    expect(result.courses).toEqual([HARDING]);
+    expect(result.corrections).toEqual([{ from: 'hardng', to: 'harding' }]);
+    expect(matchCalls(db)[1].args[0]).toBe('("harding"*) AND ("park"*)');
+  });
+
+  it('should leave out words that match nothing even after correction', async () => {
+    const db = createMockDb(expression => expression === '("harding"*)' ? [HARDING] : []);
+
+    const result = await searchCourses(db, 'harding qqqqqq');
+
+    expect(result.courses).toEqual([HARDING]);
+    expect(result.corrections).toEqual([]);
+  });
+
+  it('should not search again when there is nothing to correct', async () => {
+    const db = createMockDb();
+
+    const result = await searchCourses(db, 'crystal harding');
+
+    expect(result.courses).toEqual([]);
+    expect(matchCalls(db)).toHaveLength(1);
+  });
+
+  it('should not query for an empty search', async () => {
+    const db = createMockDb();
+    expect(await searchCourses(db, ' - ')).toEqual({ courses: [], corrections: [] });
+    expect(db.execute).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================================
+// Index setup
+// ============================================================================
+
+describe('ensureCourseSearchTables', () => {
+  const countsDb = (counts) => {
+    const db = createMockDb();
+    db.execute.mockImplementation(async (sql) =>
+      String(sql).includes('COUNT(*)') ? { rows: [counts] } : { rows: [] }
+    );
+    return db;
+  };
+
+  it('should rebuild the index when it is out of step with courses', async () => {
+    const db = countsDb({ courses: 120, indexed: 0, aliased: 0, indexed_aliased: 0 });
+    await ensureCourseSearchTables(db);
+
+    expect(db.batch).toHaveBeenCalledTimes(1);
+    expect(db.batch.mock.calls[0][0][1]).toContain('INSERT INTO course_search');
+  });
+
+  it('should rebuild the index when aliases are missing from it', async () => {
+    const db = countsDb({ courses: 120, indexed: 120, aliased: 14, indexed_aliased: 0 });
+    await ensureCourseSearchTables(db);
+    expect(db.batch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should leave an up-to-date index alone', async () => {
+    const db = countsDb({ courses: 120, indexed: 120, aliased: 14, indexed_aliased: 14 });
+    await ensureCourseSearchTables(db);
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+});
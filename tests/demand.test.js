@@ -0,0 +1,156 @@
+/**
+ * Course Demand Analytics Tests
+ *
+ * Tests for src/services/demand.js:
+ * - Sale inference statements used by the scrape swap
+ * - Keeping summary-row sources (GolfNow) out of demand
+ * - Daypart and lead time bucketing
+ * - aggregateDemand sell-through tables and sell-out patterns
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  saleStatements,
+  isSummaryRowSource,
+  getDaypart,
+  getLeadTimeBucket,
+  describePattern,
+  aggregateDemand,
+  getDemandAnalytics
+} from '../src/services/demand.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const coursesById = {
+  1: { id: 1, name: 'Harding Park', slug: 'tpc-harding-park', region: 'San Francisco' },
+  2: { id: 2, name: 'Lincoln Park', slug: 'lincoln-park-golf-course', region: 'San Francisco' }
+};
+
+// Saturday (6) 8am at Harding: 10 slots, 9 sold about 5 days out
+const offered = [
+  { course_id: 1, weekday: '6', hour: 8, offered: 10 },
+  { course_id: 1, weekday: '2', hour: 14, offered: 10 },
+  { course_id: 2, weekday: '6', hour: 8, offered: 20 }
+];
+const sales = [
+  ...Array.from({ length: 9 }, () => ({ course_id: 1, weekday: '6', hour: 8, lead_hours: 120 })),
+  { course_id: 1, weekday: '2', hour: 14, lead_hours: 6 },
+  { course_id: 2, weekday: '6', hour: 8, lead_hours: 30 },
+  { course_id: 2, weekday: '6', hour: 8, lead_hours: 50 }
+];
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('saleStatements', () => {
+  it('should retract reappeared slots and record vanished future slots', () => {
+    const [retract, record] = saleStatements(['golfnow', 1, '2026-10-24'], '2026-10-19 08:00');
+
+    expect(retract.sql).toContain('DELETE FROM tee_time_sales');
+    expect(retract.args).toEqual(['golfnow', 1, '2026-10-24', 'golfnow', 1, '2026-10-24']);
+    expect(record.sql).toContain('is_booked = 0');
+    expect(record.sql).toContain('NOT IN');
+    expect(record.args).toEqual([
+      '2026-10-19 08:00', '2026-10-19 08:00',
+      'golfnow', 1, '2026-10-24', '2026-10-19 08:00',
+      'golfnow', 1, '2026-10-24'
+    ]);
+  });
+});
+
+describe('isSummaryRowSource', () => {
+  it('should flag sources that list one row per facility per day', () => {
+    expect(isSummaryRowSource('golfnow')).toBe(true);
+    expect(isSummaryRowSource('chronogolf')).toBe(false);
+    expect(isSummaryRowSource('cpsgolf')).toBe(false);
+  });
+});
+
+describe('Bucketing', () => {
+  it('should split the day into dayparts', () => {
+    expect(getDaypart(6)).toBe('morning');
+    expect(getDaypart(12)).toBe('afternoon');
+    expect(getDaypart(16)).toBe('twilight');
+  });
+
+  it('should bucket lead times by hours ahead', () => {
+    expect(getLeadTimeBucket(3)).toBe('Same day');
+    expect(getLeadTimeBucket(48)).toBe('1-2 days');
+    expect(getLeadTimeBucket(130)).toBe('5-7 days');
+    expect(getLeadTimeBucket(400)).toBe('8+ days');
+  });
+
+  it('should describe sell-out patterns', () => {
+    expect(describePattern({ course_name: 'Harding Park', weekday: 6, daypart: 'morning', median_lead_days: 5 }))
+      .toBe('Harding Park Saturday mornings sell out 5 days ahead');
+    expect(describePattern({ course_name: 'Lincoln Park', weekday: 0, daypart: 'twilight', median_lead_days: 0.3 }))
+      .toBe('Lincoln Park Sunday twilight times sell out the same day');
+  });
+});
+
+describe('aggregateDemand', () => {
+  const demand = aggregateDemand(offered, sales, coursesById);
+
+  it('should compute overall sell-through', () => {
+    expect(demand.overall).toEqual({ offered: 40, sold: 12, sell_through: 0.3 });
+  });
+
+  it('should rank courses by sell-through', () => {
+    expect(demand.byCourse.map(c => [c.rank, c.course_name, c.sell_through])).toEqual([
+      [1, 'Harding Park', 0.5],
+      [2, 'Lincoln Park', 0.1]
+    ]);
+  });
+
+  it('should break down by weekday, hour and lead time', () => {
+    expect(demand.byWeekday.map(w => [w.label, w.offered, w.sold])).toEqual([
+      ['Tuesday', 10, 1],
+      ['Saturday', 30, 11]
+    ]);
+    expect(demand.byHour.find(h => h.hour === 8)).toMatchObject({ offered: 30, sold: 11 });
+    expect(demand.byLeadTime.find(b => b.label === '5-7 days')).toEqual({ label: '5-7 days', sold: 9, share: 0.75 });
+  });
+
+  it('should only report well-sampled sell-outs', () => {
+    expect(demand.selloutPatterns).toHaveLength(1);
+    expect(demand.selloutPatterns[0]).toMatchObject({
+      course_id: 1,
+      sell_through: 0.9,
+      median_lead_days: 5,
+      summary: 'Harding Park Saturday mornings sell out 5 days ahead'
+    });
+  });
+});
+
+describe('getDemandAnalytics', () => {
+  it('should filter both queries by date range, course and region', async () => {
+    const db = {
+      execute: vi.fn(async () => ({ rows: [] }))
+    };
+
+    await getDemandAnalytics(db, { from: '2026-09-20', to: '2026-10-19', courseId: 1, region: 'San Francisco' });
+
+    const queries = db.execute.mock.calls.map(c => c[0]).filter(stmt => stmt.sql?.includes('FROM tee_time_'));
+    expect(queries).toHaveLength(2);
+    for (const query of queries) {
+      expect(query.args).toEqual(['2026-09-20', '2026-10-19', 'golfnow', 1, 'San Francisco']);
+    }
+  });
+
+  it('should leave summary-row sources out of offered slots and sales', async () => {
+    const db = {
+      execute: vi.fn(async () => ({ rows: [] }))
+    };
+
+    await getDemandAnalytics(db, { from: '2026-09-20', to: '2026-10-19' });
+
+    const queries = db.execute.mock.calls.map(c => c[0]).filter(stmt => stmt.sql?.includes('FROM tee_time_'));
+    for (const query of queries) {
+      expect(query.sql).toContain('x.source NOT IN (?)');
+      expect(query.args).toEqual(['2026-09-20', '2026-10-19', 'golfnow']);
+    }
+  });
+});
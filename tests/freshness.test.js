@@ -0,0 +1,85 @@
+/**
+ * Tee Time Freshness Tests
+ *
+ * Tests for src/services/freshness.js:
+ * - Staleness thresholds by lead time
+ * - Freshness metadata on tee_times rows
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getStaleAfterMinutes, getFreshness, withFreshness } from '../src/services/freshness.js';
+import { scoreTeeTime, STALE_SCORE_FACTOR } from '../src/agent/scorer.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const NOW = Date.parse('2026-10-19T16:00:00Z');
+const TODAY = '2026-10-19';
+
+// SQLite datetime('now') format, N minutes before NOW
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60000).toISOString().replace('T', ' ').slice(0, 19);
+
+const row = (overrides) => ({
+  id: 1,
+  course_id: 1,
+  date: TODAY,
+  time: '07:00',
+  price: 50,
+  source: 'golfnow',
+  scraped_at: minutesAgo(10),
+  ...overrides
+});
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('getStaleAfterMinutes', () => {
+  it('should allow two missed scheduler intervals', () => {
+    expect(getStaleAfterMinutes(TODAY, TODAY)).toBe(60);
+    expect(getStaleAfterMinutes('2026-10-22', TODAY)).toBe(240);
+    expect(getStaleAfterMinutes('2026-10-30', TODAY)).toBe(1440);
+  });
+});
+
+describe('getFreshness', () => {
+  it('should report when the course-date was last scraped', () => {
+    expect(getFreshness(row(), { today: TODAY, now: NOW })).toEqual({
+      source: 'golfnow',
+      last_scraped_at: '2026-10-19T15:50:00.000Z',
+      age_minutes: 10,
+      is_stale: false
+    });
+  });
+
+  it('should flag tee times that missed a scheduled re-scrape', () => {
+    expect(getFreshness(row({ scraped_at: minutesAgo(90) }), { today: TODAY, now: NOW }).is_stale).toBe(true);
+    // Far dates are only re-scraped every few hours
+    expect(getFreshness(row({ date: '2026-10-25', scraped_at: minutesAgo(90) }), { today: TODAY, now: NOW }).is_stale).toBe(false);
+  });
+
+  it('should treat rows without a scrape time as stale', () => {
+    expect(getFreshness(row({ scraped_at: null }), { today: TODAY, now: NOW })).toMatchObject({
+      last_scraped_at: null,
+      is_stale: true
+    });
+  });
+});
+
+describe('withFreshness', () => {
+  it('should attach freshness without dropping row fields', () => {
+    const [tagged] = withFreshness([row()], { today: TODAY, now: NOW });
+    expect(tagged).toMatchObject({ id: 1, price: 50, freshness: { age_minutes: 10 } });
+  });
+
+  it('should let the agent down-rank stale tee times', () => {
+    const [fresh, stale] = withFreshness([row(), row({ scraped_at: minutesAgo(300) })], { today: TODAY, now: NOW });
+    const params = {};
+
+    const freshScore = scoreTeeTime(fresh, params).totalScore;
+    const staleScore = scoreTeeTime(stale, params).totalScore;
+
+    expect(staleScore).toBeCloseTo(freshScore * STALE_SCORE_FACTOR, 1);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Near Me Search Tests
+ *
+ * Tests for src/services/nearby.js and src/services/travel-times.js:
+ * - Origin parsing and geocoding
+ * - Radius and drive-time filtering, nearest first
+ * - Estimated and precomputed travel time matrices
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_RADIUS_MILES,
+  NearbySearchError,
+  parseNearbyQuery,
+  resolveOrigin,
+  rankCoursesByDistance
+} from '../src/services/nearby.js';
+import {
+  getOriginCell,
+  createEstimatedTravelTimeMatrix,
+  createPrecomputedTravelTimeMatrix
+} from '../src/services/travel-times.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const createMockDb = () => ({
+  batch: vi.fn(),
+  execute: vi.fn()
+});
+
+// Union Square, San Francisco
+const ORIGIN = { latitude: 37.788, longitude: -122.407 };
+
+const COURSES = [
+  { id: 1, name: 'Tilden Park', latitude: 37.888, longitude: -122.243 },
+  { id: 2, name: 'Presidio', latitude: 37.790, longitude: -122.459 },
+  { id: 3, name: 'Pasatiempo', latitude: 36.993, longitude: -122.028 },
+  { id: 4, name: 'No Coordinates', latitude: null, longitude: null }
+];
+
+// Local stand-in: fixed drive times per course
+const fixedMatrix = (minutes) => ({
+  driveMinutes: vi.fn(async (origin, courses) => new Map(courses.map(c => [c.id, minutes[c.id] ?? null])))
+});
+
+// ============================================================================
+// Query
+// ============================================================================
+
+describe('parseNearbyQuery', () => {
+  it('should accept coordinates with the default radius', () => {
+    const { params } = parseNearbyQuery({ lat: '37.788', lng: '-122.407' });
+    expect(params).toEqual({ coordinates: ORIGIN, address: null, radiusMiles: DEFAULT_RADIUS_MILES, maxDriveMinutes: null });
+  });
+
+  it('should not limit drive-time searches by the default radius', () => {
+    const { params } = parseNearbyQuery({ address: 'Oakland, CA', max_drive_minutes: '45' });
+    expect(params.address).toBe('Oakland, CA');
+    expect(params.maxDriveMinutes).toBe(45);
+    expect(params.radiusMiles).toBeGreaterThan(DEFAULT_RADIUS_MILES);
+  });
+
+  it('should reject missing or invalid origins and limits', () => {
+    expect(parseNearbyQuery({}).error).toContain('origin is required');
+    expect(parseNearbyQuery({ lat: '37.7' }).error).toContain('lat and lng');
+    expect(parseNearbyQuery({ lat: '37.7', lng: '-122.4', radius: '0' }).error).toContain('radius');
+    expect(parseNearbyQuery({ lat: '37.7', lng: '-122.4', max_drive_minutes: '600' }).error).toContain('max_drive_minutes');
+  });
+});
+
+describe('resolveOrigin', () => {
+  it('should use coordinates as given', async () => {
+    const origin = await resolveOrigin({ coordinates: ORIGIN, address: null });
+    expect(origin).toEqual({ ...ORIGIN, label: null, source: 'coordinates' });
+  });
+
+  it('should geocode addresses', async () => {
+    const geocoder = {
+      geocode: vi.fn().mockResolvedValue({ coordinates: { latitude: 37.8, longitude: -122.27 }, displayName: 'Oakland, CA' })
+    };
+
+    const origin = await resolveOrigin({ coordinates: null, address: 'Oakland' }, geocoder);
+
+    expect(origin).toEqual({ latitude: 37.8, longitude: -122.27, label: 'Oakland, CA', source: 'geocoded' });
+    expect(geocoder.geocode).toHaveBeenCalledWith('Oakland', expect.objectContaining({ countrycodes: ['us'] }));
+  });
+
+  it('should fail with a status when an address cannot be used', async () => {
+    const notFound = resolveOrigin({ address: 'Nowhere' }, { geocode: vi.fn().mockResolvedValue(null) });
+    await expect(notFound).rejects.toMatchObject({ name: 'NearbySearchError', statusCode: 404 });
+
+    await expect(resolveOrigin({ address: 'Oakland' }, null)).rejects.toBeInstanceOf(NearbySearchError);
+  });
+});
+
+// ============================================================================
+// Ranking
+// ============================================================================
+
+describe('rankCoursesByDistance', () => {
+  it('should keep courses in the radius, nearest first', async () => {
+    const matrix = fixedMatrix({ 1: 30, 2: 15 });
+    const ranked = await rankCoursesByDistance(COURSES, ORIGIN, { radiusMiles: 25, maxDriveMinutes: null, matrix });
+
+    expect(ranked.map(c => c.id)).toEqual([2, 1]);
+    expect(ranked[0].distance_miles).toBeCloseTo(2.8, 0);
+    expect(ranked[1].drive_minutes).toBe(30);
+    // Only courses inside the radius go to the matrix
+    expect(matrix.driveMinutes.mock.calls[0][1].map(c => c.id)).toEqual([1, 2]);
+  });
+
+  it('should filter and sort by drive time when a limit is given', async () => {
+    // Tilden is further but quicker to reach than Presidio in this matrix
+    const matrix = fixedMatrix({ 1: 20, 2: 25, 3: 90 });
+    const ranked = await rankCoursesByDistance(COURSES, ORIGIN, { radiusMiles: 150, maxDriveMinutes: 60, matrix });
+
+    expect(ranked.map(c => c.id)).toEqual([1, 2]);
+  });
+
+  it('should drop courses the matrix cannot route to when limiting by drive time', async () => {
+    const ranked = await rankCoursesByDistance(COURSES, ORIGIN, { radiusMiles: 150, maxDriveMinutes: 60, matrix: fixedMatrix({ 2: 15 }) });
+    expect(ranked.map(c => c.id)).toEqual([2]);
+  });
+});
+
+// ============================================================================
+// Travel time matrices
+// ============================================================================
+
+describe('getOriginCell', () => {
+  it('should snap nearby origins to the same cell', () => {
+    expect(getOriginCell(ORIGIN)).toBe('37.80,-122.40');
+    expect(getOriginCell({ latitude: 37.79, longitude: -122.41 })).toBe('37.80,-122.40');
+  });
+});
+
+describe('createEstimatedTravelTimeMatrix', () => {
+  it('should estimate minutes from straight-line distance', async () => {
+    const matrix = createEstimatedTravelTimeMatrix({ circuityFactor: 1, speedMph: 60 });
+    const minutes = await matrix.driveMinutes(ORIGIN, [COURSES[1]]);
+    // ~2.8 miles at 60 mph
+    expect(minutes.get(2)).toBe(3);
+  });
+});
+
+describe('createPrecomputedTravelTimeMatrix', () => {
+  it('should read the origin cell and fall back for missing courses', async () => {
+    const db = createMockDb();
+    db.execute.mockResolvedValue({ rows: [{ course_id: 1, drive_minutes: 27.6 }] });
+    const fallback = fixedMatrix({ 2: 12 });
+
+    const matrix = createPrecomputedTravelTimeMatrix(db, { fallback });
+    const minutes = await matrix.driveMinutes(ORIGIN, COURSES.slice(0, 2));
+
+    expect(minutes).toEqual(new Map([[1, 28], [2, 12]]));
+    expect(db.execute.mock.calls[0][0].args).toEqual(['37.80,-122.40', 1, 2]);
+    expect(fallback.driveMinutes.mock.calls[0][1].map(c => c.id)).toEqual([2]);
+  });
+
+  it('should not query for an empty course list', async () => {
+    const db = createMockDb();
+    const minutes = await createPrecomputedTravelTimeMatrix(db).driveMinutes(ORIGIN, []);
+    expect(minutes.size).toBe(0);
+    expect(db.execute).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Provider Fixture Replay Tests
+ *
+ * Replays provider payloads through each adapter's parse -> normalize
+ * pipeline, offline:
+ * - Synthetic payloads (tests/fixtures/providers-synthetic) - hand-written
+ *   from each site's layout, so they pin the parsers' behavior but don't
+ *   prove the live format
+ * - Real recordings (tests/fixtures/providers, npm run scrape:record) when
+ *   any are committed
+ * - AM/PM times land on the right side of noon
+ * - Replay and record modes round-trip through runAdapter
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getAdapter, getAdapters, normalizePayload, runAdapter } from '../scripts/providers/index.js';
+import { DEFAULT_FIXTURES_DIR, loadFixtures, recordingAdapter, replayAdapter } from '../scripts/providers/fixtures.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const SYNTHETIC_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'providers-synthetic');
+
+const createMockDb = () => ({
+  batch: vi.fn().mockResolvedValue([]),
+  execute: vi.fn().mockResolvedValue({ rows: [], rowsAffected: 1 })
+});
+
+// Rebuild scrape targets from the slugs/configs saved with a fixture
+const fixtureTargets = (fixture) => fixture.targets.map((t, i) => ({
+  slug: t.slug,
+  config: t.config,
+  course: { id: i + 1, slug: t.slug, name: t.config?.name || t.slug }
+}));
+
+const replayFixture = (adapter, fixture) => {
+  const targets = fixtureTargets(fixture);
+  const target = fixture.slug ? targets[0] : null;
+  return normalizePayload(adapter, fixture.raw, fixture.date, target, targets);
+};
+
+const timesOf = (rows) => rows.map(r => r.datetime.split(' ')[1]).sort();
+
+// Expected tee times (24h) for each synthetic fixture
+const EXPECTED_TIMES = {
+  'golfnow/day_2026-10-24.json': ['06:40', '12:30'],
+  'totaleintegrated/san-jose-municipal-golf-course_2026-10-24.json': ['06:52', '12:04', '13:33', '16:10'],
+  'chronogolf/day_2026-10-24.json': ['07:20', '14:40'],
+  'cpsgolf/diablo-creek-golf-course_2026-10-24.json': ['07:08', '12:16', '13:44'],
+  'quick18/baylands-golf-links_2026-10-24.json': ['06:30', '12:50', '14:15'],
+  'ezlinks/baylands-golf-links_2026-10-24.json': ['07:30', '11:50', '13:10']
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+/** Every fixture must normalize into well-formed rows */
+const expectValidRows = (adapter, fixture) => {
+  const rows = replayFixture(adapter, fixture);
+
+  expect(rows.length).toBeGreaterThan(0);
+  for (const row of rows) {
+    expect(row.datetime).toMatch(new RegExp(`^${fixture.date} ([01]\\d|2[0-3]):[0-5]\\d$`));
+    expect(row.source).toBe(adapter.source);
+    expect(row.price).toBeGreaterThan(0);
+    expect([9, 18]).toContain(row.holes);
+    expect(row.booking_url).toMatch(/^https:\/\//);
+  }
+};
+
+describe('Synthetic provider fixtures', () => {
+  it('should have at least one fixture for every provider, labelled synthetic', () => {
+    for (const adapter of getAdapters()) {
+      const fixtures = loadFixtures(adapter.source, SYNTHETIC_FIXTURES_DIR);
+      expect(fixtures.length, adapter.source).toBeGreaterThan(0);
+      fixtures.forEach(fixture => expect(fixture.synthetic, fixture.file).toBe(true));
+    }
+  });
+
+  for (const adapter of getAdapters()) {
+    describe(adapter.name, () => {
+      for (const fixture of loadFixtures(adapter.source, SYNTHETIC_FIXTURES_DIR)) {
+        const key = `${adapter.source}/${fixture.file}`;
+
+        it(`should normalize ${fixture.file} into valid tee_times rows`, () => {
+          expectValidRows(adapter, fixture);
+        });
+
+        if (EXPECTED_TIMES[key]) {
+          it(`should convert ${fixture.file} times to 24-hour`, () => {
+            expect(timesOf(replayFixture(adapter, fixture))).toEqual(EXPECTED_TIMES[key]);
+          });
+        }
+      }
+    });
+  }
+
+  it('should skip GolfNow simulators and duplicate facility tiles', () => {
+    const adapter = getAdapter('golfnow');
+    const [fixture] = loadFixtures('golfnow', SYNTHETIC_FIXTURES_DIR);
+    const rows = replayFixture(adapter, fixture);
+
+    expect(rows).toHaveLength(2);
+    expect(rows.find(r => r.datetime.endsWith('06:40')).price).toBe(39);
+  });
+
+  it('should drop Chronogolf tee times for unconfigured courses', () => {
+    const adapter = getAdapter('chronogolf');
+    const [fixture] = loadFixtures('chronogolf', SYNTHETIC_FIXTURES_DIR);
+    const rows = replayFixture(adapter, fixture);
+
+    expect(rows.map(r => r.course_id).sort()).toEqual([1, 2]);
+    expect(rows.find(r => r.course_id === 1).has_cart).toBe(1);
+  });
+});
+
+describe('Recorded provider fixtures', () => {
+  const recorded = getAdapters().flatMap(adapter => loadFixtures(adapter.source, DEFAULT_FIXTURES_DIR)
+    .filter(fixture => !fixture.synthetic)
+    .map(fixture => ({ adapter, fixture })));
+
+  it.skipIf(recorded.length === 0)('should normalize every real recording into valid tee_times rows', () => {
+    for (const { adapter, fixture } of recorded) {
+      expectValidRows(adapter, fixture);
+    }
+  });
+});
+
+describe('Fixture modes', () => {
+  it('should replay fixtures through runAdapter without a session', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    const provider = getAdapter('totaleintegrated');
+    const adapter = replayAdapter(provider, SYNTHETIC_FIXTURES_DIR);
+    const coursesBySlug = {
+      'san-jose-municipal-golf-course': { id: 7, name: 'San Jose Municipal Golf Course', slug: 'san-jose-municipal-golf-course' }
+    };
+
+    const result = await runAdapter(adapter, db, coursesBySlug, 2);
+
+    // Missing dates fall back to the latest recording for the course
+    expect(result).toMatchObject({ coursesScraped: 1, totalTeeTimes: 8 });
+    expect(adapter.openSession).toBeUndefined();
+  });
+
+  it('should record raw payloads with their targets', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-fixtures-'));
+    try {
+      const provider = {
+        ...getAdapter('cpsgolf'),
+        openSession: undefined,
+        closeSession: undefined,
+        fetchCourseDay: async () => '9:15\nA\n$40.00'
+      };
+      const coursesBySlug = {
+        'northwood-golf-club': { id: 3, name: 'Northwood Golf Club', slug: 'northwood-golf-club' }
+      };
+
+      await runAdapter(recordingAdapter(provider, dir), createMockDb(), coursesBySlug, 1);
+
+      const [fixture] = loadFixtures('cpsgolf', dir);
+      expect(fixture.slug).toBe('northwood-golf-club');
+      expect(fixture.raw).toBe('9:15\nA\n$40.00');
+      expect(fixture.targets[0].config.name).toBe('Northwood Golf Club');
+      expect(timesOf(replayFixture(provider, fixture))).toEqual(['09:15']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,587 @@
+/**
+ * Provider Adapter Tests
+ *
+ * Tests for the shared scraper contract in scripts/providers:
+ * - convertTo24Hour time parsing
+ * - Provider config to course matching by slug, name or alias
+ * - runWithConcurrency ordering
+ * - Adapter registry validation
+ * - runAdapter fetch -> parse -> normalize -> swap pipeline
+ * - Per course-date staging swap (stable ids, vanished slots booked)
+ * - Price observation log
+ * - Failing a day instead of swapping in a partial GolfNow/Chronogolf payload
+ * - Failing a CPS/Quick18/EZLinks day when the tee sheet never renders
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  convertTo24Hour,
+  runWithConcurrency,
+  createRateLimiter,
+  listConfiguredCourses,
+  buildTeeTimeRow,
+  getPacificDates,
+  swapTeeTimes,
+  recordObservations
+} from '../scripts/providers/utils.js';
+import {
+  registerAdapter,
+  getAdapter,
+  getAdapters,
+  runAdapter
+} from '../scripts/providers/index.js';
+import { fetchAllTeeTimesInBrowser } from '../scripts/providers/chronogolf.js';
+import { scrapeCPSGolf } from '../scripts/providers/cpsgolf.js';
+import { scrapeQuick18 } from '../scripts/providers/quick18.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const createMockDb = () => ({
+  batch: vi.fn().mockResolvedValue([]),
+  execute: vi.fn().mockResolvedValue({ rows: [], rowsAffected: 1 })
+});
+
+const coursesBySlug = {
+  'alpha-golf': { id: 1, name: 'Alpha Golf', slug: 'alpha-golf' },
+  'bravo-golf': { id: 2, name: 'Bravo Golf', slug: 'bravo-golf' }
+};
+
+const createFakeAdapter = (overrides = {}) => ({
+  name: 'Fake',
+  source: 'fake',
+  listCourses: (courses) => Object.values(courses).map(course => ({ slug: course.slug, course, config: {} })),
+  fetchCourseDay: vi.fn(async (session, target) => `${target.slug}|7:00 AM|$40\n${target.slug}|1:30 PM|$30`),
+  parse: (raw) => raw.split('\n').map(line => {
+    const [, time, price] = line.split('|');
+    return { time, price: parseInt(price.slice(1)) };
+  }),
+  normalize: (record, target, dateStr) => buildTeeTimeRow({
+    courseId: target.course.id,
+    date: dateStr,
+    time: convertTo24Hour(record.time),
+    price: record.price,
+    bookingUrl: 'https://example.com',
+    source: 'fake'
+  }),
+  ...overrides
+});
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('Provider utils', () => {
+  describe('convertTo24Hour', () => {
+    it('should convert AM and PM times', () => {
+      expect(convertTo24Hour('7:30 AM')).toBe('07:30');
+      expect(convertTo24Hour('7:30PM')).toBe('19:30');
+      expect(convertTo24Hour('12:05 PM')).toBe('12:05');
+      expect(convertTo24Hour('12:05 AM')).toBe('00:05');
+    });
+
+    it('should handle truncated periods and hour-only times', () => {
+      expect(convertTo24Hour('1:44 P')).toBe('13:44');
+      expect(convertTo24Hour('7 AM')).toBe('07:00');
+      expect(convertTo24Hour('3P')).toBe('15:00');
+    });
+
+    it('should pass through 24-hour times', () => {
+      expect(convertTo24Hour('14:10')).toBe('14:10');
+      expect(convertTo24Hour('7:10')).toBe('07:10');
+    });
+
+    it('should apply AM/PM context to ambiguous times', () => {
+      expect(convertTo24Hour('2:00', 'PM')).toBe('14:00');
+      expect(convertTo24Hour('9:00', 'A')).toBe('09:00');
+    });
+
+    it('should return null for unparseable input', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(convertTo24Hour('')).toBeNull();
+      expect(convertTo24Hour('noon')).toBeNull();
+    });
+  });
+
+  describe('runWithConcurrency', () => {
+    it('should preserve result order and respect the limit', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const tasks = [30, 10, 20, 5].map((ms, i) => async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(r => setTimeout(r, ms));
+        inFlight--;
+        return i;
+      });
+
+      const results = await runWithConcurrency(tasks, 2);
+
+      expect(results).toEqual([0, 1, 2, 3]);
+      expect(maxInFlight).toBe(2);
+    });
+  });
+
+  describe('getPacificDates', () => {
+    it('should return consecutive YYYY-MM-DD dates', () => {
+      const dates = getPacificDates(3);
+      expect(dates).toHaveLength(3);
+      dates.forEach(d => expect(d).toMatch(/^\d{4}-\d{2}-\d{2}$/));
+      expect(new Set(dates).size).toBe(3);
+    });
+  });
+
+  describe('listConfiguredCourses', () => {
+    const courses = {
+      'tpc-harding-park': { id: 1, name: 'TPC Harding Park', slug: 'tpc-harding-park', aliases: ['Harding Park'] },
+      'sharp-park-golf-course': { id: 2, name: 'Sharp Park Golf Course', slug: 'sharp-park-golf-course', aliases: [] }
+    };
+
+    it('should match configs by slug, course name or alias', () => {
+      const targets = listConfiguredCourses({
+        'sharp-park-golf-course': { id: 'a' },
+        'harding': { id: 'b', name: 'Harding Park' },
+        'unknown-course': { id: 'c', name: 'Unknown' }
+      }, courses);
+
+      expect(targets).toEqual([
+        { slug: 'sharp-park-golf-course', config: { id: 'a' }, course: courses['sharp-park-golf-course'] },
+        { slug: 'tpc-harding-park', config: { id: 'b', name: 'Harding Park' }, course: courses['tpc-harding-park'] }
+      ]);
+    });
+
+    it('should keep the first config when two resolve to the same course', () => {
+      const targets = listConfiguredCourses({
+        'tpc-harding-park': { id: 'a' },
+        'harding-park': { id: 'b', name: 'Harding Park' }
+      }, courses);
+
+      expect(targets.map(t => t.config.id)).toEqual(['a']);
+    });
+  });
+});
+
+describe('Provider registry', () => {
+  it('should register all built-in providers', () => {
+    const sources = getAdapters().map(a => a.source);
+    expect(sources).toEqual(expect.arrayContaining([
+      'golfnow', 'totaleintegrated', 'chronogolf', 'cpsgolf', 'quick18', 'ezlinks'
+    ]));
+  });
+
+  it('should reject adapters missing the contract', () => {
+    expect(() => registerAdapter({ name: 'Broken', source: 'broken' })).toThrow(/Invalid provider adapter/);
+    expect(() => registerAdapter({
+      name: 'NoFetch', source: 'nofetch', listCourses: () => [], parse: () => [], normalize: () => null
+    })).toThrow(/fetchCourseDay or fetchDay/);
+  });
+
+  it('should throw for unknown sources', () => {
+    expect(getAdapter('nope')).toBeNull();
+    expect(() => getAdapters(['nope'])).toThrow(/Unknown tee time provider/);
+  });
+});
+
+describe('runAdapter', () => {
+  it('should fetch every course-day and stage normalized rows', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    const adapter = createFakeAdapter();
+
+    const result = await runAdapter(adapter, db, coursesBySlug, 2);
+
+    expect(adapter.fetchCourseDay).toHaveBeenCalledTimes(4);
+    expect(result).toMatchObject({ coursesScraped: 2, totalTeeTimes: 8, booked: 0 });
+
+    const statements = db.batch.mock.calls.flatMap(call => call[0]);
+    const staged = statements.filter(s => s.sql.includes('INTO tee_times_staging'));
+    expect(staged).toHaveLength(8);
+    expect(staged.map(s => s.args[2])).toEqual(expect.arrayContaining(['07:00', '13:30']));
+    // One upsert per course-date, never a replace (ids must survive)
+    expect(statements.filter(s => s.sql.includes('INSERT INTO tee_times\n'))).toHaveLength(4);
+    expect(statements.some(s => s.sql.includes('INSERT OR REPLACE INTO tee_times\n'))).toBe(false);
+  });
+
+  it('should only swap course-dates that were fetched', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    const adapter = createFakeAdapter({
+      fetchCourseDay: vi.fn(async (session, target) => {
+        if (target.slug === 'bravo-golf') throw new Error('HTTP 503');
+        return `${target.slug}|8:00 AM|$50`;
+      })
+    });
+
+    await runAdapter(adapter, db, coursesBySlug, 1);
+
+    const bookings = db.batch.mock.calls.flatMap(call => call[0])
+      .filter(s => s.sql.includes('SET is_booked = 1'));
+    expect(bookings).toHaveLength(1);
+    expect(bookings[0].args.slice(0, 2)).toEqual(['fake', 1]);
+  });
+
+  it('should leave existing slots alone when a provider returns nothing', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    const adapter = createFakeAdapter({ fetchCourseDay: vi.fn(async () => ''), parse: () => [] });
+
+    const result = await runAdapter(adapter, db, coursesBySlug, 1);
+
+    expect(result).toMatchObject({ totalTeeTimes: 0, booked: 0 });
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+
+  it('should append a price observation for every inserted tee time', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+
+    await runAdapter(createFakeAdapter(), db, coursesBySlug, 1);
+
+    const observations = db.batch.mock.calls.flatMap(call => call[0])
+      .filter(s => s.sql.includes('INTO tee_time_observations'));
+    expect(observations).toHaveLength(4);
+    expect(observations[0].args).toEqual([1, expect.any(String), expect.stringMatching(/ 07:00$/), 'fake', 40, null, 4]);
+  });
+
+  it('should keep going when a single course-day fails', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    const adapter = createFakeAdapter({
+      fetchCourseDay: vi.fn(async (session, target) => {
+        if (target.slug === 'bravo-golf') throw new Error('HTTP 503');
+        return `${target.slug}|8:00 AM|$50`;
+      })
+    });
+
+    const result = await runAdapter(adapter, db, coursesBySlug, 1);
+
+    expect(result).toMatchObject({ coursesScraped: 1, totalTeeTimes: 1, attempted: 2 });
+    expect(result.errors).toEqual([{ slug: 'bravo-golf', date: expect.any(String), message: 'HTTP 503' }]);
+    expect(result.courses.find(c => c.slug === 'bravo-golf')).toMatchObject({ fetched: 0, errors: 1 });
+  });
+
+  it('should split writes into inserted and updated per course', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    db.execute.mockImplementation(async (stmt) => {
+      if (stmt.sql?.startsWith('SELECT course_id, datetime FROM tee_times')) {
+        return { rows: [{ course_id: 1, datetime: `${stmt.args[1]} 07:00` }] };
+      }
+      return { rows: [], rowsAffected: 1 };
+    });
+
+    const result = await runAdapter(createFakeAdapter(), db, coursesBySlug, 1);
+
+    expect(result).toMatchObject({ fetched: 4, inserted: 3, updated: 1, failed: 0 });
+    expect(result.courses.find(c => c.slug === 'alpha-golf')).toMatchObject({ fetched: 2, inserted: 1, updated: 1 });
+  });
+
+  it('should route multi-course payloads through matchTargets', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    const adapter = createFakeAdapter({
+      fetchCourseDay: undefined,
+      fetchDay: vi.fn(async () => 'alpha-golf|9:00 AM|$45\nbravo-golf|9:10 AM|$35'),
+      matchTargets: (record, targets) => targets.filter(t => t.slug === record.slug),
+      parse: (raw) => raw.split('\n').map(line => {
+        const [slug, time, price] = line.split('|');
+        return { slug, time, price: parseInt(price.slice(1)) };
+      })
+    });
+
+    const result = await runAdapter(adapter, db, coursesBySlug, 1);
+
+    expect(adapter.fetchDay).toHaveBeenCalledTimes(1);
+    expect(result.totalTeeTimes).toBe(2);
+  });
+
+  it('should only fetch course-days the scheduler marks due', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    const adapter = createFakeAdapter();
+    const [today] = getPacificDates(2);
+
+    await runAdapter(adapter, db, coursesBySlug, 2, {
+      isDue: (target, dateStr) => target.slug === 'alpha-golf' || dateStr === today
+    });
+
+    expect(adapter.fetchCourseDay).toHaveBeenCalledTimes(3);
+    const recorded = db.batch.mock.calls.flatMap(call => call[0])
+      .filter(s => s.sql.includes('INTO scrape_course_dates'));
+    expect(recorded.map(s => s.args.slice(0, 2))).toEqual(expect.arrayContaining([['fake', 1], ['fake', 2]]));
+    expect(recorded).toHaveLength(3);
+  });
+
+  it('should scrape each course across its own booking window', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    const adapter = createFakeAdapter({ bookingWindowDays: 3 });
+    const dates = getPacificDates(10);
+
+    await runAdapter(adapter, db, {
+      'alpha-golf': { ...coursesBySlug['alpha-golf'], booking_window_days: 10 },
+      'bravo-golf': coursesBySlug['bravo-golf']
+    });
+
+    const fetched = adapter.fetchCourseDay.mock.calls.map(([, target, dateStr]) => `${target.slug}|${dateStr}`);
+    expect(fetched).toHaveLength(13);
+    expect(fetched).toContain(`alpha-golf|${dates[9]}`);
+    expect(fetched).toContain(`bravo-golf|${dates[2]}`);
+    expect(fetched).not.toContain(`bravo-golf|${dates[3]}`);
+  });
+
+  it('should close the session after scraping', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const closeSession = vi.fn().mockResolvedValue();
+    const adapter = createFakeAdapter({ openSession: async () => ({ id: 'session' }), closeSession });
+
+    await runAdapter(adapter, createMockDb(), coursesBySlug, 1);
+
+    expect(closeSession).toHaveBeenCalledWith({ id: 'session' });
+    expect(adapter.fetchCourseDay.mock.calls[0][0]).toEqual({ id: 'session' });
+  });
+});
+
+describe('Partial provider payloads', () => {
+  const jsonResponse = (body, { ok = true, status = 200, total = null } = {}) => ({
+    ok,
+    status,
+    headers: { get: (name) => (name === 'total' && total !== null ? String(total) : null) },
+    json: async () => body
+  });
+  // page.evaluate runs the function here, against the stubbed fetch
+  const inlinePage = { evaluate: (fn, ...args) => fn(...args) };
+  const teeTimes = (n) => Array.from({ length: n }, (_, i) => ({ start_time: `${7 + i}:00` }));
+
+  const withFakeTimers = async (run) => {
+    vi.useFakeTimers();
+    try {
+      return await run();
+    } finally {
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+    }
+  };
+
+  it('should fetch every Chronogolf page', async () => {
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(jsonResponse({ teetimes: teeTimes(24) }, { total: 30 }))
+      .mockResolvedValueOnce(jsonResponse({ teetimes: teeTimes(6) }));
+    vi.stubGlobal('fetch', fetch);
+
+    try {
+      const result = await fetchAllTeeTimesInBrowser(inlinePage, '2026-10-24', ['uuid-1']);
+      expect(result.teetimes).toHaveLength(30);
+      expect(fetch.mock.calls[1][0]).toMatch(/&page=2$/);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('should fail a Chronogolf day with a failed or missing page', async () => {
+    await withFakeTimers(async () => {
+      vi.stubGlobal('fetch', vi.fn(async (url) => url.endsWith('&page=2')
+        ? jsonResponse({}, { ok: false, status: 503 })
+        : jsonResponse({ teetimes: teeTimes(24) }, { total: 30 })));
+      const failedPage = expect(fetchAllTeeTimesInBrowser(inlinePage, '2026-10-24', ['uuid-1'])).rejects.toThrow('HTTP 503 on page 2');
+      await vi.advanceTimersByTimeAsync(5000);
+      await failedPage;
+
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ teetimes: teeTimes(20) }, { total: 24 })));
+      const shortDay = expect(fetchAllTeeTimesInBrowser(inlinePage, '2026-10-24', ['uuid-1'])).rejects.toThrow('Fetched 20 of 24 tee times');
+      await vi.advanceTimersByTimeAsync(5000);
+      await shortDay;
+    });
+  });
+
+  it('should fail a GolfNow day when a location search fails', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const browser = {
+      newPage: async () => ({
+        setUserAgent: async () => {},
+        setViewport: async () => {},
+        goto: async (url) => {
+          if (url.includes('latitude=36.6002')) throw new Error('net::ERR_TIMED_OUT');
+        },
+        waitForSelector: async () => {},
+        evaluate: async () => [],
+        close: async () => {}
+      })
+    };
+
+    await withFakeTimers(async () => {
+      const day = expect(getAdapter('golfnow').fetchDay(browser, [], '2026-10-24')).rejects.toThrow('Monterey search failed after retries');
+      await vi.advanceTimersByTimeAsync(60000);
+      await day;
+    });
+  });
+});
+
+describe('Tee sheet render checks', () => {
+  // A Cloudflare challenge: the page loads, the tee sheet never does
+  const challengePage = () => ({
+    goto: vi.fn(async () => {}),
+    waitForSelector: vi.fn(async () => { throw new Error('Waiting for selector failed: 15000ms exceeded'); }),
+    evaluate: vi.fn(async () => 'Checking your browser before accessing the site')
+  });
+  const config = { url: 'https://example.cps.golf/onlineresweb/search-teetime' };
+
+  it('should fail a CPS Golf day when the tee sheet does not render', async () => {
+    const page = challengePage();
+    await expect(scrapeCPSGolf(page, config, '2026-10-24')).rejects.toThrow('Tee sheet did not load');
+    expect(page.evaluate).not.toHaveBeenCalled();
+  });
+
+  it('should fail a Quick18 day when the search matrix does not render', async () => {
+    const page = challengePage();
+    await expect(scrapeQuick18(page, config, '2026-10-24')).rejects.toThrow('Tee sheet did not load');
+    expect(page.evaluate).not.toHaveBeenCalled();
+  });
+
+  it('should fail an EZLinks day on a Cloudflare challenge', async () => {
+    const page = challengePage();
+    const session = { pages: new Map([['baylands-golf-links', page]]) };
+    const target = { slug: 'baylands-golf-links', config: { url: 'https://baylandsbw.ezlinksgolf.com' } };
+    await expect(getAdapter('ezlinks').fetchCourseDay(session, target, '2026-10-24')).rejects.toThrow('Tee sheet did not load');
+    expect(page.evaluate).not.toHaveBeenCalled();
+  });
+
+  it('should capture the page once the tee sheet renders', async () => {
+    vi.useFakeTimers();
+    try {
+      const page = { ...challengePage(), waitForSelector: vi.fn(async () => ({})), evaluate: vi.fn(async () => '7:30\nA\n$45') };
+      const text = scrapeCPSGolf(page, config, '2026-10-24');
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(await text).toBe('7:30\nA\n$45');
+      expect(page.waitForSelector.mock.calls[0][0]).toContain('app-search-teetime');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('should space requests to the per-minute budget', async () => {
+    vi.useFakeTimers();
+    try {
+      const acquire = createRateLimiter(60);
+      const granted = [];
+      const start = Date.now();
+
+      const all = Promise.all([1, 2, 3].map(async i => {
+        await acquire();
+        granted.push([i, Date.now() - start]);
+      }));
+      await vi.advanceTimersByTimeAsync(2000);
+      await all;
+
+      expect(granted).toEqual([[1, 0], [2, 1000], [3, 2000]]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('swapTeeTimes', () => {
+  const rowAt = (time) => buildTeeTimeRow({
+    courseId: 1, date: '2026-10-24', time, price: 45, bookingUrl: 'https://example.com', source: 'fake'
+  });
+
+  it('should stage, upsert, record sales, book out vanished slots and clear staging in one batch', async () => {
+    const db = createMockDb();
+    db.batch.mockImplementation(async (statements) => statements.map(s => ({
+      rows: [], rowsAffected: s.sql.includes('SET is_booked = 1') ? 2 : 1
+    })));
+
+    const result = await swapTeeTimes(db, 'fake', [
+      { course_id: 1, date: '2026-10-24', rows: [rowAt('07:00'), rowAt('07:10')] }
+    ], { now: '2026-10-24 06:00' });
+
+    expect(result.written).toBe(2);
+    expect(result.booked).toBe(2);
+    expect(result.bookedByCourse.get(1)).toBe(2);
+
+    expect(db.batch).toHaveBeenCalledTimes(1);
+    const sqls = db.batch.mock.calls[0][0].map(s => s.sql);
+    expect(sqls[0]).toContain('DELETE FROM tee_times_staging');
+    expect(sqls[3]).toContain('ON CONFLICT(course_id, datetime, source) DO UPDATE');
+    expect(sqls[4]).toContain('DELETE FROM tee_time_sales');
+    expect(sqls[5]).toContain('INSERT OR IGNORE INTO tee_time_sales');
+    expect(sqls[6]).toContain('SET is_booked = 1');
+    expect(db.batch.mock.calls[0][0][6].args).toEqual(['fake', 1, '2026-10-24', '2026-10-24 06:00', 'fake', 1, '2026-10-24']);
+    expect(sqls[7]).toContain('DELETE FROM tee_times_staging');
+  });
+
+  it('should book out every open slot for a course-date that came back empty', async () => {
+    const db = createMockDb();
+
+    await swapTeeTimes(db, 'fake', [{ course_id: 2, date: '2026-10-25', rows: [] }]);
+
+    const sqls = db.batch.mock.calls[0][0].map(s => s.sql);
+    expect(sqls).toHaveLength(6);
+    expect(sqls[3]).toContain('INSERT OR IGNORE INTO tee_time_sales');
+    expect(sqls[4]).toContain('SET is_booked = 1');
+  });
+
+  it('should book out vanished GolfNow rows without recording sales', async () => {
+    const db = createMockDb();
+
+    await swapTeeTimes(db, 'golfnow', [{ course_id: 1, date: '2026-10-24', rows: [] }]);
+
+    const sqls = db.batch.mock.calls[0][0].map(s => s.sql);
+    expect(sqls).toHaveLength(4);
+    expect(sqls.some(sql => sql.includes('tee_time_sales'))).toBe(false);
+    expect(sqls[2]).toContain('SET is_booked = 1');
+  });
+
+  it('should split large swaps into several transactions', async () => {
+    const db = createMockDb();
+    const slots = ['2026-10-24', '2026-10-25', '2026-10-26'].map(date => ({
+      course_id: 1, date, rows: [rowAt('07:00')]
+    }));
+
+    await swapTeeTimes(db, 'fake', slots, { maxStatements: 6 });
+
+    expect(db.batch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should report course-dates that could not be swapped', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    db.batch.mockRejectedValue(new Error('database is locked'));
+    const onFailed = vi.fn();
+
+    const result = await swapTeeTimes(db, 'fake', [
+      { course_id: 1, date: '2026-10-24', rows: [rowAt('07:00')] }
+    ], { onFailed });
+
+    expect(result.written).toBe(0);
+    expect(onFailed).toHaveBeenCalledTimes(1);
+  }, 10000);
+});
+
+describe('recordObservations', () => {
+  const row = buildTeeTimeRow({
+    courseId: 1, date: '2026-10-24', time: '08:00', price: 45, originalPrice: 60, bookingUrl: 'https://example.com', source: 'fake'
+  });
+
+  it('should create the observation table once per client', async () => {
+    const db = createMockDb();
+
+    await recordObservations(db, [row]);
+    await recordObservations(db, [row]);
+
+    const ddl = db.execute.mock.calls.filter(call => call[0].includes('CREATE TABLE IF NOT EXISTS tee_time_observations'));
+    expect(ddl).toHaveLength(1);
+    expect(db.batch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should log and swallow write failures', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    db.batch.mockRejectedValue(new Error('database is locked'));
+
+    await expect(recordObservations(db, [row])).resolves.toBe(0);
+  }, 10000);
+});
@@ -0,0 +1,172 @@
+/**
+ * Scrape Run Ledger Tests
+ *
+ * Tests for src/services/scrape-runs.js:
+ * - summarizeProviders status and totals
+ * - startScrapeRun / finishScrapeRun writes
+ * - trackProvider outcome capture, failing runs whose fetches mostly errored
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  startScrapeRun,
+  summarizeProviders,
+  finishScrapeRun,
+  getFetchFailure,
+  trackProvider
+} from '../src/services/scrape-runs.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const createMockDb = () => ({
+  batch: vi.fn().mockResolvedValue([]),
+  execute: vi.fn().mockResolvedValue({ rows: [], rowsAffected: 1, lastInsertRowid: 42n })
+});
+
+const okOutcome = {
+  source: 'chronogolf',
+  name: 'Chronogolf',
+  success: true,
+  error: null,
+  durationMs: 1200,
+  result: {
+    coursesScraped: 1,
+    totalTeeTimes: 5,
+    fetched: 6,
+    inserted: 2,
+    updated: 3,
+    failed: 1,
+    courses: [
+      { course_id: 1, slug: 'tilden-park-golf-course', fetched: 6, inserted: 2, updated: 3, failed: 1, errors: 0 },
+      { course_id: 2, slug: 'santa-teresa-golf-club', fetched: 0, inserted: 0, updated: 0, failed: 0, errors: 1 }
+    ],
+    errors: [{ slug: 'santa-teresa-golf-club', date: '2026-10-24', message: 'HTTP 503' }]
+  }
+};
+
+const failedOutcome = {
+  source: 'cpsgolf', name: 'CPS Golf', success: false, error: 'Browser launch failed', durationMs: 300, result: null
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('summarizeProviders', () => {
+  it('should total provider results and collect errors', () => {
+    const summary = summarizeProviders([okOutcome, failedOutcome]);
+
+    expect(summary).toMatchObject({
+      status: 'partial',
+      providers_total: 2,
+      providers_succeeded: 1,
+      fetched: 6,
+      inserted: 2,
+      updated: 3,
+      failed: 1,
+      error_count: 2
+    });
+    expect(summary.errors).toEqual([
+      { source: 'chronogolf', slug: 'santa-teresa-golf-club', date: '2026-10-24', message: 'HTTP 503' },
+      { source: 'cpsgolf', message: 'Browser launch failed' }
+    ]);
+  });
+
+  it('should mark runs as success or failed', () => {
+    expect(summarizeProviders([okOutcome]).status).toBe('success');
+    expect(summarizeProviders([failedOutcome]).status).toBe('failed');
+  });
+});
+
+describe('startScrapeRun', () => {
+  it('should create tables and return the run id', async () => {
+    const db = createMockDb();
+
+    const runId = await startScrapeRun(db, { trigger: 'scheduled', days: 7 });
+
+    expect(runId).toBe(42);
+    const insert = db.execute.mock.calls.map(c => c[0]).find(stmt => stmt.sql?.includes('INSERT INTO scrape_runs'));
+    expect(insert.args).toEqual(['scheduled', 7]);
+  });
+
+  it('should return null instead of throwing when the ledger is unavailable', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+    db.execute.mockRejectedValue(new Error('no such database'));
+
+    expect(await startScrapeRun(db, { trigger: 'full', days: 7 })).toBeNull();
+  });
+});
+
+describe('finishScrapeRun', () => {
+  it('should write the run, provider and course rows in one batch', async () => {
+    const db = createMockDb();
+
+    const summary = await finishScrapeRun(db, 42, {
+      providers: [okOutcome, failedOutcome],
+      staleDeleted: 4,
+      pastDeleted: 10,
+      startedAt: Date.now() - 5000
+    });
+
+    expect(summary.status).toBe('partial');
+    const statements = db.batch.mock.calls[0][0];
+    expect(statements).toHaveLength(1 + 2 + 2);
+    expect(statements[0].sql).toContain('UPDATE scrape_runs');
+    expect(statements[0].args.slice(-4)).toEqual([4, 10, expect.stringContaining('HTTP 503'), 42]);
+    expect(statements.filter(s => s.sql.includes('scrape_run_providers'))).toHaveLength(2);
+    expect(statements.filter(s => s.sql.includes('scrape_run_courses'))[1].args)
+      .toEqual([42, 'chronogolf', 2, 0, 0, 0, 0, 0, 1]);
+  });
+
+  it('should do nothing without a run id', async () => {
+    const db = createMockDb();
+    expect(await finishScrapeRun(db, null, { providers: [okOutcome], startedAt: Date.now() })).toBeNull();
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+});
+
+describe('trackProvider', () => {
+  it('should capture results and thrown errors', async () => {
+    const adapter = { source: 'golfnow', name: 'GolfNow' };
+
+    const ok = await trackProvider(adapter, async () => ({ totalTeeTimes: 3 }));
+    expect(ok).toMatchObject({ source: 'golfnow', success: true, result: { totalTeeTimes: 3 } });
+
+    const failed = await trackProvider(adapter, async () => { throw new Error('Timeout'); });
+    expect(failed).toMatchObject({ source: 'golfnow', success: false, error: 'Timeout', result: null });
+  });
+
+  it('should fail a run when most of its fetches errored', async () => {
+    const adapter = { source: 'chronogolf', name: 'Chronogolf' };
+    const errors = Array.from({ length: 3 }, () => ({ slug: 'tilden-park-golf-course', date: '2026-10-24', message: 'HTTP 429' }));
+    const result = { totalTeeTimes: 2, attempted: 4, errors };
+
+    const outcome = await trackProvider(adapter, async () => result);
+
+    expect(outcome).toMatchObject({ success: false, error: '3 of 4 fetches failed', result });
+    expect(summarizeProviders([outcome])).toMatchObject({ status: 'failed', providers_succeeded: 0 });
+  });
+});
+
+describe('getFetchFailure', () => {
+  const errorsOf = (count) => Array.from({ length: count }, () => ({ message: 'HTTP 503' }));
+
+  it('should fail runs where all or most fetches errored', () => {
+    expect(getFetchFailure({ attempted: 7, errors: errorsOf(7) })).toBe('7 of 7 fetches failed');
+    expect(getFetchFailure({ attempted: 7, errors: errorsOf(4) })).toBe('4 of 7 fetches failed');
+  });
+
+  it('should pass runs where at least half the fetches worked', () => {
+    expect(getFetchFailure({ attempted: 4, errors: errorsOf(2) })).toBeNull();
+    expect(getFetchFailure({ attempted: 4, errors: [] })).toBeNull();
+    expect(getFetchFailure({ attempted: 0, errors: [] })).toBeNull();
+    expect(getFetchFailure({ totalTeeTimes: 3 })).toBeNull();
+  });
+});
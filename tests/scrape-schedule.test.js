@@ -0,0 +1,199 @@
+/**
+ * Adaptive Scrape Scheduling Tests
+ *
+ * Tests for src/services/scrape-schedule.js:
+ * - Booking windows, lead time tiers and volatility intervals
+ * - Provider backoff from the scrape run ledger
+ * - planScrape due course-dates
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getBookingWindowDays,
+  getDayOffset,
+  getIntervalMinutes,
+  recordScrapedCourseDates,
+  getCourseVolatility,
+  getProviderBackoff,
+  planScrape
+} from '../src/services/scrape-schedule.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const NOW = Date.parse('2026-10-19T16:00:00Z');
+const DATES = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25'];
+
+// SQLite datetime('now') format, N minutes before NOW
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60000).toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Mock libsql client that answers SELECTs by matching SQL fragments
+ */
+const createMockDb = (responses = {}) => ({
+  batch: vi.fn().mockResolvedValue([]),
+  execute: vi.fn(async (stmt) => {
+    const sql = typeof stmt === 'string' ? stmt : stmt.sql;
+    for (const [fragment, response] of Object.entries(responses)) {
+      if (sql.includes(fragment)) {
+        if (response instanceof Error) throw response;
+        return response;
+      }
+    }
+    return { rows: [] };
+  })
+});
+
+const adapter = {
+  name: 'Fake',
+  source: 'fake',
+  listCourses: (courses) => Object.values(courses).map(course => ({ slug: course.slug, course, config: {} }))
+};
+
+const coursesBySlug = {
+  'alpha-golf': { id: 1, slug: 'alpha-golf' },
+  'bravo-golf': { id: 2, slug: 'bravo-golf' }
+};
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('getIntervalMinutes', () => {
+  it('should scrape near dates often and far dates rarely', () => {
+    expect(getIntervalMinutes(0)).toBe(30);
+    expect(getIntervalMinutes(1)).toBe(30);
+    expect(getIntervalMinutes(3)).toBe(120);
+    expect(getIntervalMinutes(6)).toBe(360);
+    expect(getIntervalMinutes(13)).toBe(720);
+  });
+
+  it('should halve the interval for volatile courses', () => {
+    expect(getIntervalMinutes(3, 0.3)).toBe(60);
+    expect(getIntervalMinutes(3, 0.05)).toBe(120);
+  });
+
+  it('should count days between dates across month ends', () => {
+    expect(getDayOffset('2026-10-30', '2026-11-02')).toBe(3);
+  });
+});
+
+describe('getBookingWindowDays', () => {
+  it('should prefer the course window, then the provider, then a week', () => {
+    expect(getBookingWindowDays({ bookingWindowDays: 14 }, { booking_window_days: 21 })).toBe(21);
+    expect(getBookingWindowDays({ bookingWindowDays: 14 }, { booking_window_days: null })).toBe(14);
+    expect(getBookingWindowDays({}, {})).toBe(7);
+  });
+
+  it('should cap windows at 30 days', () => {
+    expect(getBookingWindowDays({}, { booking_window_days: 90 })).toBe(30);
+  });
+});
+
+describe('getCourseVolatility', () => {
+  it('should score sales and price changes against open slots', async () => {
+    const db = createMockDb({
+      'FROM tee_times WHERE': { rows: [{ course_id: 1, count: 20 }, { course_id: 2, count: 50 }] },
+      'FROM tee_time_sales': { rows: [{ course_id: 1, count: 4 }] },
+      'FROM tee_time_observations': { rows: [{ course_id: 1, count: 2 }, { course_id: 2, count: 1 }] }
+    });
+
+    const scores = await getCourseVolatility(db, '2026-10-19');
+
+    expect(scores.get(1)).toBeCloseTo(0.3);
+    expect(scores.get(2)).toBeCloseTo(0.02);
+  });
+
+  it('should fall back to lead time alone without demand tables', async () => {
+    const db = createMockDb({ 'FROM tee_time_sales': new Error('no such table: tee_time_sales') });
+    expect((await getCourseVolatility(db, '2026-10-19')).size).toBe(0);
+  });
+});
+
+describe('getProviderBackoff', () => {
+  it('should back off exponentially on consecutive failures', async () => {
+    const db = createMockDb({
+      'FROM scrape_run_providers': {
+        rows: [
+          { source: 'golfnow', success: 0, finished_at: minutesAgo(20) },
+          { source: 'cpsgolf', success: 0, finished_at: minutesAgo(40) },
+          { source: 'golfnow', success: 0, finished_at: minutesAgo(50) },
+          { source: 'chronogolf', success: 1, finished_at: minutesAgo(50) },
+          { source: 'golfnow', success: 1, finished_at: minutesAgo(120) }
+        ]
+      }
+    });
+
+    const backoff = await getProviderBackoff(db, NOW);
+
+    // Two failures: 60 minutes from the latest one
+    expect(backoff.get('golfnow')).toEqual({ failures: 2, retryAt: NOW + 40 * 60000 });
+    // One failure 40 minutes ago: its 30 minute backoff has passed
+    expect(backoff.has('cpsgolf')).toBe(false);
+    expect(backoff.has('chronogolf')).toBe(false);
+  });
+});
+
+describe('planScrape', () => {
+  it('should mark never-scraped and stale course-dates due', async () => {
+    const db = createMockDb({
+      'FROM scrape_course_dates': {
+        rows: [
+          { source: 'fake', course_id: 1, date: '2026-10-19', last_scraped_at: minutesAgo(10) },
+          { source: 'fake', course_id: 1, date: '2026-10-20', last_scraped_at: minutesAgo(45) },
+          { source: 'fake', course_id: 1, date: '2026-10-25', last_scraped_at: minutesAgo(300) }
+        ]
+      }
+    });
+
+    const [plan] = await planScrape(db, [adapter], coursesBySlug, { dates: DATES, now: NOW });
+    const alpha = { course: { id: 1 } };
+
+    expect(plan.isDue(alpha, '2026-10-19')).toBe(false);
+    expect(plan.isDue(alpha, '2026-10-20')).toBe(true);
+    expect(plan.isDue(alpha, '2026-10-25')).toBe(false);
+    expect(plan.isDue({ course: { id: 2 } }, '2026-10-25')).toBe(true);
+    expect(plan).toMatchObject({ due: 12, total: 14, backoff: null });
+  });
+
+  it('should scrape everything when forced', async () => {
+    const db = createMockDb({
+      'FROM scrape_course_dates': {
+        rows: [{ source: 'fake', course_id: 1, date: '2026-10-19', last_scraped_at: minutesAgo(1) }]
+      },
+      'FROM scrape_run_providers': { rows: [{ source: 'fake', success: 0, finished_at: minutesAgo(1) }] }
+    });
+
+    const [plan] = await planScrape(db, [adapter], coursesBySlug, { dates: DATES, now: NOW, force: true });
+
+    expect(plan).toMatchObject({ due: 14, backoff: null });
+  });
+
+  it('should never mark dates past a course booking window due', async () => {
+    const db = createMockDb();
+    const fortnight = Array.from({ length: 14 }, (_, i) => new Date(Date.UTC(2026, 9, 19 + i)).toISOString().slice(0, 10));
+    const windowed = { ...adapter, bookingWindowDays: 14 };
+    const courses = { ...coursesBySlug, 'bravo-golf': { id: 2, slug: 'bravo-golf', booking_window_days: 5 } };
+
+    const [plan] = await planScrape(db, [windowed], courses, { dates: fortnight, now: NOW, force: true });
+
+    expect(plan.isDue({ course: { id: 1 } }, '2026-11-01')).toBe(true);
+    expect(plan.isDue({ course: { id: 2, booking_window_days: 5 } }, '2026-10-24')).toBe(false);
+    expect(plan).toMatchObject({ due: 19, total: 19 });
+  });
+});
+
+describe('recordScrapedCourseDates', () => {
+  it('should upsert one row per course-date and swallow failures', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const db = createMockDb();
+
+    await recordScrapedCourseDates(db, 'fake', [{ course_id: 1, date: '2026-10-19' }]);
+    expect(db.batch.mock.calls[0][0][0].args).toEqual(['fake', 1, '2026-10-19']);
+
+    db.batch.mockRejectedValue(new Error('database is locked'));
+    await expect(recordScrapedCourseDates(db, 'fake', [{ course_id: 1, date: '2026-10-19' }])).resolves.toBeUndefined();
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tee Time Group Finder Tests
+ *
+ * Tests for src/services/tee-time-groups.js:
+ * - Group search param validation, including the bounded date range
+ * - Splitting a party across slots
+ * - Finding adjacent slots that seat a party, and ranking them
+ * - Agent support: party size parsing and group filtering
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseGroupOptions,
+  splitParty,
+  findTeeTimeGroups
+} from '../src/services/tee-time-groups.js';
+import { filterTeeTimes } from '../src/agent/scorer.js';
+import { fallbackParse, resolveDatePreference } from '../src/agent/parser.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+let nextId = 1;
+const slot = (time, overrides = {}) => ({
+  id: nextId++,
+  course_id: 1,
+  course_name: 'Lincoln Park Golf Course',
+  date: '2026-10-24',
+  time,
+  datetime: `2026-10-24 ${time}`,
+  players: 4,
+  price: 50,
+  source: 'golfnow',
+  ...overrides
+});
+
+// ============================================================================
+// Options
+// ============================================================================
+
+describe('parseGroupOptions', () => {
+  it('should apply defaults', () => {
+    expect(parseGroupOptions({ party_size: '8', date: '2026-10-24' })).toEqual({
+      options: { partySize: 8, maxGapMinutes: 10, preferredTime: null, dates: ['2026-10-24'] },
+      error: null
+    });
+  });
+
+  it('should reject a missing or out of range party size', () => {
+    expect(parseGroupOptions({}).error).toMatch(/party_size/);
+    expect(parseGroupOptions({ party_size: '1' }).error).toMatch(/party_size/);
+    expect(parseGroupOptions({ party_size: '40' }).error).toMatch(/party_size/);
+  });
+
+  it('should validate the gap and preferred time', () => {
+    expect(parseGroupOptions({ party_size: '8', max_gap: '90' }).error).toMatch(/max_gap/);
+    expect(parseGroupOptions({ party_size: '8', preferred_time: '8am' }).error).toMatch(/preferred_time/);
+    expect(parseGroupOptions({ party_size: '8', max_gap: '20', preferred_time: '08:30', date: '2026-10-24' }).options)
+      .toEqual({ partySize: 8, maxGapMinutes: 20, preferredTime: '08:30', dates: ['2026-10-24'] });
+  });
+
+  it('should require a date range of at most a week', () => {
+    expect(parseGroupOptions({ party_size: '8' }).error).toMatch(/date/);
+    expect(parseGroupOptions({ party_size: '8', date_from: '2026-10-24' }).error).toMatch(/date/);
+    expect(parseGroupOptions({ party_size: '8', date_from: '2026-10-24', date_to: '2026-10-20' }).error).toMatch(/1-7 days/);
+    expect(parseGroupOptions({ party_size: '8', date_from: '2026-10-24', date_to: '2026-10-31' }).error).toMatch(/1-7 days/);
+    expect(parseGroupOptions({ party_size: '8', date_from: '2026-10-30', date_to: '2026-11-02' }).options.dates)
+      .toEqual(['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02']);
+  });
+});
+
+// ============================================================================
+// Party split
+// ============================================================================
+
+describe('splitParty', () => {
+  it('should split as evenly as capacity allows', () => {
+    expect(splitParty(8, [4, 4])).toEqual([4, 4]);
+    expect(splitParty(6, [4, 4])).toEqual([3, 3]);
+    expect(splitParty(6, [2, 4])).toEqual([2, 4]);
+    expect(splitParty(6, [4, 2])).toEqual([4, 2]);
+    expect(splitParty(10, [4, 4, 4])).toEqual([4, 3, 3]);
+  });
+});
+
+// ============================================================================
+// Group finding
+// ============================================================================
+
+describe('findTeeTimeGroups', () => {
+  it('should pair adjacent slots at the same course', () => {
+    const groups = findTeeTimeGroups([slot('08:00'), slot('08:10'), slot('09:30')], { partySize: 8 });
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({
+      course_id: 1,
+      start_time: '08:00',
+      end_time: '08:10',
+      span_minutes: 10,
+      total_price: 400,
+      price_per_player: 50,
+      rank: 1
+    });
+    expect(groups[0].slots.map(s => s.assigned_players)).toEqual([4, 4]);
+  });
+
+  it('should not join slots further apart than the max gap', () => {
+    const slots = [slot('08:00'), slot('08:20')];
+    expect(findTeeTimeGroups(slots, { partySize: 8 })).toEqual([]);
+    expect(findTeeTimeGroups(slots, { partySize: 8, maxGapMinutes: 20 })).toHaveLength(1);
+  });
+
+  it('should not join slots across courses or days', () => {
+    const slots = [slot('08:00'), slot('08:08', { course_id: 2 }), slot('08:10', { date: '2026-10-25' })];
+    expect(findTeeTimeGroups(slots, { partySize: 8 })).toEqual([]);
+  });
+
+  it('should use as few slots as possible and skip full ones', () => {
+    const slots = [slot('08:00', { players: 2 }), slot('08:08', { players: 0 }), slot('08:16'), slot('08:24'), slot('08:32')];
+    const groups = findTeeTimeGroups(slots, { partySize: 6 });
+
+    expect(groups.map(g => [g.start_time, g.end_time])).toEqual([['08:16', '08:24'], ['08:24', '08:32']]);
+  });
+
+  it('should rank cheaper groups and closer start times first', () => {
+    const slots = [
+      slot('07:00', { price: 80 }), slot('07:10', { price: 80 }),
+      slot('09:00', { course_id: 2, price: 40 }), slot('09:10', { course_id: 2, price: 40 })
+    ];
+
+    expect(findTeeTimeGroups(slots, { partySize: 8 }).map(g => g.course_id)).toEqual([2, 1]);
+
+    const byTime = findTeeTimeGroups(slots.map(s => ({ ...s, price: 50 })), { partySize: 8, preferredTime: '09:00' });
+    expect(byTime.map(g => [g.course_id, g.scores.time_match])).toEqual([[2, 100], [1, 70]]);
+  });
+
+  it('should leave the total unknown when a slot has no price', () => {
+    const groups = findTeeTimeGroups([slot('08:00'), slot('08:10', { price: null })], { partySize: 8 });
+    expect(groups[0].total_price).toBeNull();
+    expect(groups[0].scores.price).toBe(50);
+  });
+});
+
+// ============================================================================
+// Agent
+// ============================================================================
+
+describe('agent group search', () => {
+  it('should parse party size and weekday from a query', () => {
+    const params = fallbackParse('tee times for 8 guys Saturday', '2026-10-19');
+    expect(params.players).toBe(8);
+    expect(params.dates).toEqual(['2026-10-24']);
+  });
+
+  it('should resolve a weekday to today or the next one', () => {
+    expect(resolveDatePreference('monday', '2026-10-19')).toEqual(['2026-10-19']);
+    expect(resolveDatePreference('Sunday', '2026-10-19')).toEqual(['2026-10-25']);
+  });
+
+  it('should return the first slot of each group with the group attached', () => {
+    const teeTimes = [
+      slot('08:00'),
+      slot('08:00', { source: 'chronogolf', price: 45 }),
+      slot('08:10'),
+      slot('12:00')
+    ];
+
+    const results = filterTeeTimes(teeTimes, { players: 8, dates: ['2026-10-24'] });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].time).toBe('08:00');
+    expect(results[0].group).toMatchObject({ party_size: 8, total_price: 380, span_minutes: 10 });
+    expect(results[0].group.slots.map(s => s.time)).toEqual(['08:00', '08:10']);
+  });
+
+  it('should keep filtering single slots for four or fewer', () => {
+    const results = filterTeeTimes([slot('08:00', { players: 2 }), slot('08:10')], { players: 4 });
+    expect(results.map(r => r.time)).toEqual(['08:10']);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Cross-Source Tee Time Merge Tests
+ *
+ * Tests for mergeTeeTimeSources in src/services/tee-time-merge.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergeTeeTimeSources } from '../src/services/tee-time-merge.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const row = (overrides) => ({
+  id: 1,
+  course_id: 1,
+  date: '2026-10-24',
+  time: '07:00',
+  datetime: '2026-10-24 07:00',
+  price: 50,
+  original_price: null,
+  players: 4,
+  has_cart: 0,
+  booking_url: 'https://example.com',
+  source: 'golfnow',
+  course_name: 'Sharp Park Golf Course',
+  ...overrides
+});
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('mergeTeeTimeSources', () => {
+  it('should collapse the same course and time across sources, cheapest first', () => {
+    const merged = mergeTeeTimeSources([
+      row({ id: 1, source: 'golfnow', price: 55, booking_url: 'https://golfnow.example' }),
+      row({ id: 2, source: 'chronogolf', price: 48, booking_url: 'https://chronogolf.example' }),
+      row({ id: 3, source: 'totaleintegrated', price: 52 })
+    ]);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({
+      id: 2,
+      price: 48,
+      source: 'chronogolf',
+      booking_url: 'https://chronogolf.example',
+      course_name: 'Sharp Park Golf Course',
+      source_count: 3
+    });
+    expect(merged[0].book_via.map(b => b.source)).toEqual(['chronogolf', 'totaleintegrated', 'golfnow']);
+  });
+
+  it('should keep different times and courses separate in query order', () => {
+    const merged = mergeTeeTimeSources([
+      row({ id: 1, datetime: '2026-10-24 07:00' }),
+      row({ id: 2, course_id: 2, datetime: '2026-10-24 07:00' }),
+      row({ id: 3, datetime: '2026-10-24 07:10' }),
+      row({ id: 4, datetime: '2026-10-24 07:00', source: 'chronogolf', price: 60 })
+    ]);
+
+    expect(merged.map(s => s.id)).toEqual([1, 2, 3]);
+    expect(merged[0].source_count).toBe(2);
+    expect(merged[1].source_count).toBe(1);
+  });
+
+  it('should list sources without a price last', () => {
+    const merged = mergeTeeTimeSources([
+      row({ id: 1, source: 'golfnow', price: null }),
+      row({ id: 2, source: 'chronogolf', price: 70 })
+    ]);
+
+    expect(merged[0].price).toBe(70);
+    expect(merged[0].book_via.map(b => b.source)).toEqual(['chronogolf', 'golfnow']);
+  });
+
+  it('should report the most open seats across sources', () => {
+    const merged = mergeTeeTimeSources([
+      row({ id: 1, source: 'golfnow', price: 40, players: 2 }),
+      row({ id: 2, source: 'chronogolf', price: 45, players: 4 })
+    ]);
+
+    expect(merged[0].players).toBe(4);
+    expect(merged[0].book_via[0].players).toBe(2);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Tee Time Provenance Tests
+ *
+ * Tests for src/services/tee-time-provenance.js:
+ * - DEMO_MODE switch
+ * - Synthetic row filter for tee_times queries
+ * - Provenance tagging
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PROVENANCE,
+  isDemoMode,
+  syntheticFilter,
+  withProvenance
+} from '../src/services/tee-time-provenance.js';
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('isDemoMode', () => {
+  it('should only turn on for DEMO_MODE=true', () => {
+    expect(isDemoMode({ DEMO_MODE: 'true' })).toBe(true);
+    expect(isDemoMode({ DEMO_MODE: '1' })).toBe(false);
+    expect(isDemoMode({})).toBe(false);
+  });
+});
+
+describe('syntheticFilter', () => {
+  it('should hide synthetic rows outside demo mode', () => {
+    expect(syntheticFilter('t', false)).toBe(' AND t.is_synthetic = 0');
+    expect(syntheticFilter(null, false)).toBe(' AND is_synthetic = 0');
+  });
+
+  it('should show everything in demo mode', () => {
+    expect(syntheticFilter('t', true)).toBe('');
+  });
+});
+
+describe('withProvenance', () => {
+  it('should tag scraped and synthetic rows', () => {
+    const rows = withProvenance([
+      { id: 1, source: 'golfnow', is_synthetic: 0 },
+      { id: 2, source: 'demo', is_synthetic: 1 },
+      // Demo rows written before the is_synthetic flag existed
+      { id: 3, source: 'demo' }
+    ]);
+
+    expect(rows.map(r => r.provenance)).toEqual([PROVENANCE.SCRAPED, PROVENANCE.SYNTHETIC, PROVENANCE.SYNTHETIC]);
+    expect(rows[0]).toMatchObject({ id: 1, source: 'golfnow' });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Faceted Tee Time Search Tests
+ *
+ * Tests for src/services/tee-time-search.js:
+ * - Query param parsing and validation
+ * - WHERE clause building, including per-facet exclusions
+ * - Radius search
+ * - Facet count assembly
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  PRICE_BUCKETS,
+  DEFAULT_RADIUS_MILES,
+  parseList,
+  parseSearchFilters,
+  findCoursesNear,
+  buildSearchWhere,
+  searchTeeTimes
+} from '../src/services/tee-time-search.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const createMockDb = () => ({
+  batch: vi.fn(),
+  execute: vi.fn()
+});
+
+const NOW = '2026-10-19T08:00:00';
+const SYNTHETIC = ' AND t.is_synthetic = 0';
+
+const filtersFor = (query) => parseSearchFilters(query).filters;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+describe('parseList', () => {
+  it('should accept comma-separated and repeated values', () => {
+    expect(parseList('East Bay, San Francisco')).toEqual(['East Bay', 'San Francisco']);
+    expect(parseList(['East Bay', 'North Bay,Napa'])).toEqual(['East Bay', 'North Bay', 'Napa']);
+    expect(parseList(undefined)).toEqual([]);
+  });
+});
+
+describe('parseSearchFilters', () => {
+  it('should normalize filters', () => {
+    const filters = filtersFor({
+      region: 'East Bay,San Francisco',
+      course_id: '3,7',
+      date_from: '2026-10-20',
+      date_to: '2026-10-22',
+      holes: '9',
+      cart: 'true',
+      deals: 'true',
+      min_rating: '4',
+      maxPrice: '50'
+    });
+
+    expect(filters).toMatchObject({
+      regions: ['East Bay', 'San Francisco'],
+      courseIds: [3, 7],
+      dateFrom: '2026-10-20',
+      dateTo: '2026-10-22',
+      holes: 9,
+      cart: true,
+      dealsOnly: true,
+      minRating: 4,
+      maxPrice: 50,
+      near: null,
+      sort: 'datetime'
+    });
+  });
+
+  it('should treat date as a one-day range', () => {
+    expect(filtersFor({ date: '2026-10-20' })).toMatchObject({ dateFrom: '2026-10-20', dateTo: '2026-10-20' });
+  });
+
+  it('should default the radius when searching near a point', () => {
+    expect(filtersFor({ lat: '37.8', lng: '-122.4' }).near).toEqual({ lat: 37.8, lng: -122.4, radius: DEFAULT_RADIUS_MILES });
+  });
+
+  it('should reject invalid filters', () => {
+    expect(parseSearchFilters({ holes: '12' }).error).toBe('holes must be 9 or 18');
+    expect(parseSearchFilters({ date_from: '2026-10-22', date_to: '2026-10-20' }).error).toBe('Date range ends before it starts');
+    expect(parseSearchFilters({ lat: '37.8' }).error).toBe('lat and lng must both be valid coordinates');
+    expect(parseSearchFilters({ lat: '37.8', lng: '-122.4', radius: '500' }).error).toContain('radius');
+    expect(parseSearchFilters({ course_id: 'presidio' }).error).toContain('course_id');
+    expect(parseSearchFilters({ min_time: '7am' }).error).toContain('HH:MM');
+  });
+});
+
+// ============================================================================
+// WHERE clause
+// ============================================================================
+
+describe('buildSearchWhere', () => {
+  it('should combine every filter', () => {
+    const filters = filtersFor({ region: 'East Bay,Napa', holes: '18', cart: 'true', deals: 'true', max_price: '60' });
+    const { sql, args } = buildSearchWhere(filters, { now: NOW, syntheticClause: SYNTHETIC });
+
+    expect(sql).toContain('t.is_synthetic = 0');
+    expect(sql).toContain('c.region IN (?, ?)');
+    expect(sql).toContain('t.holes = ?');
+    expect(sql).toContain('t.has_cart = 1');
+    expect(sql).toContain('t.price < t.original_price');
+    expect(args).toEqual([NOW, 'East Bay', 'Napa', 60, 18]);
+  });
+
+  it('should leave out the excluded facet\'s own filter', () => {
+    const filters = filtersFor({ region: 'East Bay', max_price: '60', min_time: '07:00' });
+
+    const byRegion = buildSearchWhere(filters, { now: NOW, syntheticClause: '', exclude: 'region' });
+    expect(byRegion.sql).not.toContain('c.region');
+    expect(byRegion.args).toEqual([NOW, '07:00', 60]);
+
+    const byPrice = buildSearchWhere(filters, { now: NOW, syntheticClause: '', exclude: 'price' });
+    expect(byPrice.sql).not.toContain('t.price');
+
+    const byHour = buildSearchWhere(filters, { now: NOW, syntheticClause: '', exclude: 'hour' });
+    expect(byHour.sql).not.toContain('t.time');
+  });
+
+  it('should match nothing when no course is in range', () => {
+    const { sql } = buildSearchWhere(filtersFor({}), { now: NOW, syntheticClause: '', nearby: new Map() });
+    expect(sql).toMatch(/AND 0$/);
+  });
+});
+
+// ============================================================================
+// Radius
+// ============================================================================
+
+describe('findCoursesNear', () => {
+  it('should keep bounding box hits inside the radius', async () => {
+    const db = createMockDb();
+    db.execute.mockResolvedValue({
+      rows: [
+        { id: 1, latitude: 37.79, longitude: -122.46 }, // Presidio
+        { id: 2, latitude: 37.89, longitude: -122.24 } // Tilden, ~14 miles away
+      ]
+    });
+
+    const nearby = await findCoursesNear(db, { lat: 37.78, lng: -122.45, radius: 5 });
+
+    expect([...nearby.keys()]).toEqual([1]);
+    expect(nearby.get(1)).toBeLessThan(1);
+  });
+});
+
+// ============================================================================
+// Search
+// ============================================================================
+
+describe('searchTeeTimes', () => {
+  it('should return rows, total and every facet', async () => {
+    const db = createMockDb();
+    db.execute
+      .mockResolvedValueOnce({ rows: [{ id: 1, course_id: 2 }] })
+      .mockResolvedValueOnce({ rows: [{ count: 23 }] })
+      .mockResolvedValueOnce({ rows: [{ value: 'East Bay', count: 23 }, { value: null, count: 2 }] })
+      .mockResolvedValueOnce({ rows: [{ bucket: 'under_50', count: 20 }, { bucket: '150_plus', count: 3 }] })
+      .mockResolvedValueOnce({ rows: [{ hour: 7, count: 5 }] });
+
+    const result = await searchTeeTimes(db, filtersFor({ region: 'East Bay' }), { now: NOW, syntheticClause: SYNTHETIC, limit: 50 });
+
+    expect(result.total).toBe(23);
+    expect(result.rows).toEqual([{ id: 1, course_id: 2 }]);
+    expect(result.facets.regions).toEqual([{ value: 'East Bay', count: 23 }]);
+    expect(result.facets.price).toHaveLength(PRICE_BUCKETS.length);
+    expect(result.facets.price[0]).toMatchObject({ key: 'under_50', label: 'Under $50', count: 20 });
+    expect(result.facets.price.find(b => b.key === '50_75').count).toBe(0);
+    expect(result.facets.hours).toEqual([{ hour: 7, count: 5 }]);
+
+    // Region facet is counted without the region filter
+    const regionQuery = db.execute.mock.calls[2][0];
+    expect(regionQuery.sql).toContain('GROUP BY c.region');
+    expect(regionQuery.args).not.toContain('East Bay');
+  });
+
+  it('should attach distances when searching by radius', async () => {
+    const db = createMockDb();
+    db.execute
+      .mockResolvedValueOnce({ rows: [{ id: 1, latitude: 37.79, longitude: -122.46 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 9, course_id: 1 }] })
+      .mockResolvedValue({ rows: [] });
+
+    const result = await searchTeeTimes(db, filtersFor({ lat: '37.79', lng: '-122.46' }), { now: NOW, syntheticClause: '', limit: 50 });
+
+    expect(result.rows[0].distance_miles).toBe(0);
+    expect(db.execute.mock.calls[1][0].sql).toContain('t.course_id IN (?)');
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Tee Time Verification Tests
+ *
+ * Tests for src/services/tee-time-verification.js, against an in-memory
+ * database with a stubbed live check:
+ * - Available, repriced and gone slots, logged without touching tee_times
+ * - Falling back to unverified when a slot can't be checked
+ * - Closest alternatives for a slot that's gone
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createClient } from '@libsql/client';
+import { ensureDemandTables } from '../src/services/demand.js';
+import {
+  VerificationStatus,
+  ensureVerificationTables,
+  getTeeTimeForVerification,
+  findAlternativeTeeTimes,
+  verifyTeeTime
+} from '../src/services/tee-time-verification.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const NOW = '2026-10-24 06:00';
+const DATE = '2026-10-24';
+
+let db;
+
+beforeEach(async () => {
+  db = createClient({ url: ':memory:' });
+  await db.batch([
+    `CREATE TABLE courses (
+      id INTEGER PRIMARY KEY, name TEXT, slug TEXT, region TEXT, booking_system TEXT
+    )`,
+    `CREATE TABLE tee_times (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, course_id INTEGER NOT NULL, date TEXT NOT NULL,
+      time TEXT NOT NULL, datetime TEXT NOT NULL, holes INTEGER, players INTEGER, price REAL,
+      original_price REAL, has_cart INTEGER DEFAULT 0, booking_url TEXT, source TEXT,
+      is_booked INTEGER DEFAULT 0, booked_at DATETIME, is_synthetic INTEGER DEFAULT 0
+    )`,
+    `INSERT INTO courses VALUES
+      (1, 'Lincoln Park Golf Course', 'lincoln-park', 'San Francisco', 'cpsgolf'),
+      (2, 'Sharp Park Golf Course', 'sharp-park', 'San Francisco', 'golfnow'),
+      (3, 'Tilden Park Golf Course', 'tilden-park', 'East Bay', 'golfnow'),
+      (4, 'Presidio Golf Course', 'presidio', 'San Francisco', 'phone')`
+  ], 'write');
+  await ensureDemandTables(db);
+  await ensureVerificationTables(db);
+});
+
+const addTeeTime = async (fields = {}) => {
+  const row = {
+    course_id: 1,
+    date: DATE,
+    time: '08:00',
+    players: 4,
+    price: 45,
+    booking_url: 'https://sfgov.cps.golf/onlineresweb/search-teetime',
+    source: 'cpsgolf',
+    ...fields
+  };
+  row.datetime = `${row.date} ${row.time}`;
+  const columns = Object.keys(row);
+  const result = await db.execute({
+    sql: `INSERT INTO tee_times (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    args: Object.values(row)
+  });
+  return Number(result.lastInsertRowid);
+};
+
+const verify = async (id, options = {}) => verifyTeeTime(db, await getTeeTimeForVerification(db, id), { now: NOW, ...options });
+
+const getRow = async (id) => (await db.execute({ sql: 'SELECT * FROM tee_times WHERE id = ?', args: [id] })).rows[0];
+
+const getChecks = async () => (await db.execute('SELECT * FROM tee_time_verifications ORDER BY id')).rows;
+
+// ============================================================================
+// Verification
+// ============================================================================
+
+describe('verifyTeeTime', () => {
+  it('should check the slot with the course\'s booking site details', async () => {
+    const id = await addTeeTime();
+    const checkSlot = vi.fn().mockResolvedValue({ available: true, price: 45 });
+
+    const result = await verify(id, { checkSlot, players: 2 });
+
+    expect(result).toMatchObject({ status: VerificationStatus.AVAILABLE, teeTimeId: id, price: 45, previousPrice: 45, alternatives: [] });
+    expect(checkSlot).toHaveBeenCalledWith({
+      bookingUrl: 'https://sfgov.cps.golf/onlineresweb/search-teetime',
+      bookingSystem: 'cpsgolf',
+      date: DATE,
+      time: '08:00',
+      players: 2
+    }, expect.objectContaining({ timeoutMs: expect.any(Number) }));
+  });
+
+  it('should keep the stored price when the tee sheet shows none', async () => {
+    const id = await addTeeTime();
+
+    const result = await verify(id, { checkSlot: async () => ({ available: true, price: null }) });
+
+    expect(result.status).toBe(VerificationStatus.AVAILABLE);
+  });
+
+  it('should return the live price when it changed and leave the stored one to the next scrape', async () => {
+    const id = await addTeeTime();
+
+    const result = await verify(id, { checkSlot: async () => ({ available: true, price: 52.5 }) });
+
+    expect(result).toMatchObject({ status: VerificationStatus.PRICE_CHANGED, price: 52.5, previousPrice: 45 });
+    expect((await getRow(id)).price).toBe(45);
+    expect(await getChecks()).toEqual([expect.objectContaining({
+      tee_time_id: id, course_id: 1, datetime: `${DATE} 08:00`, source: 'cpsgolf', status: 'price_changed', price: 52.5, previous_price: 45
+    })]);
+  });
+
+  it('should offer alternatives for a gone slot without booking it out or counting a sale', async () => {
+    const id = await addTeeTime();
+    const alternative = await addTeeTime({ time: '08:10' });
+
+    const result = await verify(id, { checkSlot: async () => ({ available: false, price: null }) });
+
+    expect(result).toMatchObject({ status: VerificationStatus.UNAVAILABLE, price: null, previousPrice: 45 });
+    expect(result.alternatives.map(t => t.id)).toEqual([alternative]);
+    expect(await getRow(id)).toMatchObject({ is_booked: 0, price: 45 });
+    expect((await db.execute('SELECT * FROM tee_time_sales')).rows).toHaveLength(0);
+    expect(await getChecks()).toEqual([expect.objectContaining({ tee_time_id: id, status: 'unavailable', price: null })]);
+  });
+
+  it('should skip the live check when told to', async () => {
+    const id = await addTeeTime();
+    const checkSlot = vi.fn();
+
+    const result = await verify(id, { checkSlot, live: false });
+
+    expect(result).toMatchObject({ status: VerificationStatus.UNVERIFIED, reason: 'Live check skipped' });
+    expect(checkSlot).not.toHaveBeenCalled();
+    expect(await getChecks()).toEqual([]);
+  });
+
+  it('should not check a slot already flagged booked', async () => {
+    const id = await addTeeTime({ is_booked: 1 });
+    await addTeeTime({ time: '08:10' });
+    const checkSlot = vi.fn();
+
+    const result = await verify(id, { checkSlot });
+
+    expect(result.status).toBe(VerificationStatus.UNAVAILABLE);
+    expect(result.alternatives).toHaveLength(1);
+    expect(checkSlot).not.toHaveBeenCalled();
+  });
+
+  it('should leave slots it cannot check unverified', async () => {
+    const checkSlot = vi.fn();
+    const demo = await addTeeTime({ source: 'demo', is_synthetic: 1 });
+    const byPhone = await addTeeTime({ course_id: 4, booking_url: 'https://www.presidiogolf.com/' });
+    const noLink = await addTeeTime({ booking_url: null });
+
+    expect(await verify(demo, { checkSlot })).toMatchObject({ status: VerificationStatus.UNVERIFIED, reason: 'Demo tee time' });
+    expect(await verify(byPhone, { checkSlot })).toMatchObject({ status: VerificationStatus.UNVERIFIED, reason: 'No live check for this booking site' });
+    expect((await verify(noLink, { checkSlot })).status).toBe(VerificationStatus.UNVERIFIED);
+    expect(checkSlot).not.toHaveBeenCalled();
+  });
+
+  it('should leave the slot alone when the check fails', async () => {
+    const id = await addTeeTime();
+
+    const failed = await verify(id, { checkSlot: async () => ({ available: false, error: 'net::ERR_CONNECTION_RESET' }) });
+    const threw = await verify(id, { checkSlot: async () => { throw new Error('Availability check timed out after 20000ms'); } });
+
+    expect(failed).toMatchObject({ status: VerificationStatus.UNVERIFIED, reason: 'net::ERR_CONNECTION_RESET', price: 45 });
+    expect(threw).toMatchObject({ status: VerificationStatus.UNVERIFIED, reason: 'Availability check timed out after 20000ms' });
+    expect(await getRow(id)).toMatchObject({ is_booked: 0, price: 45 });
+    expect((await getChecks()).map(c => c.reason)).toEqual(['net::ERR_CONNECTION_RESET', 'Availability check timed out after 20000ms']);
+  });
+
+  it('should still answer when the check cannot be logged', async () => {
+    const id = await addTeeTime();
+    await db.execute('DROP TABLE tee_time_verifications');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await verify(id, { checkSlot: async () => ({ available: true, price: 45 }) });
+
+    expect(result.status).toBe(VerificationStatus.AVAILABLE);
+    vi.restoreAllMocks();
+  });
+});
+
+// ============================================================================
+// Alternatives
+// ============================================================================
+
+describe('findAlternativeTeeTimes', () => {
+  it('should list the same course first, then the region, nearest in time', async () => {
+    const lost = await getTeeTimeForVerification(db, await addTeeTime());
+    const sharpNear = await addTeeTime({ course_id: 2, time: '08:05', source: 'golfnow' });
+    const lincolnLater = await addTeeTime({ time: '09:30' });
+    const lincolnEarlier = await addTeeTime({ time: '07:20' });
+
+    const alternatives = await findAlternativeTeeTimes(db, lost, { now: NOW });
+
+    expect(alternatives.map(t => t.id)).toEqual([lincolnEarlier, lincolnLater, sharpNear]);
+    expect(alternatives[2]).toMatchObject({ course_name: 'Sharp Park Golf Course', course_slug: 'sharp-park' });
+  });
+
+  it('should skip slots that are booked, past, too far off, too small or elsewhere', async () => {
+    const lost = await getTeeTimeForVerification(db, await addTeeTime());
+    await addTeeTime({ time: '08:10', is_booked: 1 });
+    await addTeeTime({ time: '05:50' });
+    await addTeeTime({ time: '10:30' });
+    await addTeeTime({ time: '08:20', players: 2 });
+    await addTeeTime({ course_id: 3, time: '08:00' });
+    await addTeeTime({ date: '2026-10-25' });
+    const fits = await addTeeTime({ time: '08:30', players: null });
+
+    const alternatives = await findAlternativeTeeTimes(db, lost, { players: 3, now: NOW });
+
+    expect(alternatives.map(t => t.id)).toEqual([fits]);
+  });
+
+  it('should offer the same slot from another booking site once', async () => {
+    const lost = await getTeeTimeForVerification(db, await addTeeTime({ course_id: 2, source: 'golfnow' }));
+    await addTeeTime({ course_id: 2, time: '08:00', source: 'chronogolf', price: 50 });
+    await addTeeTime({ course_id: 2, time: '08:00', source: 'teeoff', price: 48 });
+
+    const alternatives = await findAlternativeTeeTimes(db, lost, { now: NOW });
+
+    expect(alternatives).toHaveLength(1);
+    expect(alternatives[0]).toMatchObject({ price: 48, source_count: 2 });
+  });
+
+  it('should hide demo slots with the synthetic clause', async () => {
+    const lost = await getTeeTimeForVerification(db, await addTeeTime());
+    await addTeeTime({ time: '08:10', source: 'demo', is_synthetic: 1 });
+
+    expect(await findAlternativeTeeTimes(db, lost, { now: NOW, syntheticClause: ' AND t.is_synthetic = 0' })).toEqual([]);
+  });
+});